@@ -33,10 +33,37 @@ import EditorTab from "./components/EditorTab.jsx";
 import SnippetsTab from "./components/SnippetsTab.jsx";
 import TestsTab from "./components/TestsTab.jsx";
 import CodeModal from "./components/CodeModal.jsx";
-import { useCanvasState } from "./hooks/useCanvasState.js";
+import CodeImportModal from "./components/CodeImportModal.jsx";
+import RecentDocumentsModal from "./components/RecentDocumentsModal.jsx";
+import SpriteSheetModal from "./components/SpriteSheetModal.jsx";
+import FontImportModal from "./components/FontImportModal.jsx";
+import ResizeModal from "./components/ResizeModal.jsx";
+import { useCanvasState, DEFAULT_FRAME_MS } from "./hooks/useCanvasState.js";
 import { useCodeGeneration } from "./hooks/useCodeGeneration.js";
 import { useTests } from "./hooks/useTests.js";
+import { useAutosave } from "./hooks/useAutosave.js";
+import { useSelection } from "./hooks/useSelection.js";
+import { useShapes } from "./hooks/useShapes.js";
+import { useText } from "./hooks/useText.js";
 import { black, white, parseCssColor } from "./lib/colors.js";
+import { ditherPixels } from "./lib/dither.js";
+import { buildPalette, indexedBits } from "./lib/palette.js";
+import { DEFAULT_PACKING } from "./lib/packers.js";
+import { displayConfig, displayProfile, displayCanvasSize } from "./lib/displays.js";
+import { analyzeCHeader, swapRedBlue } from "./lib/cimport.js";
+import { decodePixels } from "./lib/unpackers.js";
+import { decodeAnimation } from "./lib/animimport.js";
+import { serializeProject, parseProject, PROJECT_EXTENSION } from "./lib/project.js";
+import { download } from "./lib/io.js";
+import { DEFAULT_ONION_SKIN } from "./lib/onion.js";
+import { cellPixels, cellName } from "./lib/spritesheet.js";
+import { DEFAULT_FONT, proportionalAdvances } from "./lib/gfxfont.js";
+import { loadFont, fontCells } from "./lib/fontimport.js";
+import { exportFrames } from "./lib/layers.js";
+import { SELECTION_TOOLS } from "./lib/selection.js";
+import { SHAPE_TOOLS } from "./lib/shapes.js";
+import { rotatePixels, flipPixels, shiftPixels, scalePixels, scaledSize, MAX_CANVAS } from "./lib/transforms.js";
+import { createBuffer, getPixel } from "./lib/pixelbuffer.js";
 
 /**
  * Main Pixel2CPP application component
@@ -48,10 +75,20 @@ export default function Pixel2CPP() {
   // Core state
   const [drawMode, setDrawMode] = useState("HORIZONTAL_1BIT");
   const [outputFormat, setOutputFormat] = useState("ARDUINO_CODE");
+  const [dither, setDither] = useState("none");
+  const [paletteFormat, setPaletteFormat] = useState("RGB565");
+  const [compression, setCompression] = useState("NONE");
+  const [packing, setPacking] = useState(DEFAULT_PACKING);
+  const [lvglVersion, setLvglVersion] = useState("8");
+  const [library, setLibrary] = useState("ADAFRUIT_GFX");
   const [displayType, setDisplayType] = useState("SSD1306");
+  const [displaySettings, setDisplaySettings] = useState(() => displayConfig("SSD1306"));
   const [zoom, setZoom] = useState(8);
   const [mirrorX, setMirrorX] = useState(false);
   const [mirrorY, setMirrorY] = useState(false);
+  const [fillShapes, setFillShapes] = useState(false);
+  const [onionSkin, setOnionSkin] = useState(DEFAULT_ONION_SKIN);
+  const [font, setFont] = useState(DEFAULT_FONT);
   const [tool, setTool] = useState("pen");
   const [primary, setPrimary] = useState(black());
   const [secondary, setSecondary] = useState(white());
@@ -59,11 +96,77 @@ export default function Pixel2CPP() {
   const [backgroundColor, setBackgroundColor] = useState("transparent");
   const [activeTab, setActiveTab] = useState("Editor");
   const [sidebarCollapsed, setSidebarCollapsed] = useState(false);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [pendingSheet, setPendingSheet] = useState(null);
+  const [pendingFont, setPendingFont] = useState(null);
+  const [fileError, setFileError] = useState("");
+  const [showRecent, setShowRecent] = useState(false);
+  const [showResize, setShowResize] = useState(false);
 
   // Custom hooks
   const canvasState = useCanvasState(64, 64, backgroundColor, setBackgroundColor);
   const codeGeneration = useCodeGeneration();
   const tests = useTests();
+  const selection = useSelection(canvasState, (pixels, w, h) => quantizeImages([pixels], w, h)[0]);
+  const shapes = useShapes(canvasState);
+  const text = useText(canvasState, font);
+
+  /**
+   * Switch tools; leaving the selection tools applies a floating selection and
+   * leaving the polyline tool draws the polyline in progress
+   * @param {string} next - Tool name
+   */
+  const chooseTool = (next) => {
+    if (!SELECTION_TOOLS.includes(next)) selection.commit();
+    if (next !== tool) shapes.finish();
+    setTool(next);
+  };
+
+  // Document operations that apply a floating selection or polyline first, so it lands where it was drawn
+  const committed = (fn) => (...args) => {
+    selection.commit();
+    shapes.finish();
+    return fn(...args);
+  };
+
+  // Undo drops a floating selection or polyline in progress before undoing anything else; redo waits until it's applied
+  const undo = () => {
+    if (shapes.active) shapes.cancel();
+    else if (selection.floating) selection.cancel();
+    else canvasState.undo();
+  };
+
+  const redo = () => {
+    if (!selection.floating && !shapes.active) canvasState.redoAction();
+  };
+
+  // Jumping through the history drops work in progress the same way
+  const jumpTo = (n) => {
+    shapes.cancel();
+    selection.cancel();
+    canvasState.jumpTo(n);
+  };
+
+  /**
+   * Transform the selected pixels, or with nothing selected every frame and layer of the canvas
+   * @param {Function} fn - (pixels, w, h) => { pixels, w, h } from lib/transforms.js
+   * @param {string} label - Action name for the history
+   */
+  const transform = (fn, label) => {
+    shapes.finish();
+    if (selection.bounds) selection.transform(fn);
+    else canvasState.transformCanvas(fn, label);
+  };
+
+  // What the transforms apply to, and its size
+  const transforms = {
+    target: selection.bounds ? "selection" : "canvas",
+    size: selection.bounds ? { w: selection.bounds.w, h: selection.bounds.h } : { w: canvasState.w, h: canvasState.h },
+    rotate: (turns) => transform((p, w, h) => rotatePixels(p, w, h, turns), "Rotate"),
+    flip: (horizontal) => transform((p, w, h) => flipPixels(p, w, h, horizontal), "Flip"),
+    shift: (dx, dy) => transform((p, w, h) => shiftPixels(p, w, h, dx, dy), "Shift"),
+    scale: (nw, nh) => transform((p, w, h) => scalePixels(p, w, h, nw, nh), "Scale"),
+  };
 
   // Pointer handling
   const isMouseDown = useRef(false);
@@ -102,19 +205,34 @@ export default function Pixel2CPP() {
    */
   const handleMouseDown = (e) => {
     isMouseDown.current = true;
-    if (tool === "fill") {
+    // Selecting works on any layer; moving the selected pixels checks the layer itself
+    if (SELECTION_TOOLS.includes(tool)) {
+      const { x, y } = getXY(e);
+      selection.pointerDown(x, y, tool, e.shiftKey ? "add" : e.altKey ? "subtract" : "replace");
+      return;
+    }
+    // Hidden and locked layers can't be drawn on, so no empty undo steps either
+    if (tool !== "eyedropper" && !canvasState.layerEditable) return;
+    if (SHAPE_TOOLS.includes(tool)) {
+      const { x, y } = getXY(e);
+      const color = (e.buttons & 2) ? secondary : primary;
+      shapes.pointerDown(x, y, tool, { color, filled: fillShapes, mirrorX, mirrorY, constrain: e.shiftKey, clicks: e.detail });
+    } else if (tool === "text") {
+      const { x, y } = getXY(e);
+      text.stamp(x, y, (e.buttons & 2) ? secondary : primary);
+    } else if (tool === "fill") {
       const { x, y, inBounds } = getXY(e);
       if (!inBounds) return;
-      canvasState.pushHistory(canvasState.data);
+      canvasState.pushHistory("Fill");
       const color = (e.buttons & 2) ? secondary : primary;
-      canvasState.floodFill(x, y, canvasState.data[canvasState.idx(x, y)], color);
+      canvasState.floodFill(x, y, getPixel(canvasState.layerData, canvasState.idx(x, y)), color);
     } else if (tool === "eyedropper") {
       const { x, y, inBounds } = getXY(e);
       if (!inBounds) return;
-      setPrimary(canvasState.data[canvasState.idx(x, y)]);
-      setTool("pen");
+      setPrimary(getPixel(canvasState.data, canvasState.idx(x, y)));
+      chooseTool("pen");
     } else {
-      canvasState.pushHistory(canvasState.data);
+      canvasState.pushHistory(tool === "erase" ? "Erase" : "Draw");
       handlePointerAction(e);
     }
   };
@@ -124,7 +242,17 @@ export default function Pixel2CPP() {
    * @param {MouseEvent} e - Mouse event
    */
   const handleMouseMove = (e) => {
-    if (isMouseDown.current && (tool === "pen" || tool === "erase")) {
+    if (SHAPE_TOOLS.includes(tool)) {
+      // Polylines follow the cursor between clicks, so shapes track every move
+      const { x, y } = getXY(e);
+      shapes.pointerMove(x, y, e.shiftKey);
+    } else if (tool === "text") {
+      const { x, y } = getXY(e);
+      text.hover(x, y, primary);
+    } else if (isMouseDown.current && SELECTION_TOOLS.includes(tool)) {
+      const { x, y } = getXY(e);
+      selection.pointerMove(x, y);
+    } else if (isMouseDown.current && (tool === "pen" || tool === "erase")) {
       handlePointerAction(e);
     }
   };
@@ -134,6 +262,9 @@ export default function Pixel2CPP() {
    */
   const handleMouseUp = () => {
     isMouseDown.current = false;
+    selection.pointerUp();
+    shapes.pointerUp();
+    text.hide();
   };
 
   // Global mouse up handler
@@ -144,41 +275,287 @@ export default function Pixel2CPP() {
   }, []);
 
   /**
-   * Import image and fit to canvas
+   * Fit an image to the canvas, keeping its aspect ratio and centering it
+   * @param {CanvasImageSource} source - Image or canvas to draw
+   * @param {number} sw - Source width
+   * @param {number} sh - Source height
+   * @returns {Array} Array of {r,g,b,a} pixels at the canvas size
+   */
+  const fitToCanvas = (source, sw, sh) => {
+    const cnv = document.createElement("canvas");
+    cnv.width = canvasState.w; 
+    cnv.height = canvasState.h;
+    const ctx = cnv.getContext("2d");
+    const scale = Math.min(canvasState.w / sw, canvasState.h / sh);
+    const dw = Math.max(1, Math.floor(sw * scale));
+    const dh = Math.max(1, Math.floor(sh * scale));
+    const dx = Math.floor((canvasState.w - dw) / 2);
+    const dy = Math.floor((canvasState.h - dh) / 2);
+    ctx.clearRect(0, 0, canvasState.w, canvasState.h);
+    ctx.drawImage(source, 0, 0, sw, sh, dx, dy, dw, dh);
+    const id = ctx.getImageData(0, 0, canvasState.w, canvasState.h).data;
+    return Array.from({ length: canvasState.w * canvasState.h }, (_, i) => ({
+      r: id[i * 4],
+      g: id[i * 4 + 1],
+      b: id[i * 4 + 2],
+      a: id[i * 4 + 3],
+    }));
+  };
+
+  /**
+   * Dither fitted images down to the draw mode's color depth
+   * @param {Array} images - Pixel arrays from fitToCanvas()
+   * @param {number} [w] - Image width
+   * @param {number} [h] - Image height
+   * @returns {Array} Dithered pixel arrays
+   */
+  const quantizeImages = (images, w = canvasState.w, h = canvasState.h) => {
+    // Indexed modes get a palette fitted to the images before dithering down to it;
+    // animation frames share one, as they do in the export
+    const bits = indexedBits(drawMode);
+    const palette = bits ? buildPalette(images.flat(), 1 << bits) : null;
+    return images.map((src) => ditherPixels(src, w, h, drawMode, dither, palette));
+  };
+
+  /**
+   * Import image, fit to canvas and dither down to the draw mode's color depth.
+   * Animated GIFs and APNGs replace the frames, one per image frame with its delay.
    * @param {File} file - Image file to import
    */
-  const importImage = (file) => {
+  const importImage = async (file) => {
+    let animation = null;
+    try {
+      animation = await decodeAnimation(file);
+    } catch (error) {
+      // Fall back to the first frame as the browser decodes it
+      console.warn("Couldn't decode animation frames, importing as a still image:", error);
+    }
+    if (animation) {
+      const frameCanvas = document.createElement("canvas");
+      frameCanvas.width = animation.width;
+      frameCanvas.height = animation.height;
+      const ctx = frameCanvas.getContext("2d");
+      const images = animation.frames.map((frame) => {
+        ctx.putImageData(new ImageData(frame.rgba, animation.width, animation.height), 0, 0);
+        return fitToCanvas(frameCanvas, animation.width, animation.height);
+      });
+      const out = quantizeImages(images);
+      canvasState.replaceFrames(out.map((data, i) => ({ data, duration: animation.frames[i].delay })));
+      return;
+    }
+
+    const img = new Image();
+    img.onload = () => {
+      const [out] = quantizeImages([fitToCanvas(img, img.width, img.height)]);
+      canvasState.pushHistory("Import image");
+      canvasState.setLayerData(out);
+    };
+    img.src = URL.createObjectURL(file);
+  };
+
+  /**
+   * Load a sprite sheet's pixels and open the slicing dialog
+   * @param {File} file - Image file to slice
+   */
+  const importSheet = (file) => {
     const img = new Image();
+    const url = URL.createObjectURL(file);
     img.onload = () => {
+      URL.revokeObjectURL(url);
       const cnv = document.createElement("canvas");
-      cnv.width = canvasState.w; 
-      cnv.height = canvasState.h;
+      cnv.width = img.width;
+      cnv.height = img.height;
       const ctx = cnv.getContext("2d");
-      const scale = Math.min(canvasState.w / img.width, canvasState.h / img.height);
-      const dw = Math.max(1, Math.floor(img.width * scale));
-      const dh = Math.max(1, Math.floor(img.height * scale));
-      const dx = Math.floor((canvasState.w - dw) / 2);
-      const dy = Math.floor((canvasState.h - dh) / 2);
-      ctx.clearRect(0, 0, canvasState.w, canvasState.h);
-      ctx.drawImage(img, 0, 0, img.width, img.height, dx, dy, dw, dh);
-      const id = ctx.getImageData(0, 0, canvasState.w, canvasState.h).data;
-      const out = Array.from({ length: canvasState.w * canvasState.h }, (_, i) => ({
-        r: id[i * 4],
-        g: id[i * 4 + 1],
-        b: id[i * 4 + 2],
-        a: id[i * 4 + 3],
-      }));
-      if (drawMode.includes("1BIT") || drawMode.includes("ALPHA")) {
-        for (let i = 0; i < out.length; i++) {
-          const p = out[i];
-          const luma = 0.2126 * p.r + 0.7152 * p.g + 0.0722 * p.b;
-          out[i] = luma > 127 ? white() : black();
-        }
-      }
-      canvasState.pushHistory(canvasState.data);
-      canvasState.setData(out);
+      ctx.drawImage(img, 0, 0);
+      setPendingSheet({
+        name: file.name.replace(/\.[^.]*$/, "").replace(/[^a-zA-Z0-9_]/g, "_"),
+        width: img.width,
+        height: img.height,
+        rgba: ctx.getImageData(0, 0, img.width, img.height).data,
+      });
     };
-    img.src = URL.createObjectURL(file);
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      setFileError(`Couldn't open ${file.name}: not an image the browser can read`);
+    };
+    img.src = url;
+  };
+
+  /**
+   * Replace the frames with the sliced cells, resizing the canvas to fit the largest
+   * @param {Object} slice - { cells, w, h, prefix } from the slicing dialog
+   */
+  const applySheet = ({ cells, w, h, prefix }) => {
+    const images = cells.map((cell) => cellPixels(pendingSheet.rgba, pendingSheet.width, cell, w, h));
+    const out = quantizeImages(images, w, h);
+    canvasState.replaceFrames(out.map((data, i) => ({ data, duration: DEFAULT_FRAME_MS, name: cellName(prefix, cells[i]) })), w, h);
+    setPendingSheet(null);
+  };
+
+  /**
+   * Open the font import dialog for a font file
+   * @param {File} file - .bdf, .pcf, .pcf.gz, .ttf or .otf file
+   */
+  const importFont = (file) => {
+    setPendingFont({ file, error: "" });
+  };
+
+  /**
+   * Replace the frames with glyphs from the pending font file and switch to font mode,
+   * taking the baseline and advances from the font
+   * @param {Object} settings - { size, first, last } from the font import dialog
+   */
+  const applyFont = async ({ size, first, last }) => {
+    const { file } = pendingFont;
+    try {
+      const parsed = await loadFont(file, { size, first, last });
+      const { cells, w, h, baseline, advances, missing } = fontCells(parsed, first, last, primary);
+      if (missing === cells.length) throw new Error("The font has none of these characters");
+      if (w > MAX_CANVAS || h > MAX_CANVAS) throw new Error(`Glyph cells of ${w}x${h} are larger than the ${MAX_CANVAS}x${MAX_CANVAS} canvas limit`);
+      canvasState.replaceFrames(cells.map(({ data }) => ({ data, duration: DEFAULT_FRAME_MS })), w, h);
+      setFont({ ...DEFAULT_FONT, enabled: true, first, baseline, yAdvance: Math.min(255, h), advances });
+      setName(file.name.replace(/\.(pcf\.gz|[^.]*)$/i, "").replace(/[^a-zA-Z0-9_]/g, "_"));
+      setPendingFont(null);
+    } catch (error) {
+      console.error("Error importing font:", error);
+      setPendingFont({ file, error: `Couldn't import ${file.name}: ${error.message}` });
+    }
+  };
+
+  /**
+   * Decode an analyzed C array onto the canvas and adopt its name, draw mode and packing
+   * @param {Object} result - Import settings from analyzeCHeader() or the import dialog
+   */
+  const applyCodeImport = (result) => {
+    let pixels = decodePixels(result.drawMode, result.values, result.w, result.h, result.packing, result.palette);
+    if (result.bgr) pixels = swapRedBlue(pixels);
+    canvasState.replaceCanvas(result.w, result.h, pixels);
+    setDrawMode(result.drawMode);
+    setPacking(result.packing);
+    setName(result.name);
+    setPendingImport(null);
+  };
+
+  /**
+   * Import a C header or source file, asking for the dimensions and format
+   * when they can't be read from it
+   * @param {File} file - .h/.c file to import
+   */
+  const importCode = async (file) => {
+    const text = await file.text();
+    try {
+      const result = analyzeCHeader(text);
+      if (result.complete && result.w <= MAX_CANVAS && result.h <= MAX_CANVAS) applyCodeImport(result);
+      else setPendingImport({ text, result });
+    } catch (error) {
+      console.error("Error importing C array:", error);
+      setPendingImport({ text, result: null, error: error.message });
+    }
+  };
+
+  /**
+   * The workspace in the shape serializeProject() takes
+   * @param {boolean} [withHistory] - false to leave the undo history out, as autosaves do
+   * @returns {Object} Project snapshot
+   */
+  const projectSnapshot = (withHistory = true) => ({
+    name,
+    w: canvasState.w,
+    h: canvasState.h,
+    frames: canvasState.frames,
+    frameIndex: canvasState.frameIndex,
+    layers: canvasState.layers,
+    layerIndex: canvasState.layerIndex,
+    exportLayer: canvasState.exportLayer,
+    settings: { drawMode, outputFormat, dither, paletteFormat, compression, packing, lvglVersion, library },
+    display: displaySettings,
+    palette: { primary, secondary, background: backgroundColor },
+    history: withHistory ? canvasState.savedHistory() : { undo: [], redo: [] },
+    font,
+  });
+
+  const autosave = useAutosave(() => projectSnapshot(false));
+  const scheduleAutosave = autosave.schedule;
+
+  // Autosave whenever the document or its settings change
+  useEffect(() => {
+    scheduleAutosave();
+  }, [scheduleAutosave, canvasState.frames, canvasState.frameIndex, canvasState.layers, canvasState.layerIndex, canvasState.exportLayer, name, drawMode, outputFormat, dither, paletteFormat, compression, packing, lvglVersion, library, displaySettings, primary, secondary, backgroundColor, font]);
+
+  /**
+   * Save the workspace, including undo/redo snapshots, as a .p2c project file
+   */
+  const saveProject = () => {
+    download(`${name || "sprite"}${PROJECT_EXTENSION}`, serializeProject(projectSnapshot()));
+  };
+  // The keyboard shortcut handler reads it through a ref, as it saves whatever is current
+  const saveProjectRef = useRef(saveProject);
+  saveProjectRef.current = saveProject;
+
+  /**
+   * Replace the whole workspace with a parsed project
+   * @param {Object} project - Project from parseProject()
+   */
+  const applyProject = (project) => {
+    const { settings } = project;
+    setDrawMode(settings.drawMode);
+    setOutputFormat(settings.outputFormat);
+    setDither(settings.dither);
+    setPaletteFormat(settings.paletteFormat);
+    setCompression(settings.compression);
+    setPacking(settings.packing);
+    setLvglVersion(settings.lvglVersion);
+    setLibrary(settings.library);
+    setDisplayType(project.display.type);
+    setDisplaySettings(project.display);
+    setPrimary(project.palette.primary);
+    setSecondary(project.palette.secondary);
+    setBackgroundColor(project.palette.background);
+    setName(project.name);
+    setFont(project.font);
+    canvasState.loadDocument(project);
+  };
+
+  /**
+   * Open a .p2c project file
+   * @param {File} file - Project file
+   */
+  const openProject = async (file) => {
+    try {
+      applyProject(parseProject(await file.text()));
+      setFileError("");
+    } catch (error) {
+      console.error("Error opening project:", error);
+      setFileError(`Couldn't open ${file.name}: ${error.message}`);
+    }
+  };
+
+  /**
+   * Restore an autosaved document
+   * @param {string} id - Autosave document id
+   */
+  const restoreAutosave = async (id) => {
+    try {
+      applyProject(await autosave.restore(id));
+      setShowRecent(false);
+      setFileError("");
+    } catch (error) {
+      console.error("Error restoring autosave:", error);
+      setFileError(`Couldn't restore the autosaved document: ${error.message}`);
+    }
+  };
+
+  /**
+   * Switch to a display profile: reset its settings and preset draw mode and canvas size
+   * @param {string} type - Display profile value
+   */
+  const selectDisplay = (type) => {
+    const config = displayConfig(type);
+    const { w, h } = displayCanvasSize(config);
+    setDisplayType(type);
+    setDisplaySettings(config);
+    setDrawMode(displayProfile(type).drawMode);
+    committed(canvasState.resizeCanvas)(w, h);
   };
 
   /**
@@ -202,13 +579,19 @@ export default function Pixel2CPP() {
       // Ctrl+Z: Undo
       if (e.ctrlKey && e.key === 'z' && !e.shiftKey) {
         e.preventDefault();
-        canvasState.undo();
+        undo();
       }
 
       // Ctrl+Y or Ctrl+Shift+Z: Redo
       if ((e.ctrlKey && e.key === 'y') || (e.ctrlKey && e.shiftKey && e.key === 'z')) {
         e.preventDefault();
-        canvasState.redoAction();
+        redo();
+      }
+
+      // Ctrl+S: Save project
+      if (e.ctrlKey && e.key === 's') {
+        e.preventDefault();
+        saveProjectRef.current();
       }
 
       // Tool shortcuts
@@ -216,28 +599,146 @@ export default function Pixel2CPP() {
         switch (e.key.toLowerCase()) {
           case 'b': // Brush/Pen tool
             e.preventDefault();
-            setTool("pen");
+            chooseTool("pen");
             break;
           case 'e': // Erase tool
             e.preventDefault();
-            setTool("erase");
+            chooseTool("erase");
             break;
           case 'f': // Fill tool
             e.preventDefault();
-            setTool("fill");
+            chooseTool("fill");
             break;
           case 'i': // Eyedropper tool
             e.preventDefault();
-            setTool("eyedropper");
+            chooseTool("eyedropper");
+            break;
+          case 'm': // Rectangle select (marquee)
+            e.preventDefault();
+            chooseTool("select");
+            break;
+          case 'l': // Lasso select
+            e.preventDefault();
+            chooseTool("lasso");
+            break;
+          case 'w': // Magic wand
+            e.preventDefault();
+            chooseTool("wand");
+            break;
+          case 'n': // Line
+            e.preventDefault();
+            chooseTool("line");
+            break;
+          case 'u': // Rectangle
+            e.preventDefault();
+            chooseTool("rect");
+            break;
+          case 'o': // Ellipse
+            e.preventDefault();
+            chooseTool("ellipse");
+            break;
+          case 'p': // Polyline
+            e.preventDefault();
+            chooseTool("polyline");
+            break;
+          case 't': // Text
+            e.preventDefault();
+            chooseTool("text");
             break;
           case 'c': // Clear canvas
             e.preventDefault();
-            canvasState.clearCanvas();
+            committed(canvasState.clearCanvas)();
             break;
           case 'x': // Swap colors
             e.preventDefault();
             swapColors();
             break;
+          case ']': // Scale up 2x
+            e.preventDefault();
+            transforms.scale(...scaledSize(transforms.size.w, transforms.size.h, 2));
+            break;
+          case '[': // Scale down to half
+            e.preventDefault();
+            transforms.scale(...scaledSize(transforms.size.w, transforms.size.h, 0.5));
+            break;
+        }
+      }
+
+      // Transform shortcuts: Shift+R / Shift+L rotate, Shift+H / Shift+V flip
+      if (e.shiftKey && !e.ctrlKey && !e.altKey) {
+        switch (e.key.toLowerCase()) {
+          case 'r':
+            e.preventDefault();
+            transforms.rotate(1);
+            break;
+          case 'l':
+            e.preventDefault();
+            transforms.rotate(-1);
+            break;
+          case 'h':
+            e.preventDefault();
+            transforms.flip(true);
+            break;
+          case 'v':
+            e.preventDefault();
+            transforms.flip(false);
+            break;
+        }
+      }
+
+      // Alt+arrows shift with wrap-around, by 10 with Shift
+      if (e.altKey && !e.ctrlKey) {
+        const step = e.shiftKey ? 10 : 1;
+        const shifts = { ArrowLeft: [-step, 0], ArrowRight: [step, 0], ArrowUp: [0, -step], ArrowDown: [0, step] };
+        if (shifts[e.key]) {
+          e.preventDefault();
+          transforms.shift(...shifts[e.key]);
+          return;
+        }
+      }
+
+      // Enter draws the polyline in progress, Escape drops it
+      if (shapes.active && (e.key === 'Enter' || e.key === 'Escape')) {
+        e.preventDefault();
+        if (e.key === 'Enter') shapes.finish();
+        else shapes.cancel();
+        return;
+      }
+
+      // Selection shortcuts; Ctrl+V arrives as a paste event
+      if (e.ctrlKey && !e.altKey && !e.shiftKey) {
+        switch (e.key.toLowerCase()) {
+          case 'a':
+            e.preventDefault();
+            selection.selectAll();
+            break;
+          case 'd':
+            e.preventDefault();
+            selection.deselect();
+            break;
+          case 'c':
+            if (selection.copy()) e.preventDefault();
+            break;
+          case 'x':
+            if (selection.cut()) e.preventDefault();
+            break;
+        }
+      }
+      if (!e.ctrlKey && !e.altKey && (selection.mask || selection.floating)) {
+        const step = e.shiftKey ? 10 : 1;
+        const moves = { ArrowLeft: [-step, 0], ArrowRight: [step, 0], ArrowUp: [0, -step], ArrowDown: [0, step] };
+        if (moves[e.key]) {
+          e.preventDefault();
+          selection.nudge(...moves[e.key]);
+        } else if (e.key === 'Enter') {
+          e.preventDefault();
+          selection.commit();
+        } else if (e.key === 'Escape') {
+          e.preventDefault();
+          selection.deselect();
+        } else if (e.key === 'Delete' || e.key === 'Backspace') {
+          e.preventDefault();
+          selection.remove();
         }
       }
 
@@ -261,25 +762,68 @@ export default function Pixel2CPP() {
       }
     };
 
+    const handlePaste = (e) => {
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+      selection.handlePaste(e);
+    };
+
     window.addEventListener('keydown', handleKeyDown);
-    return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [canvasState, tool, primary, secondary]);
+    window.addEventListener('paste', handlePaste);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('paste', handlePaste);
+    };
+  }, [canvasState, selection, shapes, chooseTool, committed, undo, redo, transforms, tool, primary, secondary]);
+
+  // Wrapper functions for code generation; exports use the flattened frames or the chosen layer
+  const exported = exportFrames(canvasState.frames, canvasState.layers, canvasState.exportLayer);
+  const exportData = exported[canvasState.frameIndex].data;
+  const exportOptions = { paletteFormat, compression, packing, lvglVersion, library, display: displaySettings, frames: exported, font };
+
+  /**
+   * Make the frames the glyphs for characters first..last; glyphs already drawn keep their character
+   * @param {number} first - First character code
+   * @param {number} last - Last character code
+   */
+  const setGlyphRange = (first, last) => {
+    const list = [];
+    for (let code = first; code <= last; code++) {
+      const frame = canvasState.frames[code - font.first];
+      const cels = canvasState.layers.map(() => createBuffer(canvasState.w * canvasState.h));
+      list.push(frame || { cels, duration: DEFAULT_FRAME_MS });
+    }
+    canvasState.replaceFrames(list);
+    setFont((f) => ({ ...f, first }));
+  };
+
+  // A single frame becomes the first glyph of printable ASCII
+  const enterFontMode = () => {
+    setFont((f) => ({ ...f, enabled: true }));
+    if (canvasState.frames.length === 1) setGlyphRange(font.first, Math.max(font.first, 0x7e));
+  };
+
+  const fitAdvances = () => {
+    setFont((f) => ({ ...f, advances: { ...f.advances, ...proportionalAdvances(canvasState.frames, f.first, canvasState.w, canvasState.h) } }));
+  };
 
-  // Wrapper functions for code generation
   const handleGenerateCode = () => {
     codeGeneration.handleGenerateCode();
   };
 
   const handleCopyCode = () => {
-    codeGeneration.handleCopyCode(drawMode, outputFormat, canvasState.w, canvasState.h, canvasState.data, name);
+    codeGeneration.handleCopyCode(drawMode, outputFormat, canvasState.w, canvasState.h, exportData, name, exportOptions);
   };
 
   const exportCpp = () => {
-    codeGeneration.exportCpp(drawMode, outputFormat, canvasState.w, canvasState.h, canvasState.data, name);
+    codeGeneration.exportCpp(drawMode, outputFormat, canvasState.w, canvasState.h, exportData, name, exportOptions);
   };
 
   const generateCppCode = () => {
-    return codeGeneration.generateCppCode(drawMode, outputFormat, canvasState.w, canvasState.h, canvasState.data, name);
+    return codeGeneration.generateCppCode(drawMode, outputFormat, canvasState.w, canvasState.h, exportData, name, exportOptions);
+  };
+
+  const getCompressionStats = () => {
+    return codeGeneration.getCompressionStats(drawMode, canvasState.w, canvasState.h, exportData, packing);
   };
 
   return (
@@ -290,40 +834,72 @@ export default function Pixel2CPP() {
           name={name}
           setName={setName}
           importImage={importImage}
+          importSheet={importSheet}
+          importFont={importFont}
+          importCode={importCode}
+          openProject={openProject}
+          saveProject={saveProject}
+          showRecent={() => setShowRecent(true)}
           handleGenerateCode={handleGenerateCode}
           exportCpp={exportCpp}
           isGenerating={codeGeneration.isGenerating}
         />
 
+        {fileError && (
+          <div className="flex items-center justify-between gap-4 px-4 py-2 bg-red-500/10 border-b border-red-500/40 text-sm text-red-300" role="alert">
+            <span>{fileError}</span>
+            <button onClick={() => setFileError("")} className="text-red-300 hover:text-red-100" aria-label="Dismiss error">✕</button>
+          </div>
+        )}
+
         <div className="flex flex-1 min-h-0">
           {/* Sidebar */}
           <Sidebar
             sidebarCollapsed={sidebarCollapsed}
             setSidebarCollapsed={setSidebarCollapsed}
             tool={tool}
-            setTool={setTool}
+            setTool={chooseTool}
             primary={primary}
             setPrimary={setPrimary}
             secondary={secondary}
             setSecondary={setSecondary}
             swapColors={swapColors}
             w={canvasState.w}
-            setW={canvasState.setW}
             h={canvasState.h}
-            setH={canvasState.setH}
+            openResize={() => setShowResize(true)}
             zoom={zoom}
             setZoom={setZoom}
             drawMode={drawMode}
             setDrawMode={setDrawMode}
             outputFormat={outputFormat}
             setOutputFormat={setOutputFormat}
-            clearCanvas={canvasState.clearCanvas}
-            canUndo={canvasState.canUndo}
-            undo={canvasState.undo}
+            dither={dither}
+            setDither={setDither}
+            paletteFormat={paletteFormat}
+            setPaletteFormat={setPaletteFormat}
+            compression={compression}
+            setCompression={setCompression}
+            packing={packing}
+            setPacking={setPacking}
+            lvglVersion={lvglVersion}
+            setLvglVersion={setLvglVersion}
+            library={library}
+            setLibrary={setLibrary}
+            displayType={displayType}
+            selectDisplay={selectDisplay}
+            displaySettings={displaySettings}
+            setDisplaySettings={setDisplaySettings}
+            clearCanvas={committed(canvasState.clearCanvas)}
+            canUndo={canvasState.canUndo || selection.floating !== null || shapes.active}
+            undo={undo}
+            canRedo={canvasState.canRedo && !selection.floating && !shapes.active}
+            redo={redo}
             mirrorX={mirrorX}
             setMirrorX={setMirrorX}
             mirrorY={mirrorY}
             setMirrorY={setMirrorY}
+            fillShapes={fillShapes}
+            setFillShapes={setFillShapes}
             backgroundColor={backgroundColor}
             setBackgroundColor={setBackgroundColor}
           />
@@ -354,7 +930,42 @@ export default function Pixel2CPP() {
                   w={canvasState.w}
                   h={canvasState.h}
                   zoom={zoom}
-                  data={canvasState.data}
+                  data={selection.preview || shapes.preview || (tool === "text" && text.preview) || canvasState.data}
+                  animation={{
+                    frames: canvasState.frames,
+                    frameIndex: canvasState.frameIndex,
+                    selectFrame: committed(canvasState.selectFrame),
+                    addFrame: committed(canvasState.addFrame),
+                    duplicateFrame: committed(canvasState.duplicateFrame),
+                    deleteFrame: committed(canvasState.deleteFrame),
+                    moveFrame: committed(canvasState.moveFrame),
+                    setFrameDuration: canvasState.setFrameDuration,
+                    setFrameName: canvasState.setFrameName,
+                  }}
+                  layers={{
+                    layers: canvasState.layers,
+                    layerIndex: canvasState.layerIndex,
+                    selectLayer: committed(canvasState.selectLayer),
+                    addLayer: committed(canvasState.addLayer),
+                    deleteLayer: committed(canvasState.deleteLayer),
+                    moveLayer: committed(canvasState.moveLayer),
+                    mergeDown: committed(canvasState.mergeDown),
+                    updateLayer: canvasState.updateLayer,
+                    exportLayer: canvasState.exportLayer,
+                    setExportLayer: canvasState.setExportLayer,
+                  }}
+                  history={{
+                    ...canvasState.historyList,
+                    settings: canvasState.historySettings,
+                    updateSettings: canvasState.updateHistorySettings,
+                    jumpTo,
+                  }}
+                  selection={selection}
+                  text={text}
+                  transforms={transforms}
+                  onionSkin={onionSkin}
+                  setOnionSkin={setOnionSkin}
+                  font={{ font, setFont, setGlyphRange, fitAdvances, enterFontMode }}
                   backgroundColor={backgroundColor}
                   tool={tool}
                   drawMode={drawMode}
@@ -401,6 +1012,57 @@ export default function Pixel2CPP() {
           handleCopyCode={handleCopyCode}
           copyStatus={codeGeneration.copyStatus}
           generateCppCode={generateCppCode}
+          getCompressionStats={getCompressionStats}
+          compression={compression}
+        />
+
+        {/* C Array Import Dialog */}
+        <CodeImportModal
+          pending={pendingImport}
+          onImport={applyCodeImport}
+          onCancel={() => setPendingImport(null)}
+        />
+
+        {/* Sprite Sheet Slicing Dialog */}
+        <SpriteSheetModal
+          sheet={pendingSheet}
+          onSlice={applySheet}
+          onCancel={() => setPendingSheet(null)}
+        />
+
+        {/* Canvas Resize Dialog */}
+        <ResizeModal
+          open={showResize}
+          w={canvasState.w}
+          h={canvasState.h}
+          content={showResize ? canvasState.contentBox() : null}
+          onResize={(w, h, options) => {
+            committed(canvasState.resizeCanvas)(w, h, options);
+            setShowResize(false);
+          }}
+          onTrim={() => {
+            committed(canvasState.trimCanvas)();
+            setShowResize(false);
+          }}
+          onCancel={() => setShowResize(false)}
+        />
+
+        {/* Font Import Dialog */}
+        <FontImportModal
+          pending={pendingFont}
+          onImport={applyFont}
+          onCancel={() => setPendingFont(null)}
+        />
+
+        {/* Autosave Restore Prompt / Recent Documents */}
+        <RecentDocumentsModal
+          open={autosave.restorePrompt || showRecent}
+          startup={autosave.restorePrompt}
+          documents={autosave.recent}
+          currentId={autosave.restorePrompt ? null : autosave.currentId}
+          onRestore={restoreAutosave}
+          onDelete={autosave.remove}
+          onClose={() => (autosave.restorePrompt ? autosave.dismissRestore() : setShowRecent(false))}
         />
       </div>
     </div>
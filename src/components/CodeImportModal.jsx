@@ -0,0 +1,171 @@
+/*
+ * Pixel2CPP - Code Import Modal Component
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+import React, { useEffect, useState } from "react";
+import { analyzeCHeader } from "../lib/cimport.js";
+import { packedLength } from "../lib/unpackers.js";
+import { MAX_CANVAS } from "../lib/transforms.js";
+
+const selectClass = "w-full bg-neutral-800 rounded px-2 py-1 text-xs border border-neutral-700 focus:border-purple-500 transition-colors";
+
+const MODES = [
+  ["HORIZONTAL_1BIT", "1-bit"],
+  ["VERTICAL_1BIT", "1-bit Vertical"],
+  ["HORIZONTAL_ALPHA", "Alpha Map"],
+  ["HORIZONTAL_RGB565", "RGB565"],
+  ["HORIZONTAL_RGB888_24", "RGB24"],
+  ["HORIZONTAL_RGB888_32", "RGBA32"],
+  ["HORIZONTAL_RGB332", "RGB332"],
+  ["HORIZONTAL_GRAY4", "GRAY4"],
+  ["HORIZONTAL_INDEXED1", "Indexed 1-bit"],
+  ["HORIZONTAL_INDEXED2", "Indexed 2-bit"],
+  ["HORIZONTAL_INDEXED4", "Indexed 4-bit"],
+  ["HORIZONTAL_INDEXED8", "Indexed 8-bit"],
+];
+
+/**
+ * Dialog asking for the dimensions and format of an imported C array
+ * when they could not be read from the header
+ *
+ * @param {Object} props - Component props
+ * @param {Object|null} props.pending - { text, result, error } of the header being imported, or null when closed
+ * @param {Function} props.onImport - Called with the confirmed import settings
+ * @param {Function} props.onCancel - Function to close the dialog
+ */
+export default function CodeImportModal({ pending, onImport, onCancel }) {
+  const [settings, setSettings] = useState(null);
+
+  useEffect(() => {
+    setSettings(pending?.result ? { ...pending.result, w: pending.result.w || 32, h: pending.result.h || 32 } : null);
+  }, [pending]);
+
+  if (!pending) return null;
+
+  const update = (patch) => setSettings((s) => ({ ...s, ...patch }));
+  const updatePacking = (patch) => setSettings((s) => ({ ...s, packing: { ...s.packing, ...patch } }));
+
+  // Switching arrays re-reads the dimensions and format that belong to it
+  const selectArray = (array) => {
+    const result = analyzeCHeader(pending.text, array);
+    setSettings({ ...result, w: result.w || settings.w, h: result.h || settings.h });
+  };
+
+  const needed = settings ? packedLength(settings.drawMode, settings.w, settings.h, settings.packing) : 0;
+  const error = pending.error
+    || (settings && settings.values.length < needed && `Array has ${settings.values.length} values; ${settings.w}x${settings.h} needs ${needed}`)
+    || null;
+  const sub = settings && /1BIT|ALPHA|GRAY4|INDEXED[124]/.test(settings.drawMode);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 modal-backdrop flex items-center justify-center p-4 z-50" role="dialog" aria-modal="true" aria-labelledby="import-title">
+      <div className="bg-neutral-900 rounded-2xl p-6 max-w-md w-full shadow-2xl border border-neutral-700 space-y-4">
+        <div>
+          <h2 id="import-title" className="text-2xl font-bold bg-gradient-to-r from-blue-400 to-purple-400 bg-clip-text text-transparent">
+            Import C Array
+          </h2>
+          <p className="text-sm text-neutral-400 mt-1">
+            Confirm how the array was packed
+          </p>
+        </div>
+
+        {settings && (
+          <div className="space-y-3">
+            <label className="flex flex-col gap-1">
+              <span className="text-xs text-neutral-400">Array</span>
+              <select value={settings.array} onChange={(e) => selectArray(e.target.value)} className={selectClass} aria-label="Select array to import">
+                {settings.arrays.map((a) => <option key={a} value={a}>{a}</option>)}
+              </select>
+            </label>
+            <div className="grid grid-cols-2 gap-2">
+              <label className="flex flex-col gap-1">
+                <span className="text-xs text-neutral-400">Width</span>
+                <input
+                  type="number"
+                  min={1}
+                  max={MAX_CANVAS}
+                  value={settings.w}
+                  onChange={(e) => update({ w: Math.min(MAX_CANVAS, Math.max(1, parseInt(e.target.value) || 1)) })}
+                  className={selectClass}
+                  aria-label="Image width"
+                />
+              </label>
+              <label className="flex flex-col gap-1">
+                <span className="text-xs text-neutral-400">Height</span>
+                <input
+                  type="number"
+                  min={1}
+                  max={MAX_CANVAS}
+                  value={settings.h}
+                  onChange={(e) => update({ h: Math.min(MAX_CANVAS, Math.max(1, parseInt(e.target.value) || 1)) })}
+                  className={selectClass}
+                  aria-label="Image height"
+                />
+              </label>
+            </div>
+            <label className="flex flex-col gap-1">
+              <span className="text-xs text-neutral-400">Format</span>
+              <select value={settings.drawMode} onChange={(e) => update({ drawMode: e.target.value })} className={selectClass} aria-label="Select draw mode of the array">
+                {MODES.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+              </select>
+            </label>
+            <div className="grid grid-cols-3 gap-2">
+              <label className="flex flex-col gap-1">
+                <span className="text-xs text-neutral-400">Bit Order</span>
+                <select value={settings.packing.bitOrder} onChange={(e) => updatePacking({ bitOrder: e.target.value })} disabled={!sub} className={selectClass} aria-label="Select bit order">
+                  <option value="msb">MSB first</option>
+                  <option value="lsb">LSB first</option>
+                </select>
+              </label>
+              <label className="flex flex-col gap-1">
+                <span className="text-xs text-neutral-400">16-bit</span>
+                <select value={settings.packing.byteOrder} onChange={(e) => updatePacking({ byteOrder: e.target.value })} disabled={settings.drawMode !== "HORIZONTAL_RGB565"} className={selectClass} aria-label="Select 16-bit byte order">
+                  <option value="little">Little</option>
+                  <option value="big">Big</option>
+                </select>
+              </label>
+              <label className="flex flex-col gap-1">
+                <span className="text-xs text-neutral-400">Row Align</span>
+                <select value={settings.packing.rowAlign} onChange={(e) => updatePacking({ rowAlign: parseInt(e.target.value, 10) })} className={selectClass} aria-label="Select row alignment">
+                  {sub && <option value={0}>None</option>}
+                  <option value={1}>1 byte</option>
+                  <option value={2}>2 bytes</option>
+                  <option value={4}>4 bytes</option>
+                </select>
+              </label>
+            </div>
+            <p className="text-xs text-neutral-500 font-mono">
+              {settings.values.length} values, {needed} needed
+            </p>
+          </div>
+        )}
+
+        {error && <p className="text-xs text-red-400" role="alert">{error}</p>}
+
+        <div className="flex justify-end gap-3">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 rounded-xl bg-neutral-800 hover:bg-neutral-700 text-sm transition-colors"
+            aria-label="Cancel import"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onImport(settings)}
+            disabled={!settings || !!error}
+            className="px-4 py-2 rounded-xl bg-purple-500 text-white font-medium hover:bg-purple-600 disabled:opacity-50 disabled:cursor-not-allowed text-sm transition-colors"
+            aria-label="Import array onto the canvas"
+          >
+            Import
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -19,16 +19,22 @@ import React from "react";
  * @param {Function} props.handleCopyCode - Function to copy code to clipboard
  * @param {string} props.copyStatus - Copy operation status
  * @param {Function} props.generateCppCode - Function to generate C++ code
+ * @param {Function} props.getCompressionStats - Function returning packed data size per compression scheme
+ * @param {string} props.compression - Currently selected compression scheme
  */
 export default function CodeModal({ 
   showCodeModal, 
   setShowCodeModal, 
   handleCopyCode, 
   copyStatus, 
-  generateCppCode 
+  generateCppCode,
+  getCompressionStats,
+  compression
 }) {
   if (!showCodeModal) return null;
 
+  const stats = getCompressionStats ? getCompressionStats() : [];
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-60 modal-backdrop flex items-center justify-center p-4 z-50" role="dialog" aria-modal="true" aria-labelledby="modal-title">
       <div className="bg-neutral-900 rounded-2xl p-6 max-w-5xl w-full max-h-[85vh] overflow-hidden flex flex-col shadow-2xl border border-neutral-700">
@@ -64,6 +70,22 @@ export default function CodeModal({
             </button>
           </div>
         </div>
+        {stats.length > 0 && (
+          <div className="flex flex-wrap gap-2 mb-3 text-xs font-mono" aria-label="Compression ratios">
+            {stats.map((s) => (
+              <span
+                key={s.scheme}
+                className={`px-2 py-1 rounded-lg border ${
+                  s.scheme === compression 
+                    ? "border-blue-500 text-blue-300 bg-blue-500/10" 
+                    : "border-neutral-700 text-neutral-400"
+                }`}
+              >
+                {s.scheme === "NONE" ? "Raw" : s.scheme}: {s.size} B ({(s.ratio * 100).toFixed(1)}%)
+              </span>
+            ))}
+          </div>
+        )}
         <div className="flex-1 overflow-auto">
           <pre className="bg-neutral-950 rounded-xl p-6 overflow-auto text-sm whitespace-pre-wrap border border-neutral-700 shadow-inner">
             {(() => {
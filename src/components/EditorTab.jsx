@@ -8,8 +8,20 @@
  * Commercial use and redistribution must comply with the MIT License terms.
  */
 
-import React from "react";
+import React, { useEffect, useMemo, useState } from "react";
 import PixelCanvas from "./PixelCanvas.jsx";
+import Timeline from "./Timeline.jsx";
+import GlyphGrid from "./GlyphGrid.jsx";
+import LayersPanel from "./LayersPanel.jsx";
+import HistoryPanel from "./HistoryPanel.jsx";
+import SelectionOverlay from "./SelectionOverlay.jsx";
+import SelectionBar from "./SelectionBar.jsx";
+import TextBar from "./TextBar.jsx";
+import TransformBar from "./TransformBar.jsx";
+import { onionLayers } from "../lib/onion.js";
+import { fontMetrics } from "../lib/gfxfont.js";
+import { SELECTION_TOOLS } from "../lib/selection.js";
+import { SHAPE_TOOLS } from "../lib/shapes.js";
 
 /**
  * Editor Tab component containing the main canvas editor interface
@@ -18,7 +30,16 @@ import PixelCanvas from "./PixelCanvas.jsx";
  * @param {number} props.w - Canvas width
  * @param {number} props.h - Canvas height
  * @param {number} props.zoom - Zoom level
- * @param {Array} props.data - Pixel data array
+ * @param {Array} props.data - Pixel data array, with any floating selection or shape in progress drawn in
+ * @param {Object} props.animation - Frames, selected frame and frame operations from useCanvasState (see Timeline)
+ * @param {Object} props.layers - Layers, active layer, layer operations and export layer from useCanvasState (see LayersPanel)
+ * @param {Object} props.history - Undo history list, settings and jumping (see HistoryPanel)
+ * @param {Object} props.selection - Selection state and methods from useSelection()
+ * @param {Object} props.text - Text tool settings and methods from useText()
+ * @param {Object} props.transforms - Rotate, flip, shift and scale for the selection or canvas (see TransformBar)
+ * @param {Object} props.onionSkin - Onion skin settings (see DEFAULT_ONION_SKIN)
+ * @param {Function} props.setOnionSkin - Function to update onion skin settings
+ * @param {Object} props.font - Font settings and actions: { font, setFont, setGlyphRange, fitAdvances, enterFontMode }
  * @param {string} props.backgroundColor - Background color setting
  * @param {string} props.tool - Current active tool
  * @param {string} props.drawMode - Current draw mode
@@ -31,6 +52,15 @@ export default function EditorTab({
   h,
   zoom,
   data,
+  animation,
+  layers,
+  history,
+  selection,
+  text,
+  transforms,
+  onionSkin,
+  setOnionSkin,
+  font,
   backgroundColor,
   tool,
   drawMode,
@@ -38,22 +68,107 @@ export default function EditorTab({
   handleMouseMove,
   handleMouseUp
 }) {
+  const { frames } = animation;
+  const fontMode = font.font.enabled;
+  const baseline = fontMode ? fontMetrics(font.font, w, h).baseline : null;
+
+  // Playback preview only changes what the canvas shows, never the selected frame
+  const [playFrame, setPlayFrame] = useState(null);
+  const playing = playFrame !== null && frames.length > 1;
+  const shownFrame = playing ? playFrame % frames.length : null;
+
+  useEffect(() => {
+    if (!playing) return;
+    const timer = setTimeout(() => setPlayFrame((f) => (f + 1) % frames.length), frames[shownFrame].duration);
+    return () => clearTimeout(timer);
+  }, [playing, shownFrame, frames]);
+
+  // Neighbouring frames are overlaid while editing, not during playback
+  const skins = useMemo(
+    () => (playing || fontMode ? [] : onionLayers(frames, animation.frameIndex, onionSkin)),
+    [playing, fontMode, frames, animation.frameIndex, onionSkin]
+  );
+
+  const togglePlay = () => setPlayFrame(playing ? null : animation.frameIndex);
+
+  // Clicking the canvas while playing stops the preview instead of drawing
+  const onPointerDown = (e) => {
+    if (playing) setPlayFrame(null);
+    else handleMouseDown(e);
+  };
+
   return (
     <div className="space-y-4">
       {/* Canvas Container */}
       <div className="bg-neutral-900 rounded-2xl p-4 overflow-auto inline-block shadow-xl border border-neutral-700">
-        <PixelCanvas
-          width={w}
-          height={h}
-          zoom={zoom}
-          pixels={data}
+        <div className="relative">
+          <PixelCanvas
+            width={w}
+            height={h}
+            zoom={zoom}
+            pixels={playing ? frames[shownFrame].data : data}
+            backgroundColor={backgroundColor}
+            onionSkins={skins}
+            cursor={tool === "eyedropper" || SELECTION_TOOLS.includes(tool) || SHAPE_TOOLS.includes(tool) || tool === "text" ? "crosshair" : "pointer"}
+            onPointerDown={onPointerDown}
+            onPointerMove={handleMouseMove}
+            onPointerUp={handleMouseUp}
+          />
+          {!playing && (
+            <SelectionOverlay width={w} height={h} zoom={zoom} outline={selection.outline} lasso={selection.lasso} />
+          )}
+          {/* Baseline guide under the baseline row in font mode */}
+          {fontMode && (
+            <div
+              className="absolute left-0 right-0 border-t border-dashed border-amber-400/70 pointer-events-none"
+              style={{ top: (baseline + 1) * zoom }}
+            />
+          )}
+        </div>
+      </div>
+
+      {(SELECTION_TOOLS.includes(tool) || selection.bounds) && <SelectionBar selection={selection} />}
+
+      {tool === "text" && <TextBar text={text} />}
+
+      <TransformBar transforms={transforms} />
+
+      {fontMode ? (
+        <GlyphGrid
+          {...font}
+          frames={frames}
+          frameIndex={animation.frameIndex}
+          selectFrame={animation.selectFrame}
+          w={w}
+          h={h}
           backgroundColor={backgroundColor}
-          cursor={tool === "eyedropper" ? "crosshair" : "pointer"}
-          onPointerDown={handleMouseDown}
-          onPointerMove={handleMouseMove}
-          onPointerUp={handleMouseUp}
         />
-      </div>
+      ) : (
+        <Timeline
+          {...animation}
+          w={w}
+          h={h}
+          backgroundColor={backgroundColor}
+          playFrame={shownFrame}
+          togglePlay={togglePlay}
+          onionSkin={onionSkin}
+          setOnionSkin={setOnionSkin}
+          enterFontMode={() => {
+            setPlayFrame(null);
+            font.enterFontMode();
+          }}
+        />
+      )}
+
+      <LayersPanel
+        {...layers}
+        cels={frames[animation.frameIndex].cels}
+        w={w}
+        h={h}
+        backgroundColor={backgroundColor}
+      />
+
+      <HistoryPanel history={history} />
       
       {/* Canvas Info */}
       <div className="bg-neutral-900/50 rounded-xl p-4 border border-neutral-700">
@@ -94,6 +209,14 @@ export default function EditorTab({
               <span className="text-neutral-400">F:</span>
               <span className="font-mono text-white">Fill</span>
             </div>
+            <div className="flex justify-between">
+              <span className="text-neutral-400">M / L / W:</span>
+              <span className="font-mono text-white">Select / Lasso / Wand</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-neutral-400">N / U / O / P:</span>
+              <span className="font-mono text-white">Line / Rect / Ellipse / Polyline</span>
+            </div>
           </div>
           <div className="space-y-1">
             <div className="flex justify-between">
@@ -108,6 +231,18 @@ export default function EditorTab({
               <span className="text-neutral-400">X:</span>
               <span className="font-mono text-white">Swap Colors</span>
             </div>
+            <div className="flex justify-between">
+              <span className="text-neutral-400">T:</span>
+              <span className="font-mono text-white">Text</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-neutral-400">Shift+R / L:</span>
+              <span className="font-mono text-white">Rotate 90° CW / CCW</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-neutral-400">Ctrl+A / D:</span>
+              <span className="font-mono text-white">Select All / None</span>
+            </div>
           </div>
           <div className="space-y-1">
             <div className="flex justify-between">
@@ -122,6 +257,14 @@ export default function EditorTab({
               <span className="text-neutral-400">Ctrl++:</span>
               <span className="font-mono text-white">Zoom In</span>
             </div>
+            <div className="flex justify-between">
+              <span className="text-neutral-400">Ctrl+C / X / V:</span>
+              <span className="font-mono text-white">Copy / Cut / Paste</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-neutral-400">Shift+H / V:</span>
+              <span className="font-mono text-white">Flip H / V</span>
+            </div>
           </div>
           <div className="space-y-1">
             <div className="flex justify-between">
@@ -136,6 +279,18 @@ export default function EditorTab({
               <span className="text-neutral-400">RMB:</span>
               <span className="font-mono text-white">Secondary Color</span>
             </div>
+            <div className="flex justify-between">
+              <span className="text-neutral-400">Arrows:</span>
+              <span className="font-mono text-white">Move Selection</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-neutral-400">Alt+Arrows:</span>
+              <span className="font-mono text-white">Shift (Wrap)</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-neutral-400">[ / ]:</span>
+              <span className="font-mono text-white">Scale ½ / 2×</span>
+            </div>
           </div>
         </div>
       </div>
@@ -0,0 +1,115 @@
+/*
+ * Pixel2CPP - Font Import Modal Component
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+import React, { useState } from "react";
+import { DEFAULT_IMPORT_RANGE } from "../lib/fontimport.js";
+import { MAX_GLYPHS } from "../lib/gfxfont.js";
+
+const inputClass = "w-full bg-neutral-800 rounded px-2 py-1 text-xs border border-neutral-700 focus:border-purple-500 transition-colors";
+
+const hex = (code) => "0x" + code.toString(16).toUpperCase().padStart(2, "0");
+
+/**
+ * Dialog choosing the characters (and for outline fonts the pixel size) to
+ * import from a font file into the glyph editor
+ *
+ * @param {Object} props - Component props
+ * @param {Object|null} props.pending - { file, error } of the chosen font file, or null when closed
+ * @param {Function} props.onImport - Called with { size, first, last }
+ * @param {Function} props.onCancel - Function to close the dialog
+ */
+export default function FontImportModal({ pending, onImport, onCancel }) {
+  const [settings, setSettings] = useState({ size: 16, ...DEFAULT_IMPORT_RANGE });
+  const [busy, setBusy] = useState(false);
+
+  if (!pending) return null;
+
+  const outline = /\.(ttf|otf)$/i.test(pending.file.name);
+  const number = (key, min, max) => (e) => {
+    const value = Math.min(max, Math.max(min, parseInt(e.target.value) || 0));
+    setSettings((s) => ({ ...s, [key]: value }));
+  };
+  const count = settings.last - settings.first + 1;
+  const error = (count < 1 && "The last character comes before the first")
+    || (count > MAX_GLYPHS && `${count} characters is more than ${MAX_GLYPHS}`)
+    || pending.error
+    || null;
+
+  const submit = async () => {
+    setBusy(true);
+    try {
+      await onImport(settings);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 modal-backdrop flex items-center justify-center p-4 z-50" role="dialog" aria-modal="true" aria-labelledby="font-import-title">
+      <div className="bg-neutral-900 rounded-2xl p-6 max-w-md w-full shadow-2xl border border-neutral-700 space-y-4">
+        <div>
+          <h2 id="font-import-title" className="text-2xl font-bold bg-gradient-to-r from-blue-400 to-purple-400 bg-clip-text text-transparent">
+            Import Font
+          </h2>
+          <p className="text-sm text-neutral-400 mt-1 font-mono truncate">{pending.file.name}</p>
+        </div>
+
+        <div className="grid grid-cols-3 gap-2">
+          <label className="flex flex-col gap-1">
+            <span className="text-xs text-neutral-400">Pixel Size</span>
+            <input
+              type="number"
+              min={4}
+              max={128}
+              value={outline ? settings.size : ""}
+              placeholder="Native"
+              onChange={number("size", 4, 128)}
+              disabled={!outline}
+              className={inputClass}
+              aria-label="Pixel size for outline fonts"
+            />
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="text-xs text-neutral-400">First</span>
+            <input type="number" min={0} max={0xffff} value={settings.first} onChange={number("first", 0, 0xffff)} className={inputClass} aria-label="First character code" />
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="text-xs text-neutral-400">Last</span>
+            <input type="number" min={0} max={0xffff} value={settings.last} onChange={number("last", 0, 0xffff)} className={inputClass} aria-label="Last character code" />
+          </label>
+        </div>
+        <p className="text-xs text-neutral-500 font-mono">
+          {count > 0 ? `${hex(settings.first)}-${hex(settings.last)}, ${count} glyph${count === 1 ? "" : "s"}` : "No characters"}
+          {outline ? `, drawn at ${settings.size}px` : ", bitmap font"}
+        </p>
+
+        {error && <p className="text-xs text-red-400" role="alert">{error}</p>}
+
+        <div className="flex justify-end gap-3">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 rounded-xl bg-neutral-800 hover:bg-neutral-700 text-sm transition-colors"
+            aria-label="Cancel font import"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={submit}
+            disabled={busy || count < 1 || count > MAX_GLYPHS}
+            className="px-4 py-2 rounded-xl bg-purple-500 text-white font-medium hover:bg-purple-600 disabled:opacity-50 disabled:cursor-not-allowed text-sm transition-colors"
+            aria-label="Import glyphs"
+          >
+            {busy ? "Importing…" : "Import Glyphs"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
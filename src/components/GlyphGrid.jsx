@@ -0,0 +1,170 @@
+/*
+ * Pixel2CPP - Font Glyph Grid Component
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+import React, { useEffect, useMemo, useState } from "react";
+import PixelCanvas from "./PixelCanvas.jsx";
+import { buildGFXFont, fontMetrics, glyphLabel, MAX_GLYPHS } from "../lib/gfxfont.js";
+
+const THUMB_SIZE = 32;
+
+const inputClass = "bg-neutral-800 rounded px-2 py-1 text-xs border border-neutral-700 focus:border-purple-500 transition-colors";
+
+const buttonClass = "px-2 py-1 rounded-lg bg-neutral-800 hover:bg-neutral-700 text-xs transition-colors disabled:opacity-40 disabled:cursor-not-allowed";
+
+const hex = (code) => "0x" + code.toString(16).toUpperCase().padStart(2, "0");
+
+/**
+ * Font mode: one cell per character of the range, with the selected glyph's metrics
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.frames - Glyph cells, frame i being character font.first + i
+ * @param {number} props.frameIndex - Selected glyph
+ * @param {number} props.w - Cell width
+ * @param {number} props.h - Cell height
+ * @param {string} props.backgroundColor - Background color setting
+ * @param {Function} props.selectFrame - Select a glyph by index
+ * @param {Object} props.font - Font settings (see DEFAULT_FONT)
+ * @param {Function} props.setFont - Function to update font settings
+ * @param {Function} props.setGlyphRange - Change the character range, keeping glyphs already drawn
+ * @param {Function} props.fitAdvances - Set every advance from the glyph's ink
+ */
+export default function GlyphGrid({ frames, frameIndex, w, h, backgroundColor, selectFrame, font, setFont, setGlyphRange, fitAdvances }) {
+  const last = font.first + frames.length - 1;
+  const [range, setRange] = useState({ first: font.first, last });
+
+  useEffect(() => {
+    setRange({ first: font.first, last });
+  }, [font.first, last]);
+
+  const metrics = fontMetrics(font, w, h);
+  const glyphs = useMemo(() => buildGFXFont(frames, font, w, h).glyphs, [frames, font, w, h]);
+  const glyph = glyphs[frameIndex];
+  const rangeValid = range.first >= 0 && range.last >= range.first && range.last - range.first < MAX_GLYPHS && range.last <= 0xffff;
+
+  const setAdvance = (value) => {
+    setFont((f) => {
+      const advances = { ...f.advances };
+      if (value === "") delete advances[glyph.code];
+      else advances[glyph.code] = Math.min(255, Math.max(0, parseInt(value) || 0));
+      return { ...f, advances };
+    });
+  };
+
+  return (
+    <div className="bg-neutral-900/50 rounded-xl p-4 border border-neutral-700 space-y-3">
+      <div className="flex flex-wrap items-center gap-2 text-xs text-neutral-400">
+        <h3 className="font-medium text-sm text-neutral-100 mr-2">Glyphs</h3>
+        <label className="flex items-center gap-1">
+          First
+          <input
+            type="number"
+            min={0}
+            max={0xffff}
+            value={range.first}
+            onChange={(e) => setRange((r) => ({ ...r, first: parseInt(e.target.value) || 0 }))}
+            className={`w-16 ${inputClass}`}
+            aria-label="First character code"
+          />
+        </label>
+        <label className="flex items-center gap-1">
+          Last
+          <input
+            type="number"
+            min={0}
+            max={0xffff}
+            value={range.last}
+            onChange={(e) => setRange((r) => ({ ...r, last: parseInt(e.target.value) || 0 }))}
+            className={`w-16 ${inputClass}`}
+            aria-label="Last character code"
+          />
+        </label>
+        <button
+          onClick={() => setGlyphRange(range.first, range.last)}
+          disabled={!rangeValid || (range.first === font.first && range.last === last)}
+          className={buttonClass}
+          title={rangeValid ? `${hex(range.first)}-${hex(range.last)}` : `Up to ${MAX_GLYPHS} characters`}
+        >
+          Set Range
+        </button>
+        <label className="flex items-center gap-1 ml-auto">
+          Baseline
+          <input
+            type="number"
+            min={0}
+            max={h - 1}
+            value={metrics.baseline}
+            onChange={(e) => setFont((f) => ({ ...f, baseline: Math.min(h - 1, Math.max(0, parseInt(e.target.value) || 0)) }))}
+            className={`w-14 ${inputClass}`}
+            aria-label="Baseline row"
+          />
+        </label>
+        <label className="flex items-center gap-1">
+          Line
+          <input
+            type="number"
+            min={1}
+            max={255}
+            value={metrics.yAdvance}
+            onChange={(e) => setFont((f) => ({ ...f, yAdvance: Math.min(255, Math.max(1, parseInt(e.target.value) || 1)) }))}
+            className={`w-14 ${inputClass}`}
+            aria-label="Line height (yAdvance)"
+          />
+        </label>
+      </div>
+
+      <div className="flex flex-wrap gap-1 max-h-64 overflow-y-auto">
+        {frames.map((frame, i) => (
+          <button
+            key={frame.id}
+            onClick={() => selectFrame(i)}
+            className={`flex flex-col items-center p-0.5 rounded border transition-colors ${
+              i === frameIndex ? "border-blue-500 bg-blue-500/10" : "border-neutral-700 hover:border-neutral-500"
+            }`}
+            title={`${hex(font.first + i)} ${glyphLabel(font.first + i)}`}
+            aria-label={`Select glyph ${glyphLabel(font.first + i)}`}
+          >
+            <div className="flex items-center justify-center bg-neutral-950 rounded" style={{ width: THUMB_SIZE, height: THUMB_SIZE }}>
+              <PixelCanvas width={w} height={h} zoom={THUMB_SIZE / Math.max(w, h)} pixels={frame.data} backgroundColor={backgroundColor} />
+            </div>
+            <span className="text-[10px] font-mono text-neutral-400 max-w-[32px] truncate">{glyphLabel(font.first + i)}</span>
+          </button>
+        ))}
+      </div>
+
+      {glyph && (
+        <div className="flex flex-wrap items-center gap-3 text-xs text-neutral-400">
+          <span className="font-mono text-neutral-100">{hex(glyph.code)} {glyphLabel(glyph.code)}</span>
+          <span className="font-mono">
+            {glyph.width}×{glyph.height}, offset ({glyph.xOffset}, {glyph.yOffset})
+          </span>
+          <label className="flex items-center gap-1">
+            Advance
+            <input
+              type="number"
+              min={0}
+              max={255}
+              value={font.advances[glyph.code] ?? ""}
+              placeholder={String(w)}
+              onChange={(e) => setAdvance(e.target.value)}
+              className={`w-14 ${inputClass}`}
+              aria-label="Glyph advance (xAdvance)"
+            />
+          </label>
+          <button onClick={fitAdvances} className={`${buttonClass} ml-auto`} title="One empty column after each glyph's ink">
+            Fit Advances
+          </button>
+          <button onClick={() => setFont((f) => ({ ...f, enabled: false }))} className={buttonClass} aria-label="Back to frame timeline">
+            Frames
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
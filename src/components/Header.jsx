@@ -17,6 +17,12 @@ import React from "react";
  * @param {string} props.name - Current asset name
  * @param {Function} props.setName - Function to update asset name
  * @param {Function} props.importImage - Function to handle image import
+ * @param {Function} props.importSheet - Function to slice a sprite sheet image into frames
+ * @param {Function} props.importFont - Function to load a BDF, PCF, TTF or OTF font into the glyph editor
+ * @param {Function} props.importCode - Function to import a C header or byte array
+ * @param {Function} props.openProject - Function to open a .p2c project file
+ * @param {Function} props.saveProject - Function to save the workspace as a .p2c project
+ * @param {Function} props.showRecent - Function to open the recent autosaved documents
  * @param {Function} props.handleGenerateCode - Function to generate C++ code
  * @param {Function} props.exportCpp - Function to export as header file
  * @param {boolean} props.isGenerating - Whether code generation is in progress
@@ -25,6 +31,12 @@ export default function Header({
   name, 
   setName, 
   importImage, 
+  importSheet, 
+  importFont, 
+  importCode, 
+  openProject, 
+  saveProject, 
+  showRecent, 
   handleGenerateCode, 
   exportCpp, 
   isGenerating 
@@ -59,6 +71,30 @@ export default function Header({
             placeholder="Asset name"
             aria-label="Asset name for exported code"
           />
+          <label className="px-3 py-1.5 rounded-xl bg-neutral-700 text-white font-medium hover:bg-neutral-600 cursor-pointer text-sm transition-colors">
+            Open
+            <input 
+              type="file" 
+              accept=".p2c,application/json" 
+              onChange={(e) => { const f = e.target.files?.[0]; if (f) openProject(f); e.target.value = ""; }} 
+              className="hidden"
+              aria-label="Open project file"
+            />
+          </label>
+          <button 
+            onClick={saveProject} 
+            className="px-3 py-1.5 rounded-xl bg-neutral-700 text-white font-medium hover:bg-neutral-600 text-sm transition-colors"
+            aria-label="Save project file"
+          >
+            Save
+          </button>
+          <button 
+            onClick={showRecent} 
+            className="px-3 py-1.5 rounded-xl bg-neutral-700 text-white font-medium hover:bg-neutral-600 text-sm transition-colors"
+            aria-label="Show recent autosaved documents"
+          >
+            Recent
+          </button>
           <label className="px-3 py-1.5 rounded-xl bg-purple-500 text-white font-medium hover:bg-purple-600 cursor-pointer text-sm transition-colors">
             Upload Image
             <input 
@@ -69,6 +105,36 @@ export default function Header({
               aria-label="Upload image file"
             />
           </label>
+          <label className="px-3 py-1.5 rounded-xl bg-neutral-700 text-white font-medium hover:bg-neutral-600 cursor-pointer text-sm transition-colors">
+            Slice Sheet
+            <input 
+              type="file" 
+              accept="image/*" 
+              onChange={(e) => { const f = e.target.files?.[0]; if (f) importSheet(f); e.target.value = ""; }} 
+              className="hidden"
+              aria-label="Slice sprite sheet into frames"
+            />
+          </label>
+          <label className="px-3 py-1.5 rounded-xl bg-neutral-700 text-white font-medium hover:bg-neutral-600 cursor-pointer text-sm transition-colors">
+            Import Font
+            <input 
+              type="file" 
+              accept=".bdf,.pcf,.gz,.ttf,.otf" 
+              onChange={(e) => { const f = e.target.files?.[0]; if (f) importFont(f); e.target.value = ""; }} 
+              className="hidden"
+              aria-label="Import BDF, PCF, TTF or OTF font as glyphs"
+            />
+          </label>
+          <label className="px-3 py-1.5 rounded-xl bg-neutral-700 text-white font-medium hover:bg-neutral-600 cursor-pointer text-sm transition-colors">
+            Import .h
+            <input 
+              type="file" 
+              accept=".h,.c,.hpp,.cpp,.txt" 
+              onChange={(e) => { const f = e.target.files?.[0]; if (f) importCode(f); e.target.value = ""; }} 
+              className="hidden"
+              aria-label="Import C header or byte array"
+            />
+          </label>
           <button 
             onClick={handleGenerateCode} 
             disabled={isGenerating}
@@ -0,0 +1,79 @@
+/*
+ * Pixel2CPP - History Panel Component
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+import React from "react";
+import { HISTORY_LIMITS } from "../lib/history.js";
+
+const selectClass = "bg-neutral-800 border border-neutral-700 rounded-lg px-2 py-1 text-xs text-white";
+
+const formatBytes = (n) => (n < 1024 * 1024 ? `${Math.ceil(n / 1024)} KB` : `${(n / 1024 / 1024).toFixed(1)} MB`);
+
+/**
+ * Undo history as a list of named actions; clicking one undoes or redoes up to it
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.history - { labels, position, bytes, settings, updateSettings, jumpTo } where labels
+ *   lists undoable then redoable actions, oldest first, and position is how many are applied
+ */
+export default function HistoryPanel({ history }) {
+  const { labels, position, bytes, settings, updateSettings, jumpTo } = history;
+  // The oldest state first, then the state after each action
+  const states = ["Start", ...labels];
+
+  return (
+    <div className="bg-neutral-900/50 rounded-xl p-4 border border-neutral-700 space-y-3">
+      <div className="flex flex-wrap items-center gap-3">
+        <h3 className="font-medium text-sm mr-2">History</h3>
+        <span className="text-xs text-neutral-400">{formatBytes(bytes)} used</span>
+        <label className="flex items-center gap-2 text-xs text-neutral-400">
+          Limit
+          <select
+            value={settings.limitMB}
+            onChange={(e) => updateSettings({ limitMB: parseInt(e.target.value) })}
+            className={selectClass}
+            aria-label="History memory limit"
+          >
+            {HISTORY_LIMITS.map((mb) => <option key={mb} value={mb}>{mb} MB</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-2 text-xs text-neutral-400" title="Repeats of the same action within a second become one step">
+          <input
+            type="checkbox"
+            checked={settings.coalesce}
+            onChange={(e) => updateSettings({ coalesce: e.target.checked })}
+            className="w-3 h-3 text-blue-500 bg-neutral-800 border-neutral-700 rounded focus:ring-blue-500"
+            aria-label="Merge repeated actions"
+          />
+          Merge repeats
+        </label>
+      </div>
+      <ol className="max-h-40 overflow-auto space-y-1" aria-label="History">
+        {states.map((label, i) => (
+          <li key={i}>
+            <button
+              onClick={() => jumpTo(i)}
+              className={`w-full text-left px-2 py-1 rounded text-xs transition-colors ${
+                i === position
+                  ? "bg-blue-500 text-white"
+                  : i > position
+                    ? "text-neutral-500 hover:bg-neutral-800"
+                    : "text-neutral-300 hover:bg-neutral-800"
+              }`}
+              aria-current={i === position ? "step" : undefined}
+              aria-label={`${i > position ? "Redo" : "Go back"} to ${label}`}
+            >
+              {label}
+            </button>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
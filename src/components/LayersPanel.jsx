@@ -0,0 +1,160 @@
+/*
+ * Pixel2CPP - Layers Panel Component
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+import React from "react";
+import PixelCanvas from "./PixelCanvas.jsx";
+import { MAX_LAYERS } from "../lib/layers.js";
+
+const THUMB_SIZE = 32;
+
+const inputClass = "bg-neutral-800 rounded px-2 py-1 text-xs border border-neutral-700 focus:border-purple-500 transition-colors";
+
+const buttonClass = "px-2 py-1 rounded-lg bg-neutral-800 hover:bg-neutral-700 text-xs transition-colors disabled:opacity-40 disabled:cursor-not-allowed";
+
+const toggleClass = (on) => `w-6 h-6 rounded text-xs transition-colors ${on ? "bg-neutral-700 text-white" : "bg-neutral-900 text-neutral-600 hover:text-neutral-400"}`;
+
+/**
+ * Layer list with the top layer first: visibility, lock, name, opacity and
+ * layer operations, plus which layers the export uses
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.layers - Layers, bottom first, as { id, name, visible, locked, opacity }
+ * @param {number} props.layerIndex - Active layer
+ * @param {Array} props.cels - Pixels of each layer in the selected frame
+ * @param {number} props.w - Canvas width
+ * @param {number} props.h - Canvas height
+ * @param {string} props.backgroundColor - Background color setting
+ * @param {Function} props.selectLayer - Select a layer by index
+ * @param {Function} props.addLayer - Add an empty layer above the active one
+ * @param {Function} props.deleteLayer - Delete a layer by index
+ * @param {Function} props.moveLayer - Move a layer from one index to another
+ * @param {Function} props.mergeDown - Merge a layer into the one below it
+ * @param {Function} props.updateLayer - Change a layer's { name, visible, locked, opacity }
+ * @param {number|null} props.exportLayer - Id of the layer exported on its own, or null for all visible layers
+ * @param {Function} props.setExportLayer - Function to choose the exported layer
+ */
+export default function LayersPanel({
+  layers,
+  layerIndex,
+  cels,
+  w,
+  h,
+  backgroundColor,
+  selectLayer,
+  addLayer,
+  deleteLayer,
+  moveLayer,
+  mergeDown,
+  updateLayer,
+  exportLayer,
+  setExportLayer,
+}) {
+  const active = layers[layerIndex];
+  const canMerge = layerIndex > 0 && active.visible && layers[layerIndex - 1].visible;
+  // Listed top to bottom, the way they stack on the canvas
+  const order = layers.map((_, k) => k).reverse();
+
+  return (
+    <div className="bg-neutral-900/50 rounded-xl p-4 border border-neutral-700 space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <h3 className="font-medium text-sm mr-2">Layers</h3>
+        <button onClick={addLayer} disabled={layers.length >= MAX_LAYERS} className={buttonClass} aria-label="Add layer">+ Layer</button>
+        <button onClick={() => moveLayer(layerIndex, layerIndex + 1)} disabled={layerIndex === layers.length - 1} className={buttonClass} aria-label="Move layer up">▲</button>
+        <button onClick={() => moveLayer(layerIndex, layerIndex - 1)} disabled={layerIndex === 0} className={buttonClass} aria-label="Move layer down">▼</button>
+        <button
+          onClick={() => mergeDown(layerIndex)}
+          disabled={!canMerge}
+          className={buttonClass}
+          title={layerIndex === 0 ? "No layer below" : canMerge ? "Merge into the layer below" : "Both layers must be visible"}
+          aria-label="Merge layer down"
+        >
+          Merge Down
+        </button>
+        <button onClick={() => deleteLayer(layerIndex)} disabled={layers.length < 2} className={buttonClass} aria-label="Delete layer">Delete</button>
+        <label className="flex items-center gap-1 ml-auto text-xs text-neutral-400">
+          Export
+          <select
+            value={exportLayer ?? ""}
+            onChange={(e) => setExportLayer(e.target.value === "" ? null : parseInt(e.target.value, 10))}
+            className={inputClass}
+            aria-label="Layers to export"
+          >
+            <option value="">Visible layers</option>
+            {order.map((k) => (
+              <option key={layers[k].id} value={layers[k].id}>{layers[k].name || `Layer ${k + 1}`} only</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="space-y-1">
+        {order.map((k) => {
+          const layer = layers[k];
+          return (
+            <div
+              key={layer.id}
+              onClick={() => selectLayer(k)}
+              className={`flex items-center gap-2 p-1 rounded-lg border cursor-pointer transition-colors ${
+                k === layerIndex ? "border-blue-500 bg-blue-500/10" : "border-neutral-700 hover:border-neutral-500"
+              }`}
+              aria-label={`Select layer ${layer.name}`}
+            >
+              <button
+                onClick={(e) => { e.stopPropagation(); updateLayer(k, { visible: !layer.visible }); }}
+                className={toggleClass(layer.visible)}
+                title={layer.visible ? "Hide layer" : "Show layer"}
+                aria-label={layer.visible ? `Hide ${layer.name}` : `Show ${layer.name}`}
+              >
+                👁
+              </button>
+              <button
+                onClick={(e) => { e.stopPropagation(); updateLayer(k, { locked: !layer.locked }); }}
+                className={toggleClass(layer.locked)}
+                title={layer.locked ? "Unlock layer" : "Lock layer"}
+                aria-label={layer.locked ? `Unlock ${layer.name}` : `Lock ${layer.name}`}
+              >
+                🔒
+              </button>
+              <div className={`flex items-center justify-center bg-neutral-950 rounded ${layer.visible ? "" : "opacity-40"}`} style={{ width: THUMB_SIZE, height: THUMB_SIZE }}>
+                <PixelCanvas width={w} height={h} zoom={THUMB_SIZE / Math.max(w, h)} pixels={cels[k]} backgroundColor={backgroundColor} />
+              </div>
+              <input
+                type="text"
+                value={layer.name}
+                onChange={(e) => updateLayer(k, { name: e.target.value })}
+                onClick={(e) => e.stopPropagation()}
+                className={`w-28 ${inputClass}`}
+                aria-label="Layer name"
+              />
+              {exportLayer === layer.id && <span className="text-[10px] text-purple-400">export</span>}
+              <label className="flex items-center gap-1 ml-auto text-xs text-neutral-400" onClick={(e) => e.stopPropagation()}>
+                <input
+                  type="range"
+                  min={0}
+                  max={100}
+                  step={5}
+                  value={layer.opacity}
+                  onChange={(e) => updateLayer(k, { opacity: parseInt(e.target.value, 10) })}
+                  className="w-20"
+                  aria-label={`${layer.name} opacity`}
+                />
+                <span className="font-mono w-8">{layer.opacity}%</span>
+              </label>
+            </div>
+          );
+        })}
+      </div>
+
+      {!active.visible || active.locked ? (
+        <div className="text-xs text-amber-400">{active.locked ? "The active layer is locked" : "The active layer is hidden"}; drawing is off until it is {active.locked ? "unlocked" : "shown"}.</div>
+      ) : null}
+    </div>
+  );
+}
@@ -9,8 +9,14 @@
  */
 
 import React, { useEffect, useRef } from "react";
+import { renderPixel, redrawRect } from "../lib/onion.js";
+import { asBuffer, pixelCount } from "../lib/pixelbuffer.js";
+
+const NO_SKINS = [];
 
 // Efficient canvas renderer for pixel grid
+// onionSkins: [{ pixels, tint, opacity }] from onionLayers(), shown through transparent pixels only
+// Only the rectangle around the pixels that changed is redrawn (see redrawRect()).
 export default function PixelCanvas({
   width,
   height,
@@ -18,12 +24,15 @@ export default function PixelCanvas({
   pixels,
   backgroundColor = "black",
   customBackgroundColor = "#000000",
+  onionSkins = NO_SKINS,
   cursor,
   onPointerDown,
   onPointerMove,
   onPointerUp,
 }) {
   const canvasRef = useRef(null);
+  // What's on the canvas: the view given to redrawRect() and its imageData
+  const drawnRef = useRef(null);
 
   // Draw pixels to canvas
   useEffect(() => {
@@ -39,6 +48,40 @@ export default function PixelCanvas({
     
     const ctx = canvas.getContext("2d", { alpha: true });
     if (!ctx) return;
+
+    // Ensure we have valid pixel data; during resize operations there might be a temporary mismatch
+    const valid = pixels && pixelCount(pixels) === width * height;
+    const src = valid ? asBuffer(pixels) : null;
+    const view = { pixels: src, width, height, backgroundColor, customBackgroundColor, onionSkins };
+    const rect = !needsResize && valid ? redrawRect(drawnRef.current, view) : null;
+
+    // Skins from before a resize don't line up with the canvas; skip them until they catch up
+    const skins = onionSkins.filter((s) => pixelCount(s.pixels) === width * height).map((s) => ({ ...s, pixels: asBuffer(s.pixels) }));
+
+    // Copy pixel j to the image, the background showing the onion skins
+    const drawPixel = (buf, j) => renderPixel(buf, src, j, backgroundColor, skins);
+
+    if (rect) {
+      if (!rect.w) return;
+      const { imageData } = drawnRef.current;
+      drawnRef.current = { ...view, imageData };
+      const buf = imageData.data;
+      for (let y = rect.y; y < rect.y + rect.h; y++) {
+        for (let x = rect.x; x < rect.x + rect.w; x++) drawPixel(buf, y * width + x);
+      }
+      ctx.putImageData(imageData, 0, 0, rect.x, rect.y, rect.w, rect.h);
+      // The border under the rectangle was overwritten; stroke it again there only
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(rect.x, rect.y, rect.w, rect.h);
+      ctx.clip();
+      ctx.strokeStyle = "rgba(255,255,255,0.1)";
+      ctx.lineWidth = 0.5;
+      ctx.strokeRect(0, 0, width, height);
+      ctx.restore();
+      return;
+    }
+    drawnRef.current = null;
     
     // Clear the canvas
     ctx.clearRect(0, 0, width, height);
@@ -60,40 +103,12 @@ export default function PixelCanvas({
       ctx.fillRect(0, 0, width, height);
     }
 
+    // Just return early since we already set the background
+    if (!valid) return;
+
     // Draw pixel buffer directly at 1:1
-    // Ensure we have valid pixel data
-    if (!pixels || pixels.length !== width * height) {
-      // During resize operations, there might be a temporary mismatch
-      // Just return early since we already set the background
-      return;
-    }
-    
     const imageData = ctx.createImageData(width, height);
-    const buf = imageData.data;
-    for (let y = 0; y < height; y++) {
-      const offset = y * width;
-      for (let x = 0; x < width; x++) {
-        const p = pixels[offset + x];
-        if (!p) continue; // Skip if pixel is undefined
-        const i = (y * width + x) * 4;
-        // For transparent pixels, use the background color instead of black
-        if (p.a === 0) {
-          if (backgroundColor === "white") {
-            buf[i] = 255; buf[i + 1] = 255; buf[i + 2] = 255; buf[i + 3] = 255;
-          } else if (backgroundColor === "black") {
-            buf[i] = 0; buf[i + 1] = 0; buf[i + 2] = 0; buf[i + 3] = 255;
-          } else {
-            // For transparent background, keep transparent
-            buf[i] = 0; buf[i + 1] = 0; buf[i + 2] = 0; buf[i + 3] = 0;
-          }
-        } else {
-          buf[i] = p.r;
-          buf[i + 1] = p.g;
-          buf[i + 2] = p.b;
-          buf[i + 3] = p.a;
-        }
-      }
-    }
+    for (let j = 0; j < width * height; j++) drawPixel(imageData.data, j);
     ctx.putImageData(imageData, 0, 0);
     ctx.imageSmoothingEnabled = false;
 
@@ -101,7 +116,8 @@ export default function PixelCanvas({
     ctx.strokeStyle = "rgba(255,255,255,0.1)";
     ctx.lineWidth = 0.5;
     ctx.strokeRect(0, 0, width, height);
-  }, [pixels, width, height, zoom, backgroundColor, customBackgroundColor]);
+    drawnRef.current = { ...view, imageData };
+  }, [pixels, width, height, zoom, backgroundColor, customBackgroundColor, onionSkins]);
 
   // Also ensure the canvas style updates are applied correctly
   useEffect(() => {
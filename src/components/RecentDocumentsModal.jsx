@@ -0,0 +1,92 @@
+/*
+ * Pixel2CPP - Recent Documents Modal Component
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+import React from "react";
+
+/**
+ * Autosaved documents with thumbnails; doubles as the startup "restore previous session" prompt
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Whether the modal is visible
+ * @param {boolean} props.startup - Show the restore prompt wording
+ * @param {Array} props.documents - Autosaved documents from listAutosaves()
+ * @param {string} props.currentId - Id of the document being edited
+ * @param {Function} props.onRestore - Called with the id of the document to open
+ * @param {Function} props.onDelete - Called with the id of the document to delete
+ * @param {Function} props.onClose - Function to close the modal
+ */
+export default function RecentDocumentsModal({ open, startup, documents, currentId, onRestore, onDelete, onClose }) {
+  if (!open) return null;
+
+  const formatTime = (t) => new Date(t).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 modal-backdrop flex items-center justify-center p-4 z-50" role="dialog" aria-modal="true" aria-labelledby="recent-title">
+      <div className="bg-neutral-900 rounded-2xl p-6 max-w-lg w-full max-h-[85vh] overflow-hidden flex flex-col shadow-2xl border border-neutral-700">
+        <div className="mb-4">
+          <h2 id="recent-title" className="text-2xl font-bold bg-gradient-to-r from-blue-400 to-purple-400 bg-clip-text text-transparent">
+            {startup ? "Restore Previous Session?" : "Recent Documents"}
+          </h2>
+          <p className="text-sm text-neutral-400 mt-1">
+            {startup ? "Your work was autosaved in this browser" : "Autosaved in this browser"}
+          </p>
+        </div>
+
+        <ul className="flex-1 overflow-auto space-y-2">
+          {documents.length === 0 && <li className="text-sm text-neutral-500">No autosaved documents yet</li>}
+          {documents.map((doc) => (
+            <li key={doc.id} className="flex items-center gap-3 p-2 rounded-xl border border-neutral-700 bg-neutral-800/50">
+              <img
+                src={doc.thumbnail}
+                alt=""
+                className="w-16 h-16 object-contain bg-neutral-950 rounded"
+                style={{ imageRendering: "pixelated" }}
+              />
+              <div className="flex-1 min-w-0">
+                <div className="text-sm font-medium truncate">{doc.name}</div>
+                <div className="text-xs text-neutral-400">{doc.width}×{doc.height} • {formatTime(doc.updatedAt)}</div>
+              </div>
+              {doc.id === currentId ? (
+                <span className="text-xs text-neutral-500 px-2">Open</span>
+              ) : (
+                <>
+                  <button
+                    onClick={() => onRestore(doc.id)}
+                    className="px-3 py-1.5 rounded-xl bg-blue-500 text-white font-medium hover:bg-blue-600 text-sm transition-colors"
+                    aria-label={`Restore ${doc.name}`}
+                  >
+                    Restore
+                  </button>
+                  <button
+                    onClick={() => onDelete(doc.id)}
+                    className="px-2 py-1.5 rounded-xl bg-neutral-800 hover:bg-neutral-700 text-sm transition-colors"
+                    aria-label={`Delete autosave ${doc.name}`}
+                  >
+                    ✕
+                  </button>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        <div className="flex justify-end mt-4">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 rounded-xl bg-neutral-800 hover:bg-neutral-700 text-sm transition-colors"
+            aria-label={startup ? "Start a new document" : "Close recent documents"}
+          >
+            {startup ? "Start Fresh" : "Close"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,151 @@
+/*
+ * Pixel2CPP - Canvas Resize Modal Component
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+import React, { useEffect, useState } from "react";
+import { ANCHORS, MAX_CANVAS } from "../lib/transforms.js";
+
+const inputClass = "w-full bg-neutral-800 rounded px-2 py-1 text-xs border border-neutral-700 focus:border-blue-500 transition-colors";
+
+const ANCHOR_ARROWS = ["↖", "↑", "↗", "←", "•", "→", "↙", "↓", "↘"];
+
+const ANCHOR_NAMES = ["top left", "top", "top right", "left", "center", "right", "bottom left", "bottom", "bottom right"];
+
+/**
+ * Dialog resizing the canvas around an anchor, scaling its content or trimming it to its content
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Whether the dialog is shown
+ * @param {number} props.w - Current canvas width
+ * @param {number} props.h - Current canvas height
+ * @param {Object|null} props.content - Bounding box of the content as { x, y, w, h }, or null when empty
+ * @param {Function} props.onResize - Called with (w, h, { anchor, mode })
+ * @param {Function} props.onTrim - Function to crop the canvas to its content
+ * @param {Function} props.onCancel - Function to close the dialog
+ */
+export default function ResizeModal({ open, w, h, content, onResize, onTrim, onCancel }) {
+  const [size, setSize] = useState({ w, h });
+  const [anchor, setAnchor] = useState(0);
+  const [mode, setMode] = useState("crop");
+  const [keepRatio, setKeepRatio] = useState(false);
+
+  useEffect(() => {
+    if (open) setSize({ w, h });
+  }, [open, w, h]);
+
+  if (!open) return null;
+
+  const clampSize = (v) => Math.max(1, Math.min(MAX_CANVAS, parseInt(v) || 1));
+  const setWidth = (v) => {
+    const nw = clampSize(v);
+    setSize({ w: nw, h: keepRatio ? clampSize(Math.round((nw * h) / w)) : size.h });
+  };
+  const setHeight = (v) => {
+    const nh = clampSize(v);
+    setSize({ w: keepRatio ? clampSize(Math.round((nh * w) / h)) : size.w, h: nh });
+  };
+  const unchanged = size.w === w && size.h === h;
+  const trimmable = content && (content.w !== w || content.h !== h);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 modal-backdrop flex items-center justify-center p-4 z-50" role="dialog" aria-modal="true" aria-labelledby="resize-title">
+      <div className="bg-neutral-900 rounded-2xl p-6 max-w-sm w-full max-h-[90vh] overflow-auto shadow-2xl border border-neutral-700 space-y-4">
+        <div>
+          <h2 id="resize-title" className="text-2xl font-bold bg-gradient-to-r from-blue-400 to-purple-400 bg-clip-text text-transparent">
+            Resize Canvas
+          </h2>
+          <p className="text-sm text-neutral-400 mt-1">
+            Every frame and layer, currently {w}x{h}
+          </p>
+        </div>
+
+        <div className="grid grid-cols-2 gap-2">
+          <label className="flex flex-col gap-1">
+            <span className="text-xs text-neutral-400">Width</span>
+            <input type="number" min={1} max={MAX_CANVAS} value={size.w} onChange={(e) => setWidth(e.target.value)} className={inputClass} aria-label="New canvas width in pixels" />
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="text-xs text-neutral-400">Height</span>
+            <input type="number" min={1} max={MAX_CANVAS} value={size.h} onChange={(e) => setHeight(e.target.value)} className={inputClass} aria-label="New canvas height in pixels" />
+          </label>
+        </div>
+        <label className="flex items-center gap-2 text-xs text-neutral-400">
+          <input
+            type="checkbox"
+            checked={keepRatio}
+            onChange={(e) => setKeepRatio(e.target.checked)}
+            className="w-3 h-3 text-blue-500 bg-neutral-800 border-neutral-700 rounded focus:ring-blue-500"
+            aria-label="Keep aspect ratio"
+          />
+          Keep aspect ratio
+        </label>
+
+        <div className="flex gap-6">
+          <div className="space-y-1">
+            <span className="text-xs text-neutral-400">Content</span>
+            {[["crop", "Crop / pad"], ["scale", "Scale"]].map(([value, label]) => (
+              <label key={value} className="flex items-center gap-2 text-xs">
+                <input type="radio" name="resize-mode" value={value} checked={mode === value} onChange={() => setMode(value)} aria-label={label} />
+                {label}
+              </label>
+            ))}
+          </div>
+          <div className="space-y-1">
+            <span className="text-xs text-neutral-400">Anchor</span>
+            <div className="grid grid-cols-3 gap-1 w-24">
+              {ANCHOR_ARROWS.map((arrow, i) => (
+                <button
+                  key={i}
+                  onClick={() => setAnchor(i)}
+                  disabled={mode === "scale"}
+                  className={`h-7 rounded text-xs transition-colors disabled:opacity-40 ${
+                    anchor === i ? "bg-blue-500 text-white" : "bg-neutral-800 hover:bg-neutral-700"
+                  }`}
+                  aria-label={`Anchor ${ANCHOR_NAMES[i]}`}
+                  aria-pressed={anchor === i}
+                >
+                  {arrow}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <div className="flex items-center justify-between gap-3">
+          <button
+            onClick={onTrim}
+            disabled={!trimmable}
+            className="px-3 py-2 rounded-xl bg-neutral-800 hover:bg-neutral-700 text-xs transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+            title={content ? `Crop to the ${content.w}x${content.h} box around what's drawn` : "Nothing drawn to trim to"}
+            aria-label="Trim to content"
+          >
+            Trim to Content
+          </button>
+          <div className="flex gap-3">
+            <button
+              onClick={onCancel}
+              className="px-4 py-2 rounded-xl bg-neutral-800 hover:bg-neutral-700 text-sm transition-colors"
+              aria-label="Cancel resize"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={() => onResize(size.w, size.h, { anchor: ANCHORS[anchor], mode })}
+              disabled={unchanged}
+              className="px-4 py-2 rounded-xl bg-blue-500 text-white font-medium hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed text-sm transition-colors"
+              aria-label="Resize canvas"
+            >
+              Resize
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
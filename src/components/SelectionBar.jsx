@@ -0,0 +1,50 @@
+/*
+ * Pixel2CPP - Selection Bar Component
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+import React from "react";
+
+const buttonClass = "px-2 py-1 rounded-lg bg-neutral-800 hover:bg-neutral-700 text-xs transition-colors disabled:opacity-40 disabled:cursor-not-allowed";
+
+/**
+ * Selection size and clipboard actions, shown under the canvas
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.selection - Selection state and methods from useSelection()
+ */
+export default function SelectionBar({ selection }) {
+  const { bounds, floating, canPaste } = selection;
+  const active = bounds !== null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 bg-neutral-900/50 rounded-xl px-4 py-2 border border-neutral-700">
+      <span className="text-xs text-neutral-400 mr-2">
+        {active ? (
+          <>
+            {floating ? "Floating" : "Selection"} <span className="font-mono text-white">{bounds.w} × {bounds.h}</span> at{" "}
+            <span className="font-mono text-white">{bounds.x}, {bounds.y}</span>
+          </>
+        ) : (
+          "Drag to select; Shift adds, Alt subtracts"
+        )}
+      </span>
+      <button onClick={selection.copy} disabled={!active} className={buttonClass} aria-label="Copy selection">Copy</button>
+      <button onClick={selection.cut} disabled={!active} className={buttonClass} aria-label="Cut selection">Cut</button>
+      <button onClick={selection.pasteFromClipboard} className={buttonClass} title={canPaste ? "Paste the copied pixels" : "Paste an image from the clipboard"} aria-label="Paste">Paste</button>
+      <button onClick={selection.selectAll} className={buttonClass} aria-label="Select all">All</button>
+      <button onClick={selection.deselect} disabled={!active} className={buttonClass} aria-label="Deselect">Deselect</button>
+      {floating && (
+        <>
+          <button onClick={selection.commit} className="px-2 py-1 rounded-lg bg-emerald-600 hover:bg-emerald-500 text-xs transition-colors" aria-label="Apply floating selection">Apply</button>
+          <button onClick={selection.cancel} className={buttonClass} aria-label="Cancel floating selection">Cancel</button>
+        </>
+      )}
+    </div>
+  );
+}
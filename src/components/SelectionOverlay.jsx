@@ -0,0 +1,40 @@
+/*
+ * Pixel2CPP - Selection Overlay Component
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+import React from "react";
+
+const DASH = 4;
+
+/**
+ * Marching ants around the selection, drawn over the canvas
+ *
+ * @param {Object} props - Component props
+ * @param {number} props.width - Canvas width
+ * @param {number} props.height - Canvas height
+ * @param {number} props.zoom - Zoom level
+ * @param {Array} props.outline - Selection edges as [x1, y1, x2, y2] from maskOutline()
+ * @param {Array|null} props.lasso - Lasso being drawn, as [x, y] pixels
+ */
+export default function SelectionOverlay({ width, height, zoom, outline, lasso }) {
+  if (!outline.length && !lasso) return null;
+  const edges = outline.map(([x1, y1, x2, y2]) => `M${x1 * zoom} ${y1 * zoom}L${x2 * zoom} ${y2 * zoom}`).join("");
+  // Lasso points run through pixel centers
+  const path = lasso ? lasso.map(([x, y], i) => `${i ? "L" : "M"}${(x + 0.5) * zoom} ${(y + 0.5) * zoom}`).join("") : "";
+  const d = edges + path;
+
+  return (
+    <svg className="absolute inset-0 pointer-events-none" width={width * zoom} height={height * zoom}>
+      <path d={d} fill="none" stroke="white" strokeWidth={1} />
+      <path d={d} fill="none" stroke="black" strokeWidth={1} strokeDasharray={`${DASH} ${DASH}`}>
+        <animate attributeName="stroke-dashoffset" from={0} to={DASH * 2} dur="0.6s" repeatCount="indefinite" />
+      </path>
+    </svg>
+  );
+}
@@ -9,7 +9,21 @@
  */
 
 import React from "react";
-import { clamp, rgbaToHex, parseCssColor } from "../lib/colors.js";
+import { rgbaToHex, parseCssColor } from "../lib/colors.js";
+import { DITHER_ALGORITHMS } from "../lib/dither.js";
+import { COMPRESSION_SCHEMES } from "../lib/compress.js";
+import { LVGL_VERSIONS } from "../lib/lvgl.js";
+import { LIBRARY_TARGETS, LIBRARY_OUTPUTS } from "../lib/targets.js";
+import { DISPLAY_PROFILES, displayProfile } from "../lib/displays.js";
+import { SELECTION_TOOLS } from "../lib/selection.js";
+import { SHAPE_TOOLS } from "../lib/shapes.js";
+
+const TOOLS = ["pen", "erase", "fill", "eyedropper", ...SELECTION_TOOLS, ...SHAPE_TOOLS, "text"];
+
+const TOOL_ICONS = {
+  pen: "🖊️", erase: "🧽", fill: "🪣", eyedropper: "👁️", select: "⬚", lasso: "➰", wand: "🪄",
+  line: "╱", rect: "▭", ellipse: "◯", polyline: "⬠", text: "🔤",
+};
 
 /**
  * Sidebar component containing all tools, settings, and controls
@@ -25,22 +39,41 @@ import { clamp, rgbaToHex, parseCssColor } from "../lib/colors.js";
  * @param {Function} props.setSecondary - Function to set secondary color
  * @param {Function} props.swapColors - Function to swap primary and secondary colors
  * @param {number} props.w - Canvas width
- * @param {Function} props.setW - Function to set canvas width
  * @param {number} props.h - Canvas height
- * @param {Function} props.setH - Function to set canvas height
+ * @param {Function} props.openResize - Function to open the canvas resize dialog
  * @param {number} props.zoom - Zoom level
  * @param {Function} props.setZoom - Function to set zoom level
  * @param {string} props.drawMode - Current draw mode
  * @param {Function} props.setDrawMode - Function to set draw mode
  * @param {string} props.outputFormat - Current output format
  * @param {Function} props.setOutputFormat - Function to set output format
+ * @param {string} props.dither - Dithering algorithm used for image import
+ * @param {Function} props.setDither - Function to set dithering algorithm
+ * @param {string} props.paletteFormat - Palette table format for indexed modes
+ * @param {Function} props.setPaletteFormat - Function to set palette table format
+ * @param {string} props.compression - Compression scheme for exported data
+ * @param {Function} props.setCompression - Function to set compression scheme
+ * @param {Object} props.packing - Bit order, byte order and row alignment options
+ * @param {Function} props.setPacking - Function to set packing options
+ * @param {string} props.lvglVersion - LVGL major version for the LVGL image output
+ * @param {Function} props.setLvglVersion - Function to set LVGL version
+ * @param {string} props.library - Display library the sketch or header targets
+ * @param {Function} props.setLibrary - Function to set display library
+ * @param {string} props.displayType - Selected display profile
+ * @param {Function} props.selectDisplay - Function to switch display profile
+ * @param {Object} props.displaySettings - Editable display settings (resolution, address, pins, rotation, color order)
+ * @param {Function} props.setDisplaySettings - Function to set display settings
  * @param {Function} props.clearCanvas - Function to clear canvas
  * @param {boolean} props.canUndo - Whether undo is available
  * @param {Function} props.undo - Function to undo last action
+ * @param {boolean} props.canRedo - Whether redo is available
+ * @param {Function} props.redo - Function to redo the last undone action
  * @param {boolean} props.mirrorX - Whether X mirroring is enabled
  * @param {Function} props.setMirrorX - Function to set X mirroring
  * @param {boolean} props.mirrorY - Whether Y mirroring is enabled
  * @param {Function} props.setMirrorY - Function to set Y mirroring
+ * @param {boolean} props.fillShapes - Whether rectangles, ellipses and closed polylines are filled
+ * @param {Function} props.setFillShapes - Function to set shape filling
  * @param {string} props.backgroundColor - Current background color setting
  * @param {Function} props.setBackgroundColor - Function to set background color
  */
@@ -55,22 +88,41 @@ export default function Sidebar({
   setSecondary,
   swapColors,
   w,
-  setW,
   h,
-  setH,
+  openResize,
   zoom,
   setZoom,
   drawMode,
   setDrawMode,
   outputFormat,
   setOutputFormat,
+  dither,
+  setDither,
+  paletteFormat,
+  setPaletteFormat,
+  compression,
+  setCompression,
+  packing,
+  setPacking,
+  lvglVersion,
+  setLvglVersion,
+  library,
+  setLibrary,
+  displayType,
+  selectDisplay,
+  displaySettings,
+  setDisplaySettings,
   clearCanvas,
   canUndo,
   undo,
+  canRedo,
+  redo,
   mirrorX,
   setMirrorX,
   mirrorY,
   setMirrorY,
+  fillShapes,
+  setFillShapes,
   backgroundColor,
   setBackgroundColor
 }) {
@@ -98,7 +150,7 @@ export default function Sidebar({
             <div className="space-y-3">
               <h3 className="font-medium text-sm text-neutral-300">Quick Tools</h3>
               <div className="grid grid-cols-2 gap-2">
-                {(["pen", "erase", "fill", "eyedropper"]).map((k) => (
+                {TOOLS.map((k) => (
                   <button 
                     key={k} 
                     onClick={() => setTool(k)} 
@@ -152,31 +204,17 @@ export default function Sidebar({
             {/* Canvas Settings */}
             <div className="space-y-3">
               <h3 className="font-medium text-sm text-neutral-300">Canvas</h3>
-              <div className="grid grid-cols-2 gap-2">
-                <label className="flex flex-col gap-1">
-                  <span className="text-xs text-neutral-400">Width</span>
-                  <input 
-                    type="number" 
-                    min={1} 
-                    max={256} 
-                    value={w} 
-                    onChange={(e) => setW(clamp(parseInt(e.target.value) || 1, 1, 256))} 
-                    className="w-full bg-neutral-800 rounded px-2 py-1 text-xs border border-neutral-700 focus:border-blue-500 transition-colors" 
-                    aria-label="Canvas width in pixels"
-                  />
-                </label>
-                <label className="flex flex-col gap-1">
-                  <span className="text-xs text-neutral-400">Height</span>
-                  <input 
-                    type="number" 
-                    min={1} 
-                    max={256} 
-                    value={h} 
-                    onChange={(e) => setH(clamp(parseInt(e.target.value) || 1, 1, 256))} 
-                    className="w-full bg-neutral-800 rounded px-2 py-1 text-xs border border-neutral-700 focus:border-blue-500 transition-colors" 
-                    aria-label="Canvas height in pixels"
-                  />
-                </label>
+              <div className="flex items-center justify-between gap-2">
+                <span className="text-xs text-neutral-400">
+                  Size <span className="font-mono text-white">{w} × {h}</span> px
+                </span>
+                <button 
+                  onClick={openResize} 
+                  className="px-3 py-1 rounded-lg bg-neutral-800 hover:bg-neutral-700 text-xs transition-colors" 
+                  aria-label="Resize canvas"
+                >
+                  Resize…
+                </button>
               </div>
               
               <label className="flex flex-col gap-1">
@@ -193,6 +231,111 @@ export default function Sidebar({
               </label>
             </div>
 
+            {/* Display Profile */}
+            <div className="space-y-3">
+              <h3 className="font-medium text-sm text-neutral-300">Display</h3>
+              <label className="flex flex-col gap-1">
+                <span className="text-xs text-neutral-400">Profile</span>
+                <select 
+                  value={displayType} 
+                  onChange={(e) => selectDisplay(e.target.value)} 
+                  className="w-full bg-neutral-800 rounded px-2 py-1 text-xs border border-neutral-700 focus:border-purple-500 transition-colors"
+                  aria-label="Select display profile"
+                  title="Presets the draw mode and canvas size"
+                >
+                  {DISPLAY_PROFILES.map((d) => (
+                    <option key={d.value} value={d.value}>{d.label}</option>
+                  ))}
+                </select>
+              </label>
+              <div className="grid grid-cols-2 gap-2">
+                <label className="flex flex-col gap-1">
+                  <span className="text-xs text-neutral-400">Panel Width</span>
+                  <input 
+                    type="number" 
+                    min={1} 
+                    value={displaySettings.width} 
+                    onChange={(e) => setDisplaySettings({ ...displaySettings, width: Math.max(1, parseInt(e.target.value) || 1) })} 
+                    className="w-full bg-neutral-800 rounded px-2 py-1 text-xs border border-neutral-700 focus:border-purple-500 transition-colors" 
+                    aria-label="Display width in pixels"
+                  />
+                </label>
+                <label className="flex flex-col gap-1">
+                  <span className="text-xs text-neutral-400">Panel Height</span>
+                  <input 
+                    type="number" 
+                    min={1} 
+                    value={displaySettings.height} 
+                    onChange={(e) => setDisplaySettings({ ...displaySettings, height: Math.max(1, parseInt(e.target.value) || 1) })} 
+                    className="w-full bg-neutral-800 rounded px-2 py-1 text-xs border border-neutral-700 focus:border-purple-500 transition-colors" 
+                    aria-label="Display height in pixels"
+                  />
+                </label>
+              </div>
+              <div className="grid grid-cols-4 gap-2">
+                {displayProfile(displayType).bus === "i2c" && (
+                  <label className="flex flex-col gap-1 col-span-2">
+                    <span className="text-xs text-neutral-400">I2C Address</span>
+                    <input 
+                      type="text" 
+                      defaultValue={"0x" + displaySettings.i2cAddress.toString(16).toUpperCase()} 
+                      key={displayType}
+                      onBlur={(e) => {
+                        const a = parseInt(e.target.value, 16);
+                        if (a >= 0 && a <= 0x7F) setDisplaySettings({ ...displaySettings, i2cAddress: a });
+                      }} 
+                      className="w-full bg-neutral-800 rounded px-2 py-1 text-xs border border-neutral-700 focus:border-purple-500 transition-colors" 
+                      aria-label="Display I2C address"
+                    />
+                  </label>
+                )}
+                {Object.keys(displaySettings.pins).map((pin) => (
+                  <label key={pin} className="flex flex-col gap-1">
+                    <span className="text-xs text-neutral-400">{pin.toUpperCase()}</span>
+                    <input 
+                      type="number" 
+                      min={-1} 
+                      value={displaySettings.pins[pin]} 
+                      onChange={(e) => setDisplaySettings({ ...displaySettings, pins: { ...displaySettings.pins, [pin]: parseInt(e.target.value) || 0 } })} 
+                      className="w-full bg-neutral-800 rounded px-1 py-1 text-xs border border-neutral-700 focus:border-purple-500 transition-colors" 
+                      aria-label={`Display ${pin.toUpperCase()} pin`}
+                    />
+                  </label>
+                ))}
+              </div>
+              <div className="grid grid-cols-2 gap-2">
+                <label className="flex flex-col gap-1">
+                  <span className="text-xs text-neutral-400">Rotation</span>
+                  <select 
+                    value={displaySettings.rotation} 
+                    onChange={(e) => setDisplaySettings({ ...displaySettings, rotation: parseInt(e.target.value) })} 
+                    className="w-full bg-neutral-800 rounded px-2 py-1 text-xs border border-neutral-700 focus:border-purple-500 transition-colors"
+                    aria-label="Select display rotation"
+                  >
+                    <option value={0}>0°</option>
+                    <option value={1}>90°</option>
+                    <option value={2}>180°</option>
+                    <option value={3}>270°</option>
+                  </select>
+                </label>
+                {!displayProfile(displayType).mono && (
+                  <label className="flex flex-col gap-1">
+                    <span className="text-xs text-neutral-400">Color Order</span>
+                    <select 
+                      value={displaySettings.colorOrder} 
+                      onChange={(e) => setDisplaySettings({ ...displaySettings, colorOrder: e.target.value })} 
+                      className="w-full bg-neutral-800 rounded px-2 py-1 text-xs border border-neutral-700 focus:border-purple-500 transition-colors"
+                      aria-label="Select panel color order"
+                      title="BGR swaps red and blue in the exported data"
+                    >
+                      <option value="RGB">RGB</option>
+                      <option value="BGR">BGR</option>
+                    </select>
+                  </label>
+                )}
+              </div>
+            </div>
+
             {/* Export Settings */}
             <div className="space-y-3">
               <h3 className="font-medium text-sm text-neutral-300">Export</h3>
@@ -212,8 +355,27 @@ export default function Sidebar({
                   <option value="HORIZONTAL_RGB888_32">RGBA32 (32-bit)</option>
                   <option value="HORIZONTAL_RGB332">RGB332 (8-bit)</option>
                   <option value="HORIZONTAL_GRAY4">GRAY4 (4-bit)</option>
+                  <option value="HORIZONTAL_INDEXED1">Indexed 1-bit (2 colors)</option>
+                  <option value="HORIZONTAL_INDEXED2">Indexed 2-bit (4 colors)</option>
+                  <option value="HORIZONTAL_INDEXED4">Indexed 4-bit (16 colors)</option>
+                  <option value="HORIZONTAL_INDEXED8">Indexed 8-bit (256 colors)</option>
                 </select>
               </label>
+
+              {drawMode.includes("INDEXED") && (
+                <label className="flex flex-col gap-1">
+                  <span className="text-xs text-neutral-400">Palette Table</span>
+                  <select 
+                    value={paletteFormat} 
+                    onChange={(e) => setPaletteFormat(e.target.value)} 
+                    className="w-full bg-neutral-800 rounded px-2 py-1 text-xs border border-neutral-700 focus:border-purple-500 transition-colors"
+                    aria-label="Select palette table format"
+                  >
+                    <option value="RGB565">RGB565 (uint16_t)</option>
+                    <option value="RGB888">RGB888 (uint8_t[3])</option>
+                  </select>
+                </label>
+              )}
               
               <label className="flex flex-col gap-1">
                 <span className="text-xs text-neutral-400">Output</span>
@@ -227,6 +389,112 @@ export default function Sidebar({
                   <option value="PLAIN_BYTES">Plain Bytes</option>
                   <option value="ARDUINO_SINGLE_BITMAP">Single Bitmap</option>
                   <option value="GFX_BITMAP_FONT">GFX Font</option>
+                  <option value="U8G2_FONT">u8g2 Font</option>
+                  <option value="LVGL_IMAGE">LVGL Image</option>
+                  <option value="SPRITE_ATLAS">Sprite Atlas</option>
+                </select>
+              </label>
+
+              {LIBRARY_OUTPUTS.includes(outputFormat) && (
+                <label className="flex flex-col gap-1">
+                  <span className="text-xs text-neutral-400">Library</span>
+                  <select 
+                    value={library} 
+                    onChange={(e) => setLibrary(e.target.value)} 
+                    className="w-full bg-neutral-800 rounded px-2 py-1 text-xs border border-neutral-700 focus:border-purple-500 transition-colors"
+                    aria-label="Select display library"
+                  >
+                    {LIBRARY_TARGETS.map((l) => (
+                      <option key={l.value} value={l.value}>{l.label}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+
+              {outputFormat === "LVGL_IMAGE" && (
+                <label className="flex flex-col gap-1">
+                  <span className="text-xs text-neutral-400">LVGL Version</span>
+                  <select 
+                    value={lvglVersion} 
+                    onChange={(e) => setLvglVersion(e.target.value)} 
+                    className="w-full bg-neutral-800 rounded px-2 py-1 text-xs border border-neutral-700 focus:border-purple-500 transition-colors"
+                    aria-label="Select LVGL version"
+                  >
+                    {LVGL_VERSIONS.map((v) => (
+                      <option key={v.value} value={v.value}>{v.label}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+
+              <label className="flex flex-col gap-1">
+                <span className="text-xs text-neutral-400">Compression</span>
+                <select 
+                  value={compression} 
+                  onChange={(e) => setCompression(e.target.value)} 
+                  className="w-full bg-neutral-800 rounded px-2 py-1 text-xs border border-neutral-700 focus:border-purple-500 transition-colors"
+                  aria-label="Select compression scheme"
+                >
+                  {COMPRESSION_SCHEMES.map((c) => (
+                    <option key={c.value} value={c.value}>{c.label}</option>
+                  ))}
+                </select>
+              </label>
+
+              <div className="grid grid-cols-3 gap-2">
+                <label className="flex flex-col gap-1">
+                  <span className="text-xs text-neutral-400">Bit Order</span>
+                  <select 
+                    value={packing.bitOrder} 
+                    onChange={(e) => setPacking({ ...packing, bitOrder: e.target.value })} 
+                    className="w-full bg-neutral-800 rounded px-1 py-1 text-xs border border-neutral-700 focus:border-purple-500 transition-colors"
+                    aria-label="Select bit order"
+                    title="MSB-first for Adafruit GFX, LSB-first for XBM/u8g2"
+                  >
+                    <option value="msb">MSB</option>
+                    <option value="lsb">LSB</option>
+                  </select>
+                </label>
+                <label className="flex flex-col gap-1">
+                  <span className="text-xs text-neutral-400">16-bit</span>
+                  <select 
+                    value={packing.byteOrder} 
+                    onChange={(e) => setPacking({ ...packing, byteOrder: e.target.value })} 
+                    className="w-full bg-neutral-800 rounded px-1 py-1 text-xs border border-neutral-700 focus:border-purple-500 transition-colors"
+                    aria-label="Select 16-bit word byte order"
+                    title="Big-endian swaps bytes for TFT_eSPI pushImage / LV_COLOR_16_SWAP"
+                  >
+                    <option value="little">Little</option>
+                    <option value="big">Big</option>
+                  </select>
+                </label>
+                <label className="flex flex-col gap-1">
+                  <span className="text-xs text-neutral-400">Row Align</span>
+                  <select 
+                    value={packing.rowAlign} 
+                    onChange={(e) => setPacking({ ...packing, rowAlign: parseInt(e.target.value) })} 
+                    className="w-full bg-neutral-800 rounded px-1 py-1 text-xs border border-neutral-700 focus:border-purple-500 transition-colors"
+                    aria-label="Select row stride alignment"
+                  >
+                    <option value={0}>None</option>
+                    <option value={1}>1 B</option>
+                    <option value={2}>2 B</option>
+                    <option value={4}>4 B</option>
+                  </select>
+                </label>
+              </div>
+
+              <label className="flex flex-col gap-1">
+                <span className="text-xs text-neutral-400">Import Dithering</span>
+                <select 
+                  value={dither} 
+                  onChange={(e) => setDither(e.target.value)} 
+                  className="w-full bg-neutral-800 rounded px-2 py-1 text-xs border border-neutral-700 focus:border-purple-500 transition-colors"
+                  aria-label="Select dithering algorithm for image import"
+                >
+                  {DITHER_ALGORITHMS.map((a) => (
+                    <option key={a.value} value={a.value}>{a.label}</option>
+                  ))}
                 </select>
               </label>
             </div>
@@ -234,7 +502,7 @@ export default function Sidebar({
             {/* Canvas Actions */}
             <div className="space-y-3">
               <h3 className="font-medium text-sm text-neutral-300">Actions</h3>
-              <div className="grid grid-cols-2 gap-2">
+              <div className="grid grid-cols-3 gap-2">
                 <button 
                   onClick={clearCanvas} 
                   className="px-3 py-2 rounded-lg bg-neutral-800 hover:bg-neutral-700 text-xs transition-colors"
@@ -254,6 +522,18 @@ export default function Sidebar({
                 >
                   Undo
                 </button>
+                <button
+                  onClick={redo}
+                  disabled={!canRedo}
+                  className={`px-3 py-2 rounded-lg text-xs transition-colors ${
+                    canRedo
+                      ? "bg-neutral-800 hover:bg-neutral-700"
+                      : "bg-neutral-900 opacity-50 cursor-not-allowed"
+                  }`}
+                  aria-label="Redo last undone action"
+                >
+                  Redo
+                </button>
               </div>
             </div>
 
@@ -281,6 +561,16 @@ export default function Sidebar({
                   />
                   <span className="text-xs">Mirror Y</span>
                 </label>
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <input 
+                    type="checkbox" 
+                    checked={fillShapes} 
+                    onChange={(e) => setFillShapes(e.target.checked)} 
+                    className="w-3 h-3 text-blue-500 bg-neutral-800 border-neutral-700 rounded focus:ring-blue-500"
+                    aria-label="Fill shapes"
+                  />
+                  <span className="text-xs">Fill Shapes</span>
+                </label>
               </div>
             </div>
 
@@ -317,7 +607,7 @@ export default function Sidebar({
         {sidebarCollapsed && (
           <div className="space-y-4">
             <div className="flex flex-col gap-2">
-              {(["pen", "erase", "fill", "eyedropper"]).map((k) => (
+              {TOOLS.map((k) => (
                 <button 
                   key={k} 
                   onClick={() => setTool(k)} 
@@ -329,7 +619,7 @@ export default function Sidebar({
                   title={k.charAt(0).toUpperCase() + k.slice(1)}
                   aria-label={`Select ${k} tool`}
                 >
-                  {k === "pen" ? "🖊️" : k === "erase" ? "🧽" : k === "fill" ? "🪣" : "👁️"}
+                  {TOOL_ICONS[k]}
                 </button>
               ))}
             </div>
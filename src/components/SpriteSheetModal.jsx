@@ -0,0 +1,166 @@
+/*
+ * Pixel2CPP - Sprite Sheet Slicing Modal Component
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { DEFAULT_SLICE, MAX_CELLS, sliceSheet, cellName } from "../lib/spritesheet.js";
+import { MAX_CANVAS } from "../lib/transforms.js";
+
+const inputClass = "w-full bg-neutral-800 rounded px-2 py-1 text-xs border border-neutral-700 focus:border-purple-500 transition-colors";
+
+const PREVIEW_SIZE = 360;
+
+/**
+ * Dialog slicing an imported sprite sheet into named animation frames,
+ * either on a regular grid or at transparent gutters
+ *
+ * @param {Object} props - Component props
+ * @param {Object|null} props.sheet - { name, width, height, rgba } of the loaded sheet, or null when closed
+ * @param {Function} props.onSlice - Called with { cells, w, h, prefix } to import
+ * @param {Function} props.onCancel - Function to close the dialog
+ */
+export default function SpriteSheetModal({ sheet, onSlice, onCancel }) {
+  const [settings, setSettings] = useState(DEFAULT_SLICE);
+  const [prefix, setPrefix] = useState("");
+  const previewRef = useRef(null);
+
+  useEffect(() => {
+    if (sheet) setPrefix(sheet.name);
+  }, [sheet]);
+
+  const result = useMemo(() => (sheet ? sliceSheet(sheet.rgba, sheet.width, sheet.height, settings) : null), [sheet, settings]);
+
+  // Sheet scaled to fit the preview with the cells outlined
+  useEffect(() => {
+    const cnv = previewRef.current;
+    if (!sheet || !cnv) return;
+    const zoom = Math.min(PREVIEW_SIZE / sheet.width, PREVIEW_SIZE / sheet.height, 8);
+    cnv.width = Math.max(1, Math.round(sheet.width * zoom));
+    cnv.height = Math.max(1, Math.round(sheet.height * zoom));
+    const source = document.createElement("canvas");
+    source.width = sheet.width;
+    source.height = sheet.height;
+    source.getContext("2d").putImageData(new ImageData(sheet.rgba, sheet.width, sheet.height), 0, 0);
+    const ctx = cnv.getContext("2d");
+    ctx.imageSmoothingEnabled = false;
+    ctx.clearRect(0, 0, cnv.width, cnv.height);
+    ctx.drawImage(source, 0, 0, cnv.width, cnv.height);
+    ctx.strokeStyle = "rgba(168, 85, 247, 0.9)";
+    ctx.lineWidth = 1;
+    for (const c of result.cells.slice(0, MAX_CELLS)) {
+      ctx.strokeRect(c.x * zoom + 0.5, c.y * zoom + 0.5, c.w * zoom - 1, c.h * zoom - 1);
+    }
+  }, [sheet, result]);
+
+  if (!sheet) return null;
+
+  const update = (patch) => setSettings((s) => ({ ...s, ...patch }));
+  const number = (key, min, max) => (e) => update({ [key]: Math.min(max, Math.max(min, parseInt(e.target.value) || 0)) });
+  const namePrefix = prefix.replace(/[^a-zA-Z0-9_]/g, "_") || "sprite";
+
+  const { cells, w, h } = result;
+  const error = (!cells.length && "No cells found with these settings")
+    || (cells.length > MAX_CELLS && `${cells.length} cells is more than ${MAX_CELLS}; check the cell size`)
+    || ((w > MAX_CANVAS || h > MAX_CANVAS) && `Cells up to ${w}x${h} are larger than the ${MAX_CANVAS}x${MAX_CANVAS} canvas limit`)
+    || null;
+  const grid = settings.mode === "grid";
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 modal-backdrop flex items-center justify-center p-4 z-50" role="dialog" aria-modal="true" aria-labelledby="sheet-title">
+      <div className="bg-neutral-900 rounded-2xl p-6 max-w-lg w-full max-h-[90vh] overflow-auto shadow-2xl border border-neutral-700 space-y-4">
+        <div>
+          <h2 id="sheet-title" className="text-2xl font-bold bg-gradient-to-r from-blue-400 to-purple-400 bg-clip-text text-transparent">
+            Slice Sprite Sheet
+          </h2>
+          <p className="text-sm text-neutral-400 mt-1">
+            Each cell becomes a named animation frame
+          </p>
+        </div>
+
+        <div className="flex justify-center bg-neutral-950 rounded-lg p-2">
+          <canvas ref={previewRef} style={{ imageRendering: "pixelated" }} aria-label="Sprite sheet with cell outlines" />
+        </div>
+
+        <div className="space-y-3">
+          <div className="grid grid-cols-2 gap-2">
+            <label className="flex flex-col gap-1">
+              <span className="text-xs text-neutral-400">Cells</span>
+              <select value={settings.mode} onChange={(e) => update({ mode: e.target.value })} className={inputClass} aria-label="Select how cells are found">
+                <option value="grid">Grid</option>
+                <option value="auto">Transparent gutters</option>
+              </select>
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-xs text-neutral-400">Name Prefix</span>
+              <input
+                type="text"
+                value={prefix}
+                onChange={(e) => setPrefix(e.target.value)}
+                className={`font-mono ${inputClass}`}
+                aria-label="Frame name prefix"
+              />
+            </label>
+          </div>
+          <div className="grid grid-cols-4 gap-2">
+            <label className="flex flex-col gap-1">
+              <span className="text-xs text-neutral-400">Cell W</span>
+              <input type="number" min={1} max={MAX_CANVAS} value={settings.cellW} onChange={number("cellW", 1, MAX_CANVAS)} disabled={!grid} className={inputClass} aria-label="Cell width" />
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-xs text-neutral-400">Cell H</span>
+              <input type="number" min={1} max={MAX_CANVAS} value={settings.cellH} onChange={number("cellH", 1, MAX_CANVAS)} disabled={!grid} className={inputClass} aria-label="Cell height" />
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-xs text-neutral-400">Margin</span>
+              <input type="number" min={0} max={256} value={settings.margin} onChange={number("margin", 0, 256)} disabled={!grid} className={inputClass} aria-label="Margin around the grid" />
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-xs text-neutral-400">Spacing</span>
+              <input type="number" min={0} max={256} value={settings.spacing} onChange={number("spacing", 0, 256)} disabled={!grid} className={inputClass} aria-label="Spacing between cells" />
+            </label>
+          </div>
+          <label className="flex items-center gap-2 text-xs text-neutral-400">
+            <input
+              type="checkbox"
+              checked={settings.skipEmpty}
+              onChange={(e) => update({ skipEmpty: e.target.checked })}
+              className="w-3 h-3 text-blue-500 bg-neutral-800 border-neutral-700 rounded focus:ring-blue-500"
+              aria-label="Skip empty cells"
+            />
+            Skip empty cells
+          </label>
+          <p className="text-xs text-neutral-500 font-mono">
+            {sheet.width}x{sheet.height} sheet, {cells.length} cell{cells.length === 1 ? "" : "s"}
+            {cells.length > 0 && `, canvas ${w}x${h}, ${cellName(namePrefix, cells[0])}${cells.length > 1 ? ` … ${cellName(namePrefix, cells[cells.length - 1])}` : ""}`}
+          </p>
+        </div>
+
+        {error && <p className="text-xs text-red-400" role="alert">{error}</p>}
+
+        <div className="flex justify-end gap-3">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 rounded-xl bg-neutral-800 hover:bg-neutral-700 text-sm transition-colors"
+            aria-label="Cancel slicing"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onSlice({ cells, w, h, prefix: namePrefix })}
+            disabled={!!error}
+            className="px-4 py-2 rounded-xl bg-purple-500 text-white font-medium hover:bg-purple-600 disabled:opacity-50 disabled:cursor-not-allowed text-sm transition-colors"
+            aria-label="Import cells as frames"
+          >
+            Import {cells.length} Frame{cells.length === 1 ? "" : "s"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -45,7 +45,7 @@ export default function TestsTab({ testResults, runTests, testsPassed }) {
         </div>
       )}
       {testResults.length === 0 && (
-        <div className="text-xs opacity-70">Click "Run Tests" to validate 1‑bit, RGB565, RGB24, RGB332, and 4‑bit grayscale format conversions.</div>
+        <div className="text-xs opacity-70">Click "Run Tests" to validate 1‑bit, RGB565, RGB24, RGB332, 4‑bit grayscale and indexed format conversions, import dithering and compression.</div>
       )}
     </div>
   );
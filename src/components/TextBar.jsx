@@ -0,0 +1,74 @@
+/*
+ * Pixel2CPP - Text Bar Component
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+import React from "react";
+
+const ALIGNS = [["left", "⇤"], ["center", "↔"], ["right", "⇥"]];
+
+/**
+ * Text tool settings, shown under the canvas while the text tool is active
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.text - Text settings, fonts and methods from useText()
+ */
+export default function TextBar({ text }) {
+  const { settings, fonts, font, update } = text;
+
+  return (
+    <div className="flex flex-wrap items-start gap-3 bg-neutral-900/50 rounded-xl px-4 py-2 border border-neutral-700">
+      <textarea
+        value={settings.text}
+        onChange={(e) => update({ text: e.target.value })}
+        rows={Math.min(4, settings.text.split("\n").length)}
+        className="flex-1 min-w-40 bg-neutral-800 border border-neutral-700 rounded-lg px-2 py-1 text-sm font-mono resize-y"
+        placeholder="Text to stamp"
+        aria-label="Text"
+      />
+      <select
+        value={font.id}
+        onChange={(e) => update({ font: e.target.value })}
+        className="bg-neutral-800 border border-neutral-700 rounded-lg px-2 py-1 text-xs"
+        aria-label="Text font"
+      >
+        {fonts.map((f) => (
+          <option key={f.id} value={f.id}>{f.name}</option>
+        ))}
+      </select>
+      <div className="flex gap-1">
+        {ALIGNS.map(([align, icon]) => (
+          <button
+            key={align}
+            onClick={() => update({ align })}
+            className={`px-2 py-1 rounded-lg text-xs transition-colors ${
+              settings.align === align ? "bg-blue-500 text-white" : "bg-neutral-800 hover:bg-neutral-700"
+            }`}
+            title={`Align ${align}`}
+            aria-label={`Align ${align}`}
+          >
+            {icon}
+          </button>
+        ))}
+      </div>
+      <label className="flex items-center gap-1 text-xs text-neutral-400">
+        Spacing
+        <input
+          type="number"
+          min={-2}
+          max={16}
+          value={settings.spacing}
+          onChange={(e) => update({ spacing: Math.max(-2, Math.min(16, Number(e.target.value) || 0)) })}
+          className="w-14 bg-neutral-800 border border-neutral-700 rounded-lg px-2 py-1 text-white"
+          aria-label="Letter spacing"
+        />
+      </label>
+      <span className="text-xs text-neutral-500 self-center">Click the canvas to stamp</span>
+    </div>
+  );
+}
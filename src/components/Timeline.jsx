@@ -0,0 +1,190 @@
+/*
+ * Pixel2CPP - Frame Timeline Component
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+import React from "react";
+import PixelCanvas from "./PixelCanvas.jsx";
+import { MAX_ONION_FRAMES } from "../lib/onion.js";
+import { rgbaToHex, parseCssColor } from "../lib/colors.js";
+
+const THUMB_SIZE = 48;
+
+const inputClass = "bg-neutral-800 rounded px-2 py-1 text-xs border border-neutral-700 focus:border-purple-500 transition-colors";
+
+const buttonClass = "px-2 py-1 rounded-lg bg-neutral-800 hover:bg-neutral-700 text-xs transition-colors disabled:opacity-40 disabled:cursor-not-allowed";
+
+/**
+ * Animation timeline: frame thumbnails, frame operations, per-frame duration and playback
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.frames - Animation frames as { id, data, duration, name }
+ * @param {number} props.frameIndex - Selected frame
+ * @param {number} props.w - Canvas width
+ * @param {number} props.h - Canvas height
+ * @param {string} props.backgroundColor - Background color setting
+ * @param {number|null} props.playFrame - Frame shown by the playback preview, or null when stopped
+ * @param {Function} props.togglePlay - Start or stop the playback preview
+ * @param {Function} props.selectFrame - Select a frame by index
+ * @param {Function} props.addFrame - Insert a blank frame after the selected one
+ * @param {Function} props.duplicateFrame - Insert a copy of the selected frame
+ * @param {Function} props.deleteFrame - Delete a frame by index
+ * @param {Function} props.moveFrame - Move a frame from one index to another
+ * @param {Function} props.setFrameDuration - Set a frame's duration in milliseconds
+ * @param {Function} props.setFrameName - Set a frame's sprite name
+ * @param {Object} props.onionSkin - Onion skin settings (see DEFAULT_ONION_SKIN)
+ * @param {Function} props.setOnionSkin - Function to update onion skin settings
+ * @param {Function} props.enterFontMode - Switch to the font glyph grid
+ */
+export default function Timeline({
+  frames,
+  frameIndex,
+  w,
+  h,
+  backgroundColor,
+  playFrame,
+  togglePlay,
+  selectFrame,
+  addFrame,
+  duplicateFrame,
+  deleteFrame,
+  moveFrame,
+  setFrameDuration,
+  setFrameName,
+  onionSkin,
+  setOnionSkin,
+  enterFontMode,
+}) {
+  const playing = playFrame !== null;
+  const current = frames[frameIndex];
+  const total = frames.reduce((sum, f) => sum + f.duration, 0);
+  const updateOnion = (patch) => setOnionSkin((o) => ({ ...o, ...patch }));
+  const frameCountOptions = Array.from({ length: MAX_ONION_FRAMES + 1 }, (_, n) => <option key={n} value={n}>{n}</option>);
+
+  return (
+    <div className="bg-neutral-900/50 rounded-xl p-4 border border-neutral-700 space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <h3 className="font-medium text-sm mr-2">Frames</h3>
+        <button onClick={togglePlay} disabled={frames.length < 2} className={buttonClass} aria-label={playing ? "Stop playback" : "Play animation"}>
+          {playing ? "■ Stop" : "▶ Play"}
+        </button>
+        <button onClick={addFrame} className={buttonClass} aria-label="Add blank frame">+ Frame</button>
+        <button onClick={duplicateFrame} className={buttonClass} aria-label="Duplicate frame">Duplicate</button>
+        <button onClick={() => moveFrame(frameIndex, frameIndex - 1)} disabled={frameIndex === 0} className={buttonClass} aria-label="Move frame left">◀</button>
+        <button onClick={() => moveFrame(frameIndex, frameIndex + 1)} disabled={frameIndex === frames.length - 1} className={buttonClass} aria-label="Move frame right">▶</button>
+        <button onClick={() => deleteFrame(frameIndex)} disabled={frames.length < 2} className={buttonClass} aria-label="Delete frame">Delete</button>
+        <button onClick={enterFontMode} className={buttonClass} aria-label="Edit frames as font glyphs" title="Edit frames as font glyphs">Aa Font</button>
+        <input
+          type="text"
+          value={current.name}
+          onChange={(e) => setFrameName(frameIndex, e.target.value)}
+          placeholder={`frame${frameIndex}`}
+          className={`w-28 ml-auto font-mono ${inputClass}`}
+          aria-label="Frame name"
+        />
+        <label className="flex items-center gap-1 text-xs text-neutral-400">
+          Duration
+          <input
+            type="number"
+            min={1}
+            max={65535}
+            value={current.duration}
+            onChange={(e) => setFrameDuration(frameIndex, Math.min(65535, Math.max(1, parseInt(e.target.value) || 1)))}
+            className={`w-20 ${inputClass}`}
+            aria-label="Frame duration in milliseconds"
+          />
+          ms
+        </label>
+      </div>
+
+      <div className="flex gap-2 overflow-x-auto pb-1">
+        {frames.map((frame, i) => (
+          <button
+            key={frame.id}
+            onClick={() => selectFrame(i)}
+            className={`flex-shrink-0 flex flex-col items-center gap-1 p-1 rounded-lg border transition-colors ${
+              i === frameIndex ? "border-blue-500 bg-blue-500/10" : "border-neutral-700 hover:border-neutral-500"
+            } ${playing && i === playFrame ? "ring-2 ring-emerald-400" : ""}`}
+            aria-label={`Select frame ${i + 1}`}
+          >
+            <div className="flex items-center justify-center bg-neutral-950 rounded" style={{ width: THUMB_SIZE, height: THUMB_SIZE }}>
+              <PixelCanvas
+                width={w}
+                height={h}
+                zoom={THUMB_SIZE / Math.max(w, h)}
+                pixels={frame.data}
+                backgroundColor={backgroundColor}
+              />
+            </div>
+            <span className="text-[10px] font-mono text-neutral-400">{i + 1} • {frame.duration}ms</span>
+          </button>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 text-xs text-neutral-400">
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={onionSkin.enabled}
+            onChange={(e) => updateOnion({ enabled: e.target.checked })}
+            className="w-3 h-3 text-blue-500 bg-neutral-800 border-neutral-700 rounded focus:ring-blue-500"
+            aria-label="Toggle onion skinning"
+          />
+          Onion skin
+        </label>
+        <label className="flex items-center gap-1">
+          Before
+          <select value={onionSkin.before} onChange={(e) => updateOnion({ before: parseInt(e.target.value, 10) })} disabled={!onionSkin.enabled} className={inputClass} aria-label="Previous frames to show">
+            {frameCountOptions}
+          </select>
+          <input
+            type="color"
+            value={rgbaToHex(onionSkin.beforeTint)}
+            onChange={(e) => updateOnion({ beforeTint: parseCssColor(e.target.value) })}
+            disabled={!onionSkin.enabled}
+            className="w-6 h-6 bg-neutral-800 rounded border border-neutral-700 cursor-pointer"
+            aria-label="Tint for previous frames"
+          />
+        </label>
+        <label className="flex items-center gap-1">
+          After
+          <select value={onionSkin.after} onChange={(e) => updateOnion({ after: parseInt(e.target.value, 10) })} disabled={!onionSkin.enabled} className={inputClass} aria-label="Next frames to show">
+            {frameCountOptions}
+          </select>
+          <input
+            type="color"
+            value={rgbaToHex(onionSkin.afterTint)}
+            onChange={(e) => updateOnion({ afterTint: parseCssColor(e.target.value) })}
+            disabled={!onionSkin.enabled}
+            className="w-6 h-6 bg-neutral-800 rounded border border-neutral-700 cursor-pointer"
+            aria-label="Tint for next frames"
+          />
+        </label>
+        <label className="flex items-center gap-2">
+          Opacity
+          <input
+            type="range"
+            min={5}
+            max={100}
+            step={5}
+            value={onionSkin.opacity}
+            onChange={(e) => updateOnion({ opacity: parseInt(e.target.value, 10) })}
+            disabled={!onionSkin.enabled}
+            className="w-24"
+            aria-label="Onion skin opacity"
+          />
+          <span className="font-mono w-8">{onionSkin.opacity}%</span>
+        </label>
+      </div>
+
+      <div className="text-xs text-neutral-500">
+        {frames.length} frame{frames.length === 1 ? "" : "s"}, {total} ms per loop
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+/*
+ * Pixel2CPP - Transform Bar Component
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+import React, { useState } from "react";
+import { scaledSize, MAX_CANVAS } from "../lib/transforms.js";
+
+const buttonClass = "px-2 py-1 rounded-lg bg-neutral-800 hover:bg-neutral-700 text-xs transition-colors";
+const inputClass = "w-14 bg-neutral-800 border border-neutral-700 rounded-lg px-2 py-1 text-xs text-white";
+
+const clampSize = (v) => Math.max(1, Math.min(MAX_CANVAS, parseInt(v) || 1));
+
+/**
+ * Rotate, flip, shift and scale buttons for the selection or the whole canvas
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.transforms - { target, size, rotate, flip, shift, scale } from Pixel2CPP
+ */
+export default function TransformBar({ transforms }) {
+  const { target, size, rotate, flip, shift, scale } = transforms;
+  const [offset, setOffset] = useState({ dx: 1, dy: 0 });
+  // Scale to size; null fields follow the target's size
+  const [to, setTo] = useState({ w: null, h: null });
+  const toW = to.w ?? size.w;
+  const toH = to.h ?? size.h;
+
+  const scaleBy = (factor) => {
+    scale(...scaledSize(size.w, size.h, factor));
+    setTo({ w: null, h: null });
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 bg-neutral-900/50 rounded-xl px-4 py-2 border border-neutral-700">
+      <span className="text-xs text-neutral-400 mr-2">
+        Transform {target === "selection" ? "selection" : "canvas"}{" "}
+        <span className="font-mono text-white">{size.w} × {size.h}</span>
+      </span>
+      <button onClick={() => rotate(1)} className={buttonClass} title="Rotate 90° clockwise (Shift+R)" aria-label="Rotate 90 degrees clockwise">⟳ 90°</button>
+      <button onClick={() => rotate(2)} className={buttonClass} title="Rotate 180°" aria-label="Rotate 180 degrees">180°</button>
+      <button onClick={() => rotate(-1)} className={buttonClass} title="Rotate 90° counterclockwise (Shift+L)" aria-label="Rotate 90 degrees counterclockwise">⟲ 90°</button>
+      <button onClick={() => flip(true)} className={buttonClass} title="Flip horizontally (Shift+H)" aria-label="Flip horizontally">⇆ Flip</button>
+      <button onClick={() => flip(false)} className={buttonClass} title="Flip vertically (Shift+V)" aria-label="Flip vertically">⇅ Flip</button>
+      <span className="flex items-center gap-1">
+        <input
+          type="number"
+          value={offset.dx}
+          onChange={(e) => setOffset({ ...offset, dx: parseInt(e.target.value) || 0 })}
+          className={inputClass}
+          aria-label="Shift x"
+        />
+        <input
+          type="number"
+          value={offset.dy}
+          onChange={(e) => setOffset({ ...offset, dy: parseInt(e.target.value) || 0 })}
+          className={inputClass}
+          aria-label="Shift y"
+        />
+        <button onClick={() => shift(offset.dx, offset.dy)} className={buttonClass} title="Shift with wrap-around (Alt+Arrows)" aria-label="Shift with wrap-around">Shift</button>
+      </span>
+      <button onClick={() => scaleBy(2)} className={buttonClass} title="Scale up 2× (])" aria-label="Scale up 2x">×2</button>
+      <button onClick={() => scaleBy(3)} className={buttonClass} aria-label="Scale up 3x">×3</button>
+      <button onClick={() => scaleBy(0.5)} className={buttonClass} title="Scale down to half ([)" aria-label="Scale down to half">½</button>
+      <span className="flex items-center gap-1">
+        <input
+          type="number"
+          min={1}
+          max={MAX_CANVAS}
+          value={toW}
+          onChange={(e) => setTo({ ...to, w: clampSize(e.target.value) })}
+          className={inputClass}
+          aria-label="Scale to width"
+        />
+        <span className="text-xs text-neutral-500">×</span>
+        <input
+          type="number"
+          min={1}
+          max={MAX_CANVAS}
+          value={toH}
+          onChange={(e) => setTo({ ...to, h: clampSize(e.target.value) })}
+          className={inputClass}
+          aria-label="Scale to height"
+        />
+        <button
+          onClick={() => {
+            scale(toW, toH);
+            setTo({ w: null, h: null });
+          }}
+          className={buttonClass}
+          title="Scale to this size, nearest neighbour"
+          aria-label="Scale to size"
+        >
+          Scale
+        </button>
+      </span>
+    </div>
+  );
+}
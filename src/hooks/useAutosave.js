@@ -0,0 +1,109 @@
+/*
+ * Pixel2CPP - Autosave Hook
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+import { useState, useEffect, useRef, useCallback } from "react";
+import { listAutosaves, loadAutosave, saveAutosave, deleteAutosave, autosaveRecord, thumbnailDataUrl, newDocumentId } from "../lib/autosave.js";
+import { parseProject } from "../lib/project.js";
+
+/**
+ * Custom hook to autosave the workspace to IndexedDB and restore earlier documents
+ *
+ * Each browser session edits its own document id, so earlier sprites stay in
+ * the recent list. Saving is paused until the startup restore prompt has been
+ * answered, so a blank canvas never overwrites anything.
+ *
+ * @param {Function} getProject - Returns the workspace in the shape serializeProject() takes; its history isn't saved
+ * @param {number} [delay] - Debounce delay in milliseconds
+ * @returns {Object} Recent documents, restore prompt state and methods
+ */
+export function useAutosave(getProject, delay = 1000) {
+  const [recent, setRecent] = useState([]);
+  const [restorePrompt, setRestorePrompt] = useState(false);
+  const docId = useRef(newDocumentId());
+  const paused = useRef(true);
+  const timer = useRef(null);
+  const getProjectRef = useRef(getProject);
+  getProjectRef.current = getProject;
+
+  const refresh = useCallback(async () => {
+    const list = await listAutosaves();
+    setRecent(list);
+    return list;
+  }, []);
+
+  useEffect(() => {
+    refresh()
+      .then((list) => {
+        if (list.length) setRestorePrompt(true);
+        else paused.current = false;
+      })
+      .catch((error) => console.warn("Autosave unavailable:", error));
+    return () => clearTimeout(timer.current);
+  }, [refresh]);
+
+  /**
+   * Save the workspace once changes have settled for `delay` ms; the same
+   * function on every render, so effects can depend on it
+   */
+  const schedule = useCallback(() => {
+    if (paused.current) return;
+    clearTimeout(timer.current);
+    timer.current = setTimeout(async () => {
+      const project = getProjectRef.current();
+      try {
+        const thumbnail = thumbnailDataUrl(project.w, project.h, project.frames[project.frameIndex].data);
+        await saveAutosave(autosaveRecord(docId.current, project, thumbnail));
+        await refresh();
+      } catch (error) {
+        console.warn("Autosave failed:", error);
+      }
+    }, delay);
+  }, [delay, refresh]);
+
+  /**
+   * Load an autosaved document; further edits keep updating it
+   * @param {string} id - Document id
+   * @returns {Promise<Object>} Parsed project (see parseProject)
+   */
+  const restore = async (id) => {
+    const record = await loadAutosave(id);
+    if (!record) throw new Error("The autosaved document no longer exists");
+    const project = parseProject(record.project);
+    docId.current = id;
+    paused.current = false;
+    setRestorePrompt(false);
+    return project;
+  };
+
+  // Keep the current session as a new document
+  const dismissRestore = () => {
+    paused.current = false;
+    setRestorePrompt(false);
+  };
+
+  const remove = async (id) => {
+    try {
+      await deleteAutosave(id);
+      await refresh();
+    } catch (error) {
+      console.warn("Couldn't delete autosave:", error);
+    }
+  };
+
+  return {
+    recent,
+    currentId: docId.current,
+    restorePrompt,
+    schedule,
+    restore,
+    dismissRestore,
+    remove,
+  };
+}
@@ -9,10 +9,67 @@
  */
 
 import { useState, useEffect, useRef } from "react";
-import { transparent, rgbaEq } from "../lib/colors.js";
+import { transparent, black, white, rgbaEq } from "../lib/colors.js";
+import { createBuffer, asBuffer, editedBuffer, setPixel, pixelIs } from "../lib/pixelbuffer.js";
+import { compositeLayers, updateComposite, mergeCels, nextLayerName, MAX_LAYERS } from "../lib/layers.js";
+import { placePixels, scalePixels, anchorOffset, contentBounds } from "../lib/transforms.js";
+import { insertFrame as insertFrameAt, removeFrame, moveFrame as moveFrameTo } from "../lib/frames.js";
+import {
+  DEFAULT_HISTORY, COALESCE_MS, diffDocuments, applyEntry, capHistory, loadedEntry,
+} from "../lib/history.js";
+
+// Duration of new frames, in milliseconds
+export const DEFAULT_FRAME_MS = 100;
+
+let nextFrameId = 1;
+let nextLayerId = 1;
+
+/**
+ * Create an animation frame
+ * @param {Array} cels - Pixel buffer for each layer
+ * @param {Array} layers - Layers the cels belong to
+ * @param {number} [duration] - How long the frame is shown, in milliseconds
+ * @param {string} [name] - Sprite name used by sprite atlas exports
+ * @returns {Object} { id, cels, data, duration, name } where data is the visible layers flattened
+ */
+export const makeFrame = (cels, layers, duration = DEFAULT_FRAME_MS, name = "") =>
+  ({ id: nextFrameId++, cels, data: compositeLayers(cels, layers), duration, name });
+
+/**
+ * Create a layer
+ * @param {string} name - Layer name
+ * @param {Object} [props] - { visible, locked, opacity } overrides
+ * @returns {Object} { id, name, visible, locked, opacity }
+ */
+export const makeLayer = (name, props = {}) => ({ id: nextLayerId++, name, visible: true, locked: false, opacity: 100, ...props });
+
+const blank = (n) => createBuffer(n);
+
+// Copy the overlapping area of a w×h buffer into a new nw×nh one, top left corners together
+const cropPixels = (prev, ow, oh, nw, nh) => placePixels(prev, ow, oh, nw, nh, 0, 0, transparent()).pixels;
+
+// Re-flatten every frame, e.g. after a layer was hidden or reordered
+const recomposite = (d) => ({ ...d, frames: d.frames.map((f) => ({ ...f, data: compositeLayers(f.cels, d.layers) })) });
+
+// A document of frames with a single layer holding the given pixels
+const singleLayerDoc = (list) => {
+  const layers = [makeLayer("Layer 1")];
+  return { layers, layer: 0, frames: list.map((f) => makeFrame([asBuffer(f.data)], layers, f.duration, f.name)), index: 0 };
+};
 
 /**
  * Custom hook to manage canvas state and drawing logic
+ *
+ * The document is a list of animation frames over a list of layers; each
+ * frame has a pixel buffer per layer: RGBA bytes from lib/pixelbuffer.js.
+ * Drawing goes to the active layer of the selected frame (`layerData`), while
+ * `data` is that frame flattened, as shown and exported. Pixel buffers in
+ * the document are never mutated, which lets undo history find what an action
+ * changed by comparing buffers and share the rest; copying one is a single
+ * memcpy. A pen stroke is the exception: it copies the layer and flattened
+ * frame at its first pixel, then writes into those copies in place until the
+ * next action starts, handing each change on as a new view (see drawAt()).
+ * Methods taking pixels also accept arrays of {r,g,b,a} pixels.
  * 
  * @param {number} initialWidth - Initial canvas width
  * @param {number} initialHeight - Initial canvas height
@@ -24,102 +81,173 @@ export function useCanvasState(initialWidth, initialHeight, backgroundColor, set
   // Core state
   const [w, setW] = useState(initialWidth);
   const [h, setH] = useState(initialHeight);
-  const [data, setData] = useState(() => Array.from({ length: initialWidth * initialHeight }, () => transparent()));
-  const prevSize = useRef({ w: initialWidth, h: initialHeight });
+  const [doc, setDoc] = useState(() => singleLayerDoc([{ data: blank(initialWidth * initialHeight) }]));
+  // Layer exported on its own instead of the flattened frames; null = flattened
+  const [exportLayer, setExportLayer] = useState(null);
+  const { frames, index: frameIndex, layers, layer: layerIndex } = doc;
+  const data = frames[frameIndex].data;
+  const layerData = frames[frameIndex].cels[layerIndex];
+  const activeLayer = layers[layerIndex];
+  // Hidden and locked layers can't be drawn on
+  const layerEditable = activeLayer.visible && !activeLayer.locked;
 
-  // History
-  const [history, setHistory] = useState([]);
-  const [redo, setRedo] = useState([]);
-  const canUndo = history.length > 0;
-  const canRedo = redo.length > 0;
+  // Update the active layer of the selected frame; takes a buffer or an updater like a state setter
+  const setLayerData = (next) => {
+    setDoc((d) => ({
+      ...d,
+      frames: d.frames.map((f, i) => {
+        if (i !== d.index) return f;
+        const cels = f.cels.map((c, k) => (k === d.layer ? asBuffer(typeof next === "function" ? next(c) : next) : c));
+        return { ...f, cels, data: compositeLayers(cels, d.layers) };
+      }),
+    }));
+  };
 
-  const pushHistory = (d) => {
-    setHistory((h) => [...h, d.map((p) => ({ ...p }))]);
-    setRedo([]);
+  // Apply fn(pixels) to every layer of every frame, or only to layer k
+  const mapCels = (fn, k = null) => {
+    setDoc((d) => recomposite({
+      ...d,
+      frames: d.frames.map((f) => ({ ...f, cels: f.cels.map((c, j) => (k === null || j === k ? fn(c) : c)) })),
+    }));
   };
 
-  // Ensure data buffer matches size and preserves overlapping pixels on resize
-  useEffect(() => {
-    const { w: ow, h: oh } = prevSize.current;
-    if (ow === w && oh === h) return;
-    setData((prev) => {
-      const out = Array.from({ length: w * h }, () => transparent());
-      const cw = Math.min(ow, w);
-      const ch = Math.min(oh, h);
-      for (let y = 0; y < ch; y++) {
-        for (let x = 0; x < cw; x++) {
-          out[y * w + x] = prev[y * ow + x];
-        }
+  // History: named entries from lib/history.js holding what each action changed. `open` is
+  // the action in progress as { label, base, time }, with the document from before it; it
+  // becomes an entry when the next action starts or on undo, so a stroke is compared once
+  const [history, setHistory] = useState({ undo: [], redo: [], open: null });
+  const [historySettings, setHistorySettings] = useState(DEFAULT_HISTORY);
+  const canUndo = history.undo.length > 0 || history.open !== null;
+  const canRedo = history.redo.length > 0;
+  // The document with its size, as rotating and scaling change the size
+  const snapshot = () => ({ ...doc, w, h });
+
+  // History with the open action turned into an entry
+  const settle = (hs, current) => {
+    if (!hs.open) return hs;
+    const entry = diffDocuments(hs.open.base, current, hs.open.label);
+    return { ...hs, undo: entry ? capHistory([...hs.undo, entry], historySettings.limitMB) : hs.undo, open: null };
+  };
+
+  /**
+   * Start an undoable action; call before changing the document
+   *
+   * With coalescing on, repeating the action that's still open within
+   * COALESCE_MS makes both one step, e.g. several nudges or shifts.
+   * @param {string} [label] - Action name shown in the history panel
+   */
+  const pushHistory = (label = "Edit") => {
+    strokeRef.current = null;
+    const current = snapshot();
+    const now = Date.now();
+    setHistory((hs) => {
+      if (historySettings.coalesce && hs.open?.label === label && now - hs.open.time < COALESCE_MS) {
+        return { ...hs, open: { ...hs.open, time: now } };
       }
-      return out;
+      return { ...settle(hs, current), redo: [], open: { label, base: current, time: now } };
     });
-    prevSize.current = { w, h };
-    setHistory([]);
-    setRedo([]);
-    // Set background to transparent when canvas dimensions change
-    // This allows users to then choose white or black if needed
-    if (typeof setBackgroundColor === 'function') {
-      setBackgroundColor("transparent");
+  };
+
+  // Bring back a snapshot with its size; snapshots from before sizes were kept have the current one
+  const restore = (s) => {
+    strokeRef.current = null;
+    if (s.w) {
+      setW(s.w);
+      setH(s.h);
     }
-  }, [w, h]);
+    setDoc(s);
+  };
 
-  // Update background color when it changes
+  // Update background color when it changes; only the bottom layer is filled
   useEffect(() => {
-    setData((prev) => {
-      const newData = [...prev];
-      for (let i = 0; i < newData.length; i++) {
-        if (newData[i].a === 0) { // Transparent pixels
+    mapCels((prev) => {
+      const newData = prev.slice();
+      for (let i = 0; i < newData.length / 4; i++) {
+        if (newData[i * 4 + 3] === 0) { // Transparent pixels
           if (backgroundColor === "white") {
-            newData[i] = { r: 255, g: 255, b: 255, a: 255 };
+            setPixel(newData, i, white());
           } else if (backgroundColor === "black") {
-            newData[i] = { r: 0, g: 0, b: 0, a: 255 };
+            setPixel(newData, i, black());
           } else {
             // transparent - keep as transparent
-            newData[i] = transparent();
+            setPixel(newData, i, transparent());
           }
         }
       }
       return newData;
-    });
+    }, 0);
   }, [backgroundColor]);
 
   const idx = (x, y) => y * w + x;
 
+  // The cel and flattened pixels a stroke writes into, { cel, data }: copied
+  // at its first pixel and written in place until the next action starts
+  const strokeRef = useRef(null);
+
   // Drawing helpers
+  // Only the touched pixels are flattened again, which keeps strokes fast with many layers,
+  // and the canvas redraws only the rectangle around them; `pix` is a {r,g,b,a} color
   const drawAt = (x, y, pix, erase = false, mirrorX = false, mirrorY = false) => {
-    if (x < 0 || y < 0 || x >= w || y >= h) return;
-    setData((d) => {
-      const nd = d.slice();
-      const setPixel = (px, py) => {
-        if (px < 0 || py < 0 || px >= w || py >= h) return;
-        nd[idx(px, py)] = erase ? transparent() : pix;
-      };
-      setPixel(x, y);
-      if (mirrorX) setPixel(w - 1 - x, y);
-      if (mirrorY) setPixel(x, h - 1 - y);
-      if (mirrorX && mirrorY) setPixel(w - 1 - x, h - 1 - y);
-      return nd;
+    if (x < 0 || y < 0 || x >= w || y >= h || !layerEditable) return;
+    const color = erase ? transparent() : pix;
+    const points = [[x, y]];
+    if (mirrorX) points.push([w - 1 - x, y]);
+    if (mirrorY) points.push([x, h - 1 - y]);
+    if (mirrorX && mirrorY) points.push([w - 1 - x, h - 1 - y]);
+    const touched = points.map(([px, py]) => idx(px, py));
+    const xs = points.map(([px]) => px);
+    const ys = points.map(([, py]) => py);
+    const x0 = Math.min(...xs);
+    const y0 = Math.min(...ys);
+    const rect = { x: x0, y: y0, w: Math.max(...xs) - x0 + 1, h: Math.max(...ys) - y0 + 1 };
+    // Pixels are written here rather than in setDoc()'s updater, which React may call twice;
+    // a stroke picks up from its own last views, as the document may not have rendered them yet
+    const base = strokeRef.current || { cel: layerData, data };
+    const cel = strokeRef.current ? base.cel : base.cel.slice();
+    touched.forEach((i) => setPixel(cel, i, color));
+    // New views of the written bytes, so the change shows and the canvas knows where
+    const celView = editedBuffer(cel, rect, base.cel);
+    const cels = frames[frameIndex].cels.map((c, k) => (k === layerIndex ? celView : c));
+    // A single opaque layer is its own flattened frame, which updateComposite() hands back
+    const own = strokeRef.current ? base.data : base.data === base.cel ? celView : base.data.slice();
+    const flat = updateComposite(own, cels, layers, touched);
+    const stroke = { cel: celView, data: flat === celView ? celView : editedBuffer(flat, rect, base.data) };
+    strokeRef.current = stroke;
+    setDoc((d) => {
+      const frame = d.frames[d.index];
+      let next;
+      if (frame.cels[d.layer] === base.cel && frame.data === base.data) {
+        next = { ...frame, cels: frame.cels.map((c, k) => (k === d.layer ? stroke.cel : c)), data: stroke.data };
+      } else {
+        // Another change came first: draw on a copy of what it left
+        const copy = frame.cels[d.layer].slice();
+        touched.forEach((i) => setPixel(copy, i, color));
+        const changed = frame.cels.map((c, k) => (k === d.layer ? copy : c));
+        next = { ...frame, cels: changed, data: compositeLayers(changed, d.layers) };
+      }
+      return { ...d, frames: d.frames.map((f, i) => (i === d.index ? next : f)) };
     });
   };
 
+  // Fills the active layer; `target` is the {r,g,b,a} color of its pixel at (sx, sy)
   const floodFill = (sx, sy, target, replacement) => {
-    if (rgbaEq(target, replacement)) return;
+    if (rgbaEq(target, replacement) || !layerEditable) return;
     const stack = [[sx, sy]];
-    const d = data.slice();
+    const d = layerData.slice();
     while (stack.length) {
       const [x, y] = stack.pop();
       if (x < 0 || y < 0 || x >= w || y >= h) continue;
       const i = idx(x, y);
-      if (!rgbaEq(d[i], target)) continue;
-      d[i] = replacement;
+      if (!pixelIs(d, i, target)) continue;
+      setPixel(d, i, replacement);
       stack.push([x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]);
     }
-    setData(d);
+    setLayerData(d);
   };
 
+  // Clears the active layer of the selected frame
   const clearCanvas = () => {
-    pushHistory(data);
-    setData(Array.from({ length: w * h }, () => transparent()));
+    pushHistory("Clear");
+    setLayerData(blank(w * h));
     // Set background to transparent when clearing canvas
     // This allows users to then choose white or black if needed
     if (typeof setBackgroundColor === 'function') {
@@ -127,39 +255,368 @@ export function useCanvasState(initialWidth, initialHeight, backgroundColor, set
     }
   };
 
-  const undo = () => {
-    if (canUndo) {
-      setRedo((r) => [data.map(p=>({...p})), ...r]); 
-      const last = history[history.length - 1]; 
-      setHistory((h) => h.slice(0, -1)); 
-      setData(last.map(p => ({ ...p }))); 
+  /**
+   * Replace the active layer of the selected frame with imported pixels, as one undo step
+   *
+   * A new size is applied together with the pixels and crops or pads the
+   * other cels from their top left corner.
+   */
+  const replaceCanvas = (nw, nh, pixels) => {
+    pushHistory("Import");
+    if (nw === w && nh === h) {
+      setLayerData(pixels);
+      return;
     }
+    restore(recomposite({
+      ...doc,
+      frames: doc.frames.map((f, i) => ({
+        ...f,
+        cels: f.cels.map((c, k) => (i === doc.index && k === doc.layer ? asBuffer(pixels) : cropPixels(c, w, h, nw, nh))),
+      })),
+      w: nw,
+      h: nh,
+    }));
   };
 
-  const redoAction = () => {
-    if (canRedo) {
-      const [next, ...rest] = redo; 
-      setHistory((h) => [...h, data.map(p=>({...p}))]); 
-      setData(next.map(p => ({ ...p }))); 
-      setRedo(rest); 
+  /**
+   * Replace every frame at once, e.g. with an imported animation, as one undo step
+   *
+   * Frames that all bring a cel per current layer keep the layers; otherwise
+   * the document becomes a single layer holding each frame's data.
+   * @param {Array} list - Frames as { data, duration, name } or { cels, duration, name } at the new size
+   * @param {number} [nw] - New canvas width
+   * @param {number} [nh] - New canvas height
+   */
+  const replaceFrames = (list, nw = w, nh = h) => {
+    pushHistory("Import frames");
+    if (list.every((f) => f.cels?.length === layers.length)) {
+      restore({ ...doc, frames: list.map((f) => makeFrame(f.cels.map(asBuffer), doc.layers, f.duration, f.name)), index: 0, w: nw, h: nh });
+    } else {
+      restore({ ...singleLayerDoc(list), w: nw, h: nh });
+      setExportLayer(null);
     }
   };
 
+  /**
+   * Restore a saved document: size, layers, frames and undo/redo history at once
+   *
+   * Layers and frames get fresh ids, mapped the same way in every document
+   * the history keeps so they keep their ids through undo. Frames saved
+   * without ids are matched by position, so documents with the same frames
+   * turn into pixel entries.
+   * @param {Object} saved - { w, h, layers, layerIndex, frames: [{ id, cels, duration, name }], frameIndex,
+   *   history: { undo, redo } entries as read by parseProject(), exportLayer }
+   */
+  const loadDocument = (saved) => {
+    const ids = new Map();
+    const layerId = (id) => {
+      if (!ids.has(id)) ids.set(id, nextLayerId++);
+      return ids.get(id);
+    };
+    const frameIds = new Map();
+    const frameId = (key) => {
+      if (!frameIds.has(key)) frameIds.set(key, nextFrameId++);
+      return frameIds.get(key);
+    };
+    const withIds = (snapshot) => {
+      const savedLayers = snapshot.layers.map((l) => ({ ...l, id: layerId(l.id) }));
+      return {
+        layers: savedLayers,
+        layer: Math.min(snapshot.layer || 0, savedLayers.length - 1),
+        frames: snapshot.frames.map((f, i) => ({ ...makeFrame(f.cels.map(asBuffer), savedLayers, f.duration, f.name), id: frameId(f.id ?? `#${i}`) })),
+        index: Math.min(snapshot.index || 0, snapshot.frames.length - 1),
+        w: snapshot.w ?? saved.w,
+        h: snapshot.h ?? saved.h,
+      };
+    };
+    const current = withIds({ layers: saved.layers, layer: saved.layerIndex, frames: saved.frames, index: saved.frameIndex });
+    const entries = (list) => list
+      .map((e) => loadedEntry(e.before ? { ...e, before: withIds(e.before), after: withIds(e.after) } : e))
+      .filter(Boolean);
+    setW(saved.w);
+    setH(saved.h);
+    setDoc(current);
+    setHistory({ undo: capHistory(entries(saved.history.undo), historySettings.limitMB), redo: entries(saved.history.redo), open: null });
+    setExportLayer(saved.exportLayer === null ? null : layerId(saved.exportLayer));
+  };
+
+  /**
+   * Undo or redo until a number of actions are applied
+   *
+   * Entries that replaced the document come back to it as it was when they
+   * were left, like layer settings changed since.
+   * @param {Function} to - (actions applied now) => actions applied after
+   */
+  const travel = (to) => {
+    let { undo: past, redo: future } = settle(history, snapshot());
+    const target = Math.max(0, Math.min(past.length + future.length, to(past.length)));
+    let d = snapshot();
+    while (past.length > target) {
+      const entry = past[past.length - 1];
+      future = [entry.before ? { ...entry, after: d } : entry, ...future];
+      past = past.slice(0, -1);
+      d = applyEntry(d, entry, false);
+    }
+    while (past.length < target) {
+      const [entry, ...rest] = future;
+      past = [...past, entry.before ? { ...entry, before: d } : entry];
+      future = rest;
+      d = applyEntry(d, entry, true);
+    }
+    restore(d);
+    setHistory({ undo: past, redo: future, open: null });
+  };
+
+  const undo = () => travel((n) => n - 1);
+
+  const redoAction = () => travel((n) => n + 1);
+
+  /**
+   * Jump to the state after a number of actions in the history list, undoing or redoing the ones between
+   * @param {number} n - Actions applied, 0 for the oldest state kept
+   */
+  const jumpTo = (n) => travel(() => n);
+
+  // Action names for the history panel: undoable ones, then redoable ones
+  const historyList = {
+    labels: [...history.undo, ...(history.open ? [history.open] : []), ...history.redo].map((e) => e.label),
+    position: history.undo.length + (history.open ? 1 : 0),
+    bytes: [...history.undo, ...history.redo].reduce((n, e) => n + e.bytes, 0),
+  };
+
+  // Change { limitMB, coalesce }; a lower cap drops the oldest entries right away
+  const updateHistorySettings = (patch) => {
+    const next = { ...historySettings, ...patch };
+    setHistorySettings(next);
+    setHistory((hs) => ({ ...hs, undo: capHistory(hs.undo, next.limitMB) }));
+  };
+
+  // Undo and redo entries with the open one closed, e.g. for serializeProject()
+  const savedHistory = () => {
+    const { undo: past, redo: future } = settle(history, snapshot());
+    return { undo: past, redo: future };
+  };
+
+  /**
+   * Transform every layer of every frame as one undo step, e.g. rotate or scale the whole canvas
+   *
+   * A new size from the transform is undone along with it.
+   * @param {Function} fn - (pixels, w, h, layer) => { pixels, w, h }, e.g. from lib/transforms.js
+   * @param {string} [label] - Action name for the history
+   */
+  const transformCanvas = (fn, label = "Transform") => {
+    pushHistory(label);
+    let size = { w, h };
+    const next = recomposite({
+      ...doc,
+      frames: doc.frames.map((f) => ({
+        ...f,
+        cels: f.cels.map((c, k) => {
+          const t = fn(c, w, h, k);
+          size = t;
+          return t.pixels;
+        }),
+      })),
+    });
+    restore({ ...next, w: size.w, h: size.h });
+  };
+
+  // The background color as a pixel; the bottom layer is filled with it
+  const backgroundPixel = () => (backgroundColor === "white" ? white() : backgroundColor === "black" ? black() : transparent());
+
+  /**
+   * Resize the canvas as one undo step
+   * @param {number} nw - New width
+   * @param {number} nh - New height
+   * @param {Object} [options] - { anchor: [x, y] from ANCHORS that stays in place, mode: "crop" to crop
+   *   or pad around the anchor, "scale" to scale the content nearest-neighbour }
+   */
+  const resizeCanvas = (nw, nh, { anchor = [0, 0], mode = "crop" } = {}) => {
+    if (nw === w && nh === h) return;
+    transformCanvas((pixels, ow, oh, k) => {
+      if (mode === "scale") return scalePixels(pixels, ow, oh, nw, nh);
+      // New pixels of the bottom layer take the background color like the rest of it
+      return placePixels(pixels, ow, oh, nw, nh, ...anchorOffset(ow, oh, nw, nh, anchor), k === 0 ? backgroundPixel() : transparent());
+    }, "Resize");
+  };
+
+  /**
+   * Bounding box of everything drawn in any frame or layer; the background color doesn't count on the bottom layer
+   * @returns {Object|null} { x, y, w, h }, or null for an empty canvas
+   */
+  const contentBox = () => {
+    const bg = backgroundPixel();
+    const isEmpty = (p, i) => p.a === 0 || (i % layers.length === 0 && rgbaEq(p, bg));
+    return contentBounds(frames.flatMap((f) => f.cels), w, h, isEmpty);
+  };
+
+  // Crop the canvas to its content as one undo step
+  const trimCanvas = () => {
+    const box = contentBox();
+    if (!box || (box.w === w && box.h === h)) return;
+    transformCanvas((pixels, ow, oh) => placePixels(pixels, ow, oh, box.w, box.h, -box.x, -box.y, transparent()), "Trim");
+  };
+
+  // Frame operations; all but selecting and retiming are undoable
+
+  const selectFrame = (i) => {
+    setDoc((d) => ({ ...d, index: Math.max(0, Math.min(d.frames.length - 1, i)) }));
+  };
+
+  // Insert a frame after the selected one and select it
+  const insertFrame = (frame, label) => {
+    pushHistory(label);
+    setDoc((d) => insertFrameAt(d, frame));
+  };
+
+  const addFrame = () => insertFrame(makeFrame(layers.map(() => blank(w * h)), layers, frames[frameIndex].duration), "Add frame");
+
+  const duplicateFrame = () => insertFrame(makeFrame(frames[frameIndex].cels, layers, frames[frameIndex].duration), "Duplicate frame");
+
+  const deleteFrame = (i = frameIndex) => {
+    if (frames.length < 2) return;
+    pushHistory("Delete frame");
+    setDoc((d) => removeFrame(d, i));
+  };
+
+  // Move frame `from` to position `to`; the selection follows the moved frame
+  const moveFrame = (from, to) => {
+    if (to < 0 || to >= frames.length || from === to) return;
+    pushHistory("Move frame");
+    setDoc((d) => moveFrameTo(d, from, to));
+  };
+
+  const setFrameDuration = (i, duration) => {
+    setDoc((d) => ({ ...d, frames: d.frames.map((f, j) => (j === i ? { ...f, duration } : f)) }));
+  };
+
+  const setFrameName = (i, name) => {
+    setDoc((d) => ({ ...d, frames: d.frames.map((f, j) => (j === i ? { ...f, name } : f)) }));
+  };
+
+  // Layer operations; adding, deleting, reordering and merging are undoable,
+  // like frame operations, while selection and layer properties are not
+
+  const selectLayer = (k) => {
+    setDoc((d) => ({ ...d, layer: Math.max(0, Math.min(d.layers.length - 1, k)) }));
+  };
+
+  // New empty layer above the active one, selected
+  const addLayer = () => {
+    if (layers.length >= MAX_LAYERS) return;
+    pushHistory("Add layer");
+    setDoc((d) => {
+      const at = d.layer + 1;
+      const added = [...d.layers.slice(0, at), makeLayer(nextLayerName(d.layers)), ...d.layers.slice(at)];
+      return {
+        ...d,
+        layers: added,
+        layer: at,
+        frames: d.frames.map((f) => ({ ...f, cels: [...f.cels.slice(0, at), blank(w * h), ...f.cels.slice(at)] })),
+      };
+    });
+  };
+
+  const deleteLayer = (k = layerIndex) => {
+    if (layers.length < 2) return;
+    pushHistory("Delete layer");
+    setDoc((d) => recomposite({
+      ...d,
+      layers: d.layers.filter((_, j) => j !== k),
+      layer: Math.min(d.layer > k ? d.layer - 1 : d.layer, d.layers.length - 2),
+      frames: d.frames.map((f) => ({ ...f, cels: f.cels.filter((_, j) => j !== k) })),
+    }));
+    if (layers[k].id === exportLayer) setExportLayer(null);
+  };
+
+  // Move layer `from` to position `to` (0 = bottom); the selection follows the moved layer
+  const moveLayer = (from, to) => {
+    if (to < 0 || to >= layers.length || from === to) return;
+    pushHistory("Move layer");
+    const move = (list) => {
+      const next = list.slice();
+      const [item] = next.splice(from, 1);
+      next.splice(to, 0, item);
+      return next;
+    };
+    setDoc((d) => recomposite({
+      ...d,
+      layers: move(d.layers),
+      layer: to,
+      frames: d.frames.map((f) => ({ ...f, cels: move(f.cels) })),
+    }));
+  };
+
+  // Draw layer k into the one below it with its opacity; the lower layer keeps its own settings
+  const mergeDown = (k = layerIndex) => {
+    if (k < 1 || !layers[k].visible || !layers[k - 1].visible) return;
+    pushHistory("Merge down");
+    setDoc((d) => recomposite({
+      ...d,
+      layers: d.layers.filter((_, j) => j !== k),
+      layer: k - 1,
+      frames: d.frames.map((f) => ({
+        ...f,
+        cels: f.cels.flatMap((c, j) => (j === k ? [] : j === k - 1 ? [mergeCels(c, f.cels[k], d.layers[k].opacity)] : [c])),
+      })),
+    }));
+    if (layers[k].id === exportLayer) setExportLayer(null);
+  };
+
+  // Change layer k's { name, visible, locked, opacity }
+  const updateLayer = (k, patch) => {
+    setDoc((d) => {
+      const next = { ...d, layers: d.layers.map((l, j) => (j === k ? { ...l, ...patch } : l)) };
+      return "visible" in patch || "opacity" in patch ? recomposite(next) : next;
+    });
+  };
+
   return {
     w,
-    setW,
     h,
-    setH,
     data,
-    setData,
+    layerData,
+    setLayerData,
+    frames,
+    frameIndex,
+    layers,
+    layerIndex,
+    layerEditable,
+    exportLayer,
+    setExportLayer,
     canUndo,
     canRedo,
+    historyList,
+    historySettings,
+    updateHistorySettings,
+    savedHistory,
     pushHistory,
     drawAt,
     floodFill,
     clearCanvas,
+    replaceCanvas,
+    replaceFrames,
+    loadDocument,
     undo,
     redoAction,
+    jumpTo,
+    transformCanvas,
+    resizeCanvas,
+    contentBox,
+    trimCanvas,
+    selectFrame,
+    addFrame,
+    duplicateFrame,
+    deleteFrame,
+    moveFrame,
+    setFrameDuration,
+    setFrameName,
+    selectLayer,
+    addLayer,
+    deleteLayer,
+    moveLayer,
+    mergeDown,
+    updateLayer,
     idx
   };
 }
@@ -9,8 +9,20 @@
  */
 
 import { useState } from "react";
-import { pack1bit, pack1bitAlpha, packRGB565, packRGB24, packRGB332, packGray4 } from "../lib/packers.js";
+import { pack1bit, pack1bitAlpha, packRGB565, packRGB24, packRGBA32, packRGB332, packGray4, packIndexed, DEFAULT_PACKING, rowStride } from "../lib/packers.js";
+import { buildPalette, indexedBits, paletteToRGB565, paletteToRGB888 } from "../lib/palette.js";
+import { compressBytes, toByteStream } from "../lib/compress.js";
+import { buildLvglImage } from "../lib/lvgl.js";
+import { LIBRARY_OUTPUTS, libraryLayout } from "../lib/targets.js";
+import { displayConfig, displayProfile, adafruitSketch, u8g2Sketch, tftESPISetupComment } from "../lib/displays.js";
 import { download, copyToClipboard } from "../lib/io.js";
+import { buildAtlas } from "../lib/atlas.js";
+import { buildGFXFont, glyphLabel, DEFAULT_FONT } from "../lib/gfxfont.js";
+import { buildU8g2Font } from "../lib/u8g2font.js";
+import { asBuffer, asPixels, pixelCount, swapRedBlueBuffer } from "../lib/pixelbuffer.js";
+
+// Output formats that export every animation frame; the others export the current frame
+const ANIMATION_OUTPUTS = ["ARDUINO_CODE", "PLAIN_BYTES", "ARDUINO_SINGLE_BITMAP"];
 
 /**
  * Custom hook to manage code generation and export functionality
@@ -22,17 +34,18 @@ export function useCodeGeneration() {
   const [copyStatus, setCopyStatus] = useState("");
   const [isGenerating, setIsGenerating] = useState(false);
 
-  const generateCppCode = (drawMode, outputFormat, w, h, data, name) => {
-    const safeName = name.replace(/[^a-zA-Z0-9_]/g, "_");
-    
-    console.log('generateCppCode called with:', { drawMode, outputFormat, w, h, dataLength: data.length });
-    
-    // Validate data
-    if (!data || data.length !== w * h) {
-      console.error('Invalid data:', { dataLength: data?.length, expectedLength: w * h, w, h });
-      return `// Error: Invalid data array (length: ${data?.length}, expected: ${w * h})`;
-    }
-    
+  /**
+   * Pack canvas pixels for a draw mode
+   * 
+   * @param {string} drawMode - Pixel packing mode
+   * @param {number} w - Canvas width
+   * @param {number} h - Canvas height
+   * @param {Array} data - Pixel data array
+   * @param {Object} [packing] - Bit order, byte order and row alignment (see DEFAULT_PACKING)
+   * @param {Array} [sharedPalette] - Palette to index against instead of one built from `data` (animation frames)
+   * @returns {Object} Packed values with their C type, array suffix, bits per pixel, layout and palette (indexed modes)
+   */
+  const packCanvas = (drawMode, w, h, data, packing = DEFAULT_PACKING, sharedPalette = null) => {
     // Helper function to safely call packer functions
     const safePack = (packerFunc, ...args) => {
       try {
@@ -46,55 +59,170 @@ export function useCodeGeneration() {
     };
     
     // Determine data and format based on draw mode
-    let bytes = [], dataType = "uint8_t", dataFormat = "pixels";
+    let bytes = [], dataType = "uint8_t", dataFormat = "pixels", palette = null, bpp = 1;
+    const bits = indexedBits(drawMode);
     
-    if (drawMode === "HORIZONTAL_1BIT") {
-      bytes = safePack(pack1bit, data, w, h, 'horizontal');
+    if (bits) {
+      palette = sharedPalette || buildPalette(data, 1 << bits);
+      bytes = safePack(packIndexed, data, w, h, bits, palette, packing);
+      dataType = "uint8_t";
+      dataFormat = "indices";
+      bpp = bits;
+    } else if (drawMode === "HORIZONTAL_1BIT") {
+      bytes = safePack(pack1bit, data, w, h, 'horizontal', packing);
       dataType = "uint8_t";
       dataFormat = "bits";
     } else if (drawMode === "VERTICAL_1BIT") {
-      bytes = safePack(pack1bit, data, w, h, 'vertical');
+      bytes = safePack(pack1bit, data, w, h, 'vertical', packing);
       dataType = "uint8_t";
       dataFormat = "bits";
     } else if (drawMode === "HORIZONTAL_ALPHA") {
-      bytes = safePack(pack1bitAlpha, data, w, h, 'horizontal');
+      bytes = safePack(pack1bitAlpha, data, w, h, 'horizontal', packing);
       dataType = "uint8_t";
       dataFormat = "alpha";
     } else if (drawMode === "HORIZONTAL_RGB565") {
-      bytes = safePack(packRGB565, data, w, h);
+      bytes = safePack(packRGB565, data, w, h, packing);
       dataType = "uint16_t";
       dataFormat = "pixels";
+      bpp = 16;
     } else if (drawMode === "HORIZONTAL_RGB888_24") {
-      bytes = safePack(packRGB24, data, w, h);
+      bytes = safePack(packRGB24, data, w, h, packing);
       dataType = "uint8_t";
       dataFormat = "pixels";
+      bpp = 24;
     } else if (drawMode === "HORIZONTAL_RGB888_32") {
-      // 32-bit RGBA format
-      bytes = [];
-      for (let y = 0; y < h; y++) {
-        for (let x = 0; x < w; x++) {
-          const p = data[y * w + x];
-          bytes.push(p.r, p.g, p.b, p.a);
-        }
-      }
+      bytes = safePack(packRGBA32, data, w, h);
       dataType = "uint8_t";
       dataFormat = "pixels";
+      bpp = 32;
     } else if (drawMode === "HORIZONTAL_RGB332") {
-      bytes = safePack(packRGB332, data, w, h);
+      bytes = safePack(packRGB332, data, w, h, packing);
       dataType = "uint8_t";
       dataFormat = "pixels";
+      bpp = 8;
     } else if (drawMode === "HORIZONTAL_GRAY4") {
-      bytes = safePack(packGray4, data, w, h);
+      bytes = safePack(packGray4, data, w, h, packing);
       dataType = "uint8_t";
       dataFormat = "pixels";
+      bpp = 4;
     } else {
       // Fallback for unknown draw modes - use 1-bit horizontal
       console.warn(`Unknown draw mode: ${drawMode}, falling back to HORIZONTAL_1BIT`);
-      bytes = safePack(pack1bit, data, w, h, 'horizontal');
+      bytes = safePack(pack1bit, data, w, h, 'horizontal', packing);
       dataType = "uint8_t";
       dataFormat = "bits";
     }
     
+    // Row layout the generated C code must follow; whole-byte formats are never bit-continuous
+    const rowAlign = bpp >= 8 || drawMode === "VERTICAL_1BIT" ? Math.max(1, packing.rowAlign) : packing.rowAlign;
+    const layout = {
+      bitOrder: bpp < 8 ? packing.bitOrder : "msb",
+      byteOrder: bpp === 16 ? packing.byteOrder : "little",
+      rowAlign,
+      stride: drawMode === "VERTICAL_1BIT" ? rowStride(h, 1, rowAlign) : rowStride(w, bpp, bpp === 32 ? 1 : rowAlign),
+    };
+    
+    return { bytes, dataType, dataFormat, palette, bits, bpp, layout };
+  };
+
+  /**
+   * Generate C++ source for the canvas
+   * 
+   * @param {string} drawMode - Pixel packing mode
+   * @param {string} outputFormat - Output template
+   * @param {number} w - Canvas width
+   * @param {number} h - Canvas height
+   * @param {Array} data - Pixel data array
+   * @param {string} name - Asset name
+   * @param {Object} [options] - Export options
+   * @param {string} [options.paletteFormat] - "RGB565" or "RGB888" palette table for indexed modes
+   * @param {string} [options.compression] - "NONE", "RLE" or "LZ"
+   * @param {Object} [options.packing] - Bit order, 16-bit byte order and row alignment
+   * @param {string} [options.lvglVersion] - "8" or "9" for the LVGL_IMAGE output format
+   * @param {string} [options.library] - "ADAFRUIT_GFX", "TFT_ESPI" or "U8G2" for sketches and headers
+   * @param {Object} [options.display] - Display settings (see displayConfig) the sketches are written for
+   * @param {Array} [options.frames] - Animation frames [{ data, duration, name }]; with more than one, sketches,
+   *   headers and single bitmaps hold every frame plus a timing table, and sprite atlases pack each one;
+   *   GFX and u8g2 fonts read them as glyphs
+   * @param {Object} [options.font] - Font settings (see DEFAULT_FONT) for the GFX_BITMAP_FONT and U8G2_FONT output formats
+   * @returns {string} Generated code
+   */
+  const generateCppCode = (selectedMode, outputFormat, w, h, data, name, options = {}) => {
+    const { paletteFormat = "RGB565", compression = "NONE", lvglVersion = "8" } = options;
+    const library = LIBRARY_OUTPUTS.includes(outputFormat) ? options.library || "ADAFRUIT_GFX" : "ADAFRUIT_GFX";
+    const { drawMode, packing } = libraryLayout(library, selectedMode, { ...DEFAULT_PACKING, ...options.packing });
+    const display = options.display || displayConfig("SSD1306");
+    const safeName = name.replace(/[^a-zA-Z0-9_]/g, "_");
+    
+    console.log('generateCppCode called with:', { drawMode, outputFormat, w, h, dataLength: data && pixelCount(data) });
+    
+    // Validate data
+    if (!data || pixelCount(data) !== w * h) {
+      const length = data && pixelCount(data);
+      console.error('Invalid data:', { dataLength: length, expectedLength: w * h, w, h });
+      return `// Error: Invalid data array (length: ${length}, expected: ${w * h})`;
+    }
+    
+    // LVGL defines its own data layout, so it packs the canvas itself
+    if (outputFormat === "LVGL_IMAGE") {
+      try {
+        return generateLVGLImage(drawMode, w, h, data, safeName, lvglVersion, packing);
+      } catch (error) {
+        console.error('Error generating LVGL image:', error);
+        return `// Error generating ${outputFormat} format: ${error.message}`;
+      }
+    }
+    
+    // BGR panels get red and blue swapped in the exported color data
+    const bgr = display.colorOrder === "BGR" && !drawMode.includes("1BIT") && !drawMode.includes("ALPHA");
+    const pixels = bgr ? swapRedBlueBuffer(asBuffer(data)) : data;
+    const frames = options.frames || [];
+    if (outputFormat === "GFX_BITMAP_FONT") {
+      const glyphs = frames.length ? frames : [{ data }];
+      try {
+        return generateGFXFont(glyphs, safeName, w, h, options.font || DEFAULT_FONT);
+      } catch (error) {
+        console.error('Error generating GFX font:', error);
+        return `// Error generating GFX font: ${error.message}`;
+      }
+    }
+    if (outputFormat === "U8G2_FONT") {
+      const glyphs = frames.length ? frames : [{ data }];
+      try {
+        return generateU8g2Font(glyphs, safeName, w, h, options.font || DEFAULT_FONT);
+      } catch (error) {
+        console.error('Error generating u8g2 font:', error);
+        return `// Error generating u8g2 font: ${error.message}`;
+      }
+    }
+    if (outputFormat === "SPRITE_ATLAS") {
+      const sprites = frames.length ? frames : [{ data }];
+      if (sprites.some((f) => pixelCount(f.data) !== w * h)) {
+        return `// Error: Sprites must all be ${w}x${h}`;
+      }
+      try {
+        return generateAtlasCode(sprites, safeName, w, h, drawMode, packing, paletteFormat, compression, display, bgr);
+      } catch (error) {
+        console.error('Error generating sprite atlas:', error);
+        return `// Error generating sprite atlas: ${error.message}`;
+      }
+    }
+    if (frames.length > 1 && ANIMATION_OUTPUTS.includes(outputFormat)) {
+      if (frames.some((f) => pixelCount(f.data) !== w * h)) {
+        return `// Error: Animation frames must all be ${w}x${h}`;
+      }
+      try {
+        return generateAnimationCode(frames, safeName, w, h, drawMode, outputFormat, compression, packing, paletteFormat, library, display, bgr);
+      } catch (error) {
+        console.error('Error generating animation:', error);
+        return `// Error generating animation: ${error.message}`;
+      }
+    }
+    
+    const packed = packCanvas(drawMode, w, h, pixels, packing);
+    const { bytes, dataType, dataFormat, palette, bits, bpp } = packed;
+    const layout = { ...packed.layout, bgr };
+    
     console.log('Generated bytes:', { bytesLength: bytes.length, dataType, dataFormat });
     
     // Validate bytes were generated
@@ -105,17 +233,23 @@ export function useCodeGeneration() {
     
     // Generate byte string based on output format
     try {
-      if (outputFormat === "PLAIN_BYTES") {
-        return generatePlainBytes(bytes, safeName, w, h, dataType, dataFormat, drawMode);
+      if (compression !== "NONE") {
+        return generateCompressedCode(bytes, safeName, w, h, dataType, drawMode, compression, outputFormat, palette, bits, paletteFormat, bpp, layout, library, display);
+      } else if (palette) {
+        return generateIndexedCode(bytes, palette, safeName, w, h, bits, paletteFormat, outputFormat, layout, library, display);
+      } else if (library === "U8G2") {
+        return generateU8g2Code(bytes, safeName, w, h, selectedMode, outputFormat, display);
+      } else if (library === "TFT_ESPI") {
+        return generateTFTeSPICode(bytes, safeName, w, h, dataType, dataFormat, drawMode, outputFormat, layout, display);
+      } else if (outputFormat === "PLAIN_BYTES") {
+        return generatePlainBytes(bytes, safeName, w, h, dataType, dataFormat, drawMode, layout, display);
       } else if (outputFormat === "ARDUINO_CODE") {
-        return generateArduinoCode(bytes, safeName, w, h, dataType, dataFormat, drawMode);
+        return generateArduinoCode(bytes, safeName, w, h, dataType, dataFormat, drawMode, layout, display);
       } else if (outputFormat === "ARDUINO_SINGLE_BITMAP") {
-        return generateArduinoSingleBitmap(bytes, safeName, w, h, dataType, dataFormat);
-      } else if (outputFormat === "GFX_BITMAP_FONT") {
-        return generateGFXBitmapFont(bytes, safeName, w, h);
+        return generateArduinoSingleBitmap(bytes, safeName, w, h, dataType, dataFormat, layout);
       } else {
         console.warn(`Unknown output format: ${outputFormat}, falling back to ARDUINO_CODE`);
-        return generateArduinoCode(bytes, safeName, w, h, dataType, dataFormat, drawMode);
+        return generateArduinoCode(bytes, safeName, w, h, dataType, dataFormat, drawMode, layout, display);
       }
     } catch (error) {
       console.error('Error generating output format:', error);
@@ -124,18 +258,93 @@ export function useCodeGeneration() {
   };
 
   // Output format generators
-  const generatePlainBytes = (bytes, safeName, w, h, dataType, dataFormat, drawMode) => {
+  
+  // One-line description of a non-default packing layout for generated comments
+  const describeLayout = (layout) => {
+    const parts = [];
+    if (layout.bgr) parts.push("BGR color order");
+    if (layout.bitOrder === "lsb") parts.push("LSB-first bits");
+    if (layout.byteOrder === "big") parts.push("big-endian 16-bit words");
+    if (layout.rowAlign === 0) parts.push("bit-continuous rows");
+    else if (layout.rowAlign > 1) parts.push(`rows aligned to ${layout.rowAlign} bytes`);
+    return parts.length ? `// Packing: ${parts.join(", ")}\n` : "";
+  };
+
+  // Adafruit GFX sketch pieces for the display; color data on a monochrome panel falls back to an ST7735
+  const sketchFor = (display, mono) => {
+    if (mono || !displayProfile(display.type).mono) return { ...adafruitSketch(display), note: "" };
+    return {
+      ...adafruitSketch(displayConfig("ST7735")),
+      note: `// ${displayProfile(display.type).label} is monochrome; color data is shown on an ST7735 instead\n`,
+    };
+  };
+
+  // Statement(s) drawing a horizontal 1-bit bitmap with Adafruit GFX (or TFT_eSPI) for any packing layout
+  const draw1bitCall = (arrayName, safeName, w, layout, gfx = "display", color = "1", x0 = "0", y0 = "0") => {
+    const byteWidth = Math.ceil(w / 8);
+    if (layout.stride === null && w % 8 !== 0) {
+      // Bit-continuous rows have no library call; walk the bits directly
+      const mask = layout.bitOrder === "lsb" ? "(1 << (bit & 7))" : "(0x80 >> (bit & 7))";
+      return `for (uint16_t y = 0; y < ${safeName}_h; y++) {
+    for (uint16_t x = 0; x < ${safeName}_w; x++) {
+      uint32_t bit = (uint32_t)y * ${safeName}_w + x;
+      if (pgm_read_byte(&${arrayName}[bit >> 3]) & ${mask}) ${gfx}.drawPixel(${x0 === "0" ? "x" : `${x0} + x`}, ${y0 === "0" ? "y" : `${y0} + y`}, ${color});
+    }
+  }`;
+    }
+    // drawBitmap/drawXBitmap derive the row stride from the width, so pass the padded width
+    const stride = layout.stride ?? byteWidth;
+    const width = stride === byteWidth ? `${safeName}_w` : `${stride * 8}`;
+    const fn = layout.bitOrder === "lsb" ? "drawXBitmap" : "drawBitmap";
+    return `${gfx}.${fn}(${x0}, ${y0}, ${arrayName}, ${width}, ${safeName}_h, ${color});`;
+  };
+
+  // drawImage() for RGB565 data with Adafruit GFX, honouring row padding and word byte order
+  const rgb565DrawImage = (arrayName, safeName, w, layout) => {
+    const strideWords = layout.stride / 2;
+    if (strideWords === w && layout.byteOrder !== "big") {
+      return `void drawImage(int16_t x0, int16_t y0) {
+  tft.startWrite();
+  tft.setAddrWindow(x0, y0, ${safeName}_w, ${safeName}_h);
+  for (uint16_t i = 0; i < ${safeName}_w * ${safeName}_h; i++) {
+    uint16_t color = pgm_read_word(&${arrayName}[i]);
+    tft.writePixel(color);
+  }
+  tft.endWrite();
+}`;
+    }
+    const swap = layout.byteOrder === "big" ? `
+      color = (color << 8) | (color >> 8); // stored big-endian` : "";
+    return `void drawImage(int16_t x0, int16_t y0) {
+  tft.startWrite();
+  tft.setAddrWindow(x0, y0, ${safeName}_w, ${safeName}_h);
+  for (uint16_t y = 0; y < ${safeName}_h; y++) {
+    for (uint16_t x = 0; x < ${safeName}_w; x++) {
+      uint16_t color = pgm_read_word(&${arrayName}[y * ${strideWords} + x]);${swap}
+      tft.writePixel(color);
+    }
+  }
+  tft.endWrite();
+}`;
+  };
+
+  const generatePlainBytes = (bytes, safeName, w, h, dataType, dataFormat, drawMode, layout, display) => {
     const formatByte = (b) => dataType === "uint16_t" 
       ? "0x" + b.toString(16).toUpperCase().padStart(4, "0")
       : "0x" + b.toString(16).toUpperCase().padStart(2, "0");
     
     const byteStr = bytes.map(formatByte).join(", ");
     
+    const mono = drawMode.includes("1BIT") || drawMode.includes("ALPHA");
+    const sk = sketchFor(display, mono);
+    const drawBits = drawMode === "VERTICAL_1BIT"
+      ? `${sk.gfx}.drawBitmap(0, 0, ${safeName}_data, ${safeName}_w, ${safeName}_h, ${sk.fg});`
+      : draw1bitCall(`${safeName}_data`, safeName, w, layout, sk.gfx, sk.fg);
+    
     // Generate working Arduino code based on draw mode
-    if (drawMode.includes("1BIT") || drawMode.includes("ALPHA")) {
+    if (mono) {
       return `// Generated by Pixel2CPP (${drawMode})
-#include <Adafruit_GFX.h>
-#include <Adafruit_SSD1306.h>
+${describeLayout(layout)}${sk.includes}
 
 const uint16_t ${safeName}_w = ${w};
 const uint16_t ${safeName}_h = ${h};
@@ -143,16 +352,14 @@ const ${dataType} ${safeName}_data[] PROGMEM = {
   ${byteStr}
 };
 
-Adafruit_SSD1306 display(128, 64, &Wire, -1);
+${sk.declare}
 
 void setup() {
   Serial.begin(9600);
   
   // Initialize display
-  display.begin(SSD1306_SWITCHCAPVCC, 0x3C);
-  display.clearDisplay();
-  display.drawBitmap(0, 0, ${safeName}_data, ${safeName}_w, ${safeName}_h, 1);
-  display.display();
+  ${sk.begin}
+  ${sk.frame(drawBits)}
 }
 
 void loop() {
@@ -160,8 +367,7 @@ void loop() {
 }`;
     } else if (drawMode.includes("RGB565")) {
       return `// Generated by Pixel2CPP (RGB565)
-#include <Adafruit_GFX.h>
-#include <Adafruit_ST7735.h>
+${sk.note}${describeLayout(layout)}${sk.includes}
 
 const uint16_t ${safeName}_w = ${w};
 const uint16_t ${safeName}_h = ${h};
@@ -169,33 +375,19 @@ const ${dataType} ${safeName}_data[] PROGMEM = {
   ${byteStr}
 };
 
-#define TFT_CS   10
-#define TFT_RST  9
-#define TFT_DC   8
-
-Adafruit_ST7735 tft = Adafruit_ST7735(TFT_CS, TFT_DC, TFT_RST);
+${sk.declare}
 
 void setup() {
   Serial.begin(9600);
   
   // Initialize display
-  tft.initR(INITR_BLACKTAB);
-  tft.setRotation(0);
-  tft.fillScreen(ST77XX_BLACK);
+  ${sk.begin}
   
   // Display the image
-  drawImage(0, 0);
+  ${sk.frame("drawImage(0, 0);")}
 }
 
-void drawImage(int16_t x0, int16_t y0) {
-  tft.startWrite();
-  tft.setAddrWindow(x0, y0, ${safeName}_w, ${safeName}_h);
-  for (uint16_t i = 0; i < ${safeName}_w * ${safeName}_h; i++) {
-    uint16_t color = pgm_read_word(&${safeName}_data[i]);
-    tft.writePixel(color);
-  }
-  tft.endWrite();
-}
+${rgb565DrawImage(`${safeName}_data`, safeName, w, layout)}
 
 void loop() {
   // Your main code here
@@ -203,7 +395,7 @@ void loop() {
     } else {
       // Fallback for other modes - generic display code with the data
       return `// Generated by Pixel2CPP (${drawMode})
-#include <Adafruit_GFX.h>
+${describeLayout(layout)}#include <Adafruit_GFX.h>
 // Add your display library here (e.g., #include <Adafruit_SSD1306.h>)
 
 const uint16_t ${safeName}_w = ${w};
@@ -233,17 +425,21 @@ void loop() {
     }
   };
 
-  const generateArduinoCode = (bytes, safeName, w, h, dataType, dataFormat, drawMode) => {
+  const generateArduinoCode = (bytes, safeName, w, h, dataType, dataFormat, drawMode, layout, display) => {
     const formatByte = (b) => dataType === "uint16_t" 
       ? "0x" + b.toString(16).toUpperCase().padStart(4, "0")
       : "0x" + b.toString(16).toUpperCase().padStart(2, "0");
     
     const byteStr = bytes.map(formatByte).join(", ");
+    const mono = drawMode.includes("1BIT");
+    const sk = sketchFor(display, mono);
+    const drawBits = drawMode === "VERTICAL_1BIT"
+      ? `${sk.gfx}.drawBitmap(0, 0, ${safeName}_${dataFormat}, ${safeName}_w, ${safeName}_h, ${sk.fg});`
+      : draw1bitCall(`${safeName}_${dataFormat}`, safeName, w, layout, sk.gfx, sk.fg);
     
-    if (drawMode.includes("1BIT")) {
+    if (mono) {
       return `// Generated by Pixel2CPP (${drawMode})
-#include <Adafruit_GFX.h>
-#include <Adafruit_SSD1306.h>
+${describeLayout(layout)}${sk.includes}
 
 const uint16_t ${safeName}_w = ${w};
 const uint16_t ${safeName}_h = ${h};
@@ -251,20 +447,17 @@ const ${dataType} ${safeName}_${dataFormat}[] PROGMEM = {
   ${byteStr}
 };
 
-Adafruit_SSD1306 display(128, 64, &Wire, -1);
+${sk.declare}
 
 void setup() {
-  display.begin(SSD1306_SWITCHCAPVCC, 0x3C);
-  display.clearDisplay();
-  display.drawBitmap(0, 0, ${safeName}_${dataFormat}, ${safeName}_w, ${safeName}_h, 1);
-  display.display();
+  ${sk.begin}
+  ${sk.frame(drawBits)}
 }
 
 void loop() {}`;
     } else if (drawMode.includes("RGB565")) {
       return `// Generated by Pixel2CPP (RGB565)
-#include <Adafruit_GFX.h>
-#include <Adafruit_ST7735.h>
+${sk.note}${describeLayout(layout)}${sk.includes}
 
 const uint16_t ${safeName}_w = ${w};
 const uint16_t ${safeName}_h = ${h};
@@ -272,32 +465,19 @@ const ${dataType} ${safeName}_${dataFormat}[] PROGMEM = {
   ${byteStr}
 };
 
-#define TFT_CS   10
-#define TFT_RST  9
-#define TFT_DC   8
-
-Adafruit_ST7735 tft = Adafruit_ST7735(TFT_CS, TFT_DC, TFT_RST);
+${sk.declare}
 
 void setup() {
-  tft.initR(INITR_BLACKTAB);
-  tft.fillScreen(ST77XX_BLACK);
-  drawImage(0, 0);
+  ${sk.begin}
+  ${sk.frame("drawImage(0, 0);")}
 }
 
-void drawImage(int16_t x0, int16_t y0) {
-  tft.startWrite();
-  tft.setAddrWindow(x0, y0, ${safeName}_w, ${safeName}_h);
-  for (uint16_t i = 0; i < ${safeName}_w * ${safeName}_h; i++) {
-    uint16_t color = pgm_read_word(&${safeName}_${dataFormat}[i]);
-    tft.writePixel(color);
-  }
-  tft.endWrite();
-}
+${rgb565DrawImage(`${safeName}_${dataFormat}`, safeName, w, layout)}
 
 void loop() {}`;
     } else {
       return `// Generated by Pixel2CPP (${drawMode})
-#include <Adafruit_GFX.h>
+${describeLayout(layout)}#include <Adafruit_GFX.h>
 
 const uint16_t ${safeName}_w = ${w};
 const uint16_t ${safeName}_h = ${h};
@@ -309,7 +489,7 @@ const ${dataType} ${safeName}_${dataFormat}[] PROGMEM = {
     }
   };
 
-  const generateArduinoSingleBitmap = (bytes, safeName, w, h, dataType, dataFormat) => {
+  const generateArduinoSingleBitmap = (bytes, safeName, w, h, dataType, dataFormat, layout) => {
     const formatByte = (b) => dataType === "uint16_t" 
       ? "0x" + b.toString(16).toUpperCase().padStart(4, "0")
       : "0x" + b.toString(16).toUpperCase().padStart(2, "0");
@@ -318,34 +498,947 @@ const ${dataType} ${safeName}_${dataFormat}[] PROGMEM = {
     
     return `// Single bitmap array - ${safeName}
 // ${w}x${h} pixels, ${bytes.length} bytes
-const ${dataType} ${safeName}[] PROGMEM = { ${byteStr} };`;
+${describeLayout(layout)}const ${dataType} ${safeName}[] PROGMEM = { ${byteStr} };`;
   };
 
-  const generateGFXBitmapFont = (bytes, safeName, w, h) => {
-    const byteStr = bytes.map((b) => "0x" + b.toString(16).toUpperCase().padStart(2, "0")).join(", ");
-    
-    return `// GFX Bitmap Font format - ${safeName}
+  /**
+   * Adafruit GFX font: frames are glyphs from font.first on, opaque pixels are ink.
+   * Laid out like fontconvert's output so the file drops into a Fonts/ folder.
+   */
+  const generateGFXFont = (frames, safeName, w, h, font) => {
+    const { first, last, yAdvance, bitmap, glyphs } = buildGFXFont(frames, font, w, h);
+    const hex = (b) => "0x" + b.toString(16).toUpperCase().padStart(2, "0");
+    const code = (c) => "0x" + c.toString(16).toUpperCase().padStart(2, "0");
+    const char = (c) => (c >= 0x20 && c < 0x7f ? String.fromCharCode(c) : glyphLabel(c));
+
+    // GFXglyph and GFXfont field types
+    const fits = (v, lo, hi) => Number.isInteger(v) && v >= lo && v <= hi;
+    if (last > 0xffff) return `// Error: Character codes end at ${code(last)}; GFXfont stores them as uint16_t`;
+    if (bitmap.length > 0xffff) return `// Error: ${bitmap.length} bytes of glyph bitmaps; GFXglyph offsets are uint16_t (65535 max)`;
+    if (!fits(yAdvance, 1, 255)) return `// Error: Line height ${yAdvance} doesn't fit GFXfont's uint8_t yAdvance`;
+    const bad = glyphs.find((g) => !fits(g.width, 0, 255) || !fits(g.height, 0, 255) || !fits(g.xAdvance, 0, 255)
+      || !fits(g.xOffset, -128, 127) || !fits(g.yOffset, -128, 127));
+    if (bad) return `// Error: Glyph ${code(bad.code)} '${char(bad.code)}' metrics don't fit GFXglyph (8-bit size, advance and offsets)`;
+
+    const rows = [];
+    for (let i = 0; i < bitmap.length; i += 12) rows.push(bitmap.slice(i, i + 12).map(hex).join(", "));
+    const pad = (v, n) => String(v).padStart(n);
+    const glyphRows = glyphs.map((g, i) =>
+      `  { ${pad(g.bitmapOffset, 5)}, ${pad(g.width, 3)}, ${pad(g.height, 3)}, ${pad(g.xAdvance, 3)}, ${pad(g.xOffset, 4)}, ${pad(g.yOffset, 4)} }${i < glyphs.length - 1 ? "," : " "}   // ${code(g.code)} '${char(g.code)}'`);
+    const ascent = -Math.min(0, ...glyphs.map((g) => g.yOffset));
+
+    return `// Generated by Pixel2CPP - Adafruit GFX font, ${glyphs.length} glyph${glyphs.length === 1 ? "" : "s"} ${code(first)}-${code(last)} from ${w}x${h} cells
+// Usage:
+//   display.setFont(&${safeName});
+//   display.setCursor(0, ${ascent}); // the cursor is on the baseline
+//   display.print("Hello");
 #include <Adafruit_GFX.h>
 
 const uint8_t ${safeName}Bitmaps[] PROGMEM = {
-  ${byteStr}
+  ${rows.join(",\n  ") || "0x00"}
 };
 
 const GFXglyph ${safeName}Glyphs[] PROGMEM = {
-  { 0, ${w}, ${h}, ${w}, 0, 0 } // Single glyph covering entire bitmap
+${glyphRows.join("\n")}
 };
 
 const GFXfont ${safeName} PROGMEM = {
-  (uint8_t *)${safeName}Bitmaps,
+  (uint8_t  *)${safeName}Bitmaps,
   (GFXglyph *)${safeName}Glyphs,
-  0, 0, ${h}
+  ${code(first)}, ${code(last)}, ${yAdvance} };
+
+// Approx. ${bitmap.length + glyphs.length * 7 + 7} bytes`;
+  };
+
+  /**
+   * u8g2 font: the same glyphs run-length encoded the way bdfconv writes them,
+   * so the array works with u8g2.setFont() like the library's own fonts.
+   */
+  const generateU8g2Font = (frames, safeName, w, h, font) => {
+    const { bytes, glyphCount, ascent } = buildU8g2Font(frames, font, w, h);
+    const first = font.first, last = font.first + frames.length - 1;
+    const code = (c) => "0x" + c.toString(16).toUpperCase().padStart(2, "0");
+    const rows = [];
+    for (let i = 0; i < bytes.length; i += 16) rows.push(bytes.slice(i, i + 16).map((b) => "0x" + b.toString(16).toUpperCase().padStart(2, "0")).join(", "));
+
+    return `// Generated by Pixel2CPP - u8g2 font, ${glyphCount} glyph${glyphCount === 1 ? "" : "s"} ${code(first)}-${code(last)} from ${w}x${h} cells
+// Usage:
+//   u8g2.setFont(${safeName});
+//   u8g2.drawStr(0, ${ascent}, "Hello"); // y is the baseline
+//   u8g2.sendBuffer();
+#include <U8g2lib.h>
+
+const uint8_t ${safeName}[${bytes.length}] U8G2_FONT_SECTION("${safeName}") = {
+  ${rows.join(",\n  ")}
+};`;
+  };
+
+  const generateLVGLImage = (drawMode, w, h, data, safeName, version, packing) => {
+    const v9 = version === "9";
+    const { cf, bytes, stride, colorDepth, swap16, note } = buildLvglImage(drawMode, w, h, data, version, packing);
+    const hex = (b) => "0x" + b.toString(16).toUpperCase().padStart(2, "0");
+    
+    // One line per pixel row; indexed formats have the palette in front of the rows
+    const rowsStart = bytes.length - stride * h;
+    const lines = [];
+    if (rowsStart > 0) lines.push(bytes.slice(0, rowsStart).map(hex).join(", ") + ", // palette");
+    for (let y = 0; y < h; y++) {
+      lines.push(bytes.slice(rowsStart + y * stride, rowsStart + (y + 1) * stride).map(hex).join(", ") + ",");
+    }
+    
+    let guard = "";
+    if (colorDepth) {
+      guard += `
+#if LV_COLOR_DEPTH != ${colorDepth}
+#error "${safeName}: ${cf} data was generated for LV_COLOR_DEPTH ${colorDepth}"
+#endif`;
+    }
+    if (colorDepth === 16) {
+      guard += `
+#if LV_COLOR_16_SWAP != ${swap16 ? 1 : 0}
+#error "${safeName}: RGB565 data was generated ${swap16 ? "with" : "without"} LV_COLOR_16_SWAP"
+#endif`;
+    }
+    
+    const header = v9
+      ? `const lv_image_dsc_t ${safeName} = {
+  .header.magic = LV_IMAGE_HEADER_MAGIC,
+  .header.cf = ${cf},
+  .header.flags = 0,
+  .header.w = ${w},
+  .header.h = ${h},
+  .header.stride = ${stride},
+  .data_size = sizeof(${safeName}_map),
+  .data = ${safeName}_map,
+};`
+      : `const lv_img_dsc_t ${safeName} = {
+  .header.cf = ${cf},
+  .header.always_zero = 0,
+  .header.reserved = 0,
+  .header.w = ${w},
+  .header.h = ${h},
+  .data_size = sizeof(${safeName}_map),
+  .data = ${safeName}_map,
 };`;
+    
+    const usage = v9
+      ? `//   LV_IMAGE_DECLARE(${safeName});
+//   lv_obj_t * img = lv_image_create(lv_screen_active());
+//   lv_image_set_src(img, &${safeName});`
+      : `//   LV_IMG_DECLARE(${safeName});
+//   lv_obj_t * img = lv_img_create(lv_scr_act());
+//   lv_img_set_src(img, &${safeName});`;
+    
+    return `// Generated by Pixel2CPP (${drawMode}) - LVGL v${version} image, ${w}x${h}, ${note}
+// Usage:
+${usage}
+#if defined(LV_LVGL_H_INCLUDE_SIMPLE)
+#include "lvgl.h"
+#else
+#include "lvgl/lvgl.h"
+#endif
+${guard}
+#ifndef LV_ATTRIBUTE_MEM_ALIGN
+#define LV_ATTRIBUTE_MEM_ALIGN
+#endif
+
+#ifndef LV_ATTRIBUTE_LARGE_CONST
+#define LV_ATTRIBUTE_LARGE_CONST
+#endif
+
+#ifndef LV_ATTRIBUTE_IMG_${safeName.toUpperCase()}
+#define LV_ATTRIBUTE_IMG_${safeName.toUpperCase()}
+#endif
+
+// ${bytes.length} bytes, ${stride} bytes per row
+const LV_ATTRIBUTE_MEM_ALIGN LV_ATTRIBUTE_LARGE_CONST LV_ATTRIBUTE_IMG_${safeName.toUpperCase()} uint8_t ${safeName}_map[] = {
+  ${lines.join("\n  ")}
+};
+
+${header}`;
+  };
+
+  // Sketch (ARDUINO_CODE) or header (PLAIN_BYTES) around TFT_eSPI data and a draw_<name>() helper
+  const tftESPIWrap = (title, safeName, outputFormat, body, display, sprite = "") => {
+    if (outputFormat === "PLAIN_BYTES") {
+      return `// Generated by Pixel2CPP (${title}) for TFT_eSPI
+// Requires a TFT_eSPI object named 'tft' in the sketch
+#include <TFT_eSPI.h>
+
+extern TFT_eSPI tft;
+
+${body}`;
+    }
+    return `// Generated by Pixel2CPP (${title}) for TFT_eSPI
+// Display driver and pins are configured in TFT_eSPI's User_Setup.h
+${tftESPISetupComment(display)}#include <TFT_eSPI.h>
+
+TFT_eSPI tft = TFT_eSPI();${sprite ? `
+TFT_eSprite spr = TFT_eSprite(&tft);` : ""}
+
+${body}
+
+void setup() {
+  tft.init();
+  tft.setRotation(${display.rotation});
+  tft.fillScreen(TFT_BLACK);
+  draw_${safeName}(0, 0);${sprite}
+}
+
+void loop() {}`;
+  };
+
+  const generateTFTeSPICode = (bytes, safeName, w, h, dataType, dataFormat, drawMode, outputFormat, layout, display) => {
+    const N = safeName;
+    const arrayName = `${N}_${dataFormat}`;
+    const formatByte = (b) => dataType === "uint16_t" 
+      ? "0x" + b.toString(16).toUpperCase().padStart(4, "0")
+      : "0x" + b.toString(16).toUpperCase().padStart(2, "0");
+    const data = `const uint16_t ${N}_w = ${w};
+const uint16_t ${N}_h = ${h};
+${describeLayout(layout)}const ${dataType} ${arrayName}[] PROGMEM = {
+  ${bytes.map(formatByte).join(", ")}
+};`;
+    const lsb = layout.bitOrder === "lsb";
+    
+    if (drawMode === "HORIZONTAL_RGB565" || drawMode === "HORIZONTAL_RGB332") {
+      // pushImage has no stride argument, so padded rows are pushed one at a time
+      const rgb565 = drawMode === "HORIZONTAL_RGB565";
+      const strideUnits = rgb565 ? layout.stride / 2 : layout.stride;
+      const extra = rgb565 ? "" : ", true";
+      const push = strideUnits === w
+        ? `tft.pushImage(x0, y0, ${N}_w, ${N}_h, ${arrayName}${extra});`
+        : `for (int32_t y = 0; y < ${N}_h; y++) {
+    tft.pushImage(x0, y0 + y, ${N}_w, 1, ${arrayName} + y * ${strideUnits}${extra});
+  }`;
+      const swap = rgb565
+        ? `
+  tft.setSwapBytes(${layout.byteOrder === "big" ? "false); // words are stored big-endian, as the display expects" : "true); // words are stored in native little-endian order"}`
+        : "";
+      const body = `${data}
+
+// Draw the ${rgb565 ? "RGB565" : "RGB332"} image with pushImage
+void draw_${N}(int32_t x0, int32_t y0) {${swap}
+  ${push}
+}`;
+      // Sprites keep a RAM copy for flicker-free redraws
+      const sprite = rgb565 && strideUnits === w ? `
+
+  // The same image buffered in a TFT_eSprite
+  spr.createSprite(${N}_w, ${N}_h);
+  spr.setSwapBytes(${layout.byteOrder === "big" ? "false" : "true"});
+  spr.pushImage(0, 0, ${N}_w, ${N}_h, ${arrayName});
+  spr.pushSprite(${N}_w + 4, 0);` : "";
+      return tftESPIWrap(drawMode, N, outputFormat, body, display, sprite);
+    }
+    
+    let draw;
+    if (drawMode === "VERTICAL_1BIT") {
+      draw = `void draw_${N}(int32_t x0, int32_t y0, uint16_t color = TFT_WHITE) {
+  for (uint16_t x = 0; x < ${N}_w; x++) {
+    for (uint16_t y = 0; y < ${N}_h; y++) {
+      if (pgm_read_byte(&${arrayName}[x * ${layout.stride} + (y >> 3)]) & ${lsb ? "(1 << (y & 7))" : "(0x80 >> (y & 7))"}) tft.drawPixel(x0 + x, y0 + y, color);
+    }
+  }
+}`;
+    } else if (drawMode.includes("1BIT") || drawMode.includes("ALPHA")) {
+      draw = `void draw_${N}(int32_t x0, int32_t y0, uint16_t color = TFT_WHITE) {
+  ${draw1bitCall(arrayName, N, w, layout, "tft", "color", "x0", "y0")}
+}`;
+    } else if (drawMode === "HORIZONTAL_GRAY4") {
+      const rowBits = layout.stride === null ? `${w * 4}` : `${layout.stride * 8}`;
+      draw = `void draw_${N}(int32_t x0, int32_t y0) {
+  for (uint16_t y = 0; y < ${N}_h; y++) {
+    for (uint16_t x = 0; x < ${N}_w; x++) {
+      uint32_t bit = (uint32_t)y * ${rowBits} + (uint32_t)x * 4;
+      uint8_t v = (pgm_read_byte(&${arrayName}[bit >> 3]) >> (${lsb ? "bit & 7" : "4 - (bit & 7)"})) & 0x0F;
+      tft.drawPixel(x0 + x, y0 + y, tft.color565(v * 17, v * 17, v * 17));
+    }
+  }
+}`;
+    } else {
+      // 24-bit RGB or 32-bit RGBA: no push call for these, convert per pixel
+      const size = drawMode === "HORIZONTAL_RGB888_32" ? 4 : 3;
+      const stride = size === 4 ? w * 4 : layout.stride;
+      draw = `void draw_${N}(int32_t x0, int32_t y0) {
+  for (uint16_t y = 0; y < ${N}_h; y++) {
+    for (uint16_t x = 0; x < ${N}_w; x++) {
+      const uint8_t *p = &${arrayName}[(uint32_t)y * ${stride} + x * ${size}];${size === 4 ? `
+      if (pgm_read_byte(p + 3) <= 127) continue; // transparent` : ""}
+      tft.drawPixel(x0 + x, y0 + y, tft.color565(pgm_read_byte(p), pgm_read_byte(p + 1), pgm_read_byte(p + 2)));
+    }
+  }
+}`;
+    }
+    return tftESPIWrap(drawMode, N, outputFormat, `${data}
+
+${draw}`, display);
+  };
+
+  // XBM data for U8g2's drawXBMP: LSB-first 1-bit rows padded to whole bytes
+  const generateU8g2Code = (bytes, safeName, w, h, selectedMode, outputFormat, display) => {
+    const N = safeName;
+    const alpha = selectedMode === "HORIZONTAL_ALPHA";
+    const note = alpha
+      ? "// Set bits are opaque pixels; bitmap mode 1 leaves the others untouched\n"
+      : selectedMode.includes("1BIT")
+      ? ""
+      : `// U8g2 is monochrome: ${selectedMode} pixels are thresholded to 1-bit (lighter = on)\n`;
+    const data = `#define ${N}_width ${w}
+#define ${N}_height ${h}
+static const unsigned char ${N}_bits[] U8X8_PROGMEM = {
+  ${bytes.map((b) => "0x" + b.toString(16).toUpperCase().padStart(2, "0")).join(", ")}
+};`;
+    
+    if (outputFormat === "PLAIN_BYTES") {
+      return `// Generated by Pixel2CPP (XBM) for U8g2
+${note}// Draw with: u8g2.drawXBMP(x, y, ${N}_width, ${N}_height, ${N}_bits);
+#include <U8g2lib.h>
+
+${data}`;
+    }
+    
+    const u8 = u8g2Sketch(display);
+    return `// Generated by Pixel2CPP (XBM) for U8g2
+${note}${u8.note}#include <U8g2lib.h>
+#include <Wire.h>
+
+${data}
+
+${u8.declare}
+
+void setup() {
+  ${u8.begin}${alpha ? `
+  u8g2.setBitmapMode(1);` : ""}
+}
+
+void loop() {
+  u8g2.clearBuffer();
+  u8g2.drawXBMP(0, 0, ${N}_width, ${N}_height, ${N}_bits);
+  u8g2.sendBuffer();
+  delay(1000);
+}`;
+  };
+
+  // Palette table declaration and a C expression reading entry `idx` as an RGB565 color
+  const paletteTable = (palette, safeName, paletteFormat, color565 = "tft.color565") => {
+    const hex2 = (v) => "0x" + v.toString(16).toUpperCase().padStart(2, "0");
+    if (paletteFormat === "RGB888") {
+      const entries = paletteToRGB888(palette).map(([r, g, b]) => `{ ${hex2(r)}, ${hex2(g)}, ${hex2(b)} }`).join(", ");
+      return {
+        paletteDecl: `const uint8_t ${safeName}_palette[][3] PROGMEM = {
+  ${entries}
+};`,
+        readColor: `${color565}(pgm_read_byte(&${safeName}_palette[idx][0]), pgm_read_byte(&${safeName}_palette[idx][1]), pgm_read_byte(&${safeName}_palette[idx][2]))`,
+      };
+    }
+    const entries = paletteToRGB565(palette).map((v) => "0x" + v.toString(16).toUpperCase().padStart(4, "0")).join(", ");
+    return {
+      paletteDecl: `const uint16_t ${safeName}_palette[] PROGMEM = {
+  ${entries}
+};`,
+      readColor: `pgm_read_word(&${safeName}_palette[idx])`,
+    };
+  };
+
+  const generateIndexedCode = (bytes, palette, safeName, w, h, bits, paletteFormat, outputFormat, layout, library, display) => {
+    const byteStr = bytes.map((b) => "0x" + b.toString(16).toUpperCase().padStart(2, "0")).join(", ");
+    const transparentIndex = palette.findIndex((c) => c.a === 0);
+    const { stride } = layout;
+    const rowBits = stride === null ? `${w * bits}` : `${stride * 8}`;
+    const shift = layout.bitOrder === "lsb" ? "bit & 7" : `8 - ${bits} - (bit & 7)`;
+    const { paletteDecl, readColor } = paletteTable(palette, safeName, paletteFormat);
+    
+    const data = `const uint16_t ${safeName}_w = ${w};
+const uint16_t ${safeName}_h = ${h};
+const uint8_t ${safeName}_bpp = ${bits};
+const uint16_t ${safeName}_palette_size = ${palette.length};
+const int16_t ${safeName}_transparent = ${transparentIndex}; // -1 = none
+
+// ${palette.length} color palette (${paletteFormat}${layout.bgr ? ", BGR color order" : ""})
+${paletteDecl}
+
+// ${bits}-bit palette indices, ${layout.bitOrder === "lsb" ? "LSB" : "MSB"}-first, ${stride === null ? "bit-continuous rows" : `rows padded to ${stride} bytes`}
+const uint8_t ${safeName}_indices[] PROGMEM = {
+  ${byteStr}
+};`;
+    
+    if (outputFormat === "ARDUINO_SINGLE_BITMAP") {
+      return `// Indexed bitmap - ${safeName}
+// ${w}x${h} pixels, ${bytes.length} bytes + ${palette.length} color palette
+${data}`;
+    }
+    
+    const helper = `// Read the palette index of pixel (x, y)
+uint8_t ${safeName}_index(uint16_t x, uint16_t y) {
+  uint32_t bit = (uint32_t)y * ${rowBits} + (uint32_t)x * ${bits};
+  uint8_t packed = pgm_read_byte(&${safeName}_indices[bit >> 3]);
+  return (packed >> (${shift})) & ${(1 << bits) - 1};
+}
+
+// Draw the sprite at (x0, y0), skipping the transparent index
+void draw_${safeName}(int16_t x0, int16_t y0) {
+  for (uint16_t y = 0; y < ${safeName}_h; y++) {
+    for (uint16_t x = 0; x < ${safeName}_w; x++) {
+      uint8_t idx = ${safeName}_index(x, y);
+      if (idx == ${safeName}_transparent) continue;
+      tft.drawPixel(x0 + x, y0 + y, ${readColor});
+    }
+  }
+}`;
+    
+    if (library === "TFT_ESPI") {
+      return tftESPIWrap(`HORIZONTAL_INDEXED${bits}`, safeName, outputFormat, `${data}
+
+${helper}`, display);
+    }
+    
+    if (outputFormat === "PLAIN_BYTES") {
+      return `// Generated by Pixel2CPP (HORIZONTAL_INDEXED${bits})
+// Requires a display object named 'tft' (any Adafruit_GFX TFT driver)
+#include <Adafruit_GFX.h>
+
+${data}
+
+${helper}`;
+    }
+    
+    const sk = sketchFor(display, false);
+    return `// Generated by Pixel2CPP (HORIZONTAL_INDEXED${bits})
+${sk.note}${sk.includes}
+
+${data}
+
+${sk.declare}
+
+${helper}
+
+void setup() {
+  ${sk.begin}
+  ${sk.frame(`draw_${safeName}(0, 0);`)}
+}
+
+void loop() {}`;
+  };
+
+  // C body of the byte sink that unpacks a decoded stream into pixels for each draw mode
+  const pixelSinkBody = (drawMode, N, bits, readColor, bpp, layout, w, h) => {
+    const at = `${N}_x0 + ${N}_x, ${N}_y0 + ${N}_y`;
+    const lsb = layout.bitOrder === "lsb";
+    // Padding bytes at the end of each row (column for vertical 1-bit) are skipped
+    const skipPad = (pad) => (pad > 0 ? ` ${N}_skip = ${pad};` : "");
+
+    if (drawMode === "VERTICAL_1BIT") {
+      return `  for (uint8_t k = 0; k < 8; k++) {
+    if (((b >> ${lsb ? "k" : "(7 - k)"}) & 1) && ${N}_y + k < ${N}_h) P2C_DRAW_PIXEL(${N}_x0 + ${N}_x, ${N}_y0 + ${N}_y + k, P2C_FG);
+  }
+  ${N}_y += 8;
+  if (${N}_y >= ${N}_h) { ${N}_y = 0; ${N}_x++;${skipPad(layout.stride - Math.ceil(h / 8))} }`;
+    }
+
+    if (bpp < 8 || bits) {
+      const v = bits ? "idx" : "v";
+      const draw = bits
+        ? `if (idx != ${N}_transparent) P2C_DRAW_PIXEL(${at}, ${readColor});`
+        : bpp === 4
+        ? `P2C_DRAW_PIXEL(${at}, P2C_COLOR565(v * 17, v * 17, v * 17));`
+        : `if (v) P2C_DRAW_PIXEL(${at}, P2C_FG);`;
+      const shift = bpp === 8 ? "0" : lsb ? `${bpp} * k` : `${8 - bpp} - ${bpp} * k`;
+      const continuous = layout.stride === null;
+      return `  for (uint8_t k = 0; k < ${8 / bpp}; k++) {
+    uint8_t ${v} = (b >> (${shift})) & ${(1 << bpp) - 1};
+    if (${N}_x < ${N}_w && ${N}_y < ${N}_h) ${draw}
+    ${N}_x++;${continuous ? `
+    if (${N}_x >= ${N}_w) { ${N}_x = 0; ${N}_y++; }` : ""}
+  }${continuous ? "" : `
+  if (${N}_x >= ${N}_w) { ${N}_x = 0; ${N}_y++;${skipPad(layout.stride - Math.ceil((w * bpp) / 8))} }`}`;
+    }
+
+    const endRow = `  if (++${N}_x >= ${N}_w) { ${N}_x = 0; ${N}_y++;${skipPad(layout.stride - (w * bpp) / 8)} }`;
+    if (bpp === 8) {
+      return `  P2C_DRAW_PIXEL(${at}, P2C_COLOR565(b & 0xE0, (b << 3) & 0xE0, (b << 6) & 0xC0));
+${endRow}`;
+    }
+    // Multi-byte pixels are collected in ${N}_acc first
+    const size = bpp / 8;
+    const draw = size === 2
+      ? layout.byteOrder === "big"
+        ? `P2C_DRAW_PIXEL(${at}, (uint16_t)((${N}_acc[1] << 8) | ${N}_acc[0]));`
+        : `P2C_DRAW_PIXEL(${at}, (uint16_t)((${N}_acc[0] << 8) | ${N}_acc[1]));`
+      : size === 4
+      ? `if (${N}_acc[3] > 127) P2C_DRAW_PIXEL(${at}, P2C_COLOR565(${N}_acc[0], ${N}_acc[1], ${N}_acc[2]));`
+      : `P2C_DRAW_PIXEL(${at}, P2C_COLOR565(${N}_acc[0], ${N}_acc[1], ${N}_acc[2]));`;
+    return `  ${N}_acc[${N}_n++] = b;
+  if (${N}_n < ${size}) return;
+  ${N}_n = 0;
+  ${draw}
+${endRow}`;
+  };
+
+  // Decoder streaming a byte array to `sink`; `params`, `src` and `size` name the data it reads,
+  // so stills read their array directly and animation frames are passed in
+  const streamDecoder = (scheme, N, params, src, size) => {
+    if (scheme === "RLE") {
+      return `// RLE: ctrl < 0x80 → (ctrl + 1) literal bytes follow; ctrl >= 0x80 → next byte repeats (ctrl - 0x80 + 3) times
+void ${N}_decode(${params}) {
+  uint32_t i = 0;
+  while (i < ${size}) {
+    uint8_t ctrl = pgm_read_byte(&${src}[i++]);
+    if (ctrl & 0x80) {
+      uint8_t value = pgm_read_byte(&${src}[i++]);
+      for (uint8_t n = (ctrl & 0x7F) + 3; n > 0; n--) sink(value);
+    } else {
+      for (uint8_t n = ctrl + 1; n > 0; n--) sink(pgm_read_byte(&${src}[i++]));
+    }
+  }
+}`;
+    }
+    if (scheme === "LZ") {
+      return `// LZSS: a flag byte precedes each group of 8 tokens (LSB first). Flag 1 = literal byte,
+// flag 0 = {distance - 1, length - 3} copied from the last 256 output bytes
+void ${N}_decode(${params}) {
+  static uint8_t window[256];
+  uint8_t pos = 0, flags = 0, remaining = 0;
+  uint32_t i = 0;
+  while (i < ${size}) {
+    if (remaining == 0) {
+      flags = pgm_read_byte(&${src}[i++]);
+      remaining = 8;
+      continue;
+    }
+    if (flags & 1) {
+      uint8_t b = pgm_read_byte(&${src}[i++]);
+      window[pos++] = b;
+      sink(b);
+    } else {
+      uint8_t from = pos - (uint8_t)(pgm_read_byte(&${src}[i++]) + 1);
+      uint16_t len = pgm_read_byte(&${src}[i++]) + 3;
+      while (len--) {
+        uint8_t b = window[from++];
+        window[pos++] = b;
+        sink(b);
+      }
+    }
+    flags >>= 1;
+    remaining--;
+  }
+}`;
+    }
+    return `void ${N}_decode(${params}) {
+  for (uint32_t i = 0; i < ${size}; i++) sink(pgm_read_byte(&${src}[i]));
+}`;
+  };
+
+  // Pixel sink state and function turning a decoded byte stream into draw calls
+  const streamSink = (drawMode, N, bits, readColor, bpp, layout, w, h) => `// Streams decoded bytes straight to the display as pixels
+static int16_t ${N}_x0, ${N}_y0;
+static uint16_t ${N}_x, ${N}_y, ${N}_skip;
+static uint8_t ${N}_acc[4], ${N}_n;
+
+static void ${N}_sink(uint8_t b) {
+  if (${N}_skip) { ${N}_skip--; return; }
+${pixelSinkBody(drawMode, N, bits, readColor, bpp, layout, w, h)}
+}`;
+
+  // P2C_DRAW_PIXEL / P2C_FG / P2C_COLOR565 macros the streaming sink draws with
+  const streamMacros = (mono, library, sk) => {
+    const drawPixel = library === "U8G2"
+      ? "u8g2.drawPixel(x, y)"
+      : `${library === "TFT_ESPI" ? "tft" : sk.gfx}.drawPixel(x, y, c)`;
+    return mono
+      ? `#ifndef P2C_DRAW_PIXEL
+#define P2C_DRAW_PIXEL(x, y, c) ${drawPixel}
+#endif
+#define P2C_FG ${library === "U8G2" ? "1" : library === "TFT_ESPI" ? "TFT_WHITE" : sk.fg}`
+      : `#ifndef P2C_DRAW_PIXEL
+#define P2C_DRAW_PIXEL(x, y, c) ${drawPixel}
+#endif
+#define P2C_COLOR565(r, g, b) ((((r) & 0xF8) << 8) | (((g) & 0xFC) << 3) | ((b) >> 3))`;
+  };
+
+  // Statements clearing the screen, running `draw` and pushing the result for a library
+  const frameStatements = (library, sk, draw) => {
+    if (library === "TFT_ESPI") return `tft.fillScreen(TFT_BLACK);
+  ${draw}`;
+    if (library === "U8G2") return `u8g2.clearBuffer();
+  ${draw}
+  u8g2.sendBuffer();`;
+    return sk.frame(draw);
+  };
+
+  // Display declaration, `body` and a setup() that draws once (then runs `after`) for a library
+  const streamSketch = (library, display, sk, macros, body, draw, after = "") => {
+    const tail = after ? `\n  ${after}` : "";
+    if (library === "TFT_ESPI") {
+      return `${tftESPISetupComment(display)}#include <TFT_eSPI.h>
+
+TFT_eSPI tft = TFT_eSPI();
+
+${macros}
+
+${body}
+
+void setup() {
+  tft.init();
+  tft.setRotation(${display.rotation});
+  ${frameStatements(library, sk, draw)}${tail}
+}`;
+    }
+    if (library === "U8G2") {
+      const u8 = u8g2Sketch(display);
+      return `${u8.note}#include <U8g2lib.h>
+#include <Wire.h>
+
+${u8.declare}
+
+${macros}
+
+${body}
+
+void setup() {
+  ${u8.begin}
+  ${frameStatements(library, sk, draw)}${tail}
+}`;
+    }
+    return `${sk.note}${sk.includes}
+
+${sk.declare}
+
+${macros}
+
+${body}
+
+void setup() {
+  ${sk.begin}
+  ${frameStatements(library, sk, draw)}${tail}
+}`;
+  };
+
+  const generateCompressedCode = (values, safeName, w, h, dataType, drawMode, scheme, outputFormat, palette, bits, paletteFormat, bpp, layout, library = "ADAFRUIT_GFX", display = displayConfig("SSD1306")) => {
+    const N = safeName;
+    const raw = toByteStream(values, dataType);
+    const packed = compressBytes(raw, scheme);
+    const ratio = ((packed.length / raw.length) * 100).toFixed(1);
+    const byteStr = packed.map((b) => "0x" + b.toString(16).toUpperCase().padStart(2, "0")).join(", ");
+    const arrayName = `${N}_${scheme.toLowerCase()}`;
+    const mono = !bits && (drawMode.includes("1BIT") || drawMode.includes("ALPHA"));
+
+    let paletteDecl = "", readColor = "";
+    if (palette) {
+      ({ paletteDecl, readColor } = paletteTable(palette, N, paletteFormat, "P2C_COLOR565"));
+      paletteDecl = `const int16_t ${N}_transparent = ${palette.findIndex((c) => c.a === 0)}; // -1 = none
+${paletteDecl}
+`;
+    }
+
+    const body = `const uint16_t ${N}_w = ${w};
+const uint16_t ${N}_h = ${h};
+const uint32_t ${N}_raw_size = ${raw.length};
+${paletteDecl}
+// ${scheme} compressed ${drawMode} data: ${packed.length} of ${raw.length} bytes (${ratio}%)
+const uint8_t ${arrayName}[] PROGMEM = {
+  ${byteStr}
+};
+
+${streamDecoder(scheme, N, "void (*sink)(uint8_t)", arrayName, `sizeof(${arrayName})`)}
+
+${streamSink(drawMode, N, bits, readColor, bpp, layout, w, h)}
+
+void draw_${N}(int16_t x0, int16_t y0) {
+  ${N}_x0 = x0; ${N}_y0 = y0;
+  ${N}_x = 0; ${N}_y = 0; ${N}_n = 0; ${N}_skip = 0;
+  ${N}_decode(${N}_sink);
+}`;
+
+    const sk = sketchFor(display, mono);
+    const macros = streamMacros(mono, library, sk);
+
+    if (outputFormat !== "ARDUINO_CODE") {
+      return `// Generated by Pixel2CPP (${drawMode}, ${scheme})
+${describeLayout(layout)}// Define P2C_DRAW_PIXEL before including to target another display object
+${macros}
+
+${body}`;
+    }
+
+    return `// Generated by Pixel2CPP (${drawMode}, ${scheme})
+${describeLayout(layout)}${streamSketch(library, display, sk, macros, body, `draw_${N}(0, 0);`)}
+
+void loop() {}`;
+  };
+
+  /**
+   * Animation output: every frame packed with a shared palette, a frame count and a
+   * timing table. Sketches and headers stream frames through the same pixel sink
+   * as compressed stills (raw 2D array, or per-frame compressed arrays behind a
+   * pointer table) and play them back from loop(); single bitmaps only hold the data.
+   */
+  const generateAnimationCode = (frames, N, w, h, drawMode, outputFormat, scheme, packing, paletteFormat, library, display, bgr) => {
+    const swapRB = (data) => (bgr ? swapRedBlueBuffer(asBuffer(data)) : data);
+    const bits = indexedBits(drawMode);
+    const palette = bits ? buildPalette(frames.flatMap((f) => asPixels(swapRB(f.data))), 1 << bits) : null;
+    const packed = frames.map((f) => packCanvas(drawMode, w, h, swapRB(f.data), packing, palette));
+    const { dataType, bpp } = packed[0];
+    const layout = { ...packed[0].layout, bgr };
+    const count = frames.length;
+    const hex = (b, digits = 2) => "0x" + b.toString(16).toUpperCase().padStart(digits, "0");
+    const mono = !bits && (drawMode.includes("1BIT") || drawMode.includes("ALPHA"));
+
+    const header = `const uint16_t ${N}_w = ${w};
+const uint16_t ${N}_h = ${h};
+const uint16_t ${N}_frame_count = ${count};
+
+// Frame durations in milliseconds
+const uint16_t ${N}_frame_ms[${count}] PROGMEM = { ${frames.map((f) => f.duration).join(", ")} };`;
+
+    let paletteDecl = "", readColor = "";
+    if (palette) {
+      ({ paletteDecl, readColor } = paletteTable(palette, N, paletteFormat, "P2C_COLOR565"));
+      paletteDecl = `
+const int16_t ${N}_transparent = ${palette.findIndex((c) => c.a === 0)}; // -1 = none
+// ${palette.length} color palette shared by all frames (${paletteFormat})
+${paletteDecl}
+`;
+    }
+
+    if (outputFormat === "ARDUINO_SINGLE_BITMAP") {
+      const digits = dataType === "uint16_t" ? 4 : 2;
+      return `// Animation - ${N}
+// ${w}x${h} pixels, ${count} frames of ${packed[0].bytes.length} values
+${describeLayout(layout)}${header}
+${paletteDecl}
+const ${dataType} ${N}_frames[${count}][${packed[0].bytes.length}] PROGMEM = {
+${packed.map((p, i) => `  { ${p.bytes.map((b) => hex(b, digits)).join(", ")} }, // Frame ${i}`).join("\n")}
+};`;
+    }
+
+    // Frames are streamed as bytes, 16-bit words high byte first
+    const streams = packed.map((p) => toByteStream(p.bytes, dataType));
+    let frameData, decode;
+    if (scheme === "NONE") {
+      frameData = `// ${count} frames of ${streams[0].length} bytes
+const uint8_t ${N}_frames[${count}][${streams[0].length}] PROGMEM = {
+${streams.map((b, i) => `  { ${b.map((v) => hex(v)).join(", ")} }, // Frame ${i}`).join("\n")}
+};`;
+      decode = `${N}_decode(${N}_frames[f], sizeof(${N}_frames[0]), ${N}_sink);`;
+    } else {
+      const suffix = scheme.toLowerCase();
+      const compressed = streams.map((b) => compressBytes(b, scheme));
+      const total = compressed.reduce((n, c) => n + c.length, 0);
+      const raw = streams[0].length * count;
+      frameData = `${compressed.map((c, i) => `const uint8_t ${N}_frame${i}_${suffix}[] PROGMEM = {
+  ${c.map((v) => hex(v)).join(", ")}
+};`).join("\n")}
+
+// ${scheme} compressed frames: ${total} of ${raw} bytes (${((total / raw) * 100).toFixed(1)}%)
+const uint8_t* const ${N}_frames[${count}] PROGMEM = { ${compressed.map((_, i) => `${N}_frame${i}_${suffix}`).join(", ")} };
+const uint32_t ${N}_frame_size[${count}] PROGMEM = { ${compressed.map((c) => c.length).join(", ")} };`;
+      decode = `${N}_decode((const uint8_t*)pgm_read_ptr(&${N}_frames[f]), pgm_read_dword(&${N}_frame_size[f]), ${N}_sink);`;
+    }
+
+    const body = `${header}
+${paletteDecl}
+${frameData}
+
+${streamDecoder(scheme, N, "const uint8_t* data, uint32_t size, void (*sink)(uint8_t)", "data", "size")}
+
+${streamSink(drawMode, N, bits, readColor, bpp, layout, w, h)}
+
+// Draw frame f (0 to ${N}_frame_count - 1) at (x0, y0)
+void draw_${N}_frame(uint16_t f, int16_t x0, int16_t y0) {
+  ${N}_x0 = x0; ${N}_y0 = y0;
+  ${N}_x = 0; ${N}_y = 0; ${N}_n = 0; ${N}_skip = 0;
+  ${decode}
+}
+
+// Playback: returns true when the current frame's time is up and ${N}_frame has advanced
+uint16_t ${N}_frame = 0;
+uint32_t ${N}_frame_start = 0;
+
+bool ${N}_next_frame() {
+  if (millis() - ${N}_frame_start < pgm_read_word(&${N}_frame_ms[${N}_frame])) return false;
+  ${N}_frame_start = millis();
+  ${N}_frame = (${N}_frame + 1) % ${N}_frame_count;
+  return true;
+}`;
+
+    const sk = sketchFor(display, mono);
+    const macros = streamMacros(mono, library, sk);
+    const title = `// Generated by Pixel2CPP (${drawMode}, ${count}-frame animation${scheme === "NONE" ? "" : `, ${scheme}`})`;
+
+    if (outputFormat !== "ARDUINO_CODE") {
+      return `${title}
+${describeLayout(layout)}// Define P2C_DRAW_PIXEL before including to target another display object
+${macros}
+
+${body}`;
+    }
+
+    const draw = `draw_${N}_frame(${N}_frame, 0, 0);`;
+    return `${title}
+${describeLayout(layout)}${streamSketch(library, display, sk, macros, body, draw, `${N}_frame_start = millis();`)}
+
+void loop() {
+  if (!${N}_next_frame()) return;
+  ${frameStatements(library, sk, draw)}
+}`;
+  };
+
+  // Statements drawing atlas pixel (ax, ay) at (x0 + x, y0 + y) for each draw mode
+  const atlasPixelRead = (drawMode, N, bits, readColor, bpp, layout) => {
+    const at = "x0 + x, y0 + y";
+    const lsb = layout.bitOrder === "lsb";
+    const { stride } = layout;
+
+    if (drawMode === "VERTICAL_1BIT") {
+      return `uint8_t b = pgm_read_byte(&${N}_atlas[(uint32_t)ax * ${stride} + (ay >> 3)]);
+      if ((b >> ${lsb ? "(ay & 7)" : "(7 - (ay & 7))"}) & 1) P2C_DRAW_PIXEL(${at}, P2C_FG);`;
+    }
+    if (bpp < 8 || bits) {
+      const v = bits ? "idx" : "v";
+      const rowBits = stride === null ? `${N}_atlas_w * ${bpp}` : `${stride * 8}`;
+      const shift = bpp === 8 ? "0" : lsb ? "bit & 7" : `${8 - bpp} - (bit & 7)`;
+      const draw = bits
+        ? `if (idx != ${N}_transparent) P2C_DRAW_PIXEL(${at}, ${readColor});`
+        : bpp === 4
+        ? `P2C_DRAW_PIXEL(${at}, P2C_COLOR565(v * 17, v * 17, v * 17));`
+        : `if (v) P2C_DRAW_PIXEL(${at}, P2C_FG);`;
+      return `uint32_t bit = (uint32_t)ay * ${rowBits} + (uint32_t)ax * ${bpp};
+      uint8_t ${v} = (pgm_read_byte(&${N}_atlas[bit >> 3]) >> (${shift})) & ${(1 << bpp) - 1};
+      ${draw}`;
+    }
+    if (bpp === 8) {
+      return `uint8_t b = pgm_read_byte(&${N}_atlas[(uint32_t)ay * ${stride} + ax]);
+      P2C_DRAW_PIXEL(${at}, P2C_COLOR565(b & 0xE0, (b << 3) & 0xE0, (b << 6) & 0xC0));`;
+    }
+    if (bpp === 16) {
+      const swap = layout.byteOrder === "big" ? `
+      c = (c << 8) | (c >> 8); // stored big-endian` : "";
+      return `uint16_t c = pgm_read_word(&${N}_atlas[(uint32_t)ay * ${stride / 2} + ax]);${swap}
+      P2C_DRAW_PIXEL(${at}, c);`;
+    }
+    const size = bpp / 8;
+    const color = `P2C_COLOR565(pgm_read_byte(p), pgm_read_byte(p + 1), pgm_read_byte(p + 2))`;
+    return `const uint8_t* p = &${N}_atlas[(uint32_t)ay * ${stride} + (uint32_t)ax * ${size}];
+      ${size === 4 ? `if (pgm_read_byte(p + 3) > 127) ` : ""}P2C_DRAW_PIXEL(${at}, ${color});`;
+  };
+
+  /**
+   * Sprite sheet: every frame trimmed to its opaque pixels and shelf-packed into
+   * one atlas array, with a rectangle table, a table of where each rectangle was
+   * trimmed from, an enum of sprite names and a blit helper that draws one
+   * rectangle through P2C_DRAW_PIXEL (Adafruit GFX by default), by default at
+   * its place in the untrimmed sprite so frames line up.
+   * Sprites are read at random positions, so the atlas is never compressed.
+   */
+  const generateAtlasCode = (sprites, N, w, h, drawMode, packing, paletteFormat, compression, display, bgr) => {
+    const swapRB = (data) => (bgr ? swapRedBlueBuffer(asBuffer(data)) : data);
+    const atlas = buildAtlas(sprites.map((f, i) => ({ name: f.name || `frame${i}`, data: swapRB(f.data) })), w, h);
+    if (!atlas.width || !atlas.height) return "// Error: All sprites are empty; there is nothing to pack";
+
+    const packed = packCanvas(drawMode, atlas.width, atlas.height, atlas.pixels, packing);
+    const { bytes, dataType, palette, bits, bpp } = packed;
+    const layout = { ...packed.layout, bgr };
+    const mono = !bits && (drawMode.includes("1BIT") || drawMode.includes("ALPHA"));
+    const digits = dataType === "uint16_t" ? 4 : 2;
+    const hex = (b) => "0x" + b.toString(16).toUpperCase().padStart(digits, "0");
+    const E = N.toUpperCase();
+    const count = atlas.rects.length;
+
+    let paletteDecl = "", readColor = "";
+    if (palette) {
+      ({ paletteDecl, readColor } = paletteTable(palette, N, paletteFormat, "P2C_COLOR565"));
+      paletteDecl = `const int16_t ${N}_transparent = ${palette.findIndex((c) => c.a === 0)}; // -1 = none
+// ${palette.length} color palette (${paletteFormat})
+${paletteDecl}
+
+`;
+    }
+
+    const sk = sketchFor(display, mono);
+    const rows = [];
+    for (let i = 0; i < bytes.length; i += 16) rows.push(bytes.slice(i, i + 16).map(hex).join(", "));
+    const byteCount = bytes.length * (dataType === "uint16_t" ? 2 : 1);
+
+    return `// Generated by Pixel2CPP (${drawMode}, sprite atlas)
+// ${count} sprite${count === 1 ? "" : "s"} trimmed to their opaque pixels and packed into ${atlas.width}x${atlas.height} pixels (${byteCount} bytes)
+${compression !== "NONE" ? "// Not compressed: sprites are read from the atlas at random positions\n" : ""}${describeLayout(layout)}// Requires an Adafruit_GFX display object named '${sk.gfx}' in the sketch;
+// define P2C_DRAW_PIXEL(x, y, color) before including to draw somewhere else
+#include <Adafruit_GFX.h>
+
+${streamMacros(mono, "ADAFRUIT_GFX", sk)}
+
+typedef struct { uint16_t x, y, w, h; } ${N}_rect;
+typedef struct { uint16_t x, y; } ${N}_offset;
+
+enum ${N}_sprite {
+${atlas.rects.map((r) => `  ${E}_${r.id},`).join("\n")}
+  ${E}_COUNT
+};
+
+// Untrimmed sprite size
+const uint16_t ${N}_w = ${w};
+const uint16_t ${N}_h = ${h};
+
+// Rectangle of each sprite in the atlas
+const ${N}_rect ${N}_rects[${E}_COUNT] PROGMEM = {
+${atlas.rects.map((r) => `  { ${r.x}, ${r.y}, ${r.w}, ${r.h} }, // ${E}_${r.id}${r.w ? "" : ", empty"}`).join("\n")}
+};
+
+// Where each rectangle was trimmed from in the ${w}x${h} sprite
+const ${N}_offset ${N}_offsets[${E}_COUNT] PROGMEM = {
+${atlas.rects.map((r) => `  { ${r.trimX}, ${r.trimY} }, // ${E}_${r.id}`).join("\n")}
+};
+
+const uint16_t ${N}_atlas_w = ${atlas.width};
+const uint16_t ${N}_atlas_h = ${atlas.height};
+
+${paletteDecl}const ${dataType} ${N}_atlas[] PROGMEM = {
+  ${rows.join(",\n  ")}
+};
+
+// Draw one sprite from the atlas with its untrimmed ${w}x${h} cell's top-left corner at (x0, y0), so every sprite
+// drawn there lines up, e.g. draw_${N}_sprite(${E}_${atlas.rects[0].id}, 0, 0); pass trimmed = true to put the
+// corner of the trimmed rectangle there instead
+void draw_${N}_sprite(${N}_sprite id, int16_t x0, int16_t y0, bool trimmed = false) {
+  if (!trimmed) {
+    x0 += pgm_read_word(&${N}_offsets[id].x);
+    y0 += pgm_read_word(&${N}_offsets[id].y);
+  }
+  uint16_t sx = pgm_read_word(&${N}_rects[id].x);
+  uint16_t sy = pgm_read_word(&${N}_rects[id].y);
+  uint16_t sw = pgm_read_word(&${N}_rects[id].w);
+  uint16_t sh = pgm_read_word(&${N}_rects[id].h);
+  for (uint16_t y = 0; y < sh; y++) {
+    for (uint16_t x = 0; x < sw; x++) {
+      uint16_t ax = sx + x, ay = sy + y;
+      ${atlasPixelRead(drawMode, N, bits, readColor, bpp, layout)}
+    }
+  }
+}`;
+  };
+
+  /**
+   * Compressed size of the packed canvas for every scheme
+   * 
+   * @returns {Array} [{ scheme, size, ratio }] where ratio is size / raw size
+   */
+  const getCompressionStats = (drawMode, w, h, data, packing) => {
+    if (!data || pixelCount(data) !== w * h) return [];
+    const { bytes, dataType } = packCanvas(drawMode, w, h, data, { ...DEFAULT_PACKING, ...packing });
+    const raw = toByteStream(bytes, dataType);
+    if (raw.length === 0) return [];
+    return ["NONE", "RLE", "LZ"].map((scheme) => {
+      const size = scheme === "NONE" ? raw.length : compressBytes(raw, scheme).length;
+      return { scheme, size, ratio: size / raw.length };
+    });
   };
 
-  const exportCpp = (drawMode, outputFormat, w, h, data, name) => {
-    const code = generateCppCode(drawMode, outputFormat, w, h, data, name);
+  const exportCpp = (drawMode, outputFormat, w, h, data, name, options) => {
+    const code = generateCppCode(drawMode, outputFormat, w, h, data, name, options);
     const safeName = name.replace(/[^a-zA-Z0-9_]/g, "_");
-    download(`${safeName}.h`, code);
+    // LVGL images are compiled as their own source file
+    download(`${safeName}.${outputFormat === "LVGL_IMAGE" ? "c" : "h"}`, code);
   };
 
   const handleGenerateCode = async () => {
@@ -359,8 +1452,8 @@ const GFXfont ${safeName} PROGMEM = {
     }
   };
 
-  const handleCopyCode = async (drawMode, outputFormat, w, h, data, name) => {
-    const code = generateCppCode(drawMode, outputFormat, w, h, data, name);
+  const handleCopyCode = async (drawMode, outputFormat, w, h, data, name, options) => {
+    const code = generateCppCode(drawMode, outputFormat, w, h, data, name, options);
     const success = await copyToClipboard(code);
     setCopyStatus(success ? "copied" : "error");
     setTimeout(() => setCopyStatus(""), 2000);
@@ -372,6 +1465,7 @@ const GFXfont ${safeName} PROGMEM = {
     copyStatus,
     isGenerating,
     generateCppCode,
+    getCompressionStats,
     exportCpp,
     handleGenerateCode,
     handleCopyCode
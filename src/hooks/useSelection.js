@@ -0,0 +1,346 @@
+/*
+ * Pixel2CPP - Selection Hook
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+import { useState, useEffect, useMemo, useRef } from "react";
+import { compositeLayers } from "../lib/layers.js";
+import { cellPixels } from "../lib/spritesheet.js";
+import {
+  rectMask, lassoMask, wandMask, combineMasks, maskBounds, liftPiece, clearMasked, stampPiece, pieceMask, maskOutline, showsPiece,
+} from "../lib/selection.js";
+import { transformPiece } from "../lib/transforms.js";
+import { asBuffer, asPixels } from "../lib/pixelbuffer.js";
+
+/**
+ * Decode an image file or blob to pixels
+ * @param {Blob} blob - PNG or other image the browser can decode
+ * @returns {Promise<Object>} { w, h, pixels }
+ */
+const imagePixels = async (blob) => {
+  const bitmap = await createImageBitmap(blob);
+  const cnv = document.createElement("canvas");
+  cnv.width = bitmap.width;
+  cnv.height = bitmap.height;
+  const ctx = cnv.getContext("2d");
+  ctx.drawImage(bitmap, 0, 0);
+  const { data } = ctx.getImageData(0, 0, bitmap.width, bitmap.height);
+  const cell = { x: 0, y: 0, w: bitmap.width, h: bitmap.height };
+  return { w: bitmap.width, h: bitmap.height, pixels: cellPixels(data, bitmap.width, cell, bitmap.width, bitmap.height) };
+};
+
+/**
+ * Put a piece on the system clipboard as a PNG, where the browser allows it
+ * @param {Object} piece - { w, h, pixels }
+ */
+const writeClipboardPng = (piece) => {
+  if (!navigator.clipboard?.write || typeof ClipboardItem === "undefined") return;
+  const cnv = document.createElement("canvas");
+  cnv.width = piece.w;
+  cnv.height = piece.h;
+  const img = new ImageData(piece.w, piece.h);
+  img.data.set(asBuffer(piece.pixels));
+  cnv.getContext("2d").putImageData(img, 0, 0);
+  const png = new Promise((resolve) => cnv.toBlob(resolve, "image/png"));
+  navigator.clipboard.write([new ClipboardItem({ "image/png": png })])
+    .catch((error) => console.warn("Couldn't copy the selection to the system clipboard:", error));
+};
+
+/**
+ * Custom hook for selections on the active layer and moving, copying and pasting them
+ *
+ * Moving selected pixels lifts them into a floating piece that is shown over
+ * the layer without changing it. Applying the piece writes it to the layer as
+ * a single undo step; cancelling it leaves the layer as it was. Pasting makes
+ * a floating piece too.
+ *
+ * @param {Object} canvasState - Document state from useCanvasState()
+ * @param {Function} quantize - Brings pasted images to the draw mode's colors: (pixels, w, h) => pixels
+ * @returns {Object} Selection state and methods
+ */
+export function useSelection(canvasState, quantize) {
+  const { w, h, frames, frameIndex, layers, layerIndex, layerData, layerEditable } = canvasState;
+  const [mask, setMask] = useState(null);
+  const [floating, setFloating] = useState(null);
+  const [lasso, setLasso] = useState(null);
+  const [clipboard, setClipboard] = useState(null);
+  const drag = useRef(null);
+
+  const frameId = frames[frameIndex].id;
+  const layerId = layers[layerIndex].id;
+  // A mask from before a resize and a piece from another frame or layer
+  // (after an undo or an import) no longer apply
+  const selected = mask && mask.length === w * h ? mask : null;
+  const float = floating && floating.frameId === frameId && floating.layerId === layerId ? floating : null;
+
+  useEffect(() => {
+    setMask(null);
+    setFloating(null);
+  }, [w, h]);
+
+  useEffect(() => {
+    setFloating((f) => (f && (f.frameId !== frameId || f.layerId !== layerId) ? null : f));
+  }, [frameId, layerId]);
+
+  // Empty selections are no selection
+  const select = (m) => setMask(m && m.some(Boolean) ? m : null);
+
+  // Frame as shown while a piece floats: the piece drawn over the layer, lifted pixels cleared
+  const preview = useMemo(() => {
+    if (!float) return null;
+    const cels = frames[frameIndex].cels.map((c, k) => (k === layerIndex ? stampPiece(clearMasked(c, float.source), float, w, h) : c));
+    return compositeLayers(cels, layers);
+  }, [float, frames, frameIndex, layerIndex, layers, w, h]);
+
+  const outline = useMemo(() => {
+    if (float) return maskOutline(float.mask, float.w, float.h, float.x, float.y);
+    return selected ? maskOutline(selected, w, h) : [];
+  }, [float, selected, w, h]);
+
+  const bounds = useMemo(() => {
+    if (float) return { x: float.x, y: float.y, w: float.w, h: float.h };
+    return selected ? maskBounds(selected, w, h) : null;
+  }, [float, selected, w, h]);
+
+  // The floating piece, lifting the selected pixels first if nothing floats yet
+  const lift = () => {
+    if (float) return float;
+    if (!selected || !layerEditable) return null;
+    const piece = liftPiece(layerData, selected, w, h);
+    if (!piece) return null;
+    const next = { ...piece, source: selected, frameId, layerId };
+    setFloating(next);
+    return next;
+  };
+
+  /**
+   * Write the floating piece to the layer as one undo step; the selection follows it
+   */
+  const commit = () => {
+    if (!float) return;
+    canvasState.pushHistory(float.source ? "Move selection" : "Paste");
+    canvasState.setLayerData((c) => stampPiece(clearMasked(c, float.source), float, w, h));
+    select(pieceMask(float, w, h));
+    setFloating(null);
+  };
+
+  // Drop the floating piece, leaving the layer and selection as they were
+  const cancel = () => setFloating(null);
+
+  const deselect = () => {
+    commit();
+    setMask(null);
+  };
+
+  const selectAll = () => {
+    commit();
+    setMask(new Uint8Array(w * h).fill(1));
+  };
+
+  // Move the selected pixels by dx, dy
+  const nudge = (dx, dy) => {
+    const f = lift();
+    if (f) setFloating({ ...f, x: f.x + dx, y: f.y + dy });
+  };
+
+  /**
+   * Rotate, flip, shift or scale the selected pixels, lifting them into a floating piece
+   * @param {Function} fn - (buffer, w, h) => { pixels, w, h } from lib/transforms.js
+   */
+  const transform = (fn) => {
+    const f = lift();
+    if (f) setFloating(transformPiece(f, fn));
+  };
+
+  /**
+   * Copy the selected pixels of the active layer, or the floating piece
+   * @returns {boolean} Whether there was anything to copy
+   */
+  const copy = () => {
+    const piece = float || (selected && liftPiece(layerData, selected, w, h));
+    if (!piece) return false;
+    const { x, y, w: pw, h: ph, pixels, mask: pm } = piece;
+    setClipboard({ x, y, w: pw, h: ph, pixels, mask: pm });
+    writeClipboardPng(piece);
+    return true;
+  };
+
+  // Clear the selected pixels as one undo step; a floating piece is dropped along with what it was lifted from
+  const remove = () => {
+    if (float) {
+      if (float.source) {
+        canvasState.pushHistory("Delete selection");
+        canvasState.setLayerData((c) => clearMasked(c, float.source));
+      }
+      setFloating(null);
+    } else if (selected && layerEditable) {
+      canvasState.pushHistory("Delete selection");
+      canvasState.setLayerData((c) => clearMasked(c, selected));
+    }
+  };
+
+  const cut = () => {
+    if (!copy()) return false;
+    remove();
+    return true;
+  };
+
+  /**
+   * Float a piece over the active layer, by default the copied pixels where they were copied from
+   * @param {Object} [piece] - { x, y, w, h, pixels, mask }
+   */
+  const paste = (piece = clipboard) => {
+    if (!piece || !layerEditable) return;
+    commit();
+    // Pieces that would land off the canvas, e.g. after it shrank, go in the corner
+    const offCanvas = piece.x >= w || piece.y >= h || piece.x + piece.w <= 0 || piece.y + piece.h <= 0;
+    setFloating({ ...piece, ...(offCanvas ? { x: 0, y: 0 } : {}), source: null, frameId, layerId });
+    setMask(null);
+  };
+
+  /**
+   * Paste an image, brought to the draw mode's colors, at the selection or the top left corner
+   * @param {Blob} blob - Image file or clipboard blob
+   */
+  const pasteImage = async (blob) => {
+    const img = await imagePixels(blob);
+    const pixels = quantize(img.pixels, img.w, img.h);
+    // Our own copies come back from the system clipboard as PNGs; paste
+    // those from the copy to keep their pixels and position exactly
+    if (clipboard && showsPiece(clipboard, { w: img.w, h: img.h, pixels })) {
+      paste(clipboard);
+      return;
+    }
+    const at = bounds || { x: 0, y: 0 };
+    paste({ x: at.x, y: at.y, w: img.w, h: img.h, pixels, mask: Uint8Array.from(asPixels(pixels), (p) => (p.a ? 1 : 0)) });
+  };
+
+  /**
+   * Paste from the system clipboard when it holds an image and the browser lets us read it,
+   * otherwise the last copy
+   */
+  const pasteFromClipboard = async () => {
+    try {
+      for (const item of await navigator.clipboard.read()) {
+        const type = item.types.find((t) => t.startsWith("image/"));
+        if (type) {
+          await pasteImage(await item.getType(type));
+          return;
+        }
+      }
+    } catch (error) {
+      console.warn("Couldn't read the system clipboard:", error);
+    }
+    paste();
+  };
+
+  /**
+   * Handle a paste event: images on the clipboard, or the last copy
+   * @param {ClipboardEvent} e - Paste event
+   */
+  const handlePaste = (e) => {
+    const file = [...(e.clipboardData?.files || [])].find((f) => f.type.startsWith("image/"));
+    if (!file && !clipboard) return;
+    e.preventDefault();
+    if (file) {
+      pasteImage(file).catch((error) => console.warn("Couldn't paste the image:", error));
+    } else {
+      paste();
+    }
+  };
+
+  /**
+   * Start a selection, or a drag of the selected pixels, at a canvas pixel
+   * @param {number} x - Pixel x, may be off the canvas
+   * @param {number} y - Pixel y, may be off the canvas
+   * @param {string} tool - "select", "lasso" or "wand"
+   * @param {string} mode - "replace", "add" or "subtract" the new selection
+   */
+  const pointerDown = (x, y, tool, mode) => {
+    // Dragging inside the floating piece or the selection moves it
+    const inFloat = float && x >= float.x && y >= float.y && x < float.x + float.w && y < float.y + float.h
+      && float.mask[(y - float.y) * float.w + x - float.x];
+    const inSelection = !float && selected && x >= 0 && y >= 0 && x < w && y < h && selected[y * w + x];
+    if (mode === "replace" && (inFloat || (inSelection && tool !== "wand"))) {
+      const from = lift();
+      if (from) drag.current = { kind: "move", x, y, from };
+      return;
+    }
+    // A floating piece is applied first and its new place is the selection added to or subtracted from
+    const base = float ? pieceMask(float, w, h) : selected;
+    commit();
+    const cx = Math.max(0, Math.min(w - 1, x));
+    const cy = Math.max(0, Math.min(h - 1, y));
+    if (tool === "wand") {
+      select(combineMasks(base, wandMask(layerData, w, h, cx, cy), mode));
+    } else if (tool === "select") {
+      drag.current = { kind: "rect", x0: cx, y0: cy, moved: false, base, mode };
+    } else {
+      drag.current = { kind: "lasso", points: [[cx, cy]], base, mode };
+      setLasso([[cx, cy]]);
+    }
+  };
+
+  const pointerMove = (x, y) => {
+    const d = drag.current;
+    if (!d) return;
+    if (d.kind === "move") {
+      setFloating({ ...d.from, x: d.from.x + x - d.x, y: d.from.y + y - d.y });
+      return;
+    }
+    const cx = Math.max(0, Math.min(w - 1, x));
+    const cy = Math.max(0, Math.min(h - 1, y));
+    if (d.kind === "rect") {
+      d.moved = d.moved || cx !== d.x0 || cy !== d.y0;
+      if (d.moved) select(combineMasks(d.base, rectMask(w, h, d.x0, d.y0, cx, cy), d.mode));
+    } else {
+      const [lx, ly] = d.points[d.points.length - 1];
+      if (lx === cx && ly === cy) return;
+      d.points.push([cx, cy]);
+      setLasso(d.points.slice());
+    }
+  };
+
+  // Finish a selection or drag; a click without dragging clears the selection
+  const pointerUp = () => {
+    const d = drag.current;
+    drag.current = null;
+    if (!d) return;
+    if (d.kind === "rect" && !d.moved && d.mode === "replace") setMask(null);
+    if (d.kind === "lasso") {
+      setLasso(null);
+      if (d.points.length > 1) select(combineMasks(d.base, lassoMask(w, h, d.points), d.mode));
+      else if (d.mode === "replace") setMask(null);
+    }
+  };
+
+  return {
+    mask: selected,
+    floating: float,
+    preview,
+    outline,
+    lasso,
+    bounds,
+    canPaste: clipboard !== null,
+    pointerDown,
+    pointerMove,
+    pointerUp,
+    commit,
+    cancel,
+    deselect,
+    selectAll,
+    nudge,
+    transform,
+    copy,
+    cut,
+    remove,
+    paste,
+    pasteFromClipboard,
+    handlePaste,
+  };
+}
@@ -0,0 +1,128 @@
+/*
+ * Pixel2CPP - Shape Tools Hook
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+import { useState, useMemo } from "react";
+import { compositeLayers } from "../lib/layers.js";
+import { lassoMask } from "../lib/selection.js";
+import { linePixels, polylinePixels, rectPixels, ellipsePixels, constrainEnd, drawShape } from "../lib/shapes.js";
+
+// History names of the shapes
+const SHAPE_LABELS = { line: "Line", rect: "Rectangle", ellipse: "Ellipse", polyline: "Polyline" };
+
+/**
+ * Pixels of a shape in progress
+ * @param {Object} shape - Shape state (see useShapes)
+ * @param {number} w - Canvas width
+ * @param {number} h - Canvas height
+ * @param {string} [polyline] - "preview" runs a polyline on to the cursor, "open" ends it
+ *   at its last vertex and "closed" joins that back to the first into a polygon
+ * @returns {Array} [x, y] pixels
+ */
+const shapePixels = (shape, w, h, polyline = "preview") => {
+  const { tool, points, end, filled } = shape;
+  const [[x0, y0]] = points;
+  const [x1, y1] = end;
+  if (tool === "line") return linePixels(x0, y0, x1, y1);
+  if (tool === "rect") return rectPixels(x0, y0, x1, y1, filled);
+  if (tool === "ellipse") return ellipsePixels(x0, y0, x1, y1, filled);
+  if (polyline === "preview") return polylinePixels([...points, end]);
+  if (polyline === "open" || !filled) return polylinePixels(points, polyline === "closed");
+  const mask = lassoMask(w, h, points);
+  const out = [];
+  mask.forEach((v, i) => v && out.push([i % w, Math.floor(i / w)]));
+  return out;
+};
+
+/**
+ * Custom hook for the line, rectangle, ellipse and polyline tools
+ *
+ * The shape being drawn is only previewed; it's drawn on the active layer as
+ * one undo step when the drag ends, or for polylines when they're finished.
+ * Lines, rectangles and ellipses are dragged from one corner to the other;
+ * polylines get a vertex per click and end on a double click, on a click on
+ * their first vertex (closing them) or with Enter.
+ *
+ * @param {Object} canvasState - Document state from useCanvasState()
+ * @returns {Object} Shape state and methods
+ */
+export function useShapes(canvasState) {
+  const { w, h, frames, frameIndex, layers, layerIndex } = canvasState;
+  // { tool, points, end, color, filled, mirrorX, mirrorY } while a shape is drawn
+  const [shape, setShape] = useState(null);
+
+  const preview = useMemo(() => {
+    if (!shape) return null;
+    const cels = frames[frameIndex].cels.map((c, k) =>
+      (k === layerIndex ? drawShape(c, shapePixels(shape, w, h), shape.color, w, h, shape.mirrorX, shape.mirrorY) : c));
+    return compositeLayers(cels, layers);
+  }, [shape, frames, frameIndex, layers, layerIndex, w, h]);
+
+  // Draw a shape on the active layer as one undo step
+  const apply = (s, polyline = "open") => {
+    canvasState.pushHistory(SHAPE_LABELS[s.tool]);
+    canvasState.setLayerData((c) => drawShape(c, shapePixels(s, w, h, polyline), s.color, w, h, s.mirrorX, s.mirrorY));
+    setShape(null);
+  };
+
+  // Cursor position held to Shift's constraint, from the last vertex
+  const endPoint = (s, x, y, constrain) => {
+    const [x0, y0] = s.points[s.points.length - 1];
+    return constrain ? constrainEnd(s.tool, x0, y0, x, y) : [x, y];
+  };
+
+  /**
+   * Start a shape, or add a polyline vertex, at a canvas pixel
+   * @param {number} x - Pixel x
+   * @param {number} y - Pixel y
+   * @param {string} tool - "line", "rect", "ellipse" or "polyline"
+   * @param {Object} options - { color, filled, mirrorX, mirrorY, constrain, clicks } where clicks is the event's click count
+   */
+  const pointerDown = (x, y, tool, { color, filled, mirrorX, mirrorY, constrain, clicks }) => {
+    if (!shape || shape.tool !== tool) {
+      setShape({ tool, points: [[x, y]], end: [x, y], color, filled, mirrorX, mirrorY });
+      return;
+    }
+    // Polylines: a double click ends the line, a click on the first vertex closes it
+    const [fx, fy] = shape.points[0];
+    if (clicks > 1) apply(shape);
+    else if (shape.points.length > 2 && x === fx && y === fy) apply(shape, "closed");
+    else {
+      const end = endPoint(shape, x, y, constrain);
+      setShape({ ...shape, points: [...shape.points, end], end });
+    }
+  };
+
+  // Rubber band to the cursor; polylines follow it between clicks too
+  const pointerMove = (x, y, constrain) => {
+    if (shape) setShape({ ...shape, end: endPoint(shape, x, y, constrain) });
+  };
+
+  // Dragged shapes are drawn when the button is released
+  const pointerUp = () => {
+    if (shape && shape.tool !== "polyline") apply(shape);
+  };
+
+  // Draw a polyline in progress as it is
+  const finish = () => {
+    if (shape) apply(shape);
+  };
+
+  const cancel = () => setShape(null);
+
+  return {
+    active: shape !== null,
+    preview,
+    pointerDown,
+    pointerMove,
+    pointerUp,
+    finish,
+    cancel,
+  };
+}
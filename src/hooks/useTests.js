@@ -9,8 +9,33 @@
  */
 
 import { useState, useMemo } from "react";
-import { pack1bit, pack1bitAlpha, packRGB565, packRGB24, packRGB332, packGray4 } from "../lib/packers.js";
+import { pack1bit, pack1bitAlpha, packRGB565, packRGB24, packRGB332, packGray4, packIndexed } from "../lib/packers.js";
 import { black, white } from "../lib/colors.js";
+import { ditherPixels } from "../lib/dither.js";
+import { buildPalette } from "../lib/palette.js";
+import { compressRLE, decompressRLE, compressLZ, decompressLZ } from "../lib/compress.js";
+import { buildLvglImage } from "../lib/lvgl.js";
+import { libraryLayout } from "../lib/targets.js";
+import { displayConfig, displayCanvasSize, adafruitSketch, u8g2Sketch } from "../lib/displays.js";
+import { analyzeCHeader } from "../lib/cimport.js";
+import { decodePixels } from "../lib/unpackers.js";
+import { serializeProject, parseProject, DEFAULT_SETTINGS } from "../lib/project.js";
+import { onionLayers, tintOver, renderPixel, redrawRect, DEFAULT_ONION_SKIN } from "../lib/onion.js";
+import { decodeGif } from "../lib/animimport.js";
+import { buildAtlas } from "../lib/atlas.js";
+import { sliceSheet, cellPixels, cellName } from "../lib/spritesheet.js";
+import { buildGFXFont, proportionalAdvances, DEFAULT_FONT } from "../lib/gfxfont.js";
+import { parseBDF, fontCells } from "../lib/fontimport.js";
+import { buildU8g2Font } from "../lib/u8g2font.js";
+import { blendOver, compositeLayers, mergeCels, exportFrames } from "../lib/layers.js";
+import { linePixels, polylinePixels, rectPixels, ellipsePixels, constrainEnd, drawShape } from "../lib/shapes.js";
+import { rectMask, lassoMask, wandMask, combineMasks, liftPiece, stampPiece, clearMasked, maskOutline, showsPiece } from "../lib/selection.js";
+import { BUILTIN_FONTS, editorFont, textPixels } from "../lib/textfonts.js";
+import { rotatePixels, flipPixels, shiftPixels, scalePixels, transformPiece, placePixels, anchorOffset, contentBounds, ANCHORS } from "../lib/transforms.js";
+import { diffDocuments, applyEntry, capHistory, loadedEntry } from "../lib/history.js";
+import { asBuffer, asPixels, createBuffer, editedBuffer, getPixel, setPixel } from "../lib/pixelbuffer.js";
+import { autosaveRecord, staleAutosaves, thumbnailSize, MAX_RECENT } from "../lib/autosave.js";
+import { insertFrame, removeFrame, moveFrame } from "../lib/frames.js";
 
 /**
  * Custom hook to manage built-in test functionality
@@ -128,6 +153,509 @@ export function useTests() {
       results.push({ name: "GRAY4 grayscale", pass: JSON.stringify(gray4Data) === JSON.stringify(expect), got: gray4Data, expect });
     }
 
+    // Test 9: Ordered Bayer 2x2 dithering of 50% gray → checkerboard that packs to 0x40/0x80
+    {
+      const tw = 2, th = 2;
+      const px = Array.from({ length: tw * th }, () => ({ r: 128, g: 128, b: 128, a: 255 }));
+      const dithered = ditherPixels(px, tw, th, "HORIZONTAL_1BIT", "bayer2");
+      const bytes = pack1bit(dithered, tw, th, 'horizontal');
+      const expect = [0x40, 0x80];
+      results.push({ name: "Dither Bayer2 50% gray 1BIT", pass: JSON.stringify(bytes) === JSON.stringify(expect), got: bytes, expect });
+    }
+
+    // Test 10: Floyd–Steinberg RGB565 output round-trips through the packer unchanged
+    {
+      const tw = 4, th = 2;
+      const px = Array.from({ length: tw * th }, (_, i) => ({ r: i * 30, g: 255 - i * 25, b: 100 + i * 7, a: 255 }));
+      const dithered = ditherPixels(px, tw, th, "HORIZONTAL_RGB565", "floyd-steinberg");
+      const words = packRGB565(dithered, tw, th);
+      const again = packRGB565(ditherPixels(dithered, tw, th, "HORIZONTAL_RGB565", "none"), tw, th);
+      results.push({ name: "Dither FS RGB565 stable quantization", pass: JSON.stringify(words) === JSON.stringify(again), got: again, expect: words });
+    }
+
+    // Test 11: Indexed 2-bit - transparent reserved at index 0, exact colors kept, rows padded
+    {
+      const tw = 5, th = 1;
+      const red = { r: 255, g: 0, b: 0, a: 255 };
+      const blue = { r: 0, g: 0, b: 255, a: 255 };
+      const px = [{ r: 0, g: 0, b: 0, a: 0 }, red, blue, { r: 0, g: 0, b: 0, a: 0 }, red];
+      const palette = buildPalette(px, 4);
+      const bytes = packIndexed(px, tw, th, 2, palette);
+      const expect = [0x18, 0x40]; // 00 01 10 00 | 01 (padded)
+      results.push({ name: "INDEXED2 palette + packing", pass: palette.length === 3 && JSON.stringify(bytes) === JSON.stringify(expect), got: bytes, expect });
+    }
+
+    // Test 12: RLE encodes runs and literals, and round-trips
+    {
+      const input = [7, 7, 7, 7, 1, 2, 0, 0, 0];
+      const packed = compressRLE(input);
+      const expect = [0x81, 7, 0x01, 1, 2, 0x80, 0];
+      const pass = JSON.stringify(packed) === JSON.stringify(expect) && JSON.stringify(decompressRLE(packed)) === JSON.stringify(input);
+      results.push({ name: "RLE runs + literals", pass, got: packed, expect });
+    }
+
+    // Test 13: LZ round-trips a repeating pattern and compresses it
+    {
+      const input = Array.from({ length: 600 }, (_, i) => (i * 13) % 40);
+      const packed = compressLZ(input);
+      const restored = decompressLZ(packed);
+      const pass = packed.length < input.length / 4 && JSON.stringify(restored) === JSON.stringify(input);
+      results.push({ name: "LZ round-trip 600 bytes", pass, got: packed.length, expect: `< ${input.length / 4} bytes` });
+    }
+
+    // Test 14: Packing options - LSB-first bits, 4-byte row stride, big-endian RGB565
+    {
+      const px = [];
+      for (let i = 0; i < 10; i++) px.push(i === 0 || i >= 8 ? white() : black()); // 1000000011
+      const lsb = pack1bit(px, 10, 1, 'horizontal', { bitOrder: 'lsb' });
+      const aligned = pack1bit(px, 10, 1, 'horizontal', { rowAlign: 4 });
+      const words = packRGB565([{ r: 255, g: 0, b: 0, a: 255 }], 1, 1, { byteOrder: 'big' });
+      const got = [...lsb, ...aligned, ...words];
+      const expect = [0x01, 0x03, 0x80, 0xC0, 0x00, 0x00, 0x00F8];
+      results.push({ name: "Packing LSB / align 4 / big-endian", pass: JSON.stringify(got) === JSON.stringify(expect), got, expect });
+    }
+
+    // Test 15: LVGL image data - RGB565 in memory order, byte-swapped, and 1-bit as INDEXED_1BIT with palette
+    {
+      const red = [{ r: 255, g: 0, b: 0, a: 255 }];
+      const v9 = buildLvglImage("HORIZONTAL_RGB565", 1, 1, red, "9", { byteOrder: "little", rowAlign: 1 });
+      const v8 = buildLvglImage("HORIZONTAL_RGB565", 1, 1, red, "8", { byteOrder: "big", rowAlign: 1 });
+      const mono = buildLvglImage("HORIZONTAL_1BIT", 2, 1, [white(), black()], "8", { byteOrder: "little", rowAlign: 1 });
+      const got = [v9.cf, ...v9.bytes, v8.cf, ...v8.bytes, mono.cf, ...mono.bytes];
+      const expect = ["LV_COLOR_FORMAT_RGB565", 0x00, 0xF8, "LV_IMG_CF_TRUE_COLOR", 0xF8, 0x00,
+        "LV_IMG_CF_INDEXED_1BIT", 0, 0, 0, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x80];
+      results.push({ name: "LVGL RGB565 / swapped / INDEXED_1BIT", pass: JSON.stringify(got) === JSON.stringify(expect), got, expect });
+    }
+
+    // Test 16: U8g2 target packs any mode as LSB-first XBM rows
+    {
+      const { drawMode, packing } = libraryLayout("U8G2", "HORIZONTAL_RGB565", { bitOrder: "msb", byteOrder: "little", rowAlign: 4 });
+      const px = [];
+      for (let i = 0; i < 9; i++) px.push(i === 0 || i === 8 ? white() : black()); // 100000001
+      const got = [drawMode, ...pack1bit(px, 9, 1, 'horizontal', packing)];
+      const expect = ["HORIZONTAL_1BIT", 0x01, 0x01];
+      results.push({ name: "U8g2 XBM layout", pass: JSON.stringify(got) === JSON.stringify(expect), got, expect });
+    }
+
+    // Test 17: Display profiles - rotated canvas size, parameterized setup code, U8g2 screens the size of the canvas
+    {
+      const epd = displayCanvasSize(displayConfig("EPD_290"));
+      const oled = adafruitSketch({ ...displayConfig("SSD1306_128X32"), i2cAddress: 0x3D });
+      const u8 = u8g2Sketch(displayConfig("EPD_290"));
+      const portrait = displayConfig("EPD_290");
+      const u8Portrait = u8g2Sketch({ ...portrait, rotation: 2 });
+      const size = (s) => `${s.w}x${s.h}`;
+      const got = [epd.w, epd.h, oled.declare, oled.begin, u8.declare.split("(")[1].split(",")[0], size(u8.size),
+        size(u8Portrait.size) === size(displayCanvasSize({ ...portrait, rotation: 2 })), u8g2Sketch(displayConfig("SSD1306")).declare.includes("U8G2_R0")];
+      const expect = [296, 128, "Adafruit_SSD1306 display(128, 32, &Wire, -1);", "display.begin(SSD1306_SWITCHCAPVCC, 0x3D);", "U8G2_R0", "296x128", true, true];
+      results.push({ name: "Display profile setup", pass: JSON.stringify(got) === JSON.stringify(expect), got, expect });
+    }
+
+    // Test 18: C array import - parse literals and dimensions, decode LSB-first 1-bit and big-endian RGB565
+    {
+      const mono = analyzeCHeader(`const uint8_t dot_w = 9;
+const uint8_t dot_h = 1;
+// Packing: LSB-first bits
+const uint8_t dot_bits[] PROGMEM = { 0b00000001, 1 };`);
+      const monoPx = decodePixels(mono.drawMode, mono.values, mono.w, mono.h, mono.packing);
+      const px = [{ r: 255, g: 0, b: 0, a: 255 }, { r: 0, g: 0, b: 255, a: 255 }];
+      const words = packRGB565(px, 2, 1, { byteOrder: "big" });
+      const rgb = analyzeCHeader(`// Generated by Pixel2CPP (HORIZONTAL_RGB565)
+// Packing: big-endian 16-bit words
+const uint16_t c_w = 2;
+const uint16_t c_h = 1;
+const uint16_t c_data[] PROGMEM = { ${words.join(", ")} };`);
+      const rgbPx = decodePixels(rgb.drawMode, rgb.values, rgb.w, rgb.h, rgb.packing);
+      const got = [mono.complete, ...monoPx.map((p) => p.r), rgb.complete, ...rgbPx.map((p) => [p.r, p.g, p.b].join())];
+      const expect = [true, 255, 0, 0, 0, 0, 0, 0, 0, 255, true, "255,0,0", "0,0,255"];
+      results.push({ name: "C array import round trip", pass: JSON.stringify(got) === JSON.stringify(expect), got, expect });
+    }
+
+    // Test 19: Project files - save/open round trip and rejection of newer versions, truncated pixels, history steps off the canvas and bad display settings
+    {
+      const px = [white(), { r: 10, g: 20, b: 30, a: 0 }];
+      const text = serializeProject({
+        name: "p", w: 2, h: 1, frames: [{ data: px, duration: 100 }], frameIndex: 0,
+        settings: { ...DEFAULT_SETTINGS, drawMode: "HORIZONTAL_RGB565" },
+        display: displayConfig("ST7789"),
+        palette: { primary: black(), secondary: white(), background: "transparent" },
+        history: {
+          undo: [{ label: "Draw", index: [0, 0], layer: [0, 0], cels: [{ frame: 0, layer: 0, indices: Uint32Array.of(1), from: Uint8Array.of(0, 0, 0, 255), to: Uint8Array.of(10, 20, 30, 0) }] }],
+          redo: [],
+        },
+      });
+      const project = parseProject(text);
+      const error = (t) => { try { parseProject(t); return "accepted"; } catch (e) { return e.message.split(" ").slice(0, 3).join(" "); } };
+      const [entry] = project.history.undo;
+      const got = [JSON.stringify(asPixels(project.frames[0].data)) === JSON.stringify(px), project.settings.drawMode, project.display.type,
+        `${entry.label}:${Array.from(entry.cels[0].indices)}:${Array.from(entry.cels[0].to)}`,
+        error(text.replace('"version":4', '"version":99')), error(text.replace(/"buffers":\["[^"]*"/, '"buffers":["AAAA"')),
+        error(text.replace('"indices":"AQAAAA=="', '"indices":"AgAAAA=="')), error(text.replace('"rotation":0', '"rotation":7')),
+        error(text.replace('"width":240', '"width":"240"')), error("{")];
+      const expect = [true, "HORIZONTAL_RGB565", "ST7789", "Draw:1:10,20,30,0", "Project version 99", "Project animation frame", "Project undo step",
+        "Project display rotation", "Project display width", "Not a Pixel2CPP"];
+      results.push({ name: "Project save/open", pass: JSON.stringify(got) === JSON.stringify(expect), got, expect });
+    }
+
+    // Test 20: Animation projects - frames sharing pixels are stored once, version 1 files migrate to one frame
+    {
+      const a = [white(), black()];
+      const frame = (data, duration) => ({ data, duration });
+      const text = serializeProject({
+        name: "anim", w: 2, h: 1, frames: [frame(a, 80), frame(a, 120), frame([black(), black()], 200)], frameIndex: 1,
+        settings: DEFAULT_SETTINGS, display: displayConfig("SSD1306"),
+        palette: { primary: black(), secondary: white(), background: "transparent" },
+        history: { undo: [{ label: "Add frame", before: { frames: [frame(a, 80)], index: 0 }, after: { frames: [frame(a, 80), frame(a, 120)], index: 1 } }], redo: [] },
+      });
+      const project = parseProject(text);
+      const v1 = parseProject(JSON.stringify({ format: "pixel2cpp-project", version: 1, width: 2, height: 1, pixels: btoa("\xff\xff\xff\xff\0\0\0\xff"), history: { undo: ["AAAAAAAAAAA="], redo: [] } }));
+      const got = [JSON.parse(text).buffers.length, project.frames.map((f) => f.duration).join(), project.frameIndex, project.frames[0].data === project.frames[1].data,
+        v1.frames.length, JSON.stringify(asPixels(v1.frames[0].data)) === JSON.stringify(a), v1.history.undo[0].before.frames.length];
+      const expect = [2, "80,120,200", 1, true, 1, true, 1];
+      results.push({ name: "Animation project frames", pass: JSON.stringify(got) === JSON.stringify(expect), got, expect });
+    }
+
+    // Test 21: Onion skins - nearest frames fade in, missing neighbours are skipped, tinted pixel composites over transparent
+    {
+      const frames = [0, 1, 2, 3].map((n) => ({ data: [{ r: n, g: 0, b: 0, a: 255 }] }));
+      const layers = onionLayers(frames, 1, { ...DEFAULT_ONION_SKIN, enabled: true, before: 2, after: 2, opacity: 60 });
+      const buf = new Uint8ClampedArray(4);
+      tintOver(buf, 0, white(), { r: 255, g: 0, b: 0 }, 0.5);
+      const got = [layers.map((l) => `${l.pixels[0].r}@${l.opacity.toFixed(2)}`).join(), onionLayers(frames, 1, DEFAULT_ONION_SKIN).length, ...buf];
+      const expect = ["0@0.60,3@0.30,2@0.60", 0, 255, 128, 128, 128];
+      results.push({ name: "Onion skin layers", pass: JSON.stringify(got) === JSON.stringify(expect), got, expect });
+    }
+
+    // Test 22: Animated GIF - LZW frames, delays, "restore to background" disposal and transparent index
+    {
+      // 3-bit LZW codes, LSB first: clear (4), pixels, end (5)
+      const lzw = (pixels) => {
+        const out = [];
+        let acc = 0, n = 0;
+        for (const c of [4, ...pixels, 5]) {
+          acc |= c << n;
+          n += 3;
+          while (n >= 8) { out.push(acc & 255); acc >>= 8; n -= 8; }
+        }
+        return n ? [...out, acc] : out;
+      };
+      const gce = (disposal, delay, transparent = -1) => [0x21, 0xf9, 4, (disposal << 2) | (transparent >= 0 ? 1 : 0), delay, 0, Math.max(0, transparent), 0];
+      const image = (x, pixels) => {
+        const data = lzw(pixels);
+        return [0x2c, x, 0, 0, 0, pixels.length, 0, 1, 0, 0, 2, data.length, ...data, 0];
+      };
+      const gif = new Uint8Array([
+        ..."GIF89a".split("").map((c) => c.charCodeAt(0)), 2, 0, 1, 0, 0x81, 0, 0,
+        0, 0, 0, 255, 0, 0, 0, 255, 0, 0, 0, 255, // black, red, green, blue
+        ...gce(2, 5), ...image(0, [1, 2]),
+        ...gce(0, 0), ...image(1, [1]),
+        ...gce(0, 0, 3), ...image(0, [2, 3]),
+        0x3b,
+      ]);
+      const { frames } = decodeGif(gif);
+      const got = frames.map((f) => `${[...f.rgba].join(" ")} / ${f.delay}`);
+      const expect = ["255 0 0 255 0 255 0 255 / 50", "0 0 0 0 255 0 0 255 / 100", "0 255 0 255 255 0 0 255 / 100"];
+      results.push({ name: "Animated GIF decode", pass: JSON.stringify(got) === JSON.stringify(expect), got, expect });
+    }
+
+    // Test 23: Sprite atlas - sprites are trimmed and shelf-packed, names become unique C ids, empty sprites get 0x0
+    {
+      const t = { r: 0, g: 0, b: 0, a: 0 };
+      const atlas = buildAtlas([
+        { name: "dot", data: [t, t, t, t, t, white()] },
+        { name: "count", data: [black(), white(), black(), white(), black(), white()] },
+        { name: "9 lives", data: [t, t, t, t, t, t] },
+      ], 3, 2);
+      const got = [atlas.width, atlas.height, atlas.rects.map((r) => `${r.id} ${r.x},${r.y} ${r.w}x${r.h} @${r.trimX},${r.trimY}`).join("; "),
+        atlas.pixels.map((p) => (p.a ? (p.r ? "W" : "B") : ".")).join("")];
+      const expect = [3, 3, "DOT 0,2 1x1 @2,1; COUNT_2 0,0 3x2 @0,0; _9_LIVES 0,0 0x0 @0,0", "BWBWBWW.."];
+      results.push({ name: "Sprite atlas packing", pass: JSON.stringify(got) === JSON.stringify(expect), got, expect });
+    }
+
+    // Test 24: Sprite sheet slicing - grid with margin and spacing skips empty cells, gutters split rows of different sprites
+    {
+      // 7x5 sheet: two sprites in the top row, two single pixels below
+      const sheet = new Uint8ClampedArray(7 * 5 * 4);
+      [[0, 0], [1, 1], [3, 0], [4, 0], [3, 1], [6, 3], [1, 4]].forEach(([x, y]) => {
+        sheet.set([x * 10 + y, 0, 0, 255], (y * 7 + x) * 4);
+      });
+      const rect = (c) => `${c.x},${c.y} ${c.w}x${c.h}`;
+      const grid = sliceSheet(sheet, 7, 5, { mode: "grid", cellW: 2, cellH: 2, margin: 0, spacing: 1, skipEmpty: true });
+      const auto = sliceSheet(sheet, 7, 5, { mode: "auto", skipEmpty: true });
+      const got = [grid.cells.map(rect).join("; "), auto.cells.map(rect).join("; "), `${auto.w}x${auto.h}`, cellName("hero", auto.cells[3]),
+        cellPixels(sheet, 7, auto.cells[1], 3, 2).map((p) => (p.a ? p.r : ".")).join()];
+      const expect = ["0,0 2x2; 3,0 2x2; 0,3 2x2", "0,0 2x2; 3,0 2x2; 1,4 1x1; 6,3 1x1", "2x2", "hero_1_1", "30,40,.,31,.,."];
+      results.push({ name: "Sprite sheet slicing", pass: JSON.stringify(got) === JSON.stringify(expect), got, expect });
+    }
+
+    // Test 25: GFX font - trimmed bit-continuous glyph bitmaps, offsets from the baseline, advance overrides, saved with the project
+    {
+      const t = { r: 0, g: 0, b: 0, a: 0 }, k = black();
+      // 'A', an empty 'B' and a 'C' that is one pixel below the baseline
+      const frames = [[t, k, t, k, t, k, k, t, k], [t, t, t, t, t, t, t, t, t], [t, t, t, t, t, t, t, k, t]].map((data) => ({ data, duration: 100 }));
+      const font = { ...DEFAULT_FONT, enabled: true, first: 0x41, baseline: 1, advances: { 0x42: 2 } };
+      const gfx = buildGFXFont(frames, font, 3, 3);
+      const saved = parseProject(serializeProject({
+        name: "font", w: 3, h: 3, frames, frameIndex: 0, settings: DEFAULT_SETTINGS, display: displayConfig("SSD1306"),
+        palette: { primary: black(), secondary: white(), background: "transparent" }, history: { undo: [], redo: [] }, font,
+      })).font;
+      const got = [gfx.first, gfx.last, gfx.yAdvance, gfx.bitmap.join(" "),
+        gfx.glyphs.map((g) => [g.bitmapOffset, g.width, g.height, g.xAdvance, g.xOffset, g.yOffset].join(",")).join(" "),
+        JSON.stringify(proportionalAdvances(frames, 0x41, 3, 3)), JSON.stringify(saved) === JSON.stringify(font)];
+      const expect = [0x41, 0x43, 3, "86 128 128", "0,3,3,3,0,-1 2,0,0,2,0,0 2,1,1,3,1,1", '{"65":4,"66":2,"67":3}', true];
+      results.push({ name: "GFX font glyphs", pass: JSON.stringify(got) === JSON.stringify(expect), got, expect });
+    }
+
+    // Test 26: Font import - BDF glyphs laid out on a shared baseline, re-encoded as a u8g2 font
+    {
+      // 'A' resting on the baseline and a 'B' hanging one pixel left and one below; 'C' is missing
+      const bdf = ["STARTFONT 2.1", "STARTCHAR A", "ENCODING 65", "DWIDTH 4 0", "BBX 3 3 0 0", "BITMAP", "40", "A0", "E0", "ENDCHAR",
+        "STARTCHAR B", "ENCODING 66", "DWIDTH 2 0", "BBX 2 3 -1 -1", "BITMAP", "40", "40", "80", "ENDCHAR", "ENDFONT"].join("\n");
+      const cells = fontCells(parseBDF(bdf), 0x41, 0x43, black());
+      const font = { ...DEFAULT_FONT, enabled: true, first: 0x41, baseline: cells.baseline, advances: cells.advances };
+      const u8g2 = buildU8g2Font(cells.cells, font, cells.w, cells.h);
+      const got = [cells.w, cells.h, cells.baseline, cells.missing, JSON.stringify(cells.advances),
+        cells.cells.map((c) => c.data.map((p) => (p.a ? 1 : 0)).join("")).join(" "), u8g2.bytes.join(" ")];
+      const expect = [4, 4, 2, 1, '{"65":4,"66":2}', "0010010101110000 0000010001001000 0000000000000000",
+        "3 0 2 3 2 2 2 1 4 4 4 0 255 3 255 3 255 0 0 0 15 0 17 65 5 127 46 69 66 6 46 45 146 0 67 4 96 6 0 0 0 4 255 255 0 0"];
+      results.push({ name: "Font import and u8g2 encoding", pass: JSON.stringify(got) === JSON.stringify(expect), got, expect });
+    }
+
+    // Test 27: Layers - visible layers blend with their opacity, merge down, per-layer export, saved with the project, version 2 files migrate to one layer
+    {
+      const red = { r: 255, g: 0, b: 0, a: 255 };
+      const layer = (id, props) => ({ id, name: `Layer ${id}`, visible: true, locked: false, opacity: 100, ...props });
+      const layers = [layer(1), layer(2, { opacity: 50 }), layer(3, { visible: false })];
+      const cels = [[white(), black()], [red, { r: 0, g: 0, b: 0, a: 0 }], [red, red]];
+      const px = (p) => [p.r, p.g, p.b, p.a].join();
+      const flat = compositeLayers(cels, layers);
+      const solo = asPixels(compositeLayers(cels, [layer(1, { visible: false }), layer(2), layer(3, { visible: false })])) === cels[1];
+      const frames = [{ cels, data: flat, duration: 100 }];
+      const text = serializeProject({
+        name: "layers", w: 2, h: 1, layers, layerIndex: 1, exportLayer: 3, frames, frameIndex: 0,
+        settings: DEFAULT_SETTINGS, display: displayConfig("SSD1306"),
+        palette: { primary: black(), secondary: white(), background: "transparent" },
+        history: {
+          undo: [{ label: "Add layer", before: { layers: layers.slice(0, 1), layer: 0, frames: [{ cels: [cels[0]], duration: 100 }], index: 0 }, after: { layers, layer: 1, frames, index: 0 } }],
+          redo: [],
+        },
+      });
+      const project = parseProject(text);
+      const v2 = parseProject(JSON.stringify({
+        format: "pixel2cpp-project", version: 2, width: 2, height: 1, buffers: [btoa("\xff\xff\xff\xff\0\0\0\xff")],
+        frames: [{ buffer: 0, duration: 100 }], frameIndex: 0, history: { undo: [{ frames: [{ buffer: 0, duration: 100 }], index: 0 }], redo: [] },
+      }));
+      const got = [asPixels(flat).map(px).join(" "), px(blendOver({ r: 0, g: 0, b: 0, a: 0 }, red, 50)), solo,
+        asPixels(mergeCels(cels[0], cels[1], 50)).map(px).join(" "), exportFrames(frames, layers, 3)[0].data === cels[2], exportFrames(frames, layers, null) === frames,
+        project.layers.map((l) => `${l.name}:${l.visible}:${l.opacity}`).join(), project.layerIndex, project.exportLayer,
+        asPixels(project.frames[0].data).map(px).join(" "), project.history.undo[0].before.layers.length,
+        v2.layers.length, v2.frames[0].cels.length, v2.exportLayer];
+      const expect = ["255,128,128,255 0,0,0,255", "255,0,0,128", true, "255,128,128,255 0,0,0,255", true, true,
+        "Layer 1:true:100,Layer 2:true:50,Layer 3:false:100", 1, 3, "255,128,128,255 0,0,0,255", 1, 1, 1, null];
+      results.push({ name: "Layers", pass: JSON.stringify(got) === JSON.stringify(expect), got, expect });
+    }
+
+    // Test 28: Selections - rectangle, lasso and wand masks, moving selected pixels, outline edges, telling our copy from another image
+    {
+      const bits = (mask) => Array.from(mask).join("");
+      const px = [black(), black(), white(), white(), black(), white(), white(), white(), white()]; // 3×3
+      const rect = rectMask(3, 3, 2, 2, 1, -1);
+      const lasso = lassoMask(3, 3, [[0, 0], [2, 0], [0, 2]]);
+      const wand = wandMask(px, 3, 3, 0, 0);
+      const piece = liftPiece(px, rectMask(3, 3, 0, 0, 1, 0), 3, 3);
+      const moved = stampPiece(clearMasked(px, rectMask(3, 3, 0, 0, 1, 0)), { ...piece, x: 2, y: 2 }, 3, 3);
+      const got = [bits(rect), bits(lasso), bits(wand), bits(combineMasks(rect, wand, "add")), bits(combineMasks(rect, wand, "subtract")),
+        [piece.x, piece.y, piece.w, piece.h].join(), asPixels(moved).map((p) => (p.a === 0 ? "." : p.r ? "w" : "b")).join(""),
+        JSON.stringify(maskOutline(rectMask(3, 3, 1, 1, 1, 1), 3, 3)),
+        showsPiece(piece, { w: 2, h: 1, pixels: [black(), black()] }), showsPiece(piece, { w: 2, h: 1, pixels: [black(), white()] }),
+        showsPiece(piece, { w: 1, h: 2, pixels: [black(), black()] })];
+      const expect = ["011011011", "111110100", "110010000", "111011011", "001001011", "0,0,2,1", "..wwbwwwb",
+        "[[1,1,2,1],[1,2,2,2],[1,1,1,2],[2,1,2,2]]", true, false, false];
+      results.push({ name: "Selection masks and moves", pass: JSON.stringify(got) === JSON.stringify(expect), got, expect });
+    }
+
+    // Test 29: Shapes - Bresenham lines, rectangle and ellipse outlines and fills, Shift constraints, mirrored drawing
+    {
+      const grid = (shape, w, h) => {
+        const out = drawShape(Array.from({ length: w * h }, () => ({ r: 0, g: 0, b: 0, a: 0 })), shape, black(), w, h);
+        return Array.from({ length: h }, (_, y) => asPixels(out).slice(y * w, y * w + w).map((p) => (p.a ? "#" : ".")).join("")).join("/");
+      };
+      const mirrored = drawShape(Array.from({ length: 4 }, () => ({ r: 0, g: 0, b: 0, a: 0 })), [[0, 0]], black(), 2, 2, true, true);
+      const got = [JSON.stringify(linePixels(0, 0, 4, 2)), grid(polylinePixels([[0, 0], [2, 0], [0, 2]], true), 3, 3),
+        rectPixels(0, 0, 3, 2).length, rectPixels(3, 2, 0, 0, true).length,
+        grid(ellipsePixels(0, 0, 6, 4), 7, 5), grid(ellipsePixels(6, 4, 0, 0, true), 7, 5), grid(ellipsePixels(0, 0, 3, 3), 4, 4),
+        JSON.stringify([constrainEnd("line", 0, 0, 5, 1), constrainEnd("line", 0, 0, 4, -5), constrainEnd("ellipse", 2, 2, 0, 5)]),
+        asPixels(mirrored).every((p) => p.a === 255)];
+      const expect = ["[[0,0],[1,1],[2,1],[3,2],[4,2]]", "###/##./#..", 10, 12,
+        "..###../.#...#./#.....#/.#...#./..###..", "..###../.#####./#######/.#####./..###..", ".##./#..#/#..#/.##.",
+        "[[5,0],[5,-5],[-1,5]]", true];
+      results.push({ name: "Shape rasterizing", pass: JSON.stringify(got) === JSON.stringify(expect), got, expect });
+    }
+
+    // Test 30: Text - built-in fonts, alignment on the anchor, letter spacing, lines and glyph editor fonts
+    {
+      const [glcd, tiny, font8] = BUILTIN_FONTS;
+      const grid = (shape, w, h) => {
+        const out = drawShape(Array.from({ length: w * h }, () => ({ r: 0, g: 0, b: 0, a: 0 })), shape, black(), w, h);
+        return Array.from({ length: h }, (_, y) => asPixels(out).slice(y * w, y * w + w).map((p) => (p.a ? "#" : ".")).join("")).join("/");
+      };
+      const minX = (pixels) => Math.min(...pixels.map(([x]) => x));
+      const on = black();
+      const off = { r: 0, g: 0, b: 0, a: 0 };
+      const cells = editorFont([{ data: [on, off, off, on] }], { ...DEFAULT_FONT, first: 65 }, 2, 2);
+      const got = [grid(textPixels("Hi", tiny, 0, 0), 7, 5), textPixels("e", tiny, 0, 0).length === textPixels("E", tiny, 0, 0).length,
+        minX(textPixels("A", glcd, 5, 0, { align: "right" })), minX(textPixels("AB", glcd, 6, 0, { align: "center" })),
+        minX(textPixels("AB", glcd, 0, 0, { spacing: 2 }).slice(textPixels("A", glcd, 0, 0).length)),
+        Math.min(...textPixels("a\nb", font8, 0, 0).slice(textPixels("a", font8, 0, 0).length).map(([, y]) => y)),
+        JSON.stringify(textPixels("A?A", cells, 0, 0))];
+      const expect = ["#.#.###/#.#..#./###..#./#.#..#./#.#.###", true, 1, 1, 8, 8, "[[0,0],[1,1],[4,0],[5,1]]"];
+      results.push({ name: "Text fonts and layout", pass: JSON.stringify(got) === JSON.stringify(expect), got, expect });
+    }
+
+    // Test 31: Transforms - quarter turns swapping the size, flips, wrap-around shifts, nearest-neighbour scaling, pieces
+    {
+      const src = [1, 2, 3, 4, 5, 6]; // 3x2
+      const t = ({ pixels, w, h }) => `${w}x${h}:${Array.from(pixels).join("")}`;
+      const piece = transformPiece({ x: 5, y: 5, w: 3, h: 1, pixels: [7, 8, 9], mask: Uint8Array.from([1, 0, 1]) },
+        (p, w, h) => rotatePixels(p, w, h, 1));
+      const got = [t(rotatePixels(src, 3, 2, 1)), t(rotatePixels(src, 3, 2, -1)), t(rotatePixels(src, 3, 2, 2)),
+        t(flipPixels(src, 3, 2, true)), t(flipPixels(src, 3, 2, false)), t(shiftPixels(src, 3, 2, 1, 0)), t(shiftPixels(src, 3, 2, -1, 1)),
+        t(scalePixels(src, 3, 2, 6, 4)), t(scalePixels(scalePixels(src, 3, 2, 6, 4).pixels, 6, 4, 3, 2)),
+        `${piece.x},${piece.y} ${t(piece)} ${piece.mask instanceof Uint8Array ? Array.from(piece.mask).join("") : "?"}`];
+      const expect = ["2x3:415263", "2x3:362514", "3x2:654321", "3x2:321654", "3x2:456123", "3x2:312645", "3x2:564231",
+        "6x4:112233112233445566445566", "3x2:123456", "6,4 1x3:789 101"];
+      results.push({ name: "Transforms", pass: JSON.stringify(got) === JSON.stringify(expect), got, expect });
+    }
+
+    // Test 32: Resizing - anchored crop and pad, content bounds across buffers for trimming
+    {
+      const src = [1, 2, 3, 4]; // 2x2
+      const resize = (nw, nh, anchor) => placePixels(src, 2, 2, nw, nh, ...anchorOffset(2, 2, nw, nh, anchor), 0).pixels.join("");
+      const got = [resize(4, 3, ANCHORS[0]), resize(4, 3, ANCHORS[4]), resize(4, 3, ANCHORS[8]), resize(1, 1, ANCHORS[8]), resize(3, 1, ANCHORS[1]),
+        JSON.stringify(contentBounds([[0, 0, 0, 0, 0, 5], [0, 7, 0, 0, 0, 0]], 3, 2, (v) => v === 0)),
+        contentBounds([[9, 9]], 2, 1, (v) => v === 9)];
+      const expect = ["120034000000", "012003400000", "000000120034", "4", "120",
+        JSON.stringify({ x: 1, y: 0, w: 2, h: 2 }), null];
+      results.push({ name: "Canvas resize and trim", pass: JSON.stringify(got) === JSON.stringify(expect), got, expect });
+    }
+
+    // Test 33: Undo history - packed pixel diffs, structural entries sharing buffers, memory cap, saved with a project and read back
+    {
+      const c = (v) => ({ r: v, g: v, b: v, a: 255 });
+      const layers = [{ id: 1, name: "Layer 1", visible: true, locked: false, opacity: 100 }];
+      const doc = (cels, ids = [1]) => ({ layers, layer: 0, index: 0, w: 2, h: 1, frames: cels.map((cel, i) => ({ id: ids[i], cels: [cel], data: cel })) });
+      const values = (d) => d.frames.map((f) => asPixels(f.cels[0]).map((p) => p.r).join(",")).join(" ");
+      const a = doc([asBuffer([c(1), c(2)])]);
+      const b = doc([asBuffer([c(1), c(9)])]);
+      const more = doc([b.frames[0].cels[0], asBuffer([c(5), c(5)])], [1, 2]);
+      const step = diffDocuments(a, b, "Draw");
+      const added = diffDocuments(b, more, "Add frame");
+      const saved = parseProject(serializeProject({
+        name: "history", w: 2, h: 1, layers, frames: more.frames, frameIndex: 0, settings: DEFAULT_SETTINGS, display: displayConfig("SSD1306"),
+        palette: { primary: black(), secondary: white(), background: "transparent" }, history: { undo: [step, added], redo: [] },
+      }));
+      const loaded = saved.history.undo.map(loadedEntry);
+      const got = [step.label, step.bytes, Array.from(step.cels[0].indices).join(), values(applyEntry(b, step, false)), values(applyEntry(a, step, true)),
+        diffDocuments(a, doc([asBuffer([c(1), c(2)])]), "Draw"), Boolean(added.before), added.bytes,
+        capHistory([{ bytes: 400000 }, { bytes: 400000 }, { bytes: 400000 }], 1).length, capHistory([{ bytes: 3e6 }], 1).length,
+        loaded.map((e) => `${e.label}:${e.bytes}`).join(), values(loaded[1].before), values(applyEntry(loaded[1].before, loaded[0], false))];
+      const expect = ["Draw", 12, "1", "1,2", "1,9", null, true, 8, 2, 1, "Draw:12,Add frame:8", "1,9", "1,2"];
+      results.push({ name: "Undo history", pass: JSON.stringify(got) === JSON.stringify(expect), got, expect });
+    }
+
+    // Test 34: Pixel buffers - conversions are remembered both ways, packers and transforms take RGBA bytes, compositing blends bytes
+    {
+      const red = { r: 255, g: 0, b: 0, a: 255 };
+      const list = [red, white(), black(), { r: 0, g: 0, b: 0, a: 0 }];
+      const buf = Uint8ClampedArray.from([255, 0, 0, 255, 255, 255, 255, 255, 0, 0, 0, 255, 0, 0, 0, 0]);
+      const bytes = (b) => Array.from(b).join(",");
+      const layer = (id, opacity) => ({ id, visible: true, locked: false, opacity });
+      const flat = compositeLayers([createBuffer(1, white()), createBuffer(1, red)], [layer(1, 100), layer(2, 50)]);
+      const got = [asPixels(asBuffer(list)) === list, asBuffer(asPixels(buf)) === buf, bytes(asBuffer(list)) === bytes(buf),
+        JSON.stringify(packRGB565(buf, 4, 1)) === JSON.stringify(packRGB565(list, 4, 1)), JSON.stringify(pack1bit(buf, 4, 1, "horizontal")),
+        bytes(flat), bytes(flipPixels(buf.subarray(0, 8), 2, 1, true).pixels),
+        bytes(placePixels(createBuffer(1, red), 1, 1, 2, 1, 1, 0, white()).pixels), JSON.stringify(getPixel(buf, 1))];
+      const expect = [true, true, true, true, "[64]", "255,128,128,255", "255,255,255,255,255,0,0,255", "255,255,255,255,255,0,0,255",
+        JSON.stringify(white())];
+      results.push({ name: "Pixel buffers", pass: JSON.stringify(got) === JSON.stringify(expect), got, expect });
+    }
+
+    // Test 35: Autosave - thumbnail sizes, oldest documents pruned past MAX_RECENT, stored project reopens without its undo history
+    {
+      const records = [3, 9, 1, 7, 10, 2, 5, 8, 4, 6].map((t) => ({ id: `doc-${t}`, updatedAt: t }));
+      const frames = [{ cels: [asBuffer([white(), black()])], data: asBuffer([white(), black()]), duration: 120 }];
+      const layers = [{ id: 1, name: "Layer 1", visible: true, locked: false, opacity: 100 }];
+      const record = autosaveRecord("doc-1", {
+        name: "saved", w: 2, h: 1, frames, frameIndex: 0, layers, layerIndex: 0, exportLayer: null,
+        settings: DEFAULT_SETTINGS, display: displayConfig("SSD1306"),
+        palette: { primary: black(), secondary: white(), background: "transparent" },
+        history: { undo: [{ label: "Draw", index: [0, 0], layer: [0, 0], cels: [{ frame: 0, layer: 0, indices: Uint32Array.of(0), from: new Uint8Array(4), to: Uint8Array.of(255, 255, 255, 255) }] }], redo: [] },
+      }, "data:image/png;base64,");
+      const reopened = parseProject(record.project);
+      const bytesOf = (b) => Array.from(b).join(",");
+      const got = [JSON.stringify([thumbnailSize(320, 160), thumbnailSize(16, 16), thumbnailSize(1, 200)]), MAX_RECENT,
+        staleAutosaves(records).map((r) => r.id).join(), records[0].id, [record.id, record.name, record.width, record.height].join(),
+        reopened.name, bytesOf(reopened.frames[0].data), reopened.frames[0].duration, reopened.settings.dither,
+        reopened.history.undo.length];
+      const expect = ['[{"w":64,"h":32},{"w":64,"h":64},{"w":1,"h":64}]', 8, "doc-2,doc-1", "doc-3", "doc-1,saved,2,1",
+        "saved", "255,255,255,255,0,0,0,255", 120, "none", 0];
+      results.push({ name: "Autosave records", pass: JSON.stringify(got) === JSON.stringify(expect), got, expect });
+    }
+
+    // Test 36: Onion skins over the background - shown through a white background baked into the bottom layer, not over drawn pixels
+    {
+      const red = { r: 255, g: 0, b: 0, a: 255 };
+      const frame = asBuffer([white(), black(), { r: 0, g: 0, b: 0, a: 0 }]);
+      const skins = [{ pixels: asBuffer([red, red, red]), tint: red, opacity: 0.5 }];
+      const render = (background) => {
+        const out = new Uint8ClampedArray(12);
+        for (let j = 0; j < 3; j++) renderPixel(out, frame, j, background, skins);
+        return Array.from(out).join(",");
+      };
+      const got = [render("white"), render("transparent")];
+      const expect = ["255,128,128,255,0,0,0,255,255,128,128,255", "255,255,255,255,0,0,0,255,255,0,0,128"];
+      results.push({ name: "Onion skins over the background", pass: JSON.stringify(got) === JSON.stringify(expect), got, expect });
+    }
+
+    // Test 37: Frame operations - adding, deleting and moving frames of a two-layer document keeps its layers and cels
+    {
+      const layers = [{ id: 1, visible: true, opacity: 100 }, { id: 2, visible: true, opacity: 100 }];
+      const frame = (id) => ({ id, cels: [createBuffer(1), createBuffer(1)], duration: 100 });
+      const shape = (d) => `${d.layers.length}:${d.layer}:${d.frames.map((f) => `${f.id}/${f.cels.length}`).join()}@${d.index}`;
+      const start = { layers, layer: 1, frames: [frame(1), frame(2)], index: 0 };
+      const added = insertFrame(start, frame(3));
+      const deleted = removeFrame(added, 0);
+      const moved = moveFrame(deleted, 0, 1);
+      const got = [shape(added), shape(deleted), shape(moved), moved.layers === layers];
+      const expect = ["2:1:1/2,3/2,2/2@1", "2:1:3/2,2/2@0", "2:1:2/2,3/2@1", true];
+      results.push({ name: "Frame operations keep layers", pass: JSON.stringify(got) === JSON.stringify(expect), got, expect });
+    }
+
+    // Test 38: Canvas redraws - pixels a stroke writes in place or a new buffer changes redraw only their rectangle, onion skins
+    // on, while a changed neighbour or background, or drawn pixels written over since, redraw everything
+    {
+      const frames = [0, 1, 2].map(() => ({ data: createBuffer(6) }));
+      const settings = { ...DEFAULT_ONION_SKIN, enabled: true };
+      const view = (list, backgroundColor = "transparent") => ({
+        pixels: list[1].data, width: 3, height: 2, backgroundColor, customBackgroundColor: "#000000", onionSkins: onionLayers(list, 1, settings),
+      });
+      const withData = (data, i = 1) => frames.map((f, k) => (k === i ? { data } : f));
+      const drawn = view(frames);
+      // A stroke copies the frame once, then writes into the copy
+      const stroke = frames[1].data.slice();
+      setPixel(stroke, 4, black());
+      const first = editedBuffer(stroke, { x: 1, y: 1, w: 1, h: 1 }, frames[1].data);
+      setPixel(stroke, 0, black());
+      const second = editedBuffer(first, { x: 0, y: 0, w: 1, h: 1 });
+      const got = [redrawRect(drawn, view(withData(first))), redrawRect(view(withData(first)), view(withData(second))), redrawRect(drawn, view(withData(second))),
+        redrawRect(drawn, view(frames)), redrawRect(drawn, view(withData(second.slice()))), redrawRect(drawn, view(withData(createBuffer(6, white()), 2))),
+        redrawRect(drawn, view(withData(first), "white")), redrawRect(drawn, view(withData(createBuffer(6)))),
+        redrawRect(view(withData(first)), view(withData(second.slice())))];
+      const expect = [{ x: 1, y: 1, w: 1, h: 1 }, { x: 0, y: 0, w: 1, h: 1 }, { x: 0, y: 0, w: 2, h: 2 }, { x: 0, y: 0, w: 0, h: 0 },
+        { x: 0, y: 0, w: 2, h: 2 }, null, null, { x: 0, y: 0, w: 0, h: 0 }, null];
+      results.push({ name: "Canvas redraws", pass: JSON.stringify(got) === JSON.stringify(expect), got, expect });
+    }
+
     setTestResults(results);
   };
 
@@ -0,0 +1,77 @@
+/*
+ * Pixel2CPP - Text Tool Hook
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+import { useState, useMemo } from "react";
+import { compositeLayers } from "../lib/layers.js";
+import { drawShape } from "../lib/shapes.js";
+import { BUILTIN_FONTS, DEFAULT_TEXT, editorFont, textPixels } from "../lib/textfonts.js";
+
+/**
+ * Custom hook for the text tool
+ *
+ * The text follows the cursor as a preview and is stamped on the active
+ * layer as one undo step on a click. The glyph editor's font is offered
+ * alongside the built-in fonts while font mode is on.
+ *
+ * @param {Object} canvasState - Document state from useCanvasState()
+ * @param {Object} font - Font settings (see DEFAULT_FONT)
+ * @returns {Object} Text settings, fonts, preview and methods
+ */
+export function useText(canvasState, font) {
+  const { w, h, frames, frameIndex, layers, layerIndex } = canvasState;
+  const [settings, setSettings] = useState(DEFAULT_TEXT);
+  // { x, y, color } of the cursor over the canvas
+  const [cursor, setCursor] = useState(null);
+
+  const fonts = useMemo(
+    () => (font.enabled ? [...BUILTIN_FONTS, editorFont(frames, font, w, h)] : BUILTIN_FONTS),
+    [font, frames, w, h]
+  );
+  // The editor font falls back to the first built-in one outside font mode
+  const textFont = fonts.find((f) => f.id === settings.font) || fonts[0];
+
+  const preview = useMemo(() => {
+    if (!cursor || !settings.text) return null;
+    const cels = frames[frameIndex].cels.map((c, k) =>
+      (k === layerIndex ? drawShape(c, textPixels(settings.text, textFont, cursor.x, cursor.y, settings), cursor.color, w, h) : c));
+    return compositeLayers(cels, layers);
+  }, [cursor, settings, textFont, frames, frameIndex, layers, layerIndex, w, h]);
+
+  /**
+   * Stamp the text at a canvas pixel as one undo step
+   * @param {number} x - Anchor x
+   * @param {number} y - Anchor y
+   * @param {Object} color - {r,g,b,a} color
+   */
+  const stamp = (x, y, color) => {
+    if (!settings.text) return;
+    canvasState.pushHistory("Text");
+    canvasState.setLayerData((c) => drawShape(c, textPixels(settings.text, textFont, x, y, settings), color, w, h));
+  };
+
+  // Preview the text in a color with its anchor at a canvas pixel
+  const hover = (x, y, color) => setCursor({ x, y, color });
+
+  const hide = () => setCursor(null);
+
+  // Merge changed settings: { text, font, align, spacing }
+  const update = (patch) => setSettings((s) => ({ ...s, ...patch }));
+
+  return {
+    settings,
+    fonts,
+    font: textFont,
+    preview,
+    update,
+    stamp,
+    hover,
+    hide,
+  };
+}
@@ -0,0 +1,376 @@
+/*
+ * Pixel2CPP - Animated Image Import
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+// Decoders return every frame fully composited at the image's own size:
+// { width, height, frames: [{ rgba: Uint8ClampedArray, delay }] } with delays in ms.
+
+// Delays this short are played at 100 ms by browsers, so designers never see them
+const MIN_DELAY = 20;
+const DEFAULT_DELAY = 100;
+
+const frameDelay = (ms) => (ms < MIN_DELAY ? DEFAULT_DELAY : Math.min(65535, Math.round(ms)));
+
+const u16le = (b, i) => b[i] | (b[i + 1] << 8);
+const u16be = (b, i) => (b[i] << 8) | b[i + 1];
+const u32be = (b, i) => ((b[i] << 24) | (b[i + 1] << 16) | (b[i + 2] << 8) | b[i + 3]) >>> 0;
+
+export const isGif = (b) => b.length > 6 && /^GIF8[79]a$/.test(String.fromCharCode(...b.subarray(0, 6)));
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+export const isPng = (b) => b.length > 8 && PNG_SIGNATURE.every((v, i) => b[i] === v);
+
+/**
+ * Decode GIF LZW image data into color indices
+ * @param {number} minCodeSize - LZW minimum code size from the image block
+ * @param {Uint8Array} data - Concatenated data sub-blocks
+ * @param {number} count - Pixels in the image
+ * @returns {Object} { indices, decoded } where decoded may fall short of count for truncated data
+ */
+function lzwDecode(minCodeSize, data, count) {
+  const indices = new Uint8Array(count);
+  const prefix = new Uint16Array(4096);
+  const suffix = new Uint8Array(4096);
+  const stack = new Uint8Array(4097);
+  const clear = 1 << minCodeSize;
+  const eoi = clear + 1;
+  for (let i = 0; i < clear; i++) suffix[i] = i;
+
+  let codeSize = minCodeSize + 1;
+  let codeMask = (1 << codeSize) - 1;
+  let available = clear + 2;
+  let oldCode = -1;
+  let first = 0;
+  let datum = 0, bits = 0, pos = 0, op = 0;
+
+  while (op < count) {
+    while (bits < codeSize && pos < data.length) {
+      datum |= data[pos++] << bits;
+      bits += 8;
+    }
+    if (bits < codeSize) break;
+    let code = datum & codeMask;
+    datum >>>= codeSize;
+    bits -= codeSize;
+
+    if (code === clear) {
+      codeSize = minCodeSize + 1;
+      codeMask = (1 << codeSize) - 1;
+      available = clear + 2;
+      oldCode = -1;
+      continue;
+    }
+    if (code === eoi) break;
+    if (oldCode === -1) {
+      if (code >= clear) break; // Corrupt: the first code after a clear must be a color
+      indices[op++] = code;
+      oldCode = first = code;
+      continue;
+    }
+
+    const inCode = code;
+    let sp = 0;
+    if (code >= available) {
+      // Code not in the table yet: it's the previous string plus its own first byte
+      stack[sp++] = first;
+      code = oldCode;
+    }
+    while (code >= clear) {
+      stack[sp++] = suffix[code];
+      code = prefix[code];
+    }
+    first = suffix[code];
+    stack[sp++] = first;
+
+    if (available < 4096) {
+      prefix[available] = oldCode;
+      suffix[available] = first;
+      available++;
+      if ((available & codeMask) === 0 && available < 4096) {
+        codeSize++;
+        codeMask = (1 << codeSize) - 1;
+      }
+    }
+    oldCode = inCode;
+    while (sp > 0 && op < count) indices[op++] = stack[--sp];
+  }
+  return { indices, decoded: op };
+}
+
+// Row order of an interlaced GIF image: every 8th row from 0, every 8th from 4, every 4th from 2, every 2nd from 1
+function interlacedRows(h) {
+  const rows = [];
+  for (const [start, step] of [[0, 8], [4, 8], [2, 4], [1, 2]]) {
+    for (let y = start; y < h; y += step) rows.push(y);
+  }
+  return rows;
+}
+
+/**
+ * Decode every frame of a GIF, applying each frame's disposal method
+ *
+ * The background is left transparent, as browsers draw it.
+ *
+ * @param {Uint8Array} b - File bytes
+ * @returns {Object} { width, height, frames: [{ rgba, delay }] }
+ * @throws {Error} When the file is not a GIF or has no images
+ */
+export function decodeGif(b) {
+  if (!isGif(b)) throw new Error("Not a GIF file");
+  const width = u16le(b, 6);
+  const height = u16le(b, 8);
+  const readTable = (at, size) => {
+    if (at + size * 3 > b.length) throw new Error("GIF color table is truncated");
+    return b.subarray(at, at + size * 3);
+  };
+  let pos = 13;
+  let globalTable = null;
+  if (b[10] & 0x80) {
+    const size = 2 << (b[10] & 7);
+    globalTable = readTable(pos, size);
+    pos += size * 3;
+  }
+
+  // Read data sub-blocks starting at pos; returns the joined bytes and the position after the terminator
+  const readSubBlocks = (at) => {
+    const parts = [];
+    let total = 0;
+    while (at < b.length && b[at] !== 0) {
+      const part = b.subarray(at + 1, at + 1 + b[at]);
+      parts.push(part);
+      total += part.length;
+      at += 1 + b[at];
+    }
+    const out = new Uint8Array(total);
+    let o = 0;
+    for (const part of parts) {
+      out.set(part, o);
+      o += part.length;
+    }
+    return { data: out, end: at + 1 };
+  };
+
+  const canvas = new Uint8ClampedArray(width * height * 4);
+  const frames = [];
+  let control = { disposal: 0, delay: 0, transparent: -1 };
+  let dispose = null; // How to undo the previous frame before drawing the next
+
+  while (pos < b.length) {
+    const block = b[pos++];
+    if (block === 0x3b) break; // Trailer
+    if (block === 0x21) {
+      const label = b[pos++];
+      if (label === 0xf9 && b[pos] >= 4) {
+        const packed = b[pos + 1];
+        control = {
+          disposal: (packed >> 2) & 7,
+          delay: u16le(b, pos + 2) * 10,
+          transparent: packed & 1 ? b[pos + 4] : -1,
+        };
+      }
+      pos = readSubBlocks(pos).end;
+      continue;
+    }
+    if (block !== 0x2c) throw new Error(`Unexpected GIF block 0x${block.toString(16)}`);
+
+    const fx = u16le(b, pos), fy = u16le(b, pos + 2), fw = u16le(b, pos + 4), fh = u16le(b, pos + 6);
+    const packed = b[pos + 8];
+    pos += 9;
+    let table = globalTable;
+    if (packed & 0x80) {
+      const size = 2 << (packed & 7);
+      table = readTable(pos, size);
+      pos += size * 3;
+    }
+    if (!table) throw new Error("GIF frame has no color table");
+    const minCodeSize = b[pos++];
+    const { data, end } = readSubBlocks(pos);
+    pos = end;
+
+    if (dispose) dispose();
+    dispose = null;
+    if (control.disposal === 2) {
+      dispose = () => {
+        for (let y = fy; y < Math.min(height, fy + fh); y++) {
+          canvas.fill(0, (y * width + fx) * 4, (y * width + Math.min(width, fx + fw)) * 4);
+        }
+      };
+    } else if (control.disposal === 3) {
+      const saved = canvas.slice();
+      dispose = () => canvas.set(saved);
+    }
+
+    const { indices, decoded } = lzwDecode(minCodeSize, data, fw * fh);
+    const rows = packed & 0x40 ? interlacedRows(fh) : null;
+    for (let i = 0; i < decoded; i++) {
+      const index = indices[i];
+      if (index === control.transparent || index * 3 >= table.length) continue;
+      const x = fx + (i % fw);
+      const y = fy + (rows ? rows[Math.floor(i / fw)] : Math.floor(i / fw));
+      if (x >= width || y >= height) continue;
+      const o = (y * width + x) * 4;
+      canvas[o] = table[index * 3];
+      canvas[o + 1] = table[index * 3 + 1];
+      canvas[o + 2] = table[index * 3 + 2];
+      canvas[o + 3] = 255;
+    }
+    frames.push({ rgba: canvas.slice(), delay: frameDelay(control.delay) });
+    control = { disposal: 0, delay: 0, transparent: -1 };
+  }
+
+  if (!frames.length) throw new Error("GIF has no images");
+  return { width, height, frames };
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (const v of bytes) c = CRC_TABLE[(c ^ v) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// Serialize a PNG chunk: length, type, data, CRC of type + data
+function pngChunk(type, data) {
+  const out = new Uint8Array(12 + data.length);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+  out.set(data, 8);
+  view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+  return out;
+}
+
+/**
+ * Split an APNG into standalone PNGs, one per frame, with their placement and timing
+ *
+ * @param {Uint8Array} b - File bytes
+ * @returns {Object|null} { width, height, frames: [{ png, x, y, w, h, delay, dispose, blend }] },
+ *   or null for a PNG without animation
+ * @throws {Error} When the animation chunks are malformed
+ */
+export function parseApng(b) {
+  if (!isPng(b)) throw new Error("Not a PNG file");
+  const chunks = [];
+  for (let pos = 8; pos + 12 <= b.length;) {
+    const length = u32be(b, pos);
+    const type = String.fromCharCode(...b.subarray(pos + 4, pos + 8));
+    chunks.push({ type, data: b.subarray(pos + 8, pos + 8 + length) });
+    pos += 12 + length;
+    if (type === "IEND") break;
+  }
+  if (!chunks.some((c) => c.type === "acTL")) return null;
+
+  const ihdr = chunks.find((c) => c.type === "IHDR");
+  if (!ihdr) throw new Error("PNG has no header");
+  const width = u32be(ihdr.data, 0);
+  const height = u32be(ihdr.data, 4);
+
+  // Chunks every frame needs besides its image data (palette, transparency, color space)
+  const shared = chunks.filter((c) => !["IHDR", "acTL", "fcTL", "IDAT", "fdAT", "IEND"].includes(c.type) && chunks.indexOf(c) < chunks.findIndex((d) => d.type === "IDAT"));
+
+  const frames = [];
+  let current = null;
+  for (const chunk of chunks) {
+    if (chunk.type === "fcTL") {
+      const d = chunk.data;
+      const num = u16be(d, 20);
+      const den = u16be(d, 22) || 100;
+      current = {
+        x: u32be(d, 12),
+        y: u32be(d, 16),
+        w: u32be(d, 4),
+        h: u32be(d, 8),
+        delay: frameDelay((num * 1000) / den),
+        dispose: d[24],
+        blend: d[25],
+        data: [],
+      };
+      frames.push(current);
+    } else if (chunk.type === "IDAT" && current) {
+      // Only part of the animation when an fcTL came before it
+      current.data.push(chunk.data);
+    } else if (chunk.type === "fdAT" && current) {
+      current.data.push(chunk.data.subarray(4));
+    }
+  }
+  if (!frames.length) throw new Error("APNG has no frames");
+
+  return {
+    width,
+    height,
+    frames: frames.map(({ data, ...frame }) => {
+      const header = ihdr.data.slice();
+      new DataView(header.buffer).setUint32(0, frame.w);
+      new DataView(header.buffer).setUint32(4, frame.h);
+      const parts = [
+        Uint8Array.from(PNG_SIGNATURE),
+        pngChunk("IHDR", header),
+        ...shared.map((c) => pngChunk(c.type, c.data)),
+        ...data.map((d) => pngChunk("IDAT", d)),
+        pngChunk("IEND", new Uint8Array(0)),
+      ];
+      const png = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+      let offset = 0;
+      for (const part of parts) {
+        png.set(part, offset);
+        offset += part.length;
+      }
+      return { ...frame, png };
+    }),
+  };
+}
+
+/**
+ * Composite APNG frames with the browser's PNG decoder
+ * @param {Object} apng - Result of parseApng()
+ * @returns {Promise<Object>} { width, height, frames: [{ rgba, delay }] }
+ */
+async function composeApng({ width, height, frames }) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  const out = [];
+  for (let i = 0; i < frames.length; i++) {
+    const f = frames[i];
+    const bitmap = await createImageBitmap(new Blob([f.png], { type: "image/png" }));
+    // Restoring to "previous" on the first frame means clearing, per the spec
+    const saved = f.dispose === 2 && i > 0 ? ctx.getImageData(0, 0, width, height) : null;
+    if (f.blend === 0) ctx.clearRect(f.x, f.y, f.w, f.h);
+    ctx.drawImage(bitmap, f.x, f.y);
+    bitmap.close();
+    out.push({ rgba: ctx.getImageData(0, 0, width, height).data, delay: f.delay });
+    if (saved) ctx.putImageData(saved, 0, 0);
+    else if (f.dispose !== 0) ctx.clearRect(f.x, f.y, f.w, f.h);
+  }
+  return { width, height, frames: out };
+}
+
+/**
+ * Decode all frames of an animated GIF or APNG
+ * @param {File} file - Image file
+ * @returns {Promise<Object|null>} { width, height, frames: [{ rgba, delay }] }, or null when the
+ *   file is a still image (or a format only the browser can read)
+ */
+export async function decodeAnimation(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  let animation = null;
+  if (isGif(bytes)) {
+    animation = decodeGif(bytes);
+  } else if (isPng(bytes)) {
+    const apng = parseApng(bytes);
+    if (apng && typeof createImageBitmap === "function") animation = await composeApng(apng);
+  }
+  return animation && animation.frames.length > 1 ? animation : null;
+}
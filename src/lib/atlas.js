@@ -0,0 +1,116 @@
+/*
+ * Pixel2CPP - Sprite Atlas Packing
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+import { transparent } from "./colors.js";
+import { asPixels } from "./pixelbuffer.js";
+
+/**
+ * Bounding box of a sprite's non-transparent pixels
+ * @param {Uint8ClampedArray|Array} data - Pixel buffer or array of {r,g,b,a} pixels
+ * @param {number} w - Sprite width
+ * @param {number} h - Sprite height
+ * @returns {Object} { x, y, w, h }; w and h are 0 for an empty sprite
+ */
+export function trimBounds(data, w, h) {
+  const pixels = asPixels(data);
+  let x0 = w, y0 = h, x1 = -1, y1 = -1;
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      if (pixels[y * w + x].a === 0) continue;
+      x0 = Math.min(x0, x);
+      x1 = Math.max(x1, x);
+      y0 = Math.min(y0, y);
+      y1 = Math.max(y1, y);
+    }
+  }
+  return x1 < 0 ? { x: 0, y: 0, w: 0, h: 0 } : { x: x0, y: y0, w: x1 - x0 + 1, h: y1 - y0 + 1 };
+}
+
+/**
+ * Place rectangles on shelves, tallest first, in an atlas about as wide as it is tall
+ * @param {Array} sizes - [{ w, h }]
+ * @returns {Object} { width, height, positions: [{ x, y }] } in the order of `sizes`
+ */
+export function shelfPack(sizes) {
+  const area = sizes.reduce((n, s) => n + s.w * s.h, 0);
+  const width = Math.max(Math.ceil(Math.sqrt(area)), ...sizes.map((s) => s.w), 0);
+  const order = sizes.map((_, i) => i).sort((a, b) => sizes[b].h - sizes[a].h || sizes[b].w - sizes[a].w);
+  const positions = [];
+  let x = 0, y = 0, shelf = 0;
+  for (const i of order) {
+    const { w, h } = sizes[i];
+    if (!w || !h) {
+      positions[i] = { x: 0, y: 0 };
+      continue;
+    }
+    if (x + w > width) {
+      y += shelf;
+      x = 0;
+      shelf = 0;
+    }
+    positions[i] = { x, y };
+    x += w;
+    shelf = Math.max(shelf, h);
+  }
+  return { width, height: y + shelf, positions };
+}
+
+// Turn sprite names into unique C identifier suffixes
+function spriteIds(names) {
+  const used = new Set(["COUNT"]); // taken by the enum's count entry
+  return names.map((name) => {
+    let id = name.replace(/[^a-zA-Z0-9_]/g, "_").toUpperCase();
+    if (!/^[A-Z_]/.test(id)) id = `_${id}`;
+    let unique = id;
+    for (let n = 2; used.has(unique); n++) unique = `${id}_${n}`;
+    used.add(unique);
+    return unique;
+  });
+}
+
+/**
+ * Trim sprites to their opaque pixels and pack them into one atlas image
+ *
+ * @param {Array} sprites - [{ name, data }] all w×h
+ * @param {number} w - Sprite width
+ * @param {number} h - Sprite height
+ * @returns {Object} { width, height, pixels, rects: [{ name, id, x, y, w, h, trimX, trimY }] } where
+ *   (x, y, w, h) is the rectangle in the atlas and (trimX, trimY) where it was cut from the sprite
+ */
+export function buildAtlas(sprites, w, h) {
+  const bounds = sprites.map((s) => trimBounds(s.data, w, h));
+  const { width, height, positions } = shelfPack(bounds);
+  const pixels = Array.from({ length: width * height }, () => transparent());
+  sprites.forEach((s, i) => {
+    const data = asPixels(s.data);
+    const b = bounds[i];
+    const { x: ax, y: ay } = positions[i];
+    for (let y = 0; y < b.h; y++) {
+      for (let x = 0; x < b.w; x++) {
+        pixels[(ay + y) * width + ax + x] = data[(b.y + y) * w + b.x + x];
+      }
+    }
+  });
+  const ids = spriteIds(sprites.map((s) => s.name));
+  return {
+    width,
+    height,
+    pixels,
+    rects: sprites.map((s, i) => ({
+      name: s.name,
+      id: ids[i],
+      ...positions[i],
+      w: bounds[i].w,
+      h: bounds[i].h,
+      trimX: bounds[i].x,
+      trimY: bounds[i].y,
+    })),
+  };
+}
@@ -0,0 +1,148 @@
+/*
+ * Pixel2CPP - Autosave Storage
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+import { asBuffer } from "./pixelbuffer.js";
+import { serializeProject } from "./project.js";
+
+// Autosaved documents live in IndexedDB as { id, name, width, height, updatedAt, thumbnail, project }
+// where `project` is the .p2c text, so restoring goes through the same parser as opening a file.
+
+const DB_NAME = "pixel2cpp";
+const DB_VERSION = 1;
+const STORE = "documents";
+
+// Autosaves kept; older documents are dropped when a new one is saved
+export const MAX_RECENT = 8;
+
+let dbPromise = null;
+
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(STORE, { keyPath: "id" }).createIndex("updatedAt", "updatedAt");
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // Let a later call retry if opening failed (e.g. storage blocked)
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+// Run one request against the documents store and resolve with its result
+async function withStore(mode, makeRequest) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = makeRequest(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export const newDocumentId = () => `doc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * List autosaved documents, most recently saved first, without their project data
+ * @returns {Promise<Array>} [{ id, name, width, height, updatedAt, thumbnail }]
+ */
+export async function listAutosaves() {
+  const records = await withStore("readonly", (store) => store.getAll());
+  return byRecent(records).map((r) => ({ id: r.id, name: r.name, width: r.width, height: r.height, updatedAt: r.updatedAt, thumbnail: r.thumbnail }));
+}
+
+export function loadAutosave(id) {
+  return withStore("readonly", (store) => store.get(id));
+}
+
+export function deleteAutosave(id) {
+  return withStore("readwrite", (store) => store.delete(id));
+}
+
+/**
+ * Save a document and prune the oldest ones beyond MAX_RECENT
+ * @param {Object} record - { id, name, width, height, thumbnail, project }
+ */
+export async function saveAutosave(record) {
+  await withStore("readwrite", (store) => store.put({ ...record, updatedAt: Date.now() }));
+  const all = await listAutosaves();
+  await Promise.all(staleAutosaves(all).map((r) => deleteAutosave(r.id)));
+}
+
+// Documents most recently saved first
+export const byRecent = (records) => records.slice().sort((a, b) => b.updatedAt - a.updatedAt);
+
+// Documents dropped from the recent list: all but the MAX_RECENT most recently saved
+export const staleAutosaves = (records) => byRecent(records).slice(MAX_RECENT);
+
+/**
+ * The stored record for a workspace
+ *
+ * Undo history is left out: it can grow to the history's memory cap, and
+ * autosaves are written after every change. Saving a project keeps it.
+ * @param {string} id - Document id
+ * @param {Object} project - Workspace in the shape serializeProject() takes; `history` isn't needed
+ * @param {string} thumbnail - Thumbnail data URL
+ * @returns {Object} { id, name, width, height, thumbnail, project } with the project as .p2c text
+ */
+export const autosaveRecord = (id, project, thumbnail) => ({
+  id,
+  name: project.name,
+  width: project.w,
+  height: project.h,
+  thumbnail,
+  project: serializeProject({ ...project, history: { undo: [], redo: [] } }),
+});
+
+/**
+ * Size of the thumbnail for a canvas: the longest side scaled to `size`, at least 1 pixel each way
+ * @param {number} w - Canvas width
+ * @param {number} h - Canvas height
+ * @param {number} [size] - Longest side of the thumbnail in pixels
+ * @returns {Object} { w, h }
+ */
+export function thumbnailSize(w, h, size = 64) {
+  const scale = size / Math.max(w, h);
+  return { w: Math.max(1, Math.round(w * scale)), h: Math.max(1, Math.round(h * scale)) };
+}
+
+/**
+ * Render pixels into a small PNG data URL for the recent documents list
+ * @param {number} w - Canvas width
+ * @param {number} h - Canvas height
+ * @param {Uint8ClampedArray|Array} data - Pixel buffer or array of {r,g,b,a} pixels
+ * @param {number} [size] - Longest side of the thumbnail in pixels
+ * @returns {string} PNG data URL
+ */
+export function thumbnailDataUrl(w, h, data, size = 64) {
+  const src = document.createElement("canvas");
+  src.width = w;
+  src.height = h;
+  const img = src.getContext("2d").createImageData(w, h);
+  img.data.set(asBuffer(data));
+  src.getContext("2d").putImageData(img, 0, 0);
+
+  const thumb = thumbnailSize(w, h, size);
+  const out = document.createElement("canvas");
+  out.width = thumb.w;
+  out.height = thumb.h;
+  const ctx = out.getContext("2d");
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(src, 0, 0, out.width, out.height);
+  return out.toDataURL("image/png");
+}
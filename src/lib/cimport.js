@@ -0,0 +1,209 @@
+/*
+ * Pixel2CPP - C Array Import
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+import { DEFAULT_PACKING, DRAW_MODES } from "./packers.js";
+import { decompressRLE, decompressLZ } from "./compress.js";
+import { from565, packedLength } from "./unpackers.js";
+
+// Hex, binary (0b / Arduino B), octal and decimal integer literals
+const NUMBER = /(-?)\b(0[xX][0-9a-fA-F]+|0[bB][01]+|B[01]{1,8}|\d+)[uUlL]*\b/g;
+
+// Suffixes our exporters and common converters give to pixel arrays
+const DATA_SUFFIX = /_(bits|data|alpha|indices|pixels|map|bitmap|rle|lz)$/;
+
+function parseNumber(sign, literal) {
+  let v;
+  if (/^0[xX]/.test(literal)) v = parseInt(literal.slice(2), 16);
+  else if (/^0[bB]/.test(literal)) v = parseInt(literal.slice(2), 2);
+  else if (literal[0] === "B") v = parseInt(literal.slice(1), 2);
+  else if (/^0[0-7]+$/.test(literal)) v = parseInt(literal, 8);
+  else v = parseInt(literal, 10);
+  return sign ? -v : v;
+}
+
+// Element width from the declared C type
+function elementBits(type) {
+  if (/\b(uint16_t|int16_t|short|word)\b/.test(type)) return 16;
+  if (/\b(uint32_t|int32_t|long)\b/.test(type)) return 32;
+  return 8;
+}
+
+/**
+ * Parse the integer constants and array initializers out of C source
+ *
+ * Comments are stripped first; nested initializers ({ {r, g, b}, ... }) are
+ * flattened. Negative values wrap to the element width.
+ *
+ * @param {string} text - Header or source file contents
+ * @returns {Object} { arrays: [{ name, bits, values }], constants: { name: value }, defines: Set of #define names }
+ */
+export function parseCSource(text) {
+  const code = text.replace(/\/\*[\s\S]*?\*\//g, " ").replace(/\/\/[^\n]*/g, "");
+  const constants = {};
+  const defines = new Set();
+  for (const m of code.matchAll(/#define\s+(\w+)\s+\(?\s*(-?)(0[xX][0-9a-fA-F]+|0[bB][01]+|\d+)[uUlL]*\s*\)?\s*$/gm)) {
+    constants[m[1]] = parseNumber(m[2], m[3]);
+    defines.add(m[1]);
+  }
+  for (const m of code.matchAll(/\b(\w+)\s*=\s*(-?)(0[xX][0-9a-fA-F]+|0[bB][01]+|\d+)[uUlL]*\s*[;,]/g)) {
+    if (!(m[1] in constants)) constants[m[1]] = parseNumber(m[2], m[3]);
+  }
+
+  const arrays = [];
+  const decl = /([A-Za-z_][\w\s*]*?)\b([A-Za-z_]\w*)\s*((?:\[[^\]]*\]\s*)+)[\w\s]*=\s*\{/g;
+  let m;
+  while ((m = decl.exec(code))) {
+    // Find the matching closing brace of the initializer
+    let depth = 1;
+    let i = decl.lastIndex;
+    while (i < code.length && depth) {
+      if (code[i] === "{") depth++;
+      else if (code[i] === "}") depth--;
+      i++;
+    }
+    const bits = elementBits(m[1]);
+    const mask = bits === 32 ? 0xffffffff : (1 << bits) - 1;
+    const body = code.slice(decl.lastIndex, i - 1);
+    const values = [...body.matchAll(NUMBER)].map((n) => (parseNumber(n[1], n[2]) & mask) >>> 0);
+    arrays.push({ name: m[2], bits, values });
+    decl.lastIndex = i;
+  }
+  return { arrays, constants, defines };
+}
+
+// Packing options described by the generated "// Packing:" and palette index comments
+function packingFromComments(text) {
+  const packing = { ...DEFAULT_PACKING };
+  if (/LSB-first|\bXBM\b/.test(text)) packing.bitOrder = "lsb";
+  if (/big-endian 16-bit/.test(text)) packing.byteOrder = "big";
+  if (/bit-continuous rows/.test(text)) packing.rowAlign = 0;
+  const aligned = /rows aligned to (\d) bytes/.exec(text);
+  if (aligned) packing.rowAlign = parseInt(aligned[1], 10);
+  return packing;
+}
+
+// Draw mode named in a "Generated by Pixel2CPP (...)" banner
+function modeFromComments(text) {
+  const m = /Generated by Pixel2CPP \(([\w]+)/.exec(text);
+  if (!m) return null;
+  if (DRAW_MODES.includes(m[1])) return m[1];
+  if (m[1] === "RGB565") return "HORIZONTAL_RGB565";
+  if (m[1] === "XBM") return /opaque pixels/.test(text) ? "HORIZONTAL_ALPHA" : "HORIZONTAL_1BIT";
+  return null;
+}
+
+// Best guess of a draw mode from the array name, element type and (when known) size
+function guessDrawMode(array, w, h, packing) {
+  if (array.bits === 16) return "HORIZONTAL_RGB565";
+  if (/_alpha$/.test(array.name)) return "HORIZONTAL_ALPHA";
+  if (/_bits$|_bitmap$/.test(array.name)) return "HORIZONTAL_1BIT";
+  if (w && h) {
+    const fits = ["HORIZONTAL_1BIT", "HORIZONTAL_GRAY4", "HORIZONTAL_RGB332", "HORIZONTAL_RGB888_24", "HORIZONTAL_RGB888_32"]
+      .find((mode) => packedLength(mode, w, h, packing) === array.values.length);
+    if (fits) return fits;
+  }
+  return "HORIZONTAL_1BIT";
+}
+
+/**
+ * Work out how to import a C header produced by Pixel2CPP or another converter
+ *
+ * Picks the largest pixel array (palette tables excluded), expands RLE/LZ
+ * data back into packed values and reads dimensions from `<name>_w`/`_h`,
+ * `<name>_width`/`_height` constants or #defines. The draw mode and packing
+ * come from Pixel2CPP's comments when present, otherwise they are guessed;
+ * `complete` is false when anything had to be guessed and the user should
+ * confirm the settings.
+ *
+ * @param {string} text - Header contents
+ * @param {string} [arrayName] - Array to import instead of the largest one
+ * @returns {Object} { name, arrays, array, values, w, h, drawMode, packing, palette, bgr, complete }
+ * @throws {Error} When the text contains no array initializers or is an LVGL image
+ */
+export function analyzeCHeader(text, arrayName) {
+  if (/lv_img_dsc_t|lv_image_dsc_t/.test(text)) {
+    throw new Error("LVGL image descriptors can't be imported; export the image as a C array instead");
+  }
+  const { arrays, constants, defines } = parseCSource(text);
+  const candidates = arrays.filter((a) => !/_palette$/.test(a.name) && a.values.length > 0);
+  if (!candidates.length) throw new Error("No C array initializers found");
+  const array = candidates.find((a) => a.name === arrayName)
+    || candidates.reduce((best, a) => (a.values.length > best.values.length ? a : best));
+  const name = array.name.replace(DATA_SUFFIX, "");
+
+  const lookup = (...keys) => {
+    for (const k of keys) {
+      if (constants[k] > 0) return constants[k];
+      if (constants[k.toUpperCase()] > 0) return constants[k.toUpperCase()];
+    }
+    return null;
+  };
+  const single = /(\d+)x(\d+) pixels/.exec(text);
+  const w = lookup(`${name}_w`, `${name}_width`, `${array.name}_w`, `${array.name}_width`) || (single && parseInt(single[1], 10));
+  const h = lookup(`${name}_h`, `${name}_height`, `${array.name}_h`, `${array.name}_height`) || (single && parseInt(single[2], 10));
+
+  // Compressed exports store a byte stream; 16-bit words were written high byte first
+  let values = array.values;
+  let mode = modeFromComments(text);
+  const scheme = /_rle$/.test(array.name) ? "RLE" : /_lz$/.test(array.name) ? "LZ" : null;
+  if (scheme) {
+    const bytes = scheme === "RLE" ? decompressRLE(values) : decompressLZ(values);
+    values = mode === "HORIZONTAL_RGB565"
+      ? Array.from({ length: bytes.length >> 1 }, (_, i) => (bytes[i * 2] << 8) | bytes[i * 2 + 1])
+      : bytes;
+  }
+
+  const packing = packingFromComments(text);
+  // XBM files (#define <name>_width with a <name>_bits array) store the leftmost pixel in bit 0
+  if (defines.has(`${name}_width`) && /_bits$/.test(array.name)) packing.bitOrder = "lsb";
+  const bpp = lookup(`${name}_bpp`);
+  if (!mode && bpp && [1, 2, 4, 8].includes(bpp)) mode = `HORIZONTAL_INDEXED${bpp}`;
+
+  // Generated indexed headers give the padded row length instead of the alignment
+  const padded = /rows padded to (\d+) bytes/.exec(text);
+  if (padded && w && bpp) {
+    const stride = parseInt(padded[1], 10);
+    packing.rowAlign = [1, 2, 4].find((a) => Math.ceil(Math.ceil((w * bpp) / 8) / a) * a === stride) || 1;
+  }
+
+  // Palette tables: uint16_t RGB565 entries or uint8_t [][3] RGB888 triplets
+  let palette = null;
+  const table = arrays.find((a) => a.name === `${name}_palette`);
+  if (table) {
+    palette = table.bits === 16
+      ? table.values.map(from565)
+      : Array.from({ length: Math.floor(table.values.length / 3) }, (_, i) => ({
+        r: table.values[i * 3], g: table.values[i * 3 + 1], b: table.values[i * 3 + 2], a: 255,
+      }));
+    const t = constants[`${name}_transparent`];
+    if (t >= 0 && palette[t]) palette[t] = { ...palette[t], a: 0 };
+  }
+
+  // Without a banner only an exact-size _bits array is unambiguous (Adafruit GFX / XBM bitmaps)
+  const drawMode = mode || guessDrawMode({ ...array, values }, w, h, packing);
+  const known = mode || (/_bits$/.test(array.name) && drawMode === "HORIZONTAL_1BIT");
+  const fits = !!w && !!h && (mode ? values.length >= packedLength(drawMode, w, h, packing) : values.length === packedLength(drawMode, w, h, packing));
+  return {
+    name,
+    arrays: candidates.map((a) => a.name),
+    array: array.name,
+    values,
+    w,
+    h,
+    drawMode,
+    packing,
+    palette,
+    bgr: /BGR color order/.test(text),
+    complete: !!known && fits,
+  };
+}
+
+// Swap red and blue, undoing the BGR color order option of the exporters
+export const swapRedBlue = (pixels) => pixels.map((p) => ({ ...p, r: p.b, b: p.r }));
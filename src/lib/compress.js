@@ -0,0 +1,165 @@
+/*
+ * Pixel2CPP - Compression Utilities
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+// Byte-stream compressors for packed image data. Each has a JS decoder that
+// mirrors the C decoder emitted by the code generator, so output can be verified.
+
+export const COMPRESSION_SCHEMES = [
+  { value: "NONE", label: "None (raw)" },
+  { value: "RLE", label: "RLE" },
+  { value: "LZ", label: "LZ (LZSS, 256 B window)" },
+];
+
+const RLE_MIN_RUN = 3;
+const RLE_MAX_RUN = 0x7f + RLE_MIN_RUN;
+const RLE_MAX_LITERAL = 0x80;
+
+/**
+ * Run-length encode a byte stream
+ *
+ * Control byte < 0x80: (ctrl + 1) literal bytes follow.
+ * Control byte >= 0x80: the next byte repeats (ctrl - 0x80 + 3) times.
+ *
+ * @param {Array<number>} bytes - Input bytes
+ * @returns {Array<number>} Compressed bytes
+ */
+export function compressRLE(bytes) {
+  const out = [];
+  let literals = [];
+  const flushLiterals = () => {
+    while (literals.length) {
+      const chunk = literals.splice(0, RLE_MAX_LITERAL);
+      out.push(chunk.length - 1, ...chunk);
+    }
+  };
+
+  let i = 0;
+  while (i < bytes.length) {
+    let run = 1;
+    while (i + run < bytes.length && bytes[i + run] === bytes[i] && run < RLE_MAX_RUN) run++;
+    if (run >= RLE_MIN_RUN) {
+      flushLiterals();
+      out.push(0x80 | (run - RLE_MIN_RUN), bytes[i]);
+      i += run;
+    } else {
+      literals.push(bytes[i]);
+      i++;
+    }
+  }
+  flushLiterals();
+  return out;
+}
+
+export function decompressRLE(data) {
+  const out = [];
+  let i = 0;
+  while (i < data.length) {
+    const ctrl = data[i++];
+    if (ctrl & 0x80) {
+      const value = data[i++];
+      for (let n = (ctrl & 0x7f) + RLE_MIN_RUN; n > 0; n--) out.push(value);
+    } else {
+      for (let n = ctrl + 1; n > 0; n--) out.push(data[i++]);
+    }
+  }
+  return out;
+}
+
+const LZ_WINDOW = 256;
+const LZ_MIN_MATCH = 3;
+const LZ_MAX_MATCH = 0xff + LZ_MIN_MATCH;
+
+/**
+ * LZSS compress a byte stream with a 256-byte window (heatshrink-style)
+ *
+ * A flag byte precedes each group of up to 8 tokens, least significant bit first.
+ * Flag bit 1: one literal byte. Flag bit 0: two bytes {distance - 1, length - 3}
+ * copying from the last 256 output bytes, so the decoder needs a 256-byte ring buffer.
+ *
+ * @param {Array<number>} bytes - Input bytes
+ * @returns {Array<number>} Compressed bytes
+ */
+export function compressLZ(bytes) {
+  const out = [];
+  let flagPos = -1;
+  let flagBit = 8;
+  const token = (isLiteral, ...payload) => {
+    if (flagBit === 8) {
+      flagPos = out.length;
+      out.push(0);
+      flagBit = 0;
+    }
+    if (isLiteral) out[flagPos] |= 1 << flagBit;
+    flagBit++;
+    out.push(...payload);
+  };
+
+  let i = 0;
+  while (i < bytes.length) {
+    let bestLen = 0;
+    let bestDist = 0;
+    const maxLen = Math.min(LZ_MAX_MATCH, bytes.length - i);
+    for (let dist = 1; dist <= LZ_WINDOW && dist <= i; dist++) {
+      let len = 0;
+      while (len < maxLen && bytes[i - dist + len] === bytes[i + len]) len++;
+      if (len > bestLen) {
+        bestLen = len;
+        bestDist = dist;
+        if (len === maxLen) break;
+      }
+    }
+    if (bestLen >= LZ_MIN_MATCH) {
+      token(false, bestDist - 1, bestLen - LZ_MIN_MATCH);
+      i += bestLen;
+    } else {
+      token(true, bytes[i]);
+      i++;
+    }
+  }
+  return out;
+}
+
+export function decompressLZ(data) {
+  const out = [];
+  let i = 0;
+  let flags = 0;
+  let remaining = 0;
+  while (i < data.length) {
+    if (remaining === 0) {
+      flags = data[i++];
+      remaining = 8;
+      continue;
+    }
+    if (flags & 1) {
+      out.push(data[i++]);
+    } else {
+      const dist = data[i++] + 1;
+      const len = data[i++] + LZ_MIN_MATCH;
+      for (let n = 0; n < len; n++) out.push(out[out.length - dist]);
+    }
+    flags >>= 1;
+    remaining--;
+  }
+  return out;
+}
+
+// Serialize packed values to bytes; 16-bit words are stored high byte first
+export function toByteStream(values, dataType) {
+  if (dataType !== "uint16_t") return values.slice();
+  const out = [];
+  for (const v of values) out.push((v >> 8) & 0xff, v & 0xff);
+  return out;
+}
+
+export function compressBytes(bytes, scheme) {
+  if (scheme === "RLE") return compressRLE(bytes);
+  if (scheme === "LZ") return compressLZ(bytes);
+  return bytes.slice();
+}
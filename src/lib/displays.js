@@ -0,0 +1,226 @@
+/*
+ * Pixel2CPP - Display Profiles
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+/**
+ * Built-in display profiles
+ *
+ * width/height are the panel resolution at rotation 0. `drawMode` is the
+ * preset picked with the profile; `u8g2` and `tftEspi` name the matching
+ * U8g2 constructor and TFT_eSPI User_Setup driver where those libraries
+ * support the panel. `u8g2Rotation` is the rotation at which the panel
+ * looks the way the U8g2 constructor sees it at U8G2_R0, when that isn't 0.
+ */
+export const DISPLAY_PROFILES = [
+  {
+    value: "SSD1306", label: "SSD1306 128×64 OLED (I2C)", driver: "SSD1306", mono: true,
+    width: 128, height: 64, bus: "i2c", i2cAddress: 0x3C, pins: { rst: -1 },
+    drawMode: "HORIZONTAL_1BIT", u8g2: "U8G2_SSD1306_128X64_NONAME_F_HW_I2C",
+  },
+  {
+    value: "SSD1306_128X32", label: "SSD1306 128×32 OLED (I2C)", driver: "SSD1306", mono: true,
+    width: 128, height: 32, bus: "i2c", i2cAddress: 0x3C, pins: { rst: -1 },
+    drawMode: "HORIZONTAL_1BIT", u8g2: "U8G2_SSD1306_128X32_UNIVISION_F_HW_I2C",
+  },
+  {
+    value: "SH1106", label: "SH1106 128×64 OLED (I2C)", driver: "SH1106", mono: true,
+    width: 128, height: 64, bus: "i2c", i2cAddress: 0x3C, pins: { rst: -1 },
+    drawMode: "HORIZONTAL_1BIT", u8g2: "U8G2_SH1106_128X64_NONAME_F_HW_I2C",
+  },
+  {
+    value: "ST7735", label: "ST7735 128×160 TFT (SPI)", driver: "ST7735", mono: false,
+    width: 128, height: 160, bus: "spi", pins: { cs: 10, dc: 8, rst: 9 },
+    drawMode: "HORIZONTAL_RGB565", tftEspi: "ST7735_DRIVER",
+  },
+  {
+    value: "ST7789", label: "ST7789 240×240 TFT (SPI)", driver: "ST7789", mono: false,
+    width: 240, height: 240, bus: "spi", pins: { cs: 10, dc: 8, rst: 9 },
+    drawMode: "HORIZONTAL_RGB565", tftEspi: "ST7789_DRIVER",
+  },
+  {
+    value: "ILI9341", label: "ILI9341 240×320 TFT (SPI)", driver: "ILI9341", mono: false,
+    width: 240, height: 320, bus: "spi", pins: { cs: 10, dc: 8, rst: 9 },
+    drawMode: "HORIZONTAL_RGB565", tftEspi: "ILI9341_DRIVER",
+  },
+  {
+    value: "SSD1331", label: "SSD1331 96×64 OLED (SPI)", driver: "SSD1331", mono: false,
+    width: 96, height: 64, bus: "spi", pins: { cs: 10, dc: 8, rst: 9 },
+    drawMode: "HORIZONTAL_RGB565",
+  },
+  {
+    value: "EPD_290", label: "Waveshare 2.9\" e-paper 296×128 (SPI)", driver: "GXEPD2", mono: true,
+    width: 128, height: 296, bus: "spi", pins: { cs: 10, dc: 8, rst: 9, busy: 7 }, rotation: 1,
+    // Painted (opaque) pixels print in black ink
+    drawMode: "HORIZONTAL_ALPHA", u8g2: "U8G2_IL3820_V2_296X128_F_4W_HW_SPI", u8g2Rotation: 1,
+  },
+];
+
+export const displayProfile = (type) => DISPLAY_PROFILES.find((p) => p.value === type) || DISPLAY_PROFILES[0];
+
+/**
+ * Editable settings for a display profile, initialised from its defaults
+ * @param {string} type - Profile value
+ * @returns {Object} { type, width, height, i2cAddress, pins, rotation, colorOrder }
+ */
+export function displayConfig(type) {
+  const p = displayProfile(type);
+  return {
+    type: p.value,
+    width: p.width,
+    height: p.height,
+    i2cAddress: p.i2cAddress ?? null,
+    pins: { ...p.pins },
+    rotation: p.rotation || 0,
+    colorOrder: "RGB",
+  };
+}
+
+// Canvas size for a display: the panel resolution as seen at the configured rotation
+export function displayCanvasSize(config) {
+  return config.rotation % 2 ? { w: config.height, h: config.width } : { w: config.width, h: config.height };
+}
+
+const hexAddress = (a) => "0x" + a.toString(16).toUpperCase().padStart(2, "0");
+
+const spiPins = (pins) => `#define TFT_CS   ${pins.cs}
+#define TFT_RST  ${pins.rst}
+#define TFT_DC   ${pins.dc}`;
+
+/**
+ * Adafruit GFX sketch pieces for a configured display
+ *
+ * `gfx` is the display object the drawing code uses, `fg`/`bg` its on/off
+ * colors and `frame(draw)` wraps drawing statements with the clear/refresh
+ * (or e-paper paging) the panel needs.
+ *
+ * @param {Object} config - Display settings from displayConfig()
+ * @returns {Object} { mono, gfx, fg, bg, includes, declare, begin, frame }
+ */
+export function adafruitSketch(config) {
+  const p = displayProfile(config.type);
+  const { width: w, height: h, pins, rotation } = config;
+  const rotate = (gfx) => `\n  ${gfx}.setRotation(${rotation});`;
+
+  if (p.driver === "SSD1306" || p.driver === "SH1106") {
+    const sh = p.driver === "SH1106";
+    const white = sh ? "SH110X_WHITE" : "SSD1306_WHITE";
+    return {
+      mono: true,
+      gfx: "display",
+      fg: white,
+      bg: sh ? "SH110X_BLACK" : "SSD1306_BLACK",
+      includes: `#include <Adafruit_GFX.h>
+#include <${sh ? "Adafruit_SH110X.h" : "Adafruit_SSD1306.h"}>`,
+      declare: `${sh ? "Adafruit_SH1106G" : "Adafruit_SSD1306"} display(${w}, ${h}, &Wire, ${pins.rst});`,
+      begin: (sh
+        ? `display.begin(${hexAddress(config.i2cAddress)}, true);`
+        : `display.begin(SSD1306_SWITCHCAPVCC, ${hexAddress(config.i2cAddress)});`) + (rotation ? rotate("display") : ""),
+      frame: (draw) => `display.clearDisplay();
+  ${draw}
+  display.display();`,
+    };
+  }
+
+  if (p.driver === "GXEPD2") {
+    return {
+      mono: true,
+      gfx: "display",
+      fg: "GxEPD_BLACK",
+      bg: "GxEPD_WHITE",
+      includes: `#include <GxEPD2_BW.h>`,
+      declare: `GxEPD2_BW<GxEPD2_290, GxEPD2_290::HEIGHT> display(GxEPD2_290(/*CS=*/ ${pins.cs}, /*DC=*/ ${pins.dc}, /*RST=*/ ${pins.rst}, /*BUSY=*/ ${pins.busy}));`,
+      begin: `display.init(115200);${rotate("display")}
+  display.setFullWindow();`,
+      frame: (draw) => `display.firstPage();
+  do {
+    display.fillScreen(GxEPD_WHITE);
+    ${draw.replace(/\n/g, "\n  ")}
+  } while (display.nextPage());`,
+    };
+  }
+
+  // Color TFT and OLED drivers share the 'tft' object name
+  const drivers = {
+    ST7735: { header: "Adafruit_ST7735.h", cls: "Adafruit_ST7735", init: "tft.initR(INITR_BLACKTAB);", black: "ST77XX_BLACK", white: "ST77XX_WHITE" },
+    ST7789: { header: "Adafruit_ST7789.h", cls: "Adafruit_ST7789", init: `tft.init(${w}, ${h});`, black: "ST77XX_BLACK", white: "ST77XX_WHITE" },
+    ILI9341: { header: "Adafruit_ILI9341.h", cls: "Adafruit_ILI9341", init: "tft.begin();", black: "ILI9341_BLACK", white: "ILI9341_WHITE" },
+    SSD1331: { header: "Adafruit_SSD1331.h", cls: "Adafruit_SSD1331", init: "tft.begin();", black: "0x0000", white: "0xFFFF" },
+  };
+  const d = drivers[p.driver];
+  return {
+    mono: false,
+    gfx: "tft",
+    fg: d.white,
+    bg: d.black,
+    includes: `#include <Adafruit_GFX.h>
+#include <${d.header}>`,
+    declare: `${spiPins(pins)}
+
+${d.cls} tft = ${p.driver === "SSD1331" ? `${d.cls}(&SPI, TFT_CS, TFT_DC, TFT_RST)` : `${d.cls}(TFT_CS, TFT_DC, TFT_RST)`};`,
+    begin: `${d.init}${rotate("tft")}`,
+    frame: (draw) => `tft.fillScreen(${d.black});
+  ${draw}`,
+  };
+}
+
+/**
+ * U8g2 constructor and setup lines for a display, falling back to an SSD1306
+ * 128x64 when U8g2 has no constructor for the panel
+ *
+ * The U8g2 rotation is counted from the constructor's own orientation, so
+ * the screen it sets up has the size of the canvas.
+ * @param {Object} config - Display settings
+ * @returns {Object} { note, declare, begin, size } where size is the U8g2 screen's { w, h }
+ */
+export function u8g2Sketch(config) {
+  const p = displayProfile(config.type);
+  const cls = p.u8g2 || "U8G2_SSD1306_128X64_NONAME_F_HW_I2C";
+  const note = p.u8g2 ? "" : `// U8g2 has no monochrome constructor for ${p.label}; using an SSD1306 128x64\n`;
+  const offset = p.u8g2Rotation || 0;
+  const turns = p.u8g2 ? (config.rotation - offset + 4) % 4 : 0;
+  const rotation = `U8G2_R${turns}`;
+  const native = p.u8g2 ? displayCanvasSize({ ...config, rotation: offset }) : { w: 128, h: 64 };
+  const size = turns % 2 ? { w: native.h, h: native.w } : native;
+  if (p.bus === "spi" && p.u8g2) {
+    return {
+      note,
+      declare: `${cls} u8g2(${rotation}, /* cs=*/ ${config.pins.cs}, /* dc=*/ ${config.pins.dc}, /* reset=*/ ${config.pins.rst});`,
+      begin: "u8g2.begin();",
+      size,
+    };
+  }
+  const address = p.u8g2 && config.i2cAddress !== 0x3C ? `u8g2.setI2CAddress(${hexAddress(config.i2cAddress)} * 2);\n  ` : "";
+  const rst = p.u8g2 && config.pins.rst >= 0 ? config.pins.rst : "U8X8_PIN_NONE";
+  return {
+    note,
+    declare: `${cls} u8g2(${rotation}, /* reset=*/ ${rst});`,
+    begin: `${address}u8g2.begin();`,
+    size,
+  };
+}
+
+/**
+ * TFT_eSPI is configured in its User_Setup.h rather than in the sketch, so
+ * the generated code lists the settings matching the display as a comment
+ * @param {Object} config - Display settings
+ * @returns {string} Comment block (empty when TFT_eSPI has no driver for the panel)
+ */
+export function tftESPISetupComment(config) {
+  const p = displayProfile(config.type);
+  if (!p.tftEspi) return "";
+  const lines = [
+    `#define ${p.tftEspi}`,
+    `#define TFT_WIDTH  ${config.width}`,
+    `#define TFT_HEIGHT ${config.height}`,
+    `#define TFT_CS   ${config.pins.cs}`,
+    `#define TFT_DC   ${config.pins.dc}`,
+    `#define TFT_RST  ${config.pins.rst}`,
+  ];
+  return `// User_Setup.h for ${p.label}:\n${lines.map((l) => `//   ${l}`).join("\n")}\n`;
+}
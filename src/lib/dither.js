@@ -0,0 +1,179 @@
+/*
+ * Pixel2CPP - Dithering Utilities
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+import { clamp, black, white, transparent } from "./colors.js";
+import { is1bitOn, isAlphaOn, gray4Level, rgbTo332, expand332, rgbTo565, expand565, nearestPaletteIndex } from "./packers.js";
+
+export const DITHER_ALGORITHMS = [
+  { value: "none", label: "None (threshold)" },
+  { value: "floyd-steinberg", label: "Floyd–Steinberg" },
+  { value: "atkinson", label: "Atkinson" },
+  { value: "bayer2", label: "Ordered Bayer 2×2" },
+  { value: "bayer4", label: "Ordered Bayer 4×4" },
+  { value: "bayer8", label: "Ordered Bayer 8×8" },
+];
+
+// Error diffusion kernels as [dx, dy, weight]
+const KERNELS = {
+  "floyd-steinberg": [[1, 0, 7 / 16], [-1, 1, 3 / 16], [0, 1, 5 / 16], [1, 1, 1 / 16]],
+  "atkinson": [[1, 0, 1 / 8], [2, 0, 1 / 8], [-1, 1, 1 / 8], [0, 1, 1 / 8], [1, 1, 1 / 8], [0, 2, 1 / 8]],
+};
+
+// Recursively built Bayer index matrix of size n×n (n = 2, 4, 8)
+function bayerMatrix(n) {
+  if (n === 1) return [[0]];
+  const half = bayerMatrix(n / 2);
+  const m = [];
+  for (let y = 0; y < n; y++) {
+    m.push([]);
+    for (let x = 0; x < n; x++) {
+      const base = 4 * half[y % (n / 2)][x % (n / 2)];
+      const quadrant = [[0, 2], [3, 1]][Math.floor(y / (n / 2))][Math.floor(x / (n / 2))];
+      m[y].push(base + quadrant);
+    }
+  }
+  return m;
+}
+
+/**
+ * Quantizers for every reduced-depth draw mode. Each maps an RGBA pixel to the
+ * color the packer will actually encode, and `step` gives the per-channel
+ * (r, g, b, a) quantization interval used to scale ordered dithering.
+ */
+const QUANTIZERS = {
+  "1BIT": {
+    flatten: true,
+    step: [255, 255, 255, 0],
+    quantize: (p) => (is1bitOn(p) ? white() : black()),
+  },
+  ALPHA: {
+    flatten: true,
+    step: [0, 0, 0, 255],
+    quantize: (p) => (isAlphaOn(p) ? white() : transparent()),
+  },
+  GRAY4: {
+    step: [17, 17, 17, 0],
+    quantize: (p) => {
+      const g = gray4Level(p) * 17;
+      return { r: g, g: g, b: g, a: p.a };
+    },
+  },
+  RGB332: {
+    step: [36, 36, 85, 0],
+    quantize: (p) => {
+      const v = rgbTo332(p.r, p.g, p.b);
+      return { r: expand332((v >> 5) & 0x07, 3), g: expand332((v >> 2) & 0x07, 3), b: expand332(v & 0x03, 2), a: p.a };
+    },
+  },
+  RGB565: {
+    step: [8, 4, 8, 0],
+    quantize: (p) => {
+      const v = rgbTo565(p.r, p.g, p.b);
+      return { r: expand565((v >> 11) & 0x1f, 5), g: expand565((v >> 5) & 0x3f, 6), b: expand565(v & 0x1f, 5), a: p.a };
+    },
+  },
+};
+
+// Indexed modes quantize to the nearest palette entry; the ordered-dither spread
+// approximates the spacing of a palette spread evenly over the RGB cube
+function paletteQuantizer(palette) {
+  const s = Math.round(255 / Math.max(1, Math.cbrt(palette.length) - 1));
+  return {
+    step: [s, s, s, 0],
+    quantize: (p) => ({ ...palette[nearestPaletteIndex(palette, p)] }),
+  };
+}
+
+/**
+ * Find the quantizer for a draw mode, or null when the mode stores full color
+ * @param {string} drawMode - Draw mode identifier
+ * @param {Array} [palette] - Palette for indexed draw modes
+ * @returns {Object|null} Quantizer descriptor
+ */
+export function quantizerFor(drawMode, palette) {
+  if (drawMode.includes("INDEXED")) return palette && palette.length ? paletteQuantizer(palette) : null;
+  if (drawMode.includes("1BIT")) return QUANTIZERS["1BIT"];
+  if (drawMode.includes("ALPHA")) return QUANTIZERS.ALPHA;
+  if (drawMode.includes("GRAY4")) return QUANTIZERS.GRAY4;
+  if (drawMode.includes("RGB332")) return QUANTIZERS.RGB332;
+  if (drawMode.includes("RGB565")) return QUANTIZERS.RGB565;
+  return null;
+}
+
+/**
+ * Reduce an image to the colors a draw mode can represent
+ *
+ * @param {Array} pixels - Array of {r,g,b,a} pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {string} drawMode - Target draw mode
+ * @param {string} algorithm - One of DITHER_ALGORITHMS values
+ * @param {Array} [palette] - Target palette for indexed draw modes
+ * @returns {Array} New array of quantized pixels
+ */
+export function ditherPixels(pixels, width, height, drawMode, algorithm = "none", palette = null) {
+  const q = quantizerFor(drawMode, palette);
+  if (!q) return pixels.map((p) => ({ ...p }));
+
+  // Fully transparent pixels are left alone unless the mode has no transparency
+  const skip = (p) => !q.flatten && p.a === 0;
+  const out = new Array(pixels.length);
+
+  if (algorithm.startsWith("bayer")) {
+    const n = parseInt(algorithm.slice(5), 10);
+    const m = bayerMatrix(n);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        const p = pixels[i];
+        if (skip(p)) { out[i] = { ...p }; continue; }
+        const t = (m[y % n][x % n] + 0.5) / (n * n) - 0.5;
+        out[i] = q.quantize({
+          r: clamp(Math.round(p.r + t * q.step[0])),
+          g: clamp(Math.round(p.g + t * q.step[1])),
+          b: clamp(Math.round(p.b + t * q.step[2])),
+          a: clamp(Math.round(p.a + t * q.step[3])),
+        });
+      }
+    }
+    return out;
+  }
+
+  const kernel = KERNELS[algorithm] || [];
+  // Float working buffer so diffused error is not lost to rounding
+  const buf = new Float32Array(pixels.length * 4);
+  pixels.forEach((p, i) => {
+    buf[i * 4] = p.r; buf[i * 4 + 1] = p.g; buf[i * 4 + 2] = p.b; buf[i * 4 + 3] = p.a;
+  });
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (skip(pixels[i])) { out[i] = { ...pixels[i] }; continue; }
+      const old = {
+        r: clamp(Math.round(buf[i * 4])),
+        g: clamp(Math.round(buf[i * 4 + 1])),
+        b: clamp(Math.round(buf[i * 4 + 2])),
+        a: clamp(Math.round(buf[i * 4 + 3])),
+      };
+      const nq = q.quantize(old);
+      out[i] = nq;
+      const err = [old.r - nq.r, old.g - nq.g, old.b - nq.b, q.step[3] ? old.a - nq.a : 0];
+      for (const [dx, dy, wgt] of kernel) {
+        const nx = x + dx, ny = y + dy;
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+        const j = ny * width + nx;
+        if (skip(pixels[j])) continue;
+        for (let c = 0; c < 4; c++) buf[j * 4 + c] += err[c] * wgt;
+      }
+    }
+  }
+  return out;
+}
@@ -0,0 +1,263 @@
+/*
+ * Pixel2CPP - Font Import
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+// Imported fonts are { glyphs: Map(code => glyph) } where a glyph is
+// { width, height, xOffset, yOffset, advance, bits } like a BDF BBX: yOffset
+// is the bottom row's height above the baseline and bits are row-major 0/1.
+
+export const DEFAULT_IMPORT_RANGE = { first: 0x20, last: 0x7e };
+
+/**
+ * Parse a BDF bitmap font
+ * @param {string} text - BDF file contents
+ * @returns {Object} { glyphs }
+ * @throws {Error} When the file isn't a BDF font
+ */
+export function parseBDF(text) {
+  const lines = text.split(/\r?\n/);
+  if (!lines[0].startsWith("STARTFONT")) throw new Error("Not a BDF font");
+  const glyphs = new Map();
+  let glyph = null;
+  let rows = null;
+  for (const line of lines) {
+    const [key, ...args] = line.trim().split(/\s+/);
+    const nums = args.map(Number);
+    if (rows) {
+      if (key === "ENDCHAR") {
+        const bits = [];
+        const bytes = Math.ceil(glyph.width / 8);
+        for (const row of rows.slice(0, glyph.height)) {
+          const value = row.padEnd(bytes * 2, "0");
+          for (let x = 0; x < glyph.width; x++) bits.push((parseInt(value[x >> 2], 16) >> (3 - (x & 3))) & 1);
+        }
+        const { code, ...metrics } = glyph;
+        if (code >= 0) glyphs.set(code, { ...metrics, bits });
+        glyph = rows = null;
+      } else if (key) rows.push(key);
+    } else if (key === "STARTCHAR") glyph = { code: -1, width: 0, height: 0, xOffset: 0, yOffset: 0, advance: 0 };
+    else if (!glyph) continue;
+    else if (key === "ENCODING") glyph.code = nums[0];
+    else if (key === "DWIDTH") glyph.advance = nums[0];
+    else if (key === "BBX") [glyph.width, glyph.height, glyph.xOffset, glyph.yOffset] = nums;
+    else if (key === "BITMAP") rows = [];
+  }
+  return { glyphs };
+}
+
+// PCF table types
+const PCF_METRICS = 1 << 2;
+const PCF_BITMAPS = 1 << 3;
+const PCF_BDF_ENCODINGS = 1 << 5;
+
+/**
+ * Parse a PCF bitmap font (as shipped with X11)
+ * @param {Uint8Array} bytes - PCF file contents, already decompressed
+ * @returns {Object} { glyphs }
+ * @throws {Error} When the file isn't a PCF font or lacks its tables
+ */
+export function parsePCF(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (view.getUint32(0, true) !== 0x70636601) throw new Error("Not a PCF font");
+  const tables = {};
+  for (let i = 0, n = view.getInt32(4, true); i < n; i++) {
+    const o = 8 + i * 16;
+    tables[view.getInt32(o, true)] = { format: view.getInt32(o + 4, true), offset: view.getInt32(o + 12, true) };
+  }
+  if (!tables[PCF_METRICS] || !tables[PCF_BITMAPS] || !tables[PCF_BDF_ENCODINGS]) throw new Error("PCF font is missing its metrics, bitmaps or encodings");
+
+  // Each table starts with its own format; bit 2 picks big-endian numbers
+  const reader = ({ offset }) => {
+    const format = view.getInt32(offset, true);
+    const le = !(format & 4);
+    return {
+      format,
+      le,
+      int16: (o) => view.getInt16(offset + 4 + o, le),
+      uint16: (o) => view.getUint16(offset + 4 + o, le),
+      int32: (o) => view.getInt32(offset + 4 + o, le),
+      uint8: (o) => view.getUint8(offset + 4 + o),
+    };
+  };
+
+  const m = reader(tables[PCF_METRICS]);
+  const metrics = [];
+  if (m.format & 0x100) {
+    // Compressed metrics: unsigned bytes offset by 0x80
+    for (let i = 0, n = m.int16(0); i < n; i++) {
+      const b = (k) => m.uint8(2 + i * 5 + k) - 0x80;
+      metrics.push({ left: b(0), right: b(1), advance: b(2), ascent: b(3), descent: b(4) });
+    }
+  } else {
+    for (let i = 0, n = m.int32(0); i < n; i++) {
+      const s = (k) => m.int16(4 + i * 12 + k * 2);
+      metrics.push({ left: s(0), right: s(1), advance: s(2), ascent: s(3), descent: s(4) });
+    }
+  }
+
+  const bm = reader(tables[PCF_BITMAPS]);
+  const count = bm.int32(0);
+  const pad = 1 << (bm.format & 3);
+  const msbBit = !!(bm.format & 8);
+  const msbByte = !!(bm.format & 4);
+  const unit = 1 << ((bm.format >> 4) & 3);
+  const data = 4 + count * 4 + 16;
+  const bit = (start, rowBytes, x, y) => {
+    let i = y * rowBytes + (x >> 3);
+    // Bytes within a scan unit are stored in the other order
+    if (msbBit !== msbByte && unit > 1) i = i - (i % unit) + (unit - 1 - (i % unit));
+    const byte = bm.uint8(data + start + i);
+    return (msbBit ? byte >> (7 - (x & 7)) : byte >> (x & 7)) & 1;
+  };
+
+  const enc = reader(tables[PCF_BDF_ENCODINGS]);
+  const [min2, max2, min1, max1] = [0, 2, 4, 6].map((o) => enc.int16(o));
+  const glyphs = new Map();
+  for (let hi = min1; hi <= max1; hi++) {
+    for (let lo = min2; lo <= max2; lo++) {
+      const index = enc.uint16(10 + ((hi - min1) * (max2 - min2 + 1) + lo - min2) * 2);
+      if (index === 0xffff || index >= metrics.length) continue;
+      const { left, right, advance, ascent, descent } = metrics[index];
+      const width = Math.max(0, right - left), height = Math.max(0, ascent + descent);
+      const rowBytes = Math.ceil(Math.ceil(width / 8) / pad) * pad;
+      const start = bm.int32(4 + index * 4);
+      const bits = [];
+      for (let y = 0; y < height; y++) for (let x = 0; x < width; x++) bits.push(bit(start, rowBytes, x, y));
+      glyphs.set((hi << 8) | lo, { width, height, xOffset: left, yOffset: -descent, advance, bits });
+    }
+  }
+  return { glyphs };
+}
+
+/**
+ * Undo gzip compression, as on .pcf.gz files
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Promise<Uint8Array>} The contents, decompressed when they were gzipped
+ */
+export async function gunzip(bytes) {
+  if (bytes[0] !== 0x1f || bytes[1] !== 0x8b) return bytes;
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("gzip"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Draw an outline font at a pixel size and threshold it into bitmap glyphs
+ *
+ * Uses the browser's font engine, so it only runs in a page. Pixels at least
+ * half covered become ink.
+ *
+ * @param {ArrayBuffer} buffer - TTF or OTF file contents
+ * @param {number} size - Pixel size (em height)
+ * @param {number} first - First character code
+ * @param {number} last - Last character code
+ * @returns {Promise<Object>} { glyphs }
+ * @throws {Error} When the browser can't load the font
+ */
+export async function rasterizeFont(buffer, size, first, last) {
+  const family = `p2c-import-${Date.now()}`;
+  const face = new FontFace(family, buffer);
+  try {
+    await face.load();
+  } catch {
+    throw new Error("The browser couldn't load this font");
+  }
+  document.fonts.add(face);
+  try {
+    const cnv = document.createElement("canvas");
+    cnv.width = cnv.height = size * 4;
+    const ctx = cnv.getContext("2d", { willReadFrequently: true });
+    ctx.font = `${size}px "${family}"`;
+    ctx.textBaseline = "alphabetic";
+    ctx.fontKerning = "none";
+    const glyphs = new Map();
+    for (let code = first; code <= last; code++) {
+      ctx.clearRect(0, 0, cnv.width, cnv.height);
+      const ch = String.fromCodePoint(code);
+      const m = ctx.measureText(ch);
+      // Drawn with room on every side so overhanging ink isn't clipped
+      const originX = size, originY = size * 3;
+      ctx.fillText(ch, originX, originY);
+      const { data } = ctx.getImageData(0, 0, cnv.width, cnv.height);
+      let x0 = cnv.width, y0 = cnv.height, x1 = -1, y1 = -1;
+      for (let y = 0; y < cnv.height; y++) {
+        for (let x = 0; x < cnv.width; x++) {
+          if (data[(y * cnv.width + x) * 4 + 3] < 128) continue;
+          x0 = Math.min(x0, x); x1 = Math.max(x1, x);
+          y0 = Math.min(y0, y); y1 = Math.max(y1, y);
+        }
+      }
+      const advance = Math.round(m.width);
+      if (x1 < 0) {
+        glyphs.set(code, { width: 0, height: 0, xOffset: 0, yOffset: 0, advance, bits: [] });
+        continue;
+      }
+      const bits = [];
+      for (let y = y0; y <= y1; y++) {
+        for (let x = x0; x <= x1; x++) bits.push(data[(y * cnv.width + x) * 4 + 3] >= 128 ? 1 : 0);
+      }
+      glyphs.set(code, { width: x1 - x0 + 1, height: y1 - y0 + 1, xOffset: x0 - originX, yOffset: originY - 1 - y1, advance, bits });
+    }
+    return { glyphs };
+  } finally {
+    document.fonts.delete(face);
+  }
+}
+
+/**
+ * Load a font file of any supported kind
+ * @param {File} file - .bdf, .pcf, .pcf.gz, .ttf or .otf file
+ * @param {Object} options - { size, first, last }; size only applies to outline fonts
+ * @returns {Promise<Object>} { glyphs }
+ * @throws {Error} When the file can't be read as a font
+ */
+export async function loadFont(file, { size, first, last }) {
+  const name = file.name.toLowerCase();
+  if (/\.(ttf|otf)$/.test(name)) return rasterizeFont(await file.arrayBuffer(), size, first, last);
+  const bytes = await gunzip(new Uint8Array(await file.arrayBuffer()));
+  if (bytes[0] === 0x01 && bytes[1] === 0x66) return parsePCF(bytes);
+  return parseBDF(new TextDecoder().decode(bytes));
+}
+
+/**
+ * Lay out a range of imported glyphs in same-sized cells on a shared baseline
+ *
+ * Characters the font lacks get empty cells. When glyphs hang left of the
+ * cursor, all of them move right together, since font cells start at the cursor.
+ *
+ * @param {Object} parsed - Imported font
+ * @param {number} first - First character code
+ * @param {number} last - Last character code
+ * @param {Object} ink - {r,g,b} color of the glyph pixels
+ * @returns {Object} { cells: [{ code, data }], w, h, baseline, advances, missing }
+ */
+export function fontCells(parsed, first, last, ink) {
+  const codes = Array.from({ length: last - first + 1 }, (_, i) => first + i);
+  const used = codes.map((c) => parsed.glyphs.get(c)).filter((g) => g && g.height && g.width);
+  const ascent = Math.max(1, ...used.map((g) => g.yOffset + g.height));
+  const descent = Math.max(0, ...used.map((g) => -g.yOffset));
+  const shiftX = Math.max(0, ...used.map((g) => -g.xOffset));
+  const w = Math.max(1, ...used.map((g) => shiftX + g.xOffset + g.width));
+  const h = ascent + descent;
+
+  const advances = {};
+  const cells = codes.map((code) => {
+    const data = Array.from({ length: w * h }, () => ({ r: 0, g: 0, b: 0, a: 0 }));
+    const g = parsed.glyphs.get(code);
+    if (!g) return { code, data };
+    advances[code] = Math.min(255, Math.max(0, g.advance));
+    const top = ascent - (g.yOffset + g.height);
+    for (let y = 0; y < g.height; y++) {
+      for (let x = 0; x < g.width; x++) {
+        if (g.bits[y * g.width + x]) data[(top + y) * w + shiftX + g.xOffset + x] = { ...ink, a: 255 };
+      }
+    }
+    return { code, data };
+  });
+  return { cells, w, h, baseline: ascent - 1, advances, missing: codes.filter((c) => !parsed.glyphs.has(c)).length };
+}
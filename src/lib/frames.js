@@ -0,0 +1,50 @@
+/*
+ * Pixel2CPP - Frame Operations
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+// Frame operations on a document { layers, layer, frames, index }; each returns
+// the new document and keeps everything else in it, the layers included.
+
+/**
+ * Insert a frame after the selected one and select it
+ * @param {Object} doc - Document
+ * @param {Object} frame - Frame with a cel per layer
+ * @returns {Object} New document
+ */
+export const insertFrame = (doc, frame) => ({
+  ...doc,
+  frames: [...doc.frames.slice(0, doc.index + 1), frame, ...doc.frames.slice(doc.index + 1)],
+  index: doc.index + 1,
+});
+
+/**
+ * Delete frame i, keeping the selection on the same frame where it can
+ * @param {Object} doc - Document with at least two frames
+ * @param {number} i - Frame to delete
+ * @returns {Object} New document
+ */
+export const removeFrame = (doc, i) => ({
+  ...doc,
+  frames: doc.frames.filter((_, j) => j !== i),
+  index: Math.min(doc.index > i ? doc.index - 1 : doc.index, doc.frames.length - 2),
+});
+
+/**
+ * Move frame `from` to position `to`; the selection follows the moved frame
+ * @param {Object} doc - Document
+ * @param {number} from - Frame to move
+ * @param {number} to - Its new position
+ * @returns {Object} New document
+ */
+export function moveFrame(doc, from, to) {
+  const frames = doc.frames.slice();
+  const [frame] = frames.splice(from, 1);
+  frames.splice(to, 0, frame);
+  return { ...doc, frames, index: to };
+}
@@ -0,0 +1,137 @@
+/*
+ * Pixel2CPP - Bitmap Fonts
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+import { trimBounds } from "./atlas.js";
+import { isAlphaOn } from "./packers.js";
+import { asPixels } from "./pixelbuffer.js";
+
+// A font is the document's frames read as glyphs: frame i is character
+// `first + i`, drawn in a canvas-sized cell. Opaque pixels are ink. The cell's
+// `baseline` row lines up with the text cursor, so a glyph's metrics follow
+// from where its ink is in the cell; only the advance is set per glyph.
+
+export const DEFAULT_FONT = {
+  enabled: false, // glyph grid instead of the frame timeline
+  first: 0x20,
+  baseline: null, // row of the cell on the baseline; null = defaultBaseline(h)
+  yAdvance: null, // line height; null = cell height
+  advances: {}, // xAdvance overrides by character code; the default is the cell width
+};
+
+export const MAX_GLYPHS = 256;
+
+/**
+ * Baseline row used until one is chosen: a quarter of the cell is left for descenders
+ * @param {number} h - Cell height
+ * @returns {number} Row index
+ */
+export const defaultBaseline = (h) => Math.max(0, h - 1 - Math.floor(h / 4));
+
+/**
+ * Printable label for a character code
+ * @param {number} code - Character code
+ * @returns {string} The character, or U+XXXX for controls and space
+ */
+export const glyphLabel = (code) =>
+  code > 0x20 && code !== 0x7f && !(code >= 0x80 && code < 0xa0)
+    ? String.fromCodePoint(code)
+    : `U+${code.toString(16).toUpperCase().padStart(4, "0")}`;
+
+/**
+ * Font settings with the cell-dependent defaults filled in and clamped to the cell
+ * @param {Object} font - Font settings (see DEFAULT_FONT)
+ * @param {number} w - Cell width
+ * @param {number} h - Cell height
+ * @returns {Object} { first, baseline, yAdvance, advance(code) }
+ */
+export function fontMetrics(font, w, h) {
+  const baseline = Math.min(h - 1, font.baseline ?? defaultBaseline(h));
+  return {
+    first: font.first,
+    baseline,
+    yAdvance: font.yAdvance || h,
+    advance: (code) => font.advances[code] ?? w,
+  };
+}
+
+/**
+ * Ink of every glyph trimmed to its bounding box, with metrics relative to the cursor
+ * @param {Array} frames - Glyph cells as { data }
+ * @param {Object} font - Font settings (see DEFAULT_FONT)
+ * @param {number} w - Cell width
+ * @param {number} h - Cell height
+ * @returns {Array} [{ code, width, height, xAdvance, xOffset, yOffset, bits }] where yOffset is the top
+ *   row relative to the baseline row (negative above it) and bits are row-major 0/1 values
+ */
+export function fontGlyphs(frames, font, w, h) {
+  const m = fontMetrics(font, w, h);
+  return frames.map((frame, i) => {
+    const ink = asPixels(frame.data).map((p) => (isAlphaOn(p) ? p : { ...p, a: 0 }));
+    const box = trimBounds(ink, w, h);
+    const bits = [];
+    for (let y = box.y; y < box.y + box.h; y++) {
+      for (let x = box.x; x < box.x + box.w; x++) bits.push(ink[y * w + x].a ? 1 : 0);
+    }
+    const code = m.first + i;
+    return {
+      code,
+      width: box.w,
+      height: box.h,
+      xAdvance: m.advance(code),
+      xOffset: box.w ? box.x : 0,
+      yOffset: box.h ? box.y - m.baseline : 0,
+      bits,
+    };
+  });
+}
+
+/**
+ * Tight bitmap and Adafruit GFX metrics of every glyph
+ *
+ * Bitmaps are MSB-first with rows running on without padding, each glyph
+ * starting on a new byte, which is how Adafruit GFX reads them.
+ *
+ * @param {Array} frames - Glyph cells as { data }
+ * @param {Object} font - Font settings (see DEFAULT_FONT)
+ * @param {number} w - Cell width
+ * @param {number} h - Cell height
+ * @returns {Object} { first, last, yAdvance, bitmap: bytes, glyphs: [{ code, bitmapOffset, width, height, xAdvance, xOffset, yOffset }] }
+ */
+export function buildGFXFont(frames, font, w, h) {
+  const m = fontMetrics(font, w, h);
+  const bitmap = [];
+  const glyphs = fontGlyphs(frames, font, w, h).map(({ bits, ...g }) => {
+    const bitmapOffset = bitmap.length;
+    for (let i = 0; i < bits.length; i += 8) {
+      let byte = 0;
+      for (let b = 0; b < 8; b++) byte = (byte << 1) | (bits[i + b] || 0);
+      bitmap.push(byte);
+    }
+    return { ...g, bitmapOffset };
+  });
+  return { first: m.first, last: m.first + frames.length - 1, yAdvance: m.yAdvance, bitmap, glyphs };
+}
+
+/**
+ * Advance that leaves one empty column after each glyph's ink; empty glyphs keep half the cell
+ * @param {Array} frames - Glyph cells as { data }
+ * @param {number} first - Character code of the first frame
+ * @param {number} w - Cell width
+ * @param {number} h - Cell height
+ * @returns {Object} xAdvance by character code
+ */
+export function proportionalAdvances(frames, first, w, h) {
+  const advances = {};
+  frames.forEach((frame, i) => {
+    const box = trimBounds(asPixels(frame.data).map((p) => (isAlphaOn(p) ? p : { ...p, a: 0 })), w, h);
+    advances[first + i] = box.w ? box.x + box.w + 1 : Math.max(1, Math.ceil(w / 2));
+  });
+  return advances;
+}
@@ -0,0 +1,122 @@
+/*
+ * Pixel2CPP - Undo History
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+import { compositeLayers } from "./layers.js";
+import { samePixel } from "./pixelbuffer.js";
+
+// An undo entry records one named action, e.g. a pen stroke, as the change it
+// made to the document. Actions that only change pixels keep the changed
+// pixels of each cel packed as RGBA bytes before and after; actions that add,
+// remove or reorder frames or layers, or resize the canvas, keep the document
+// before and after instead, sharing every buffer the two have in common.
+//
+// Documents here are { layers, layer, frames, index, w, h } snapshots.
+
+export const DEFAULT_HISTORY = { limitMB: 64, coalesce: false };
+
+// Memory caps offered for the undo history, in megabytes
+export const HISTORY_LIMITS = [8, 32, 64, 256];
+
+// Repeats of the same action closer together than this merge into one step when coalescing
+export const COALESCE_MS = 1000;
+
+// Bytes per changed pixel in a pixel entry: its index and RGBA before and after
+const PIXEL_ENTRY_BYTES = 12;
+
+const sameIds = (a, b) => a.length === b.length && a.every((item, i) => item.id === b[i].id);
+
+// Whether two documents have the same size, layers and frames, so only pixels can differ
+const sameStructure = (a, b) => a.w === b.w && a.h === b.h && sameIds(a.layers, b.layers) && sameIds(a.frames, b.frames);
+
+// Bytes held by the cels of `doc` that `other` doesn't share
+const unsharedBytes = (doc, other) => {
+  const shared = new Set(other.frames.flatMap((f) => f.cels));
+  return doc.frames.flatMap((f) => f.cels).filter((c) => !shared.has(c)).reduce((n, c) => n + c.length, 0);
+};
+
+// Bytes held by the changed pixels of a pixel entry's cels
+const pixelBytes = (cels) => cels.reduce((n, c) => n + c.indices.length * PIXEL_ENTRY_BYTES, 0);
+
+const pack = (buf, indices) => {
+  const out = new Uint8Array(indices.length * 4);
+  indices.forEach((i, n) => out.set(buf.subarray(i * 4, i * 4 + 4), n * 4));
+  return out;
+};
+
+/**
+ * The change from one document to the next as an undo entry
+ * @param {Object} before - Document before the action
+ * @param {Object} after - Document after it
+ * @param {string} label - Action name shown in the history panel
+ * @returns {Object|null} { label, bytes, index, layer, cels } or { label, bytes, before, after }, null when nothing changed
+ */
+export function diffDocuments(before, after, label) {
+  const selected = { index: [before.index, after.index], layer: [before.layer, after.layer] };
+  if (!sameStructure(before, after)) {
+    return { label, bytes: unsharedBytes(before, after) + unsharedBytes(after, before), before, after };
+  }
+  const cels = [];
+  before.frames.forEach((f, i) => f.cels.forEach((c, k) => {
+    const next = after.frames[i].cels[k];
+    if (c === next) return;
+    const indices = [];
+    for (let j = 0; j < c.length / 4; j++) if (!samePixel(c, j, next, j)) indices.push(j);
+    if (indices.length) cels.push({ frame: i, layer: k, indices: Uint32Array.from(indices), from: pack(c, indices), to: pack(next, indices) });
+  }));
+  if (!cels.length) return null;
+  return { label, bytes: pixelBytes(cels), ...selected, cels };
+}
+
+/**
+ * Undo or redo an entry on the document it was made from or undone to
+ * @param {Object} doc - Current document
+ * @param {Object} entry - Entry from diffDocuments()
+ * @param {boolean} forward - true to redo, false to undo
+ * @returns {Object} The document before (undo) or after (redo) the action
+ */
+export function applyEntry(doc, entry, forward) {
+  if (entry.before) return forward ? entry.after : entry.before;
+  const side = forward ? 1 : 0;
+  const frames = doc.frames.slice();
+  for (const { frame, layer, indices, from, to } of entry.cels) {
+    const values = forward ? to : from;
+    const cel = frames[frame].cels[layer].slice();
+    indices.forEach((j, n) => cel.set(values.subarray(n * 4, n * 4 + 4), j * 4));
+    const cels = frames[frame].cels.map((c, k) => (k === layer ? cel : c));
+    frames[frame] = { ...frames[frame], cels, data: compositeLayers(cels, doc.layers) };
+  }
+  return { ...doc, frames, index: entry.index[side], layer: entry.layer[side] };
+}
+
+/**
+ * Drop the oldest entries until the history fits its memory cap; the newest one is always kept
+ * @param {Array} entries - Undo entries, oldest first
+ * @param {number} limitMB - Memory cap in megabytes
+ * @returns {Array} Entries that fit
+ */
+export function capHistory(entries, limitMB) {
+  let total = entries.reduce((n, e) => n + e.bytes, 0);
+  let start = 0;
+  while (start < entries.length - 1 && total > limitMB * 1024 * 1024) total -= entries[start++].bytes;
+  return start ? entries.slice(start) : entries;
+}
+
+/**
+ * An entry read back from a saved project, with its memory use
+ *
+ * Documents kept around a structural change are compared again, so steps
+ * saved as documents that only differ in pixels become pixel entries.
+ * @param {Object} entry - { label, index, layer, cels } or { label, before, after } from parseProject()
+ * @returns {Object|null} Undo entry, null when the step changed nothing
+ */
+export function loadedEntry(entry) {
+  if (entry.before) return diffDocuments(entry.before, entry.after, entry.label);
+  return { ...entry, bytes: pixelBytes(entry.cels) };
+}
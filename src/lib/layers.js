@@ -0,0 +1,145 @@
+/*
+ * Pixel2CPP - Layers
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+import { asBuffer } from "./pixelbuffer.js";
+
+// Layers are shared by every frame: { id, name, visible, locked, opacity }
+// with opacity in percent, bottom layer first. Each frame holds one pixel
+// buffer ("cel", see lib/pixelbuffer.js) per layer, and its `data` is the cels flattened, which is
+// what the canvas shows and what exports use.
+
+export const MAX_LAYERS = 16;
+
+/**
+ * Name for a new layer that no existing layer has
+ * @param {Array} layers - Existing layers
+ * @returns {string} "Layer N"
+ */
+export function nextLayerName(layers) {
+  const names = new Set(layers.map((l) => l.name));
+  let n = layers.length + 1;
+  while (names.has(`Layer ${n}`)) n++;
+  return `Layer ${n}`;
+}
+
+/**
+ * Draw a pixel over another with the source's alpha scaled by an opacity
+ * @param {Object} dst - Pixel below
+ * @param {Object} src - Pixel on top
+ * @param {number} opacity - Source opacity, 0-100
+ * @returns {Object} Resulting {r,g,b,a} pixel
+ */
+export function blendOver(dst, src, opacity = 100) {
+  const sa = (src.a / 255) * (opacity / 100);
+  if (sa <= 0) return dst;
+  if (sa >= 1) return src;
+  if (dst.a === 0) return { ...src, a: Math.round(sa * 255) };
+  const da = dst.a / 255;
+  const a = sa + da * (1 - sa);
+  const mix = (s, d) => Math.round((s * sa + d * da * (1 - sa)) / a);
+  return { r: mix(src.r, dst.r), g: mix(src.g, dst.g), b: mix(src.b, dst.b), a: Math.round(a * 255) };
+}
+
+// The only visible layer when it's fully opaque, so its cel can be used as is; -1 otherwise
+const soloLayer = (layers) => {
+  const visible = layers.filter((l) => l.visible);
+  return visible.length === 1 && visible[0].opacity === 100 ? layers.indexOf(visible[0]) : -1;
+};
+
+// Blend pixel i of a cel over the same pixel of `out` in place, the way blendOver() does
+function blendInto(out, cel, i, opacity) {
+  const o = i * 4;
+  const sa = (cel[o + 3] / 255) * (opacity / 100);
+  if (sa <= 0) return;
+  if (sa >= 1 || out[o + 3] === 0) {
+    out[o] = cel[o];
+    out[o + 1] = cel[o + 1];
+    out[o + 2] = cel[o + 2];
+    out[o + 3] = sa >= 1 ? cel[o + 3] : Math.round(sa * 255);
+    return;
+  }
+  const da = out[o + 3] / 255;
+  const a = sa + da * (1 - sa);
+  for (let c = 0; c < 3; c++) out[o + c] = Math.round((cel[o + c] * sa + out[o + c] * da * (1 - sa)) / a);
+  out[o + 3] = Math.round(a * 255);
+}
+
+/**
+ * Flatten the visible layers of a frame
+ *
+ * A single fully opaque visible layer is returned as is rather than copied.
+ *
+ * @param {Array} cels - Pixel buffer of each layer (see lib/pixelbuffer.js)
+ * @param {Array} layers - Layers, bottom first
+ * @returns {Uint8ClampedArray} Flattened pixel buffer
+ */
+export function compositeLayers(cels, layers) {
+  const bufs = cels.map(asBuffer);
+  const solo = soloLayer(layers);
+  if (solo >= 0) return bufs[solo];
+  const out = new Uint8ClampedArray(bufs[0].length);
+  const count = out.length / 4;
+  layers.forEach((layer, k) => {
+    if (!layer.visible) return;
+    for (let i = 0; i < count; i++) blendInto(out, bufs[k], i, layer.opacity);
+  });
+  return out;
+}
+
+/**
+ * Flatten some pixels of a frame again, in place, after they changed in its cels
+ * @param {Uint8ClampedArray} data - Flattened pixels, written in place; the caller must own them
+ * @param {Array} cels - Pixel buffer of each layer, already changed
+ * @param {Array} layers - Layers, bottom first
+ * @param {Array} indices - Pixel indices that changed
+ * @returns {Uint8ClampedArray} The flattened pixels: data, or the cel of a single opaque layer
+ */
+export function updateComposite(data, cels, layers, indices) {
+  const solo = soloLayer(layers);
+  if (solo >= 0) return cels[solo];
+  for (const i of indices) {
+    data.fill(0, i * 4, i * 4 + 4);
+    layers.forEach((layer, k) => {
+      if (layer.visible) blendInto(data, cels[k], i, layer.opacity);
+    });
+  }
+  return data;
+}
+
+/**
+ * Cels of a layer merged into the layer below it, drawn with its opacity
+ * @param {Uint8ClampedArray} below - Pixel buffer of the lower layer
+ * @param {Uint8ClampedArray} above - Pixel buffer of the upper layer
+ * @param {number} opacity - Upper layer opacity, 0-100
+ * @returns {Uint8ClampedArray} Merged pixels
+ */
+export function mergeCels(below, above, opacity) {
+  const out = asBuffer(below).slice();
+  const top = asBuffer(above);
+  for (let i = 0; i < out.length / 4; i++) blendInto(out, top, i, opacity);
+  return out;
+}
+
+/**
+ * Frames as a layer exports them: flattened, or one layer's own pixels
+ *
+ * A chosen layer is exported whether or not it's visible and ignores its
+ * opacity, e.g. for a mask kept hidden while drawing.
+ *
+ * @param {Array} frames - Frames with { cels, data }
+ * @param {Array} layers - Layers, bottom first
+ * @param {number|null} layerId - Layer to export, or null for the visible layers flattened
+ * @returns {Array} Frames whose data is the export pixels
+ */
+export function exportFrames(frames, layers, layerId) {
+  const k = layers.findIndex((l) => l.id === layerId);
+  if (layerId === null || k < 0) return frames;
+  return frames.map((f) => ({ ...f, data: f.cels[k] }));
+}
@@ -0,0 +1,177 @@
+/*
+ * Pixel2CPP - LVGL Image Utilities
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+import { pack1bit, pack1bitAlpha, packRGB565, packRGB332, packGray4, packIndexed, expand332, rowStride } from "./packers.js";
+import { buildPalette, indexedBits } from "./palette.js";
+import { asBuffer } from "./pixelbuffer.js";
+
+export const LVGL_VERSIONS = [
+  { value: "8", label: "LVGL v8 (lv_img_dsc_t)" },
+  { value: "9", label: "LVGL v9 (lv_image_dsc_t)" },
+];
+
+// Color format names per LVGL version for each kind of data we emit
+const COLOR_FORMATS = {
+  8: {
+    TRUE_COLOR: "LV_IMG_CF_TRUE_COLOR",
+    TRUE_COLOR_ALPHA: "LV_IMG_CF_TRUE_COLOR_ALPHA",
+    ALPHA_1BIT: "LV_IMG_CF_ALPHA_1BIT",
+    INDEXED: (bits) => `LV_IMG_CF_INDEXED_${bits}BIT`,
+  },
+  9: {
+    RGB565: "LV_COLOR_FORMAT_RGB565",
+    RGB565_SWAPPED: "LV_COLOR_FORMAT_RGB565_SWAPPED",
+    RGB888: "LV_COLOR_FORMAT_RGB888",
+    ARGB8888: "LV_COLOR_FORMAT_ARGB8888",
+    ALPHA_1BIT: "LV_COLOR_FORMAT_A1",
+    INDEXED: (bits) => `LV_COLOR_FORMAT_I${bits}`,
+  },
+};
+
+// Serialize 16-bit words in memory order (LVGL reads them as native little-endian)
+const wordsToBytes = (words) => words.flatMap((v) => [v & 0xff, (v >> 8) & 0xff]);
+
+// Palettes are stored before the pixel data as 4-byte lv_color32_t entries (B, G, R, A),
+// always with the full 2^bits entries
+function paletteBytes(palette, bits) {
+  const out = [];
+  for (let i = 0; i < 1 << bits; i++) {
+    const c = palette[i] || { r: 0, g: 0, b: 0, a: 0 };
+    out.push(c.b, c.g, c.r, c.a === 0 ? 0 : 0xff);
+  }
+  return out;
+}
+
+// Byte-per-channel true color rows in B, G, R(, A) order, each row padded to `align` bytes
+function packBGR(pixels, width, height, withAlpha, opaqueAlpha, align) {
+  const buf = asBuffer(pixels);
+  const out = [];
+  for (let y = 0; y < height; y++) {
+    const rowStart = out.length;
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      out.push(buf[o + 2], buf[o + 1], buf[o]);
+      if (withAlpha) out.push(buf[o + 3]);
+      else if (opaqueAlpha) out.push(0xff);
+    }
+    while ((out.length - rowStart) % align) out.push(0);
+  }
+  return out;
+}
+
+/**
+ * Build the data of an LVGL image descriptor for a draw mode
+ *
+ * LVGL fixes the layout: MSB-first sub-byte pixels, horizontal rows and
+ * palettes in front of the indices. The 16-bit byte order comes from `packing`;
+ * v9 also honours the row alignment and records it as the header stride.
+ *
+ * @param {string} drawMode - Draw mode identifier
+ * @param {number} w - Image width
+ * @param {number} h - Image height
+ * @param {Uint8ClampedArray|Array} data - Pixel buffer or array of {r,g,b,a} pixels
+ * @param {string} version - "8" or "9"
+ * @param {Object} packing - Packing options (byteOrder and rowAlign are used)
+ * @returns {Object} { cf, bytes, stride, colorDepth, swap16, note }
+ */
+export function buildLvglImage(drawMode, w, h, data, version, packing) {
+  const v9 = version === "9";
+  const cf = COLOR_FORMATS[v9 ? 9 : 8];
+  const rowAlign = v9 ? Math.max(1, packing.rowAlign) : 1;
+  const opts = { bitOrder: "msb", byteOrder: packing.byteOrder, rowAlign };
+  const indexed = (bits, palette, indices, note) => ({
+    cf: cf.INDEXED(bits),
+    bytes: [...paletteBytes(palette, bits), ...indices],
+    stride: rowStride(w, bits, rowAlign),
+    colorDepth: null,
+    swap16: false,
+    note,
+  });
+
+  const bits = indexedBits(drawMode);
+  if (bits) {
+    const palette = buildPalette(data, 1 << bits);
+    return indexed(bits, palette, packIndexed(data, w, h, bits, palette, opts), `${palette.length} color palette`);
+  }
+
+  if (drawMode === "HORIZONTAL_1BIT" || drawMode === "VERTICAL_1BIT") {
+    // LVGL has no page layout, so vertical 1-bit is repacked as horizontal rows
+    const palette = [{ r: 0, g: 0, b: 0, a: 255 }, { r: 255, g: 255, b: 255, a: 255 }];
+    return indexed(1, palette, pack1bit(data, w, h, "horizontal", opts), "index 0 = black, 1 = white");
+  }
+
+  if (drawMode === "HORIZONTAL_GRAY4") {
+    // No 4-bit grayscale format in LVGL: use a 16-level gray palette
+    const palette = Array.from({ length: 16 }, (_, i) => ({ r: i * 17, g: i * 17, b: i * 17, a: 255 }));
+    return indexed(4, palette, packGray4(data, w, h, opts), "16 level grayscale palette");
+  }
+
+  if (drawMode === "HORIZONTAL_ALPHA") {
+    return {
+      cf: cf.ALPHA_1BIT,
+      bytes: pack1bitAlpha(data, w, h, "horizontal", opts),
+      stride: rowStride(w, 1, rowAlign),
+      colorDepth: null,
+      swap16: false,
+      note: "1 = opaque, drawn in the image recolor / style color",
+    };
+  }
+
+  if (drawMode === "HORIZONTAL_RGB565") {
+    const swapped = packing.byteOrder === "big";
+    return {
+      cf: v9 ? (swapped ? cf.RGB565_SWAPPED : cf.RGB565) : cf.TRUE_COLOR,
+      bytes: wordsToBytes(packRGB565(data, w, h, opts)),
+      stride: rowStride(w, 16, rowAlign),
+      colorDepth: v9 ? null : 16,
+      swap16: !v9 && swapped,
+      note: swapped ? "byte-swapped RGB565" : "RGB565",
+    };
+  }
+
+  if (drawMode === "HORIZONTAL_RGB332") {
+    if (v9) {
+      // v9 dropped 8-bit true color; RGB332 values index a palette of every RGB332 color
+      const palette = Array.from({ length: 256 }, (_, v) => ({
+        r: expand332((v >> 5) & 0x07, 3), g: expand332((v >> 2) & 0x07, 3), b: expand332(v & 0x03, 2), a: 255,
+      }));
+      return indexed(8, palette, packRGB332(data, w, h, opts), "RGB332 palette");
+    }
+    return {
+      cf: cf.TRUE_COLOR,
+      bytes: packRGB332(data, w, h, opts),
+      stride: w,
+      colorDepth: 8,
+      swap16: false,
+      note: "RGB332",
+    };
+  }
+
+  if (drawMode === "HORIZONTAL_RGB888_32") {
+    return {
+      cf: v9 ? cf.ARGB8888 : cf.TRUE_COLOR_ALPHA,
+      bytes: packBGR(data, w, h, true, false, 1),
+      stride: w * 4,
+      colorDepth: v9 ? null : 32,
+      swap16: false,
+      note: "B, G, R, A bytes",
+    };
+  }
+
+  // HORIZONTAL_RGB888_24: v9 has packed RGB888, v8 needs 32-bit true color with opaque alpha
+  return {
+    cf: v9 ? cf.RGB888 : cf.TRUE_COLOR,
+    bytes: packBGR(data, w, h, false, !v9, rowAlign),
+    stride: v9 ? rowStride(w, 24, rowAlign) : w * 4,
+    colorDepth: v9 ? null : 32,
+    swap16: false,
+    note: v9 ? "B, G, R bytes" : "B, G, R, 0xFF bytes",
+  };
+}
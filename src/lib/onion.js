@@ -0,0 +1,139 @@
+/*
+ * Pixel2CPP - Onion Skinning
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+import { editedRect, changedRect, writtenSince, getPixel } from "./pixelbuffer.js";
+
+// Onion skins are composited by the canvas renderer only; frame pixels are never touched.
+
+export const DEFAULT_ONION_SKIN = {
+  enabled: false,
+  before: 1,
+  after: 1,
+  opacity: 40, // percent, for the nearest frame
+  beforeTint: { r: 255, g: 59, b: 48, a: 255 },
+  afterTint: { r: 52, g: 199, b: 89, a: 255 },
+};
+
+export const MAX_ONION_FRAMES = 3;
+
+// How far a skin's colors are pulled toward its tint
+const TINT_MIX = 0.5;
+
+/**
+ * Pick the neighbouring frames to overlay, farthest first so nearer ones draw on top
+ *
+ * Opacity fades linearly with distance: with 3 frames before, they get 1/3, 2/3
+ * and all of the configured opacity.
+ *
+ * @param {Array} frames - Animation frames as { data }
+ * @param {number} index - Selected frame
+ * @param {Object} settings - Onion skin settings (see DEFAULT_ONION_SKIN)
+ * @returns {Array} [{ pixels, tint, opacity }] with opacity from 0 to 1
+ */
+export function onionLayers(frames, index, settings) {
+  if (!settings.enabled) return [];
+  const layers = [];
+  const add = (count, step, tint) => {
+    for (let d = count; d >= 1; d--) {
+      const frame = frames[index + d * step];
+      if (frame) layers.push({ pixels: frame.data, tint, opacity: (settings.opacity / 100) * ((count - d + 1) / count) });
+    }
+  };
+  add(settings.before, -1, settings.beforeTint);
+  add(settings.after, 1, settings.afterTint);
+  return layers;
+}
+
+/**
+ * Whether two lists from onionLayers() overlay the same pixels the same way
+ *
+ * The lists are made again whenever a frame changes, drawing included, so
+ * they're compared by what's in them.
+ * @param {Array} a - [{ pixels, tint, opacity }]
+ * @param {Array} b - [{ pixels, tint, opacity }]
+ * @returns {boolean}
+ */
+export const sameSkins = (a, b) =>
+  a.length === b.length && a.every((s, i) => s.pixels === b[i].pixels && s.tint === b[i].tint && s.opacity === b[i].opacity);
+
+/**
+ * Composite a tinted skin pixel over RGBA bytes in place ("over" operator)
+ * @param {Uint8ClampedArray} buf - RGBA image data
+ * @param {number} i - Byte offset of the pixel
+ * @param {Object} p - Skin pixel {r,g,b,a}
+ * @param {Object} tint - Tint color {r,g,b}
+ * @param {number} opacity - Skin opacity from 0 to 1
+ */
+export function tintOver(buf, i, p, tint, opacity) {
+  const src = opacity * (p.a / 255);
+  if (src <= 0) return;
+  const dst = buf[i + 3] / 255;
+  const out = src + dst * (1 - src);
+  for (const [k, c] of [[0, "r"], [1, "g"], [2, "b"]]) {
+    const color = p[c] * (1 - TINT_MIX) + tint[c] * TINT_MIX;
+    buf[i + k] = Math.round((color * src + buf[i + k] * dst * (1 - src)) / out);
+  }
+  buf[i + 3] = Math.round(out * 255);
+}
+
+/**
+ * Write a pixel to RGBA image data as the canvas shows it
+ *
+ * Where the background shows, it's drawn with the onion skins over it. The
+ * white and black backgrounds are stored in the bottom layer, so opaque
+ * pixels of that color count as background as well as transparent ones.
+ *
+ * @param {Uint8ClampedArray} out - RGBA image data
+ * @param {Uint8ClampedArray} src - Frame pixel buffer
+ * @param {number} j - Pixel index
+ * @param {string} backgroundColor - "transparent", "white", "black" or "custom"
+ * @param {Array} skins - [{ pixels, tint, opacity }] from onionLayers(), with pixel buffers
+ */
+export function renderPixel(out, src, j, backgroundColor, skins) {
+  const i = j * 4;
+  const opaque = backgroundColor === "white" || backgroundColor === "black";
+  const level = backgroundColor === "white" ? 255 : 0;
+  const background = src[i + 3] === 0
+    || (opaque && src[i + 3] === 255 && src[i] === level && src[i + 1] === level && src[i + 2] === level);
+  if (!background) {
+    out[i] = src[i];
+    out[i + 1] = src[i + 1];
+    out[i + 2] = src[i + 2];
+    out[i + 3] = src[i + 3];
+    return;
+  }
+  // Other backgrounds are left transparent for the canvas element's own color to show through
+  out[i] = level; out[i + 1] = level; out[i + 2] = level; out[i + 3] = opaque ? 255 : 0;
+  for (const skin of skins) tintOver(out, i, getPixel(skin.pixels, j), skin.tint, skin.opacity);
+}
+
+/**
+ * What the canvas has to draw again to go from one view to the next
+ *
+ * Part of it is redrawn when the pixels were written in place since, like by
+ * a pen stroke, which reports the rectangle it wrote. New pixels of the same
+ * size, like a shape preview or a fill, are compared with the ones drawn for
+ * the rectangle around what differs. A new size, background or set of onion
+ * skins, or drawn pixels that were written over since, mean drawing everything.
+ * @param {Object|null} drawn - View on the canvas, null when nothing is
+ * @param {Object} view - { pixels, width, height, backgroundColor, customBackgroundColor, onionSkins } with a pixel buffer
+ * @returns {Object|null} { x, y, w, h } to redraw, empty when nothing changed, or null to redraw everything
+ */
+export function redrawRect(drawn, view) {
+  const sameView = drawn && drawn.width === view.width && drawn.height === view.height
+    && drawn.backgroundColor === view.backgroundColor && drawn.customBackgroundColor === view.customBackgroundColor
+    && sameSkins(drawn.onionSkins, view.onionSkins);
+  if (!sameView) return null;
+  if (drawn.pixels === view.pixels) return { x: 0, y: 0, w: 0, h: 0 };
+  const rect = editedRect(drawn.pixels, view.pixels);
+  if (rect) return rect;
+  if (writtenSince(drawn.pixels) || drawn.pixels.length !== view.pixels.length) return null;
+  return changedRect(drawn.pixels, view.pixels, view.width);
+}
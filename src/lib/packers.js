@@ -8,7 +8,16 @@
  * Commercial use and redistribution must comply with the MIT License terms.
  */
 
-// Image packing utilities and conversions
+import { asBuffer, getPixel } from "./pixelbuffer.js";
+
+// Image packing utilities and conversions. Packers read pixel buffers (see
+// lib/pixelbuffer.js); arrays of {r,g,b,a} pixels are converted first.
+export const DRAW_MODES = [
+  "HORIZONTAL_1BIT", "VERTICAL_1BIT", "HORIZONTAL_ALPHA", "HORIZONTAL_RGB565",
+  "HORIZONTAL_RGB888_24", "HORIZONTAL_RGB888_32", "HORIZONTAL_RGB332", "HORIZONTAL_GRAY4",
+  "HORIZONTAL_INDEXED1", "HORIZONTAL_INDEXED2", "HORIZONTAL_INDEXED4", "HORIZONTAL_INDEXED8",
+];
+
 export function rgbTo565(r, g, b) {
   const R = (r >> 3) & 0x1f;
   const G = (g >> 2) & 0x3f;
@@ -16,160 +25,234 @@ export function rgbTo565(r, g, b) {
   return (R << 11) | (G << 5) | B; // 0..65535
 }
 
+// Expand a 5-bit or 6-bit RGB565 component back to 8 bits
+export function expand565(v, bits) {
+  return bits === 6 ? (v << 2) | (v >> 4) : (v << 3) | (v >> 2);
+}
+
 export function hex565(v) {
   return "0x" + v.toString(16).toUpperCase().padStart(4, "0");
 }
 
-export function pack1bit(pixels, width, height, orientation = 'horizontal') {
-  const bytes = [];
-  const I = (x, y) => y * width + x;
-  
-  if (orientation === 'horizontal') {
-    // Original horizontal packing (row by row)
-    for (let y = 0; y < height; y++) {
-      let bit = 7;
-      let cur = 0;
-      for (let x = 0; x < width; x++) {
-        const p = pixels[I(x, y)];
-        const on = (p.r + p.g + p.b) > (255 * 3) / 2; // lighter pixel → 1 (white = on)
-        if (on) cur |= 1 << bit;
-        bit--;
-        if (bit < 0) {
-          bytes.push(cur);
-          cur = 0;
-          bit = 7;
-        }
-      }
-      if (bit !== 7) bytes.push(cur); // flush partial byte per row
-    }
-  } else if (orientation === 'vertical') {
-    // Vertical packing (column by column, 8 vertical pixels per byte)
-    for (let x = 0; x < width; x++) {
-      for (let yPage = 0; yPage < Math.ceil(height / 8); yPage++) {
-        let cur = 0;
-        for (let bit = 7; bit >= 0; bit--) {
-          const y = yPage * 8 + (7 - bit);
-          if (y < height) {
-            const p = pixels[I(x, y)];
-            const on = (p.r + p.g + p.b) > (255 * 3) / 2; // lighter pixel → 1 (white = on)
-            if (on) cur |= 1 << bit;
-          }
-        }
-        bytes.push(cur);
-      }
-    }
-  }
-  return bytes;
+// Per-pixel quantizers shared by the packers and the import dithering stage; the
+// packers call them on (r, g, b, a) read straight from the buffer
+const lighter = (r, g, b) => (r + g + b) > (255 * 3) / 2;
+const opaque = (r, g, b, a) => a > 127;
+const lumaOf = (r, g, b) => 0.2126 * r + 0.7152 * g + 0.0722 * b;
+const grayLevel = (r, g, b) => Math.min(15, Math.max(0, Math.floor(lumaOf(r, g, b) / 16)));
+
+export const is1bitOn = (p) => lighter(p.r, p.g, p.b); // lighter pixel → 1 (white = on)
+export const isAlphaOn = (p) => opaque(p.r, p.g, p.b, p.a); // alpha threshold (opaque = on)
+export const luma = (p) => lumaOf(p.r, p.g, p.b);
+export const gray4Level = (p) => grayLevel(p.r, p.g, p.b); // 0-15 range
+
+// Call fn(r, g, b, a) with pixel i of a buffer
+const channels = (buf, i, fn) => fn(buf[i * 4], buf[i * 4 + 1], buf[i * 4 + 2], buf[i * 4 + 3]);
+
+/**
+ * Packing options accepted by every packer
+ *
+ * bitOrder:  'msb' puts the first pixel in the highest bits of a byte (Adafruit GFX),
+ *            'lsb' in the lowest bits (XBM / u8g2, SSD1306 page layout)
+ * byteOrder: 'little' keeps 16-bit words native, 'big' swaps the bytes of each word
+ *            (TFT_eSPI pushImage without setSwapBytes, LVGL LV_COLOR_16_SWAP)
+ * rowAlign:  row stride alignment in bytes (1, 2, 4); 0 = bit-continuous rows (sub-byte formats only)
+ */
+export const DEFAULT_PACKING = { bitOrder: "msb", byteOrder: "little", rowAlign: 1 };
+
+const packingOf = (options) => ({ ...DEFAULT_PACKING, ...options });
+
+export const swap16 = (v) => ((v & 0xff) << 8) | ((v >> 8) & 0xff);
+
+// Bytes per row (or per column for vertical 1-bit) once aligned; null for bit-continuous rows
+export function rowStride(width, bitsPerPixel, rowAlign = 1) {
+  if (rowAlign === 0) return null;
+  const bytes = Math.ceil((width * bitsPerPixel) / 8);
+  return Math.ceil(bytes / rowAlign) * rowAlign;
 }
 
-export function pack1bitAlpha(pixels, width, height, orientation = 'horizontal') {
+// Writes sub-byte values into a byte array, honouring bit order and row alignment
+function createBitWriter(bitOrder) {
   const bytes = [];
+  let cur = 0;
+  let used = 0;
+  let rowStart = 0;
+  const flush = () => {
+    if (used) bytes.push(cur);
+    cur = 0;
+    used = 0;
+  };
+  return {
+    bytes,
+    write(value, bits) {
+      cur |= bitOrder === "lsb" ? value << used : value << (8 - used - bits);
+      used += bits;
+      if (used === 8) flush();
+    },
+    endRow(rowAlign) {
+      if (rowAlign === 0) return;
+      flush();
+      while ((bytes.length - rowStart) % rowAlign) bytes.push(0);
+      rowStart = bytes.length;
+    },
+    finish() {
+      flush();
+      return bytes;
+    },
+  };
+}
+
+// Zero-pad a row of whole-byte values to the row alignment
+function padRow(out, rowStart, rowAlign, unitBytes = 1) {
+  if (rowAlign <= 1) return;
+  while (((out.length - rowStart) * unitBytes) % rowAlign) out.push(0);
+}
+
+// Shared by pack1bit and pack1bitAlpha: 1 bit per pixel, horizontal rows or vertical 8-pixel pages
+function packBits(pixels, width, height, orientation, isOn, options) {
+  const buf = asBuffer(pixels);
+  const { bitOrder, rowAlign } = packingOf(options);
+  const writer = createBitWriter(bitOrder);
   const I = (x, y) => y * width + x;
-  
-  if (orientation === 'horizontal') {
-    for (let y = 0; y < height; y++) {
-      let bit = 7;
-      let cur = 0;
-      for (let x = 0; x < width; x++) {
-        const p = pixels[I(x, y)];
-        const hasAlpha = p.a > 127; // alpha threshold (opaque = on)
-        if (hasAlpha) cur |= 1 << bit;
-        bit--;
-        if (bit < 0) {
-          bytes.push(cur);
-          cur = 0;
-          bit = 7;
-        }
+
+  if (orientation === 'vertical') {
+    // Column by column, 8 vertical pixels per byte; alignment pads each column
+    for (let x = 0; x < width; x++) {
+      for (let y = 0; y < Math.ceil(height / 8) * 8; y++) {
+        writer.write(y < height && channels(buf, I(x, y), isOn) ? 1 : 0, 1);
       }
-      if (bit !== 7) bytes.push(cur);
+      writer.endRow(rowAlign || 1);
     }
   } else {
-    for (let x = 0; x < width; x++) {
-      for (let yPage = 0; yPage < Math.ceil(height / 8); yPage++) {
-        let cur = 0;
-        for (let bit = 7; bit >= 0; bit--) {
-          const y = yPage * 8 + (7 - bit);
-          if (y < height) {
-            const p = pixels[I(x, y)];
-            const hasAlpha = p.a > 127; // alpha threshold (opaque = on)
-            if (hasAlpha) cur |= 1 << bit;
-          }
-        }
-        bytes.push(cur);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        writer.write(channels(buf, I(x, y), isOn) ? 1 : 0, 1);
       }
+      writer.endRow(rowAlign);
     }
   }
-  return bytes;
+  return writer.finish();
+}
+
+export function pack1bit(pixels, width, height, orientation = 'horizontal', options = {}) {
+  return packBits(pixels, width, height, orientation, lighter, options);
 }
 
-export function packRGB565(pixels, width, height) {
+export function pack1bitAlpha(pixels, width, height, orientation = 'horizontal', options = {}) {
+  return packBits(pixels, width, height, orientation, opaque, options);
+}
+
+export function packRGB565(pixels, width, height, options = {}) {
+  const buf = asBuffer(pixels);
+  const { byteOrder, rowAlign } = packingOf(options);
   const out = [];
   const I = (x, y) => y * width + x;
   for (let y = 0; y < height; y++) {
+    const rowStart = out.length;
     for (let x = 0; x < width; x++) {
-      const p = pixels[I(x, y)];
-      out.push(rgbTo565(p.r, p.g, p.b));
+      const v = channels(buf, I(x, y), rgbTo565);
+      out.push(byteOrder === "big" ? swap16(v) : v);
     }
+    padRow(out, rowStart, rowAlign, 2);
   }
   return out;
 }
 
-export function packRGB24(pixels, width, height) {
+export function packRGB24(pixels, width, height, options = {}) {
+  const buf = asBuffer(pixels);
+  const { rowAlign } = packingOf(options);
   const out = [];
   const I = (x, y) => y * width + x;
   for (let y = 0; y < height; y++) {
+    const rowStart = out.length;
     for (let x = 0; x < width; x++) {
-      const p = pixels[I(x, y)];
-      out.push(p.r, p.g, p.b);
+      const o = I(x, y) * 4;
+      out.push(buf[o], buf[o + 1], buf[o + 2]);
     }
+    padRow(out, rowStart, rowAlign);
   }
   return out;
 }
 
+export function packRGBA32(pixels, width, height) {
+  // Rows of 4-byte pixels are always 4-byte aligned, so the buffer is already packed
+  return Array.from(asBuffer(pixels).subarray(0, width * height * 4));
+}
+
 export function rgbTo332(r, g, b) {
   const R = (r >> 5) & 0x07;  // 3 bits
-  const G = (g >> 5) & 0x07;  // 3 bits  
+  const G = (g >> 5) & 0x07;  // 3 bits
   const B = (b >> 6) & 0x03;  // 2 bits
   return (R << 5) | (G << 2) | B;
 }
 
-export function packRGB332(pixels, width, height) {
+// Expand a 3-bit or 2-bit RGB332 component back to 8 bits
+export function expand332(v, bits) {
+  return Math.round((v * 255) / ((1 << bits) - 1));
+}
+
+export function packRGB332(pixels, width, height, options = {}) {
+  const buf = asBuffer(pixels);
+  const { rowAlign } = packingOf(options);
   const out = [];
   const I = (x, y) => y * width + x;
   for (let y = 0; y < height; y++) {
+    const rowStart = out.length;
     for (let x = 0; x < width; x++) {
-      const p = pixels[I(x, y)];
-      out.push(rgbTo332(p.r, p.g, p.b));
+      out.push(channels(buf, I(x, y), rgbTo332));
     }
+    padRow(out, rowStart, rowAlign);
   }
   return out;
 }
 
-export function packGray4(pixels, width, height) {
-  const bytes = [];
+export function packGray4(pixels, width, height, options = {}) {
+  // Two pixels per byte; with MSB-first the first pixel is the high nibble
+  const buf = asBuffer(pixels);
+  const { bitOrder, rowAlign } = packingOf(options);
+  const writer = createBitWriter(bitOrder);
   const I = (x, y) => y * width + x;
   for (let y = 0; y < height; y++) {
-    let nibble = 1; // 0 for high nibble, 1 for low nibble
-    let cur = 0;
     for (let x = 0; x < width; x++) {
-      const p = pixels[I(x, y)];
-      const luma = Math.floor((0.2126 * p.r + 0.7152 * p.g + 0.0722 * p.b) / 16);
-      const gray4 = Math.min(15, Math.max(0, luma)); // 0-15 range
-      
-      if (nibble === 1) {
-        cur = gray4 << 4; // High nibble
-        nibble = 0;
-      } else {
-        cur |= gray4; // Low nibble
-        bytes.push(cur);
-        cur = 0;
-        nibble = 1;
-      }
+      writer.write(channels(buf, I(x, y), grayLevel), 4);
     }
-    if (nibble === 0) bytes.push(cur); // flush partial byte per row
+    writer.endRow(rowAlign);
   }
-  return bytes;
+  return writer.finish();
 }
 
+// Indexed color packing: `bits` (1, 2, 4 or 8) per palette index, rows padded per rowAlign
+export function packIndexed(pixels, width, height, bits, palette, options = {}) {
+  const buf = asBuffer(pixels);
+  const { bitOrder, rowAlign } = packingOf(options);
+  const writer = createBitWriter(bitOrder);
+  const I = (x, y) => y * width + x;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      writer.write(nearestPaletteIndex(palette, getPixel(buf, I(x, y))), bits);
+    }
+    writer.endRow(rowAlign);
+  }
+  return writer.finish();
+}
 
-
+// Closest palette entry by squared RGB distance; transparent pixels map to a transparent entry if present
+export function nearestPaletteIndex(palette, p) {
+  if (p.a === 0) {
+    const t = palette.findIndex((c) => c.a === 0);
+    if (t !== -1) return t;
+  }
+  let best = 0;
+  let bestDist = Infinity;
+  for (let i = 0; i < palette.length; i++) {
+    const c = palette[i];
+    if (c.a === 0) continue;
+    const d = (c.r - p.r) ** 2 + (c.g - p.g) ** 2 + (c.b - p.b) ** 2;
+    if (d < bestDist) {
+      bestDist = d;
+      best = i;
+      if (d === 0) break;
+    }
+  }
+  return best;
+}
@@ -0,0 +1,105 @@
+/*
+ * Pixel2CPP - Palette Utilities
+ * 
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ * 
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+import { transparent } from "./colors.js";
+import { rgbTo565 } from "./packers.js";
+import { asPixels } from "./pixelbuffer.js";
+
+// Bits per index for an indexed draw mode (e.g. HORIZONTAL_INDEXED4 → 4), or 0 for direct-color modes
+export function indexedBits(drawMode) {
+  const m = /INDEXED(\d)$/.exec(drawMode);
+  return m ? parseInt(m[1], 10) : 0;
+}
+
+/**
+ * Build a palette of at most `maxColors` entries for an image.
+ * 
+ * Uses the exact colors when they fit and falls back to median cut otherwise.
+ * A transparent entry is reserved at index 0 when the image has transparent pixels.
+ * 
+ * @param {Uint8ClampedArray|Array} pixels - Pixel buffer or array of {r,g,b,a} pixels
+ * @param {number} maxColors - Palette capacity (2, 4, 16 or 256)
+ * @returns {Array} Palette as an array of {r,g,b,a}
+ */
+export function buildPalette(pixels, maxColors) {
+  const counts = new Map();
+  let hasTransparent = false;
+  for (const p of asPixels(pixels)) {
+    if (p.a === 0) {
+      hasTransparent = true;
+      continue;
+    }
+    const key = (p.r << 16) | (p.g << 8) | p.b;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  const palette = hasTransparent ? [transparent()] : [];
+  const room = maxColors - palette.length;
+  const colors = Array.from(counts, ([key, count]) => ({
+    r: (key >> 16) & 0xff,
+    g: (key >> 8) & 0xff,
+    b: key & 0xff,
+    count,
+  }));
+
+  if (colors.length <= room) {
+    return palette.concat(colors.map(({ r, g, b }) => ({ r, g, b, a: 255 })));
+  }
+  return palette.concat(medianCut(colors, room));
+}
+
+// Split the color box with the widest channel range at its weighted median until there are `n` boxes
+function medianCut(colors, n) {
+  const boxes = [colors];
+  while (boxes.length < n) {
+    let target = -1, channel = "r", widest = 0;
+    boxes.forEach((box, i) => {
+      if (box.length < 2) return;
+      for (const c of ["r", "g", "b"]) {
+        let min = 255, max = 0;
+        for (const col of box) {
+          if (col[c] < min) min = col[c];
+          if (col[c] > max) max = col[c];
+        }
+        if (max - min > widest) {
+          widest = max - min;
+          target = i;
+          channel = c;
+        }
+      }
+    });
+    if (target === -1) break;
+
+    const box = boxes[target].slice().sort((a, b) => a[channel] - b[channel]);
+    const total = box.reduce((s, c) => s + c.count, 0);
+    let acc = 0, cut = 1;
+    for (let i = 0; i < box.length - 1; i++) {
+      acc += box[i].count;
+      cut = i + 1;
+      if (acc >= total / 2) break;
+    }
+    boxes.splice(target, 1, box.slice(0, cut), box.slice(cut));
+  }
+
+  return boxes.map((box) => {
+    const total = box.reduce((s, c) => s + c.count, 0);
+    const avg = (ch) => Math.round(box.reduce((s, c) => s + c[ch] * c.count, 0) / total);
+    return { r: avg("r"), g: avg("g"), b: avg("b"), a: 255 };
+  });
+}
+
+// Palette table entries in the requested export format
+export function paletteToRGB565(palette) {
+  return palette.map((c) => rgbTo565(c.r, c.g, c.b));
+}
+
+export function paletteToRGB888(palette) {
+  return palette.map((c) => [c.r, c.g, c.b]);
+}
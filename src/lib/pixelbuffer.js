@@ -0,0 +1,171 @@
+/*
+ * Pixel2CPP - Pixel Buffers
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+// Canvas pixels are kept in pixel buffers: a Uint8ClampedArray of RGBA bytes,
+// 4 per pixel in row order, like ImageData. Code written for arrays of
+// {r,g,b,a} pixels takes them through asPixels(), and hands its own arrays
+// back through asBuffer(). Buffers are never changed once made, so both
+// conversions are remembered and repeated ones are free. A pen stroke is the
+// exception: it writes into its own copy in place and hands it on as a new
+// view after each change (see editedBuffer()), which is remembered apart.
+
+/**
+ * A pixel buffer, transparent or filled with a color
+ * @param {number} count - Number of pixels
+ * @param {Object} [fill] - {r,g,b,a} color for every pixel
+ * @returns {Uint8ClampedArray} RGBA bytes
+ */
+export function createBuffer(count, fill) {
+  const buf = new Uint8ClampedArray(count * 4);
+  if (fill && (fill.r || fill.g || fill.b || fill.a)) {
+    for (let o = 0; o < buf.length; o += 4) setPixel(buf, o / 4, fill);
+  }
+  return buf;
+}
+
+export const isPixelBuffer = (pixels) => pixels instanceof Uint8ClampedArray;
+
+// Number of pixels in a buffer or an array of pixels
+export const pixelCount = (pixels) => (isPixelBuffer(pixels) ? pixels.length / 4 : pixels.length);
+
+// Pixel i of a buffer as {r,g,b,a}
+export const getPixel = (buf, i) => ({ r: buf[i * 4], g: buf[i * 4 + 1], b: buf[i * 4 + 2], a: buf[i * 4 + 3] });
+
+// Write a {r,g,b,a} color to pixel i of a buffer
+export function setPixel(buf, i, p) {
+  buf[i * 4] = p.r;
+  buf[i * 4 + 1] = p.g;
+  buf[i * 4 + 2] = p.b;
+  buf[i * 4 + 3] = p.a;
+}
+
+// Whether pixel i of a buffer is a {r,g,b,a} color
+export const pixelIs = (buf, i, p) => buf[i * 4] === p.r && buf[i * 4 + 1] === p.g && buf[i * 4 + 2] === p.b && buf[i * 4 + 3] === p.a;
+
+// Whether pixel i of one buffer equals pixel j of another
+export const samePixel = (a, i, b, j) =>
+  a[i * 4] === b[j * 4] && a[i * 4 + 1] === b[j * 4 + 1] && a[i * 4 + 2] === b[j * 4 + 2] && a[i * 4 + 3] === b[j * 4 + 3];
+
+const buffers = new WeakMap();
+const pixelLists = new WeakMap();
+// View of a buffer written in place -> { from: the view before, rect: changed pixels }
+const edits = new WeakMap();
+// Bytes of a buffer written in place -> their latest view
+const latest = new WeakMap();
+
+/**
+ * Pixels as a buffer, converting an array of {r,g,b,a} pixels
+ * @param {Uint8ClampedArray|Array} pixels - Pixel buffer or array of pixels
+ * @returns {Uint8ClampedArray} RGBA bytes; a buffer is returned as is
+ */
+export function asBuffer(pixels) {
+  if (isPixelBuffer(pixels)) return pixels;
+  if (!buffers.has(pixels)) {
+    const buf = new Uint8ClampedArray(pixels.length * 4);
+    pixels.forEach((p, i) => setPixel(buf, i, p));
+    buffers.set(pixels, buf);
+    pixelLists.set(buf, pixels);
+  }
+  return buffers.get(pixels);
+}
+
+/**
+ * Pixels as an array of {r,g,b,a} pixels, converting a buffer; the array must not be changed
+ * @param {Uint8ClampedArray|Array} pixels - Pixel buffer or array of pixels
+ * @returns {Array} Array of {r,g,b,a} pixels; an array is returned as is
+ */
+export function asPixels(pixels) {
+  if (!isPixelBuffer(pixels)) return pixels;
+  if (!pixelLists.has(pixels)) {
+    const list = Array.from({ length: pixels.length / 4 }, (_, i) => getPixel(pixels, i));
+    pixelLists.set(pixels, list);
+    buffers.set(list, pixels);
+  }
+  return pixelLists.get(pixels);
+}
+
+/**
+ * A buffer written in place as a new view of the same bytes, remembering what changed
+ * @param {Uint8ClampedArray} buf - Buffer that was just written, owned by the caller
+ * @param {Object} rect - { x, y, w, h } around the pixels written
+ * @param {Uint8ClampedArray} [from] - Buffer that buf is a copy of from before it was written, if it's a new copy
+ * @returns {Uint8ClampedArray} New view of buf's bytes
+ */
+export function editedBuffer(buf, rect, from = buf) {
+  const view = new Uint8ClampedArray(buf.buffer, buf.byteOffset, buf.length);
+  // A new copy starts over: the views that led to the buffer it copies aren't kept alive
+  if (from !== buf) edits.delete(from);
+  edits.set(view, { from, rect });
+  latest.set(buf.buffer, view);
+  return view;
+}
+
+// Whether a view's bytes were written in place again after it was made, so they no longer show it
+export const writtenSince = (view) => latest.has(view.buffer) && latest.get(view.buffer) !== view;
+
+/**
+ * The pixels written in place to go from one view of a buffer to a later one
+ * @param {Uint8ClampedArray} from - Earlier view
+ * @param {Uint8ClampedArray} to - Later view from editedBuffer()
+ * @returns {Object|null} { x, y, w, h } around every pixel written, null when `to` doesn't come from `from`
+ */
+export function editedRect(from, to) {
+  let rect = null;
+  for (let view = to; view !== from; ) {
+    const edit = edits.get(view);
+    if (!edit) return null;
+    const { x, y, w, h } = edit.rect;
+    rect = rect
+      ? {
+        x: Math.min(rect.x, x),
+        y: Math.min(rect.y, y),
+        w: Math.max(rect.x + rect.w, x + w) - Math.min(rect.x, x),
+        h: Math.max(rect.y + rect.h, y + h) - Math.min(rect.y, y),
+      }
+      : edit.rect;
+    view = edit.from;
+  }
+  return rect;
+}
+
+/**
+ * The pixels that differ between two buffers of the same image size
+ * @param {Uint8ClampedArray} a - RGBA bytes
+ * @param {Uint8ClampedArray} b - RGBA bytes
+ * @param {number} width - Image width
+ * @returns {Object} { x, y, w, h } around every differing pixel, empty when none do
+ */
+export function changedRect(a, b, width) {
+  let x0 = width, y0 = Infinity, x1 = -1, y1 = -1;
+  for (let i = 0; i < a.length / 4; i++) {
+    if (samePixel(a, i, b, i)) continue;
+    const x = i % width;
+    const y = (i - x) / width;
+    x0 = Math.min(x0, x);
+    x1 = Math.max(x1, x);
+    y0 = Math.min(y0, y);
+    y1 = y;
+  }
+  return x1 < 0 ? { x: 0, y: 0, w: 0, h: 0 } : { x: x0, y: y0, w: x1 - x0 + 1, h: y1 - y0 + 1 };
+}
+
+/**
+ * A buffer with red and blue swapped, e.g. for BGR panels
+ * @param {Uint8ClampedArray} buf - RGBA bytes
+ * @returns {Uint8ClampedArray} BGRA bytes
+ */
+export function swapRedBlueBuffer(buf) {
+  const out = buf.slice();
+  for (let o = 0; o < out.length; o += 4) {
+    out[o] = buf[o + 2];
+    out[o + 2] = buf[o];
+  }
+  return out;
+}
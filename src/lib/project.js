@@ -0,0 +1,438 @@
+/*
+ * Pixel2CPP - Project Files
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+import { DEFAULT_PACKING, DRAW_MODES } from "./packers.js";
+import { asBuffer } from "./pixelbuffer.js";
+import { COMPRESSION_SCHEMES } from "./compress.js";
+import { DITHER_ALGORITHMS } from "./dither.js";
+import { LVGL_VERSIONS } from "./lvgl.js";
+import { LIBRARY_TARGETS } from "./targets.js";
+import { DISPLAY_PROFILES, displayConfig, displayProfile } from "./displays.js";
+import { DEFAULT_FONT } from "./gfxfont.js";
+import { compositeLayers, MAX_LAYERS } from "./layers.js";
+import { MAX_CANVAS } from "./transforms.js";
+
+export const PROJECT_FORMAT = "pixel2cpp-project";
+export const PROJECT_VERSION = 4;
+export const PROJECT_EXTENSION = ".p2c";
+
+const OUTPUT_FORMATS = ["ARDUINO_CODE", "PLAIN_BYTES", "ARDUINO_SINGLE_BITMAP", "GFX_BITMAP_FONT", "LVGL_IMAGE", "SPRITE_ATLAS", "U8G2_FONT"];
+const BACKGROUNDS = ["transparent", "white", "black"];
+const DEFAULT_FRAME_MS = 100;
+
+// The layer of documents saved before there were layers
+const SINGLE_LAYER = [{ id: 1, name: "Layer 1", visible: true, locked: false, opacity: 100 }];
+
+// Export settings a project restores, with the editor's defaults for missing entries
+export const DEFAULT_SETTINGS = {
+  drawMode: "HORIZONTAL_1BIT",
+  outputFormat: "ARDUINO_CODE",
+  dither: "none",
+  paletteFormat: "RGB565",
+  compression: "NONE",
+  packing: DEFAULT_PACKING,
+  lvglVersion: "8",
+  library: "ADAFRUIT_GFX",
+};
+
+// Allowed values per setting; anything else in a file is rejected
+const SETTING_VALUES = {
+  drawMode: DRAW_MODES,
+  outputFormat: OUTPUT_FORMATS,
+  dither: DITHER_ALGORITHMS.map((d) => d.value),
+  paletteFormat: ["RGB565", "RGB888"],
+  compression: COMPRESSION_SCHEMES.map((c) => c.value),
+  lvglVersion: LVGL_VERSIONS.map((v) => v.value),
+  library: LIBRARY_TARGETS.map((l) => l.value),
+};
+
+/**
+ * Upgrades from each older version to the next one. A file is passed through
+ * every step from its own version up to PROJECT_VERSION, so a format change
+ * only needs a step here and never touches the loader.
+ */
+const MIGRATIONS = {
+  // v2: animation frames. Pixel buffers move into a shared `buffers` table that
+  // frames reference by index, and history entries become frame lists.
+  1: (project) => {
+    const { pixels, history, ...rest } = project;
+    const buffers = [pixels];
+    const snapshot = (text) => {
+      buffers.push(text);
+      return { index: 0, frames: [{ buffer: buffers.length - 1, duration: DEFAULT_FRAME_MS }] };
+    };
+    const undo = (Array.isArray(history?.undo) ? history.undo : []).map(snapshot);
+    const redo = (Array.isArray(history?.redo) ? history.redo : []).map(snapshot);
+    return {
+      ...rest,
+      version: 2,
+      buffers,
+      frames: [{ buffer: 0, duration: DEFAULT_FRAME_MS }],
+      frameIndex: 0,
+      history: { undo, redo },
+    };
+  },
+  // v3: layers. Documents get a layer list, frames a buffer per layer in
+  // `cels`, and every history snapshot its own layer list, as layers are undoable.
+  2: (project) => {
+    const frames = (list) => (Array.isArray(list) ? list.map((f) => ({ ...f, cels: [f?.buffer] })) : list);
+    const snapshot = (s) => ({ ...s, layers: SINGLE_LAYER, layer: 0, frames: frames(s?.frames) });
+    const history = project.history || {};
+    return {
+      ...project,
+      version: 3,
+      layers: SINGLE_LAYER,
+      layerIndex: 0,
+      exportLayer: null,
+      frames: frames(project.frames),
+      history: {
+        undo: (Array.isArray(history.undo) ? history.undo : []).map(snapshot),
+        redo: (Array.isArray(history.redo) ? history.redo : []).map(snapshot),
+      },
+    };
+  },
+  // v4: history as steps. Each undo and redo entry is the action between two
+  // documents, saved as the pixels it changed or the documents around it;
+  // older files have the documents, which the loader compares again.
+  3: (project) => {
+    const history = project.history || {};
+    const undo = Array.isArray(history.undo) ? history.undo : [];
+    const redo = Array.isArray(history.redo) ? history.redo : [];
+    const current = { index: project.frameIndex, layer: project.layerIndex, layers: project.layers, frames: project.frames };
+    const states = [...undo, current];
+    return {
+      ...project,
+      version: 4,
+      history: {
+        undo: undo.map((s, i) => ({ label: s?.label, before: s, after: states[i + 1] })),
+        redo: redo.map((s, i) => ({ label: s?.label, before: i ? redo[i - 1] : current, after: s })),
+      },
+    };
+  },
+};
+
+const bytesToBase64 = (bytes) => {
+  let binary = "";
+  // In chunks, as String.fromCharCode takes a limited number of arguments
+  for (let o = 0; o < bytes.length; o += 0x8000) binary += String.fromCharCode(...bytes.subarray(o, o + 0x8000));
+  return btoa(binary);
+};
+
+const base64ToBinary = (text, what) => {
+  try {
+    return atob(text);
+  } catch {
+    throw new Error(`Project ${what} is not valid base64`);
+  }
+};
+
+// Pixels are stored as base64 RGBA bytes, 4 per pixel in row order: a pixel buffer's bytes
+export function pixelsToBase64(pixels) {
+  return bytesToBase64(asBuffer(pixels));
+}
+
+export function base64ToPixels(text, count, what = "pixel data") {
+  const binary = base64ToBinary(text, what);
+  if (binary.length !== count * 4) {
+    throw new Error(`Project ${what} has ${binary.length / 4} pixels, expected ${count}`);
+  }
+  return Uint8ClampedArray.from(binary, (c) => c.charCodeAt(0));
+}
+
+// Pixel indices of a history step are stored as base64 32-bit little-endian integers
+const indicesToBase64 = (indices) => {
+  const bytes = new Uint8Array(indices.length * 4);
+  const view = new DataView(bytes.buffer);
+  indices.forEach((j, n) => view.setUint32(n * 4, j, true));
+  return bytesToBase64(bytes);
+};
+
+const base64ToIndices = (text, what) => {
+  const binary = base64ToBinary(text, what);
+  if (binary.length % 4) throw new Error(`Project ${what} pixel indices are truncated`);
+  const view = new DataView(Uint8Array.from(binary, (c) => c.charCodeAt(0)).buffer);
+  return Uint32Array.from({ length: binary.length / 4 }, (_, n) => view.getUint32(n * 4, true));
+};
+
+const isColor = (c) => c && ["r", "g", "b", "a"].every((k) => Number.isInteger(c[k]) && c[k] >= 0 && c[k] <= 255);
+
+/**
+ * Serialize the workspace into a .p2c project
+ *
+ * Frames and the documents kept in undo history share unchanged pixel
+ * buffers in memory; each buffer is written once and referenced by index.
+ * Flattened frame data is not saved, it's recomputed from the layers when
+ * the project is opened.
+ *
+ * @param {Object} project - Workspace to save
+ * @param {string} project.name - Asset name
+ * @param {number} project.w - Canvas width
+ * @param {number} project.h - Canvas height
+ * @param {Array} project.frames - Animation frames as { cels, duration, name }; frames with only
+ *   `data` are saved as a single layer
+ * @param {number} project.frameIndex - Selected frame
+ * @param {Array} [project.layers] - Layers as { id, name, visible, locked, opacity }
+ * @param {number} [project.layerIndex] - Active layer
+ * @param {number|null} [project.exportLayer] - Id of the layer exported on its own, or null for flattened
+ * @param {Object} project.settings - Export settings (see DEFAULT_SETTINGS)
+ * @param {Object} project.display - Display settings from displayConfig()
+ * @param {Object} project.palette - { primary, secondary, background } drawing colors
+ * @param {Object} project.history - { undo, redo } entries from lib/history.js, oldest undo first and next redo
+ *   first: { label, index, layer, cels } for the pixels an action changed, or { label, before, after } documents
+ *   { layers, layer, frames, index, w, h } around one that changed frames, layers or the size
+ * @param {Object} [project.font] - Font settings (see DEFAULT_FONT)
+ * @returns {string} JSON text
+ */
+export function serializeProject({
+  name, w, h, frames, frameIndex, settings, display, palette, history, font = DEFAULT_FONT,
+  layers = SINGLE_LAYER, layerIndex = 0, exportLayer = null,
+}) {
+  const buffers = [];
+  const bufferIndex = new Map();
+  const bufferOf = (pixels) => {
+    if (!bufferIndex.has(pixels)) {
+      bufferIndex.set(pixels, buffers.length);
+      buffers.push(pixelsToBase64(pixels));
+    }
+    return bufferIndex.get(pixels);
+  };
+  const framesOut = (list) => list.map((f) => ({
+    ...(f.id !== undefined ? { id: f.id } : {}),
+    cels: (f.cels || [f.data]).map(bufferOf),
+    duration: f.duration,
+    ...(f.name ? { name: f.name } : {}),
+  }));
+  const snapshot = (s) => ({
+    index: s.index,
+    layer: s.layer || 0,
+    layers: s.layers || SINGLE_LAYER,
+    ...(s.w && (s.w !== w || s.h !== h) ? { width: s.w, height: s.h } : {}),
+    frames: framesOut(s.frames),
+  });
+  const step = (e) => (e.before ? { label: e.label, before: snapshot(e.before), after: snapshot(e.after) } : {
+    label: e.label,
+    index: e.index,
+    layer: e.layer,
+    cels: e.cels.map((c) => ({
+      frame: c.frame,
+      layer: c.layer,
+      indices: indicesToBase64(c.indices),
+      from: bytesToBase64(c.from),
+      to: bytesToBase64(c.to),
+    })),
+  });
+
+  return JSON.stringify({
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    name,
+    width: w,
+    height: h,
+    layers,
+    layerIndex,
+    exportLayer,
+    frames: framesOut(frames),
+    frameIndex,
+    settings,
+    display,
+    palette,
+    font,
+    history: {
+      undo: history.undo.map(step),
+      redo: history.redo.map(step),
+    },
+    buffers,
+  });
+}
+
+/**
+ * Parse and validate a .p2c project, migrating older versions first
+ *
+ * @param {string} text - File contents
+ * @returns {Object} { name, w, h, layers, layerIndex, exportLayer, frames, frameIndex, settings, display, palette,
+ *   history, font } as taken by serializeProject(), frames having their flattened `data` as well as their cels
+ * @throws {Error} With a message naming the problem when the file is not a usable project
+ */
+export function parseProject(text) {
+  let project;
+  try {
+    project = JSON.parse(text);
+  } catch {
+    throw new Error("Not a Pixel2CPP project: the file is not valid JSON");
+  }
+  if (!project || typeof project !== "object" || project.format !== PROJECT_FORMAT) {
+    throw new Error("Not a Pixel2CPP project: the format marker is missing");
+  }
+  if (!Number.isInteger(project.version) || project.version < 1) {
+    throw new Error(`Unsupported project version ${JSON.stringify(project.version)}`);
+  }
+  if (project.version > PROJECT_VERSION) {
+    throw new Error(`Project version ${project.version} is newer than this editor supports (${PROJECT_VERSION}); please update Pixel2CPP`);
+  }
+  for (let v = project.version; v < PROJECT_VERSION; v++) project = MIGRATIONS[v](project);
+
+  const { width: w, height: h } = project;
+  if (![w, h].every((n) => Number.isInteger(n) && n >= 1 && n <= MAX_CANVAS)) {
+    throw new Error(`Project canvas size ${w}x${h} is invalid (1-${MAX_CANVAS} pixels per side)`);
+  }
+  if (!Array.isArray(project.buffers)) throw new Error("Project has no pixel data");
+  // Decode each buffer once so frames that shared pixels still share them
+  const decoded = [];
+  const buffer = (i, what, size) => {
+    if (!Number.isInteger(i) || typeof project.buffers[i] !== "string") throw new Error(`Project ${what} has no pixel data`);
+    decoded[i] = decoded[i] || base64ToPixels(project.buffers[i], size, `${what} pixel data`);
+    return decoded[i];
+  };
+  const readLayers = (list, what) => {
+    const valid = Array.isArray(list) && list.length >= 1 && list.length <= MAX_LAYERS
+      && list.every((l) => Number.isInteger(l?.id) && typeof l.name === "string" && typeof l.visible === "boolean"
+        && typeof l.locked === "boolean" && Number.isInteger(l.opacity) && l.opacity >= 0 && l.opacity <= 100)
+      && new Set(list.map((l) => l.id)).size === list.length;
+    if (!valid) throw new Error(`Project ${what} layers are invalid`);
+    return list.map(({ id, name, visible, locked, opacity }) => ({ id, name, visible, locked, opacity }));
+  };
+  const readFrames = (list, layers, what, size = w * h) => {
+    if (!Array.isArray(list) || !list.length) throw new Error(`Project ${what} has no frames`);
+    const ids = list.map((f) => f?.id).filter((id) => id !== undefined);
+    if (!ids.every(Number.isInteger) || new Set(ids).size !== ids.length) throw new Error(`Project ${what} frame ids are invalid`);
+    return list.map((f, i) => {
+      const duration = f?.duration ?? DEFAULT_FRAME_MS;
+      if (!Number.isInteger(duration) || duration < 1 || duration > 65535) {
+        throw new Error(`Project ${what} frame ${i + 1} has invalid duration ${JSON.stringify(duration)}`);
+      }
+      if (!Array.isArray(f?.cels) || f.cels.length !== layers.length) {
+        throw new Error(`Project ${what} frame ${i + 1} doesn't have one cel per layer`);
+      }
+      const name = typeof f.name === "string" ? f.name : "";
+      const cels = f.cels.map((c, k) => buffer(c, `${what} frame ${i + 1}${layers.length > 1 ? ` layer ${k + 1}` : ""}`, size));
+      return { ...(f.id !== undefined ? { id: f.id } : {}), cels, data: compositeLayers(cels, layers), duration, name };
+    });
+  };
+  const layers = readLayers(project.layers, "animation");
+  const layerIndex = Number.isInteger(project.layerIndex) ? Math.max(0, Math.min(layers.length - 1, project.layerIndex)) : 0;
+  const exportLayer = layers.some((l) => l.id === project.exportLayer) ? project.exportLayer : null;
+  const frames = readFrames(project.frames, layers, "animation");
+  const frameIndex = Number.isInteger(project.frameIndex) ? Math.max(0, Math.min(frames.length - 1, project.frameIndex)) : 0;
+
+  const settings = { ...DEFAULT_SETTINGS, ...project.settings };
+  for (const [key, values] of Object.entries(SETTING_VALUES)) {
+    if (!values.includes(settings[key])) throw new Error(`Project setting ${key} has unknown value ${JSON.stringify(settings[key])}`);
+  }
+  settings.packing = { ...DEFAULT_PACKING, ...settings.packing };
+  const { bitOrder, byteOrder, rowAlign } = settings.packing;
+  if (!["msb", "lsb"].includes(bitOrder) || !["little", "big"].includes(byteOrder) || ![0, 1, 2, 4].includes(rowAlign)) {
+    throw new Error("Project packing settings are invalid");
+  }
+
+  const displayType = project.display?.type || DISPLAY_PROFILES[0].value;
+  if (!DISPLAY_PROFILES.some((p) => p.value === displayType)) {
+    throw new Error(`Project display profile ${JSON.stringify(displayType)} is unknown`);
+  }
+  const defaults = displayConfig(displayType);
+  const display = { ...defaults, ...project.display, pins: { ...defaults.pins, ...project.display?.pins } };
+  const isInt = (v, lo, hi) => Number.isInteger(v) && v >= lo && v <= hi;
+  // These end up in the generated sketches as they are
+  const displayChecks = {
+    width: isInt(display.width, 1, 0xffff),
+    height: isInt(display.height, 1, 0xffff),
+    rotation: isInt(display.rotation, 0, 3),
+    // SPI panels have none
+    "I2C address": isInt(display.i2cAddress, 0, 0x7f) || (display.i2cAddress === null && displayProfile(displayType).bus !== "i2c"),
+    pins: Object.values(display.pins).every((pin) => isInt(pin, -1, 255)),
+    "color order": ["RGB", "BGR"].includes(display.colorOrder),
+  };
+  for (const [field, valid] of Object.entries(displayChecks)) {
+    if (!valid) throw new Error(`Project display ${field} is invalid`);
+  }
+
+  const palette = { primary: { r: 0, g: 0, b: 0, a: 255 }, secondary: { r: 255, g: 255, b: 255, a: 255 }, background: "transparent", ...project.palette };
+  if (!isColor(palette.primary) || !isColor(palette.secondary) || !BACKGROUNDS.includes(palette.background)) {
+    throw new Error("Project palette colors are invalid");
+  }
+
+  const font = { ...DEFAULT_FONT, ...project.font };
+  if (typeof font.enabled !== "boolean" || !isInt(font.first, 0, 0xffff)
+    || !(font.baseline === null || isInt(font.baseline, 0, MAX_CANVAS - 1)) || !(font.yAdvance === null || isInt(font.yAdvance, 1, 255))
+    || typeof font.advances !== "object" || !font.advances
+    || !Object.entries(font.advances).every(([code, v]) => /^\d+$/.test(code) && isInt(v, 0, 255))) {
+    throw new Error("Project font settings are invalid");
+  }
+
+  // Documents around a step; those from before a rotation or scaling have their own size
+  const snapshot = (s, what) => {
+    const snapshotLayers = readLayers(s?.layers, what);
+    const sw = s.width ?? w;
+    const sh = s.height ?? h;
+    if (![sw, sh].every((n) => Number.isInteger(n) && n >= 1 && n <= MAX_CANVAS)) {
+      throw new Error(`Project ${what} size ${sw}x${sh} is invalid`);
+    }
+    return {
+      layers: snapshotLayers,
+      layer: Number.isInteger(s.layer) ? s.layer : 0,
+      frames: readFrames(s.frames, snapshotLayers, what, sw * sh),
+      index: Number.isInteger(s.index) ? s.index : 0,
+      w: sw,
+      h: sh,
+    };
+  };
+  // A step that changed pixels has to fit the document it's undone or redone
+  // on: `shape` is that document's frame and layer count and size
+  const inRange = (v, n) => Number.isInteger(v) && v >= 0 && v < n;
+  const step = (e, what, shape) => {
+    const label = typeof e?.label === "string" && e.label ? e.label : "Edit";
+    if (e?.before || e?.after) return { label, before: snapshot(e.before, `${what} (before)`), after: snapshot(e.after, `${what} (after)`) };
+    const selection = (pair, n) => Array.isArray(pair) && pair.length === 2 && pair.every((v) => inRange(v, n));
+    if (!selection(e?.index, shape.frames) || !selection(e.layer, shape.layers) || !Array.isArray(e.cels) || !e.cels.length) {
+      throw new Error(`Project ${what} doesn't match its document`);
+    }
+    const cels = e.cels.map((c) => {
+      if (!inRange(c?.frame, shape.frames) || !inRange(c.layer, shape.layers) || typeof c.indices !== "string") {
+        throw new Error(`Project ${what} doesn't match its document`);
+      }
+      const indices = base64ToIndices(c.indices, what);
+      if (indices.some((j) => j >= shape.size)) throw new Error(`Project ${what} changes pixels outside the canvas`);
+      const bytes = (text) => new Uint8Array(base64ToPixels(text, indices.length, what).buffer);
+      return { frame: c.frame, layer: c.layer, indices, from: bytes(c.from), to: bytes(c.to) };
+    });
+    return { label, index: e.index, layer: e.layer, cels };
+  };
+  // Undo steps are checked from the newest back, redo steps from the next one on
+  const shapeOf = (doc) => ({ frames: doc.frames.length, layers: doc.layers.length, size: doc.w * doc.h });
+  const steps = (list, what, forward) => {
+    let shape = { frames: frames.length, layers: layers.length, size: w * h };
+    const items = (Array.isArray(list) ? list : []).map((e, i) => [e, `${what} step ${i + 1}`]);
+    const read = (forward ? items : items.reverse()).map(([e, name]) => {
+      const entry = step(e, name, shape);
+      if (entry.before) shape = shapeOf(forward ? entry.after : entry.before);
+      return entry;
+    });
+    return forward ? read : read.reverse();
+  };
+  const history = {
+    undo: steps(project.history?.undo, "undo", false),
+    redo: steps(project.history?.redo, "redo", true),
+  };
+
+  return {
+    name: typeof project.name === "string" && project.name ? project.name : "sprite",
+    w,
+    h,
+    layers,
+    layerIndex,
+    exportLayer,
+    frames,
+    frameIndex,
+    settings,
+    display,
+    palette,
+    history,
+    font,
+  };
+}
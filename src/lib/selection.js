@@ -0,0 +1,278 @@
+/*
+ * Pixel2CPP - Selections
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+import { linePixels } from "./shapes.js";
+import { asBuffer, createBuffer, samePixel } from "./pixelbuffer.js";
+
+// A selection is a mask over the canvas: a Uint8Array of w*h with 1 for
+// selected pixels. Selected pixels that are lifted, copied or pasted travel
+// as a "piece": { x, y, w, h, pixels, mask } with the pixels and mask of its
+// bounding box and (x, y) its top left corner on the canvas, which may be
+// partly off the canvas while it's being moved. Pixels are pixel buffers
+// (see lib/pixelbuffer.js); arrays of {r,g,b,a} pixels are accepted too.
+
+export const SELECTION_TOOLS = ["select", "lasso", "wand"];
+
+/**
+ * Mask of a rectangle given by two opposite corners, clipped to the canvas
+ * @param {number} w - Canvas width
+ * @param {number} h - Canvas height
+ * @param {number} x0 - First corner x
+ * @param {number} y0 - First corner y
+ * @param {number} x1 - Opposite corner x
+ * @param {number} y1 - Opposite corner y
+ * @returns {Uint8Array} Selection mask
+ */
+export function rectMask(w, h, x0, y0, x1, y1) {
+  const mask = new Uint8Array(w * h);
+  const left = Math.max(0, Math.min(x0, x1));
+  const right = Math.min(w - 1, Math.max(x0, x1));
+  const top = Math.max(0, Math.min(y0, y1));
+  const bottom = Math.min(h - 1, Math.max(y0, y1));
+  for (let y = top; y <= bottom; y++) mask.fill(1, y * w + left, y * w + right + 1);
+  return mask;
+}
+
+/**
+ * Mask of a freehand outline closed back to its start
+ *
+ * Pixels whose centers are inside the polygon are selected, along with the
+ * pixels the outline passes over, so a thin lasso still selects something.
+ *
+ * @param {number} w - Canvas width
+ * @param {number} h - Canvas height
+ * @param {Array} points - Outline as [x, y] pixel positions
+ * @returns {Uint8Array} Selection mask
+ */
+export function lassoMask(w, h, points) {
+  const mask = new Uint8Array(w * h);
+  const n = points.length;
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let inside = false;
+      for (let i = 0, j = n - 1; i < n; j = i++) {
+        const [xi, yi] = points[i];
+        const [xj, yj] = points[j];
+        if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+      }
+      if (inside) mask[y * w + x] = 1;
+    }
+  }
+  points.forEach(([x0, y0], i) => {
+    const [x1, y1] = points[(i + 1) % n];
+    for (const [x, y] of linePixels(x0, y0, x1, y1)) {
+      if (x >= 0 && y >= 0 && x < w && y < h) mask[y * w + x] = 1;
+    }
+  });
+  return mask;
+}
+
+/**
+ * Mask of the pixels of the same color connected to a starting pixel (magic wand)
+ * @param {Uint8ClampedArray} pixels - Pixel buffer
+ * @param {number} w - Canvas width
+ * @param {number} h - Canvas height
+ * @param {number} sx - Starting pixel x
+ * @param {number} sy - Starting pixel y
+ * @returns {Uint8Array} Selection mask
+ */
+export function wandMask(pixels, w, h, sx, sy) {
+  const buf = asBuffer(pixels);
+  const mask = new Uint8Array(w * h);
+  const target = sy * w + sx;
+  const stack = [[sx, sy]];
+  while (stack.length) {
+    const [x, y] = stack.pop();
+    if (x < 0 || y < 0 || x >= w || y >= h) continue;
+    const i = y * w + x;
+    if (mask[i] || !samePixel(buf, i, buf, target)) continue;
+    mask[i] = 1;
+    stack.push([x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]);
+  }
+  return mask;
+}
+
+/**
+ * Combine a new selection with the current one
+ * @param {Uint8Array|null} current - Current selection mask
+ * @param {Uint8Array} next - New selection mask
+ * @param {string} mode - "replace", "add" or "subtract"
+ * @returns {Uint8Array} Resulting mask
+ */
+export function combineMasks(current, next, mode) {
+  if (!current || mode === "replace") return next;
+  return current.map((v, i) => (mode === "add" ? v | next[i] : v & (1 - next[i])));
+}
+
+/**
+ * Bounding box of a selection
+ * @param {Uint8Array} mask - Selection mask
+ * @param {number} w - Canvas width
+ * @param {number} h - Canvas height
+ * @returns {Object|null} { x, y, w, h }, or null when nothing is selected
+ */
+export function maskBounds(mask, w, h) {
+  let left = w, top = h, right = -1, bottom = -1;
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      if (!mask[y * w + x]) continue;
+      if (x < left) left = x;
+      if (x > right) right = x;
+      if (y < top) top = y;
+      bottom = y;
+    }
+  }
+  return right < 0 ? null : { x: left, y: top, w: right - left + 1, h: bottom - top + 1 };
+}
+
+/**
+ * Selected pixels as a piece; unselected pixels in its box are transparent
+ * @param {Uint8ClampedArray} pixels - Pixel buffer
+ * @param {Uint8Array} mask - Selection mask
+ * @param {number} w - Canvas width
+ * @param {number} h - Canvas height
+ * @returns {Object|null} { x, y, w, h, pixels, mask }, or null when nothing is selected
+ */
+export function liftPiece(pixels, mask, w, h) {
+  const box = maskBounds(mask, w, h);
+  if (!box) return null;
+  const buf = asBuffer(pixels);
+  const out = createBuffer(box.w * box.h);
+  const sub = new Uint8Array(box.w * box.h);
+  for (let y = 0; y < box.h; y++) {
+    for (let x = 0; x < box.w; x++) {
+      const i = (box.y + y) * w + box.x + x;
+      sub[y * box.w + x] = mask[i];
+      if (mask[i]) out.set(buf.subarray(i * 4, i * 4 + 4), (y * box.w + x) * 4);
+    }
+  }
+  return { ...box, pixels: out, mask: sub };
+}
+
+/**
+ * Whether an image shows a piece's pixels, e.g. our own copy read back from the system clipboard
+ *
+ * Fully transparent pixels match whatever color they carry, as PNGs don't keep it.
+ * @param {Object} piece - { w, h, pixels }
+ * @param {Object} image - { w, h, pixels } in the draw mode's colors
+ * @returns {boolean}
+ */
+export function showsPiece(piece, image) {
+  if (piece.w !== image.w || piece.h !== image.h) return false;
+  const a = asBuffer(piece.pixels);
+  const b = asBuffer(image.pixels);
+  for (let i = 0; i < piece.w * piece.h; i++) {
+    if (!(a[i * 4 + 3] === 0 && b[i * 4 + 3] === 0) && !samePixel(a, i, b, i)) return false;
+  }
+  return true;
+}
+
+/**
+ * Pixels with the selected ones made transparent
+ * @param {Uint8ClampedArray} pixels - Pixel buffer
+ * @param {Uint8Array|null} mask - Selection mask; null leaves the pixels as they are
+ * @returns {Uint8ClampedArray} New pixels
+ */
+export function clearMasked(pixels, mask) {
+  const buf = asBuffer(pixels);
+  if (!mask) return buf;
+  const out = buf.slice();
+  mask.forEach((m, i) => {
+    if (m) out.fill(0, i * 4, i * 4 + 4);
+  });
+  return out;
+}
+
+/**
+ * Pixels with a piece drawn over them at its position, clipped to the canvas
+ *
+ * The piece's selected pixels replace what's below, transparent ones included,
+ * the way a moved selection leaves its own pixels behind it.
+ *
+ * @param {Uint8ClampedArray} pixels - Pixel buffer
+ * @param {Object} piece - { x, y, w, h, pixels, mask }
+ * @param {number} w - Canvas width
+ * @param {number} h - Canvas height
+ * @returns {Uint8ClampedArray} New pixels
+ */
+export function stampPiece(pixels, piece, w, h) {
+  const out = asBuffer(pixels).slice();
+  const src = asBuffer(piece.pixels);
+  for (let y = 0; y < piece.h; y++) {
+    for (let x = 0; x < piece.w; x++) {
+      const cx = piece.x + x;
+      const cy = piece.y + y;
+      if (cx < 0 || cy < 0 || cx >= w || cy >= h || !piece.mask[y * piece.w + x]) continue;
+      const i = y * piece.w + x;
+      out.set(src.subarray(i * 4, i * 4 + 4), (cy * w + cx) * 4);
+    }
+  }
+  return out;
+}
+
+/**
+ * Canvas mask of the pixels a piece covers at its position
+ * @param {Object} piece - { x, y, w, h, mask }
+ * @param {number} w - Canvas width
+ * @param {number} h - Canvas height
+ * @returns {Uint8Array} Selection mask
+ */
+export function pieceMask(piece, w, h) {
+  const mask = new Uint8Array(w * h);
+  for (let y = 0; y < piece.h; y++) {
+    for (let x = 0; x < piece.w; x++) {
+      const cx = piece.x + x;
+      const cy = piece.y + y;
+      if (cx >= 0 && cy >= 0 && cx < w && cy < h && piece.mask[y * piece.w + x]) mask[cy * w + cx] = 1;
+    }
+  }
+  return mask;
+}
+
+/**
+ * Edges between selected and unselected pixels, for drawing marching ants
+ *
+ * Runs of edges along a row or column are merged into one segment.
+ *
+ * @param {Uint8Array} mask - Mask of w*h pixels
+ * @param {number} w - Mask width
+ * @param {number} h - Mask height
+ * @param {number} [dx] - Offset added to x, e.g. a piece's position
+ * @param {number} [dy] - Offset added to y
+ * @returns {Array} Segments as [x1, y1, x2, y2] in pixel corners
+ */
+export function maskOutline(mask, w, h, dx = 0, dy = 0) {
+  const at = (x, y) => (x >= 0 && y >= 0 && x < w && y < h ? mask[y * w + x] : 0);
+  const segments = [];
+  // Horizontal edges sit above row y, vertical edges left of column x
+  for (let y = 0; y <= h; y++) {
+    let start = -1;
+    for (let x = 0; x <= w; x++) {
+      const edge = x < w && at(x, y - 1) !== at(x, y);
+      if (edge && start < 0) start = x;
+      if (!edge && start >= 0) {
+        segments.push([start + dx, y + dy, x + dx, y + dy]);
+        start = -1;
+      }
+    }
+  }
+  for (let x = 0; x <= w; x++) {
+    let start = -1;
+    for (let y = 0; y <= h; y++) {
+      const edge = y < h && at(x - 1, y) !== at(x, y);
+      if (edge && start < 0) start = y;
+      if (!edge && start >= 0) {
+        segments.push([x + dx, start + dy, x + dx, y + dy]);
+        start = -1;
+      }
+    }
+  }
+  return segments;
+}
@@ -0,0 +1,181 @@
+/*
+ * Pixel2CPP - Shapes
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+import { asBuffer, setPixel } from "./pixelbuffer.js";
+
+// Shapes are rasterized to lists of [x, y] pixels, possibly off the canvas
+// and possibly repeated; drawing them clips to the canvas.
+
+export const SHAPE_TOOLS = ["line", "rect", "ellipse", "polyline"];
+
+/**
+ * Pixels on the line between two points, both ends included (Bresenham)
+ * @param {number} x0 - Start x
+ * @param {number} y0 - Start y
+ * @param {number} x1 - End x
+ * @param {number} y1 - End y
+ * @returns {Array} [x, y] pixels from start to end
+ */
+export function linePixels(x0, y0, x1, y1) {
+  const out = [];
+  const dx = Math.abs(x1 - x0);
+  const dy = -Math.abs(y1 - y0);
+  const sx = x0 < x1 ? 1 : -1;
+  const sy = y0 < y1 ? 1 : -1;
+  let err = dx + dy;
+  for (;;) {
+    out.push([x0, y0]);
+    if (x0 === x1 && y0 === y1) return out;
+    const e2 = 2 * err;
+    if (e2 >= dy) { err += dy; x0 += sx; }
+    if (e2 <= dx) { err += dx; y0 += sy; }
+  }
+}
+
+/**
+ * Pixels of lines through a list of points
+ * @param {Array} points - [x, y] vertices
+ * @param {boolean} [closed] - Also join the last point back to the first
+ * @returns {Array} [x, y] pixels
+ */
+export function polylinePixels(points, closed = false) {
+  const out = [];
+  const n = points.length;
+  const segments = closed && n > 2 ? n : n - 1;
+  for (let i = 0; i < segments; i++) {
+    const [x0, y0] = points[i];
+    const [x1, y1] = points[(i + 1) % n];
+    out.push(...linePixels(x0, y0, x1, y1));
+  }
+  return n === 1 ? [points[0]] : out;
+}
+
+/**
+ * Pixels of a rectangle given by two opposite corners
+ * @param {number} x0 - First corner x
+ * @param {number} y0 - First corner y
+ * @param {number} x1 - Opposite corner x
+ * @param {number} y1 - Opposite corner y
+ * @param {boolean} [filled] - Fill the inside too
+ * @returns {Array} [x, y] pixels
+ */
+export function rectPixels(x0, y0, x1, y1, filled = false) {
+  const out = [];
+  const [left, right] = [Math.min(x0, x1), Math.max(x0, x1)];
+  const [top, bottom] = [Math.min(y0, y1), Math.max(y0, y1)];
+  for (let y = top; y <= bottom; y++) {
+    for (let x = left; x <= right; x++) {
+      if (filled || y === top || y === bottom || x === left || x === right) out.push([x, y]);
+    }
+  }
+  return out;
+}
+
+/**
+ * Pixels of the ellipse fitting a rectangle given by two opposite corners
+ *
+ * Uses Zingl's midpoint algorithm for ellipses in a rectangle, which keeps
+ * even-sized ellipses symmetric.
+ *
+ * @param {number} x0 - First corner x
+ * @param {number} y0 - First corner y
+ * @param {number} x1 - Opposite corner x
+ * @param {number} y1 - Opposite corner y
+ * @param {boolean} [filled] - Fill the inside too
+ * @returns {Array} [x, y] pixels
+ */
+export function ellipsePixels(x0, y0, x1, y1, filled = false) {
+  const out = [];
+  let a = Math.abs(x1 - x0);
+  const b = Math.abs(y1 - y0);
+  let b1 = b & 1;
+  let dx = 4 * (1 - a) * b * b;
+  let dy = 4 * (b1 + 1) * a * a;
+  let err = dx + dy + b1 * a * a;
+  if (x0 > x1) { x0 = x1; x1 += a; }
+  if (y0 > y1) y0 = y1;
+  y0 += Math.floor((b + 1) / 2);
+  y1 = y0 - b1;
+  a = 8 * a * a;
+  b1 = 8 * b * b;
+  do {
+    out.push([x1, y0], [x0, y0], [x0, y1], [x1, y1]);
+    const e2 = 2 * err;
+    if (e2 <= dy) { y0++; y1--; err += dy += a; }
+    if (e2 >= dx || 2 * err > dy) { x0++; x1--; err += dx += b1; }
+  } while (x0 <= x1);
+  // Flat ellipses stop early; finish their tips
+  while (y0 - y1 <= b) {
+    out.push([x0 - 1, y0], [x1 + 1, y0++], [x0 - 1, y1], [x1 + 1, y1--]);
+  }
+  if (!filled) return out;
+  // Ellipses are convex: fill each row between its outermost pixels
+  const rows = new Map();
+  for (const [x, y] of out) {
+    const [lo, hi] = rows.get(y) || [x, x];
+    rows.set(y, [Math.min(lo, x), Math.max(hi, x)]);
+  }
+  const spans = [];
+  rows.forEach(([lo, hi], y) => {
+    for (let x = lo; x <= hi; x++) spans.push([x, y]);
+  });
+  return spans;
+}
+
+/**
+ * End point held to a shape's Shift constraint
+ *
+ * Lines snap to the nearest multiple of 45°; rectangles and ellipses become
+ * squares and circles the size of their longer side.
+ *
+ * @param {string} tool - "line", "polyline", "rect" or "ellipse"
+ * @param {number} x0 - Start x
+ * @param {number} y0 - Start y
+ * @param {number} x1 - End x
+ * @param {number} y1 - End y
+ * @returns {Array} Constrained [x, y] end point
+ */
+export function constrainEnd(tool, x0, y0, x1, y1) {
+  const dx = x1 - x0;
+  const dy = y1 - y0;
+  const d = Math.max(Math.abs(dx), Math.abs(dy));
+  const sx = dx < 0 ? -1 : 1;
+  const sy = dy < 0 ? -1 : 1;
+  if (tool === "rect" || tool === "ellipse") return [x0 + sx * d, y0 + sy * d];
+  // tan(22.5°) ≈ 0.414: closer to an axis than to a diagonal
+  if (Math.abs(dy) <= Math.abs(dx) * 0.4142) return [x1, y0];
+  if (Math.abs(dx) <= Math.abs(dy) * 0.4142) return [x0, y1];
+  return [x0 + sx * d, y0 + sy * d];
+}
+
+/**
+ * Pixels with a shape drawn on them in one color, clipped to the canvas
+ * @param {Uint8ClampedArray} pixels - Pixel buffer (see lib/pixelbuffer.js)
+ * @param {Array} shape - [x, y] pixels of the shape
+ * @param {Object} color - {r,g,b,a} color
+ * @param {number} w - Canvas width
+ * @param {number} h - Canvas height
+ * @param {boolean} [mirrorX] - Also draw the shape mirrored left to right
+ * @param {boolean} [mirrorY] - Also draw the shape mirrored top to bottom
+ * @returns {Uint8ClampedArray} New pixels
+ */
+export function drawShape(pixels, shape, color, w, h, mirrorX = false, mirrorY = false) {
+  const out = asBuffer(pixels).slice();
+  const set = (x, y) => {
+    if (x >= 0 && y >= 0 && x < w && y < h) setPixel(out, y * w + x, color);
+  };
+  for (const [x, y] of shape) {
+    set(x, y);
+    if (mirrorX) set(w - 1 - x, y);
+    if (mirrorY) set(x, h - 1 - y);
+    if (mirrorX && mirrorY) set(w - 1 - x, h - 1 - y);
+  }
+  return out;
+}
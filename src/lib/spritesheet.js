@@ -0,0 +1,151 @@
+/*
+ * Pixel2CPP - Sprite Sheet Slicing
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+// Cells are { x, y, w, h, row, col } rectangles in sheet pixels; sheets are RGBA bytes.
+
+// More cells than this is almost certainly a wrong cell size
+export const MAX_CELLS = 1024;
+
+export const DEFAULT_SLICE = {
+  mode: "grid", // "grid" or "auto"
+  cellW: 16,
+  cellH: 16,
+  margin: 0,
+  spacing: 0,
+  skipEmpty: true,
+};
+
+/**
+ * Cells of a regular grid that fit completely inside the sheet
+ * @param {number} width - Sheet width
+ * @param {number} height - Sheet height
+ * @param {Object} grid - { cellW, cellH, margin, spacing } in pixels
+ * @returns {Array} Cells, row by row
+ */
+export function gridCells(width, height, { cellW, cellH, margin, spacing }) {
+  const cells = [];
+  if (cellW < 1 || cellH < 1) return cells;
+  for (let row = 0, y = margin; y + cellH <= height - margin; row++, y += cellH + spacing) {
+    for (let col = 0, x = margin; x + cellW <= width - margin; col++, x += cellW + spacing) {
+      cells.push({ x, y, w: cellW, h: cellH, row, col });
+    }
+  }
+  return cells;
+}
+
+// Runs of indices in [0, n) for which filled(i) is true, as [start, end) pairs
+const runs = (n, filled) => {
+  const out = [];
+  let start = -1;
+  for (let i = 0; i <= n; i++) {
+    const on = i < n && filled(i);
+    if (on && start < 0) start = i;
+    if (!on && start >= 0) {
+      out.push([start, i]);
+      start = -1;
+    }
+  }
+  return out;
+};
+
+/**
+ * Find cells separated by fully transparent rows and columns
+ *
+ * The sheet is split into bands at transparent rows, then each band into cells
+ * at columns that are transparent within it, so rows may hold different
+ * numbers of sprites. Cells are trimmed to their opaque pixels.
+ *
+ * @param {Uint8ClampedArray} rgba - Sheet pixels
+ * @param {number} width - Sheet width
+ * @param {number} height - Sheet height
+ * @returns {Array} Cells, row by row
+ */
+export function detectCells(rgba, width, height) {
+  const opaque = (x, y) => rgba[(y * width + x) * 4 + 3] > 0;
+  const cells = [];
+  runs(height, (y) => {
+    for (let x = 0; x < width; x++) if (opaque(x, y)) return true;
+    return false;
+  }).forEach(([y0, y1], row) => {
+    runs(width, (x) => {
+      for (let y = y0; y < y1; y++) if (opaque(x, y)) return true;
+      return false;
+    }).forEach(([x0, x1], col) => {
+      // Trim rows the band has but this sprite doesn't
+      const filled = runs(y1 - y0, (dy) => {
+        for (let x = x0; x < x1; x++) if (opaque(x, y0 + dy)) return true;
+        return false;
+      });
+      const top = filled[0][0], bottom = filled[filled.length - 1][1];
+      cells.push({ x: x0, y: y0 + top, w: x1 - x0, h: bottom - top, row, col });
+    });
+  });
+  return cells;
+}
+
+/**
+ * Copy a cell out of the sheet into the top-left corner of a w×h image
+ * @param {Uint8ClampedArray} rgba - Sheet pixels
+ * @param {number} width - Sheet width
+ * @param {Object} cell - Cell to copy
+ * @param {number} w - Image width, at least the cell width
+ * @param {number} h - Image height, at least the cell height
+ * @returns {Array} Array of {r,g,b,a} pixels
+ */
+export function cellPixels(rgba, width, cell, w, h) {
+  return Array.from({ length: w * h }, (_, i) => {
+    const x = i % w, y = Math.floor(i / w);
+    if (x >= cell.w || y >= cell.h) return { r: 0, g: 0, b: 0, a: 0 };
+    const o = ((cell.y + y) * width + cell.x + x) * 4;
+    return { r: rgba[o], g: rgba[o + 1], b: rgba[o + 2], a: rgba[o + 3] };
+  });
+}
+
+/**
+ * Whether every pixel of a cell is fully transparent
+ * @param {Uint8ClampedArray} rgba - Sheet pixels
+ * @param {number} width - Sheet width
+ * @param {Object} cell - Cell to check
+ * @returns {boolean}
+ */
+export function isEmptyCell(rgba, width, cell) {
+  for (let y = cell.y; y < cell.y + cell.h; y++) {
+    for (let x = cell.x; x < cell.x + cell.w; x++) {
+      if (rgba[(y * width + x) * 4 + 3] > 0) return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Slice a sheet with the given settings
+ * @param {Uint8ClampedArray} rgba - Sheet pixels
+ * @param {number} width - Sheet width
+ * @param {number} height - Sheet height
+ * @param {Object} settings - See DEFAULT_SLICE
+ * @returns {Object} { cells, w, h } where w×h fits the largest cell
+ */
+export function sliceSheet(rgba, width, height, settings) {
+  let cells = settings.mode === "auto" ? detectCells(rgba, width, height) : gridCells(width, height, settings);
+  if (settings.skipEmpty) cells = cells.filter((c) => !isEmptyCell(rgba, width, c));
+  return {
+    cells,
+    w: cells.reduce((m, c) => Math.max(m, c.w), 0),
+    h: cells.reduce((m, c) => Math.max(m, c.h), 0),
+  };
+}
+
+/**
+ * Frame name for a cell, e.g. "hero_1_2" for row 1, column 2
+ * @param {string} prefix - Name prefix
+ * @param {Object} cell - Cell
+ * @returns {string}
+ */
+export const cellName = (prefix, cell) => `${prefix}_${cell.row}_${cell.col}`;
@@ -0,0 +1,38 @@
+/*
+ * Pixel2CPP - Display Library Targets
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+// Display libraries the sketch and header outputs can be generated for
+export const LIBRARY_TARGETS = [
+  { value: "ADAFRUIT_GFX", label: "Adafruit GFX" },
+  { value: "TFT_ESPI", label: "TFT_eSPI" },
+  { value: "U8G2", label: "U8g2 (XBM)" },
+];
+
+// Output formats that produce sketches or headers for a library
+export const LIBRARY_OUTPUTS = ["ARDUINO_CODE", "PLAIN_BYTES"];
+
+/**
+ * Draw mode and packing a library needs for its native bitmap calls
+ *
+ * U8g2 is monochrome and draws XBM data with drawXBMP, so every mode is
+ * packed as LSB-first 1-bit rows; alpha mode keeps its opacity mask.
+ *
+ * @param {string} library - One of LIBRARY_TARGETS values
+ * @param {string} drawMode - Selected draw mode
+ * @param {Object} packing - Selected packing options
+ * @returns {Object} { drawMode, packing } to pack the canvas with
+ */
+export function libraryLayout(library, drawMode, packing) {
+  if (library !== "U8G2") return { drawMode, packing };
+  return {
+    drawMode: drawMode === "HORIZONTAL_ALPHA" ? "HORIZONTAL_ALPHA" : "HORIZONTAL_1BIT",
+    packing: { ...packing, bitOrder: "lsb", rowAlign: 1 },
+  };
+}
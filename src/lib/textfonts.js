@@ -0,0 +1,317 @@
+/*
+ * Pixel2CPP - Text Fonts
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+import { fontGlyphs, fontMetrics } from "./gfxfont.js";
+
+// A text font is { id, name, ascent, yAdvance, advance, glyphs } where ascent
+// is the baseline row counted from the top of a line, advance is the pen
+// advance for characters the font lacks and glyphs maps character codes to
+// { width, height, xAdvance, xOffset, yOffset, bits } as from fontGlyphs().
+
+// Adafruit GFX classic font: 5 column bytes per glyph, LSB at the top,
+// row 7 holding descenders
+const GLCD_5X7 = [
+  0x00, 0x00, 0x00, 0x00, 0x00, // space
+  0x00, 0x00, 0x5F, 0x00, 0x00, // !
+  0x00, 0x07, 0x00, 0x07, 0x00, // "
+  0x14, 0x7F, 0x14, 0x7F, 0x14, // #
+  0x24, 0x2A, 0x7F, 0x2A, 0x12, // $
+  0x23, 0x13, 0x08, 0x64, 0x62, // %
+  0x36, 0x49, 0x56, 0x20, 0x50, // &
+  0x00, 0x08, 0x07, 0x03, 0x00, // '
+  0x00, 0x1C, 0x22, 0x41, 0x00, // (
+  0x00, 0x41, 0x22, 0x1C, 0x00, // )
+  0x2A, 0x1C, 0x7F, 0x1C, 0x2A, // *
+  0x08, 0x08, 0x3E, 0x08, 0x08, // +
+  0x00, 0x80, 0x70, 0x30, 0x00, // ,
+  0x08, 0x08, 0x08, 0x08, 0x08, // -
+  0x00, 0x00, 0x60, 0x60, 0x00, // .
+  0x20, 0x10, 0x08, 0x04, 0x02, // /
+  0x3E, 0x51, 0x49, 0x45, 0x3E, // 0
+  0x00, 0x42, 0x7F, 0x40, 0x00, // 1
+  0x72, 0x49, 0x49, 0x49, 0x46, // 2
+  0x21, 0x41, 0x49, 0x4D, 0x33, // 3
+  0x18, 0x14, 0x12, 0x7F, 0x10, // 4
+  0x27, 0x45, 0x45, 0x45, 0x39, // 5
+  0x3C, 0x4A, 0x49, 0x49, 0x31, // 6
+  0x41, 0x21, 0x11, 0x09, 0x07, // 7
+  0x36, 0x49, 0x49, 0x49, 0x36, // 8
+  0x46, 0x49, 0x49, 0x29, 0x1E, // 9
+  0x00, 0x00, 0x14, 0x00, 0x00, // :
+  0x00, 0x40, 0x34, 0x00, 0x00, // ;
+  0x00, 0x08, 0x14, 0x22, 0x41, // <
+  0x14, 0x14, 0x14, 0x14, 0x14, // =
+  0x00, 0x41, 0x22, 0x14, 0x08, // >
+  0x02, 0x01, 0x59, 0x09, 0x06, // ?
+  0x3E, 0x41, 0x5D, 0x59, 0x4E, // @
+  0x7C, 0x12, 0x11, 0x12, 0x7C, // A
+  0x7F, 0x49, 0x49, 0x49, 0x36, // B
+  0x3E, 0x41, 0x41, 0x41, 0x22, // C
+  0x7F, 0x41, 0x41, 0x41, 0x3E, // D
+  0x7F, 0x49, 0x49, 0x49, 0x41, // E
+  0x7F, 0x09, 0x09, 0x09, 0x01, // F
+  0x3E, 0x41, 0x41, 0x51, 0x73, // G
+  0x7F, 0x08, 0x08, 0x08, 0x7F, // H
+  0x00, 0x41, 0x7F, 0x41, 0x00, // I
+  0x20, 0x40, 0x41, 0x3F, 0x01, // J
+  0x7F, 0x08, 0x14, 0x22, 0x41, // K
+  0x7F, 0x40, 0x40, 0x40, 0x40, // L
+  0x7F, 0x02, 0x1C, 0x02, 0x7F, // M
+  0x7F, 0x04, 0x08, 0x10, 0x7F, // N
+  0x3E, 0x41, 0x41, 0x41, 0x3E, // O
+  0x7F, 0x09, 0x09, 0x09, 0x06, // P
+  0x3E, 0x41, 0x51, 0x21, 0x5E, // Q
+  0x7F, 0x09, 0x19, 0x29, 0x46, // R
+  0x26, 0x49, 0x49, 0x49, 0x32, // S
+  0x03, 0x01, 0x7F, 0x01, 0x03, // T
+  0x3F, 0x40, 0x40, 0x40, 0x3F, // U
+  0x1F, 0x20, 0x40, 0x20, 0x1F, // V
+  0x3F, 0x40, 0x38, 0x40, 0x3F, // W
+  0x63, 0x14, 0x08, 0x14, 0x63, // X
+  0x03, 0x04, 0x78, 0x04, 0x03, // Y
+  0x61, 0x59, 0x49, 0x4D, 0x43, // Z
+  0x00, 0x7F, 0x41, 0x41, 0x41, // [
+  0x02, 0x04, 0x08, 0x10, 0x20, // \\
+  0x00, 0x41, 0x41, 0x41, 0x7F, // ]
+  0x04, 0x02, 0x01, 0x02, 0x04, // ^
+  0x40, 0x40, 0x40, 0x40, 0x40, // _
+  0x00, 0x03, 0x07, 0x08, 0x00, // `
+  0x20, 0x54, 0x54, 0x78, 0x40, // a
+  0x7F, 0x28, 0x44, 0x44, 0x38, // b
+  0x38, 0x44, 0x44, 0x44, 0x28, // c
+  0x38, 0x44, 0x44, 0x28, 0x7F, // d
+  0x38, 0x54, 0x54, 0x54, 0x18, // e
+  0x00, 0x08, 0x7E, 0x09, 0x02, // f
+  0x18, 0xA4, 0xA4, 0x9C, 0x78, // g
+  0x7F, 0x08, 0x04, 0x04, 0x78, // h
+  0x00, 0x44, 0x7D, 0x40, 0x00, // i
+  0x20, 0x40, 0x40, 0x3D, 0x00, // j
+  0x7F, 0x10, 0x28, 0x44, 0x00, // k
+  0x00, 0x41, 0x7F, 0x40, 0x00, // l
+  0x7C, 0x04, 0x78, 0x04, 0x78, // m
+  0x7C, 0x08, 0x04, 0x04, 0x78, // n
+  0x38, 0x44, 0x44, 0x44, 0x38, // o
+  0xFC, 0x18, 0x24, 0x24, 0x18, // p
+  0x18, 0x24, 0x24, 0x18, 0xFC, // q
+  0x7C, 0x08, 0x04, 0x04, 0x08, // r
+  0x48, 0x54, 0x54, 0x54, 0x24, // s
+  0x04, 0x04, 0x3F, 0x44, 0x24, // t
+  0x3C, 0x40, 0x40, 0x20, 0x7C, // u
+  0x1C, 0x20, 0x40, 0x20, 0x1C, // v
+  0x3C, 0x40, 0x30, 0x40, 0x3C, // w
+  0x44, 0x28, 0x10, 0x28, 0x44, // x
+  0x4C, 0x90, 0x90, 0x90, 0x7C, // y
+  0x44, 0x64, 0x54, 0x4C, 0x44, // z
+  0x00, 0x08, 0x36, 0x41, 0x00, // {
+  0x00, 0x00, 0x77, 0x00, 0x00, // |
+  0x00, 0x41, 0x36, 0x08, 0x00, // }
+  0x02, 0x01, 0x02, 0x04, 0x02, // ~
+];
+
+// font8x8_basic: 8 row bytes per glyph, LSB on the left
+const FONT_8X8 = [
+  0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, // space
+  0x18, 0x3C, 0x3C, 0x18, 0x18, 0x00, 0x18, 0x00, // !
+  0x36, 0x36, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, // "
+  0x36, 0x36, 0x7F, 0x36, 0x7F, 0x36, 0x36, 0x00, // #
+  0x0C, 0x3E, 0x03, 0x1E, 0x30, 0x1F, 0x0C, 0x00, // $
+  0x00, 0x63, 0x33, 0x18, 0x0C, 0x66, 0x63, 0x00, // %
+  0x1C, 0x36, 0x1C, 0x6E, 0x3B, 0x33, 0x6E, 0x00, // &
+  0x06, 0x06, 0x03, 0x00, 0x00, 0x00, 0x00, 0x00, // '
+  0x18, 0x0C, 0x06, 0x06, 0x06, 0x0C, 0x18, 0x00, // (
+  0x06, 0x0C, 0x18, 0x18, 0x18, 0x0C, 0x06, 0x00, // )
+  0x00, 0x66, 0x3C, 0xFF, 0x3C, 0x66, 0x00, 0x00, // *
+  0x00, 0x0C, 0x0C, 0x3F, 0x0C, 0x0C, 0x00, 0x00, // +
+  0x00, 0x00, 0x00, 0x00, 0x00, 0x0C, 0x0C, 0x06, // ,
+  0x00, 0x00, 0x00, 0x3F, 0x00, 0x00, 0x00, 0x00, // -
+  0x00, 0x00, 0x00, 0x00, 0x00, 0x0C, 0x0C, 0x00, // .
+  0x60, 0x30, 0x18, 0x0C, 0x06, 0x03, 0x01, 0x00, // /
+  0x3E, 0x63, 0x73, 0x7B, 0x6F, 0x67, 0x3E, 0x00, // 0
+  0x0C, 0x0E, 0x0C, 0x0C, 0x0C, 0x0C, 0x3F, 0x00, // 1
+  0x1E, 0x33, 0x30, 0x1C, 0x06, 0x33, 0x3F, 0x00, // 2
+  0x1E, 0x33, 0x30, 0x1C, 0x30, 0x33, 0x1E, 0x00, // 3
+  0x38, 0x3C, 0x36, 0x33, 0x7F, 0x30, 0x78, 0x00, // 4
+  0x3F, 0x03, 0x1F, 0x30, 0x30, 0x33, 0x1E, 0x00, // 5
+  0x1C, 0x06, 0x03, 0x1F, 0x33, 0x33, 0x1E, 0x00, // 6
+  0x3F, 0x33, 0x30, 0x18, 0x0C, 0x0C, 0x0C, 0x00, // 7
+  0x1E, 0x33, 0x33, 0x1E, 0x33, 0x33, 0x1E, 0x00, // 8
+  0x1E, 0x33, 0x33, 0x3E, 0x30, 0x18, 0x0E, 0x00, // 9
+  0x00, 0x0C, 0x0C, 0x00, 0x00, 0x0C, 0x0C, 0x00, // :
+  0x00, 0x0C, 0x0C, 0x00, 0x00, 0x0C, 0x0C, 0x06, // ;
+  0x18, 0x0C, 0x06, 0x03, 0x06, 0x0C, 0x18, 0x00, // <
+  0x00, 0x00, 0x3F, 0x00, 0x00, 0x3F, 0x00, 0x00, // =
+  0x06, 0x0C, 0x18, 0x30, 0x18, 0x0C, 0x06, 0x00, // >
+  0x1E, 0x33, 0x30, 0x18, 0x0C, 0x00, 0x0C, 0x00, // ?
+  0x3E, 0x63, 0x7B, 0x7B, 0x7B, 0x03, 0x1E, 0x00, // @
+  0x0C, 0x1E, 0x33, 0x33, 0x3F, 0x33, 0x33, 0x00, // A
+  0x3F, 0x66, 0x66, 0x3E, 0x66, 0x66, 0x3F, 0x00, // B
+  0x3C, 0x66, 0x03, 0x03, 0x03, 0x66, 0x3C, 0x00, // C
+  0x1F, 0x36, 0x66, 0x66, 0x66, 0x36, 0x1F, 0x00, // D
+  0x7F, 0x46, 0x16, 0x1E, 0x16, 0x46, 0x7F, 0x00, // E
+  0x7F, 0x46, 0x16, 0x1E, 0x16, 0x06, 0x0F, 0x00, // F
+  0x3C, 0x66, 0x03, 0x03, 0x73, 0x66, 0x7C, 0x00, // G
+  0x33, 0x33, 0x33, 0x3F, 0x33, 0x33, 0x33, 0x00, // H
+  0x1E, 0x0C, 0x0C, 0x0C, 0x0C, 0x0C, 0x1E, 0x00, // I
+  0x78, 0x30, 0x30, 0x30, 0x33, 0x33, 0x1E, 0x00, // J
+  0x67, 0x66, 0x36, 0x1E, 0x36, 0x66, 0x67, 0x00, // K
+  0x0F, 0x06, 0x06, 0x06, 0x46, 0x66, 0x7F, 0x00, // L
+  0x63, 0x77, 0x7F, 0x7F, 0x6B, 0x63, 0x63, 0x00, // M
+  0x63, 0x67, 0x6F, 0x7B, 0x73, 0x63, 0x63, 0x00, // N
+  0x1C, 0x36, 0x63, 0x63, 0x63, 0x36, 0x1C, 0x00, // O
+  0x3F, 0x66, 0x66, 0x3E, 0x06, 0x06, 0x0F, 0x00, // P
+  0x1E, 0x33, 0x33, 0x33, 0x3B, 0x1E, 0x38, 0x00, // Q
+  0x3F, 0x66, 0x66, 0x3E, 0x36, 0x66, 0x67, 0x00, // R
+  0x1E, 0x33, 0x07, 0x0E, 0x38, 0x33, 0x1E, 0x00, // S
+  0x3F, 0x2D, 0x0C, 0x0C, 0x0C, 0x0C, 0x1E, 0x00, // T
+  0x33, 0x33, 0x33, 0x33, 0x33, 0x33, 0x3F, 0x00, // U
+  0x33, 0x33, 0x33, 0x33, 0x33, 0x1E, 0x0C, 0x00, // V
+  0x63, 0x63, 0x63, 0x6B, 0x7F, 0x77, 0x63, 0x00, // W
+  0x63, 0x63, 0x36, 0x1C, 0x1C, 0x36, 0x63, 0x00, // X
+  0x33, 0x33, 0x33, 0x1E, 0x0C, 0x0C, 0x1E, 0x00, // Y
+  0x7F, 0x63, 0x31, 0x18, 0x4C, 0x66, 0x7F, 0x00, // Z
+  0x1E, 0x06, 0x06, 0x06, 0x06, 0x06, 0x1E, 0x00, // [
+  0x03, 0x06, 0x0C, 0x18, 0x30, 0x60, 0x40, 0x00, // \\
+  0x1E, 0x18, 0x18, 0x18, 0x18, 0x18, 0x1E, 0x00, // ]
+  0x08, 0x1C, 0x36, 0x63, 0x00, 0x00, 0x00, 0x00, // ^
+  0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0xFF, // _
+  0x0C, 0x0C, 0x18, 0x00, 0x00, 0x00, 0x00, 0x00, // `
+  0x00, 0x00, 0x1E, 0x30, 0x3E, 0x33, 0x6E, 0x00, // a
+  0x07, 0x06, 0x06, 0x3E, 0x66, 0x66, 0x3B, 0x00, // b
+  0x00, 0x00, 0x1E, 0x33, 0x03, 0x33, 0x1E, 0x00, // c
+  0x38, 0x30, 0x30, 0x3E, 0x33, 0x33, 0x6E, 0x00, // d
+  0x00, 0x00, 0x1E, 0x33, 0x3F, 0x03, 0x1E, 0x00, // e
+  0x1C, 0x36, 0x06, 0x0F, 0x06, 0x06, 0x0F, 0x00, // f
+  0x00, 0x00, 0x6E, 0x33, 0x33, 0x3E, 0x30, 0x1F, // g
+  0x07, 0x06, 0x36, 0x6E, 0x66, 0x66, 0x67, 0x00, // h
+  0x0C, 0x00, 0x0E, 0x0C, 0x0C, 0x0C, 0x1E, 0x00, // i
+  0x30, 0x00, 0x30, 0x30, 0x30, 0x33, 0x33, 0x1E, // j
+  0x07, 0x06, 0x66, 0x36, 0x1E, 0x36, 0x67, 0x00, // k
+  0x0E, 0x0C, 0x0C, 0x0C, 0x0C, 0x0C, 0x1E, 0x00, // l
+  0x00, 0x00, 0x33, 0x7F, 0x7F, 0x6B, 0x63, 0x00, // m
+  0x00, 0x00, 0x1F, 0x33, 0x33, 0x33, 0x33, 0x00, // n
+  0x00, 0x00, 0x1E, 0x33, 0x33, 0x33, 0x1E, 0x00, // o
+  0x00, 0x00, 0x3B, 0x66, 0x66, 0x3E, 0x06, 0x0F, // p
+  0x00, 0x00, 0x6E, 0x33, 0x33, 0x3E, 0x30, 0x78, // q
+  0x00, 0x00, 0x3B, 0x6E, 0x66, 0x06, 0x0F, 0x00, // r
+  0x00, 0x00, 0x3E, 0x03, 0x1E, 0x30, 0x1F, 0x00, // s
+  0x08, 0x0C, 0x3E, 0x0C, 0x0C, 0x2C, 0x18, 0x00, // t
+  0x00, 0x00, 0x33, 0x33, 0x33, 0x33, 0x6E, 0x00, // u
+  0x00, 0x00, 0x33, 0x33, 0x33, 0x1E, 0x0C, 0x00, // v
+  0x00, 0x00, 0x63, 0x6B, 0x7F, 0x7F, 0x36, 0x00, // w
+  0x00, 0x00, 0x63, 0x36, 0x1C, 0x36, 0x63, 0x00, // x
+  0x00, 0x00, 0x33, 0x33, 0x33, 0x3E, 0x30, 0x1F, // y
+  0x00, 0x00, 0x3F, 0x19, 0x0C, 0x26, 0x3F, 0x00, // z
+  0x38, 0x0C, 0x0C, 0x07, 0x0C, 0x0C, 0x38, 0x00, // {
+  0x18, 0x18, 0x18, 0x00, 0x18, 0x18, 0x18, 0x00, // |
+  0x07, 0x0C, 0x0C, 0x38, 0x0C, 0x0C, 0x07, 0x00, // }
+  0x6E, 0x3B, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, // ~
+];
+
+// 3x5 digits: one octal digit per row, 4 is the left column. Lower case uses the capitals
+const TINY_3X5 = {
+  ' ': "00000", '!': "22202", '"': "55000", '#': "57575", '$': "36736", '%': "51245", '&': "25253", "'": "22000",
+  '(': "12221", ')': "42224", '*': "05250", '+': "02720", ',': "00024", '-': "00700", '.': "00002", '/': "11244",
+  '0': "75557", '1': "26227", '2': "71747", '3': "71317", '4': "55711", '5': "74717", '6': "74757", '7': "71122",
+  '8': "75757", '9': "75717", ':': "02020", ';': "02024", '<': "12421", '=': "07070", '>': "42124", '?': "71302",
+  '@': "25743", 'A': "25755", 'B': "65656", 'C': "34443", 'D': "65556", 'E': "74647", 'F': "74644", 'G': "34553",
+  'H': "55755", 'I': "72227", 'J': "11152", 'K': "55655", 'L': "44447", 'M': "57755", 'N': "65555", 'O': "25552",
+  'P': "65644", 'Q': "25563", 'R': "65655", 'S': "34216", 'T': "72222", 'U': "55557", 'V': "55552", 'W': "55775",
+  'X': "55255", 'Y': "55222", 'Z': "71247", '[': "64446", '\\': "44211", ']': "31113", '^': "25000", '_': "00007",
+  '`': "42000", '{': "32623", '|': "22222", '}': "62326", '~': "03600",
+};
+
+const ASCII = Array.from({ length: 95 }, (_, i) => 0x20 + i);
+
+/**
+ * Text font from full-cell glyph bitmaps
+ * @param {Object} meta - { id, name, ascent, yAdvance, advance }
+ * @param {number} w - Cell width
+ * @param {number} h - Cell height
+ * @param {Array} codes - Character codes
+ * @param {Function} bit - (code, x, y) => whether the cell pixel is set
+ * @returns {Object} Text font
+ */
+function cellFont(meta, w, h, codes, bit) {
+  const glyphs = new Map();
+  for (const code of codes) {
+    const bits = [];
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) bits.push(bit(code, x, y) ? 1 : 0);
+    }
+    glyphs.set(code, { width: w, height: h, xAdvance: meta.advance, xOffset: 0, yOffset: -meta.ascent, bits });
+  }
+  return { ...meta, glyphs };
+}
+
+const tinyRows = (code) => {
+  const ch = String.fromCharCode(code);
+  return TINY_3X5[ch] ?? TINY_3X5[ch.toUpperCase()];
+};
+
+export const BUILTIN_FONTS = [
+  cellFont({ id: "glcd", name: "Adafruit GFX 5×7", ascent: 6, yAdvance: 8, advance: 6 }, 5, 8, ASCII,
+    (code, x, y) => (GLCD_5X7[(code - 0x20) * 5 + x] >> y) & 1),
+  cellFont({ id: "tiny", name: "Tiny 3×5", ascent: 4, yAdvance: 6, advance: 4 }, 3, 5, ASCII,
+    (code, x, y) => (Number(tinyRows(code)[y]) >> (2 - x)) & 1),
+  cellFont({ id: "8x8", name: "8×8", ascent: 6, yAdvance: 8, advance: 8 }, 8, 8, ASCII,
+    (code, x, y) => (FONT_8X8[(code - 0x20) * 8 + y] >> x) & 1),
+];
+
+export const DEFAULT_TEXT = { text: "Hello", font: "glcd", align: "left", spacing: 0 };
+
+/**
+ * Text font from the glyph editor's cells
+ * @param {Array} frames - Glyph cells as { data }
+ * @param {Object} font - Font settings (see DEFAULT_FONT)
+ * @param {number} w - Cell width
+ * @param {number} h - Cell height
+ * @returns {Object} Text font with the id "editor"
+ */
+export function editorFont(frames, font, w, h) {
+  const m = fontMetrics(font, w, h);
+  const glyphs = new Map(fontGlyphs(frames, font, w, h).map(({ code, ...g }) => [code, g]));
+  return { id: "editor", name: "Glyph editor font", ascent: m.baseline, yAdvance: m.yAdvance, advance: w, glyphs };
+}
+
+/**
+ * Pixels of text set in a bitmap font
+ *
+ * Lines are split on newlines and aligned on the anchor: left aligned lines
+ * start at x, centered ones straddle it and right aligned ones end on it. The
+ * first line's top is at y.
+ *
+ * @param {string} text - Text to set
+ * @param {Object} font - Text font
+ * @param {number} x - Anchor x
+ * @param {number} y - Anchor y
+ * @param {Object} [options] - { align: "left" | "center" | "right", spacing: extra pixels between characters }
+ * @returns {Array} [x, y] pixels, possibly off the canvas
+ */
+export function textPixels(text, font, x, y, { align = "left", spacing = 0 } = {}) {
+  const out = [];
+  text.split("\n").forEach((line, row) => {
+    const glyphs = Array.from(line, (ch) => font.glyphs.get(ch.codePointAt(0)));
+    const advances = glyphs.map((g) => (g ? g.xAdvance : font.advance) + spacing);
+    // The last character counts to the end of its ink, not its advance
+    const last = glyphs[glyphs.length - 1];
+    const width = advances.slice(0, -1).reduce((a, b) => a + b, 0) + (!line ? 0 : last ? last.xOffset + last.width : font.advance);
+    let pen = align === "center" ? x - Math.floor(width / 2) : align === "right" ? x - width + 1 : x;
+    const baseline = y + row * font.yAdvance + font.ascent;
+    glyphs.forEach((g, i) => {
+      if (g) {
+        g.bits.forEach((b, k) => {
+          if (b) out.push([pen + g.xOffset + (k % g.width), baseline + g.yOffset + Math.floor(k / g.width)]);
+        });
+      }
+      pen += advances[i];
+    });
+  });
+  return out;
+}
@@ -0,0 +1,196 @@
+/*
+ * Pixel2CPP - Transforms
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+import { isPixelBuffer, createBuffer, getPixel } from "./pixelbuffer.js";
+
+// Transforms move whole buffers around: pixel buffers, selection masks or
+// anything else stored row by row. Each takes a buffer and its size and
+// returns { pixels, w, h } with a new buffer of the same kind.
+
+export const MAX_CANVAS = 320;
+
+// Values per pixel: the 4 RGBA bytes of a pixel buffer, otherwise one
+const stride = (buf) => (isPixelBuffer(buf) ? 4 : 1);
+
+/**
+ * New buffer with every value taken from the source
+ * @param {Array|Uint8Array} src - Source buffer
+ * @param {number} w - New width
+ * @param {number} h - New height
+ * @param {Function} from - (x, y) => source index for the new (x, y)
+ * @returns {Object} { pixels, w, h }
+ */
+function remap(src, w, h, from) {
+  const n = stride(src);
+  const out = new src.constructor(w * h * n);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const s = from(x, y) * n;
+      for (let c = 0; c < n; c++) out[(y * w + x) * n + c] = src[s + c];
+    }
+  }
+  return { pixels: out, w, h };
+}
+
+/**
+ * Rotate by quarter turns clockwise; odd turns swap width and height
+ * @param {Array|Uint8Array} pixels - Buffer of w*h values
+ * @param {number} w - Width
+ * @param {number} h - Height
+ * @param {number} turns - Quarter turns clockwise: 1 = 90°, 2 = 180°, 3 = 270°; negative turns go counterclockwise
+ * @returns {Object} { pixels, w, h }
+ */
+export function rotatePixels(pixels, w, h, turns) {
+  const t = ((turns % 4) + 4) % 4;
+  if (t === 1) return remap(pixels, h, w, (x, y) => (h - 1 - x) * w + y);
+  if (t === 2) return remap(pixels, w, h, (x, y) => (h - 1 - y) * w + (w - 1 - x));
+  if (t === 3) return remap(pixels, h, w, (x, y) => x * w + (w - 1 - y));
+  return remap(pixels, w, h, (x, y) => y * w + x);
+}
+
+/**
+ * Mirror left to right or top to bottom
+ * @param {Array|Uint8Array} pixels - Buffer of w*h values
+ * @param {number} w - Width
+ * @param {number} h - Height
+ * @param {boolean} horizontal - true flips left to right, false top to bottom
+ * @returns {Object} { pixels, w, h }
+ */
+export function flipPixels(pixels, w, h, horizontal) {
+  return remap(pixels, w, h, (x, y) => (horizontal ? y * w + (w - 1 - x) : (h - 1 - y) * w + x));
+}
+
+/**
+ * Move by dx, dy with what falls off one edge coming back on the opposite one
+ * @param {Array|Uint8Array} pixels - Buffer of w*h values
+ * @param {number} w - Width
+ * @param {number} h - Height
+ * @param {number} dx - Pixels to the right, negative to the left
+ * @param {number} dy - Pixels down, negative up
+ * @returns {Object} { pixels, w, h }
+ */
+export function shiftPixels(pixels, w, h, dx, dy) {
+  const wrap = (v, n) => ((v % n) + n) % n;
+  return remap(pixels, w, h, (x, y) => wrap(y - dy, h) * w + wrap(x - dx, w));
+}
+
+/**
+ * Scale to a new size, each new pixel taking the nearest source pixel
+ *
+ * Whole multiples and divisors of the size scale exactly: every pixel becomes
+ * an n×n block, or every n-th pixel is kept.
+ *
+ * @param {Array|Uint8Array} pixels - Buffer of w*h values
+ * @param {number} w - Width
+ * @param {number} h - Height
+ * @param {number} nw - New width
+ * @param {number} nh - New height
+ * @returns {Object} { pixels, w, h }
+ */
+export function scalePixels(pixels, w, h, nw, nh) {
+  return remap(pixels, nw, nh, (x, y) => Math.floor((y * h) / nh) * w + Math.floor((x * w) / nw));
+}
+
+/**
+ * Put a buffer into a new one of another size at an offset, cropping what falls outside
+ * @param {Array|Uint8Array} pixels - Buffer of w*h values
+ * @param {number} w - Width
+ * @param {number} h - Height
+ * @param {number} nw - New width
+ * @param {number} nh - New height
+ * @param {number} dx - Where the old left edge goes in the new buffer; negative crops the left
+ * @param {number} dy - Where the old top edge goes; negative crops the top
+ * @param {*} fill - Value for the new pixels the old buffer doesn't cover, a {r,g,b,a} color for pixel buffers
+ * @returns {Object} { pixels, w, h }
+ */
+export function placePixels(pixels, w, h, nw, nh, dx, dy, fill) {
+  const n = stride(pixels);
+  const out = n === 4 ? createBuffer(nw * nh, fill) : new pixels.constructor(nw * nh).fill(fill);
+  for (let y = Math.max(0, dy); y < Math.min(nh, dy + h); y++) {
+    for (let x = Math.max(0, dx); x < Math.min(nw, dx + w); x++) {
+      for (let c = 0; c < n; c++) out[(y * nw + x) * n + c] = pixels[((y - dy) * w + x - dx) * n + c];
+    }
+  }
+  return { pixels: out, w: nw, h: nh };
+}
+
+// Resize anchors as [x, y] fractions: [0, 0] keeps the top left corner, [0.5, 0.5] the center
+export const ANCHORS = [
+  [0, 0], [0.5, 0], [1, 0],
+  [0, 0.5], [0.5, 0.5], [1, 0.5],
+  [0, 1], [0.5, 1], [1, 1],
+];
+
+/**
+ * Where the old canvas goes in a resized one to stay at an anchor
+ * @param {number} w - Width
+ * @param {number} h - Height
+ * @param {number} nw - New width
+ * @param {number} nh - New height
+ * @param {Array} anchor - [x, y] from ANCHORS
+ * @returns {Array} [dx, dy] for placePixels()
+ */
+export const anchorOffset = (w, h, nw, nh, [ax, ay]) => [Math.floor((nw - w) * ax), Math.floor((nh - h) * ay)];
+
+/**
+ * Bounding box of the content of several same-size buffers together
+ * @param {Array} buffers - Buffers of w*h values, e.g. every cel of every frame
+ * @param {number} w - Width
+ * @param {number} h - Height
+ * @param {Function} isEmpty - (value, buffer index) => whether the value is background; pixel
+ *   buffers give {r,g,b,a} values
+ * @returns {Object|null} { x, y, w, h }, or null when every buffer is empty
+ */
+export function contentBounds(buffers, w, h, isEmpty) {
+  let left = w, top = h, right = -1, bottom = -1;
+  buffers.forEach((buffer, k) => {
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const i = y * w + x;
+        if (isEmpty(isPixelBuffer(buffer) ? getPixel(buffer, i) : buffer[i], k)) continue;
+        left = Math.min(left, x);
+        right = Math.max(right, x);
+        top = Math.min(top, y);
+        bottom = Math.max(bottom, y);
+      }
+    }
+  });
+  return right < 0 ? null : { x: left, y: top, w: right - left + 1, h: bottom - top + 1 };
+}
+
+/**
+ * Size after scaling by a factor, kept between 1 and the largest canvas
+ * @param {number} w - Width
+ * @param {number} h - Height
+ * @param {number} factor - Scale factor, e.g. 2 or 0.5
+ * @returns {Array} [nw, nh]
+ */
+export const scaledSize = (w, h, factor) =>
+  [w, h].map((n) => Math.max(1, Math.min(MAX_CANVAS, Math.round(n * factor))));
+
+/**
+ * Transform a floating selection piece, keeping it centered where it was
+ * @param {Object} piece - { x, y, w, h, pixels, mask }
+ * @param {Function} fn - (buffer, w, h) => { pixels, w, h }, e.g. a rotation
+ * @returns {Object} Transformed piece with any other properties kept
+ */
+export function transformPiece(piece, fn) {
+  const { pixels, w, h } = fn(piece.pixels, piece.w, piece.h);
+  const { pixels: mask } = fn(piece.mask, piece.w, piece.h);
+  return {
+    ...piece,
+    x: piece.x + Math.floor((piece.w - w) / 2),
+    y: piece.y + Math.floor((piece.h - h) / 2),
+    w,
+    h,
+    pixels,
+    mask,
+  };
+}
@@ -0,0 +1,182 @@
+/*
+ * Pixel2CPP - u8g2 Font Encoding
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+import { fontGlyphs } from "./gfxfont.js";
+
+// The font format u8g2's bdfconv writes: a 23-byte header, then glyphs below
+// 0x100 as [encoding, size, bitstream], a 0x00 0x00 end marker, and glyphs
+// from 0x100 on behind a lookup table. Each glyph bitstream holds its size,
+// offsets and advance followed by run-length coded pixels, LSB-first.
+
+const HEADER_SIZE = 23;
+
+// Run-length bit widths bdfconv tries for runs of 0s and 1s
+const RUN_BITS = [2, 3, 4, 5, 6, 7, 8, 9];
+
+// Bits for an unsigned value, and for a signed one stored offset by 2^(bits-1)
+const unsignedBits = (max) => {
+  let bits = 0;
+  while ((1 << bits) <= max) bits++;
+  return bits;
+};
+const signedBits = (min, max) => {
+  let bits = 1;
+  while (min < -(1 << (bits - 1)) || max > (1 << (bits - 1)) - 1) bits++;
+  return bits;
+};
+
+function bitWriter() {
+  const bytes = [];
+  let used = 0;
+  return {
+    bytes,
+    write(value, bits) {
+      for (let i = 0; i < bits; i++) {
+        if (used === 0) bytes.push(0);
+        bytes[bytes.length - 1] |= ((value >> i) & 1) << used;
+        used = (used + 1) & 7;
+      }
+    },
+  };
+}
+
+// (zeros, ones) run pairs covering the glyph's pixels with runs capped for the bit widths
+const runPairs = (bits, max0, max1) => {
+  const pairs = [];
+  let i = 0;
+  while (i < bits.length) {
+    let zeros = 0, ones = 0;
+    while (i < bits.length && !bits[i]) { zeros++; i++; }
+    while (i < bits.length && bits[i]) { ones++; i++; }
+    while (zeros > max0) { pairs.push([max0, 0]); zeros -= max0; }
+    while (ones > max1) { pairs.push([zeros, max1]); zeros = 0; ones -= max1; }
+    pairs.push([zeros, ones]);
+  }
+  return pairs;
+};
+
+// Write a glyph's pixels; a 1 after a pair repeats it, a 0 ends the repeats
+const writeRuns = (out, bits, m0, m1) => {
+  const pairs = runPairs(bits, (1 << m0) - 1, (1 << m1) - 1);
+  for (let i = 0; i < pairs.length; ) {
+    const [zeros, ones] = pairs[i];
+    out.write(zeros, m0);
+    out.write(ones, m1);
+    let j = i + 1;
+    while (j < pairs.length && pairs[j][0] === zeros && pairs[j][1] === ones) {
+      out.write(1, 1);
+      j++;
+    }
+    out.write(0, 1);
+    i = j;
+  }
+};
+
+/**
+ * Encode the glyphs as a u8g2 font for u8g2.setFont()
+ *
+ * u8g2 measures y from the baseline up to the glyph's bottom row, so the
+ * cell's baseline row becomes y = 0 for ink resting on it.
+ *
+ * @param {Array} frames - Glyph cells as { data }
+ * @param {Object} font - Font settings (see DEFAULT_FONT)
+ * @param {number} w - Cell width
+ * @param {number} h - Cell height
+ * @returns {Object} { bytes, glyphCount, ascent, m0, m1 } where ascent is the tallest ink above the baseline
+ * @throws {Error} When a glyph doesn't fit the format's 8-bit fields
+ */
+export function buildU8g2Font(frames, font, w, h) {
+  const glyphs = fontGlyphs(frames, font, w, h)
+    .map((g) => ({ ...g, x: g.xOffset, y: g.height ? -(g.yOffset + g.height - 1) : 0 }))
+    .filter((g) => g.code > 0 && g.code <= 0xffff);
+  if (glyphs.length > 255) throw new Error(`${glyphs.length} glyphs; u8g2 fonts hold up to 255`);
+
+  const inked = glyphs.filter((g) => g.height);
+  const range = (pick) => (inked.length ? [Math.min(...inked.map(pick)), Math.max(...inked.map(pick))] : [0, 0]);
+  const [, maxW] = range((g) => g.width);
+  const [, maxH] = range((g) => g.height);
+  const [minX, maxX] = range((g) => g.x);
+  const [minY, maxY] = range((g) => g.y);
+  // Bounding box around every glyph placed at the same cursor
+  const bbxW = range((g) => g.x + g.width)[1] - minX;
+  const bbxH = range((g) => g.y + g.height)[1] - minY;
+  const advances = glyphs.map((g) => g.xAdvance);
+  const b = {
+    width: unsignedBits(maxW),
+    height: unsignedBits(maxH),
+    x: signedBits(minX, maxX),
+    y: signedBits(minY, maxY),
+    dx: signedBits(Math.min(0, ...advances), Math.max(0, ...advances)),
+  };
+
+  const encodeGlyph = (g, m0, m1) => {
+    const out = bitWriter();
+    out.write(g.width, b.width);
+    out.write(g.height, b.height);
+    out.write(g.x + (1 << (b.x - 1)), b.x);
+    out.write(g.y + (1 << (b.y - 1)), b.y);
+    out.write(g.xAdvance + (1 << (b.dx - 1)), b.dx);
+    if (g.height) writeRuns(out, g.bits, m0, m1);
+    return out.bytes;
+  };
+
+  // Pick the run-length bit widths giving the smallest font
+  let best = null;
+  for (const m0 of RUN_BITS) {
+    for (const m1 of RUN_BITS) {
+      const size = glyphs.reduce((n, g) => n + encodeGlyph(g, m0, m1).length, 0);
+      if (!best || size < best.size) best = { size, m0, m1 };
+    }
+  }
+  const { m0, m1 } = best;
+
+  const lower = [], upper = [];
+  for (const g of glyphs) {
+    const data = encodeGlyph(g, m0, m1);
+    if (g.code < 0x100) {
+      if (data.length + 2 > 255) throw new Error(`Glyph 0x${g.code.toString(16)} needs ${data.length + 2} bytes; u8g2 glyphs hold up to 255`);
+      lower.push({ code: g.code, bytes: [g.code, data.length + 2, ...data] });
+    } else {
+      if (data.length + 3 > 255) throw new Error(`Glyph 0x${g.code.toString(16)} needs ${data.length + 3} bytes; u8g2 glyphs hold up to 255`);
+      upper.push([g.code >> 8, g.code & 0xff, data.length + 3, ...data]);
+    }
+  }
+
+  // Lookups start at the first glyph at or after 'A' and 'a'
+  const startOf = (code) => {
+    let pos = 0;
+    for (const g of lower) {
+      if (g.code >= code) return pos;
+      pos += g.bytes.length;
+    }
+    return pos;
+  };
+  const lowerBytes = lower.flatMap((g) => g.bytes);
+  // One lookup table entry jumping straight to the first glyph, then the glyphs and an end marker
+  const unicodeBytes = [0x00, 0x04, 0xff, 0xff, ...upper.flat(), 0x00, 0x00];
+
+  const glyphFor = (ch) => glyphs.find((g) => g.code === ch.charCodeAt(0) && g.height);
+  const ascent = (ch) => (glyphFor(ch) ? glyphFor(ch).height + glyphFor(ch).y : minY + bbxH);
+  const descent = (ch) => (glyphFor(ch) ? glyphFor(ch).y : minY);
+  const u8 = (v) => v & 0xff;
+  const word = (v) => [(v >> 8) & 0xff, v & 0xff];
+  if (bbxW > 255 || bbxH > 255 || maxX > 127 || maxY > 127) throw new Error("Glyphs are too large for a u8g2 font");
+
+  const header = [
+    glyphs.length, 0, m0, m1,
+    b.width, b.height, b.x, b.y, b.dx,
+    bbxW, bbxH, u8(minX), u8(minY),
+    u8(ascent("A")), u8(descent("g")), u8(ascent("(")), u8(descent("(")),
+    ...word(startOf(0x41)), ...word(startOf(0x61)), ...word(lowerBytes.length + 2),
+  ];
+  if (header.length !== HEADER_SIZE) throw new Error("u8g2 font header has the wrong size");
+
+  return { bytes: [...header, ...lowerBytes, 0x00, 0x00, ...unicodeBytes], glyphCount: glyphs.length, ascent: minY + bbxH, m0, m1 };
+}
@@ -0,0 +1,220 @@
+/*
+ * Pixel2CPP - Image Unpacking Utilities
+ *
+ * MIT License
+ * Copyright (c) 2025 CodeRandom
+ *
+ * This software is provided free of charge for educational and personal use.
+ * Commercial use and redistribution must comply with the MIT License terms.
+ */
+
+// Decoders reversing the packers in packers.js, used to import C arrays back onto the canvas
+import { DEFAULT_PACKING, rowStride, swap16, expand565, expand332 } from "./packers.js";
+import { indexedBits } from "./palette.js";
+
+const packingOf = (options) => ({ ...DEFAULT_PACKING, ...options });
+
+const OFF = { r: 0, g: 0, b: 0, a: 255 };
+const ON = { r: 255, g: 255, b: 255, a: 255 };
+const CLEAR = { r: 0, g: 0, b: 0, a: 0 };
+
+export const from565 = (v) => ({
+  r: expand565((v >> 11) & 0x1f, 5),
+  g: expand565((v >> 5) & 0x3f, 6),
+  b: expand565(v & 0x1f, 5),
+  a: 255,
+});
+
+export const from332 = (v) => ({
+  r: expand332((v >> 5) & 0x07, 3),
+  g: expand332((v >> 2) & 0x07, 3),
+  b: expand332(v & 0x03, 2),
+  a: 255,
+});
+
+// Mirror of createBitWriter: reads sub-byte values, skipping row padding
+function createBitReader(bytes, bitOrder) {
+  let pos = 0;
+  let used = 0;
+  let rowStart = 0;
+  return {
+    read(bits) {
+      const byte = bytes[pos] || 0;
+      const shift = bitOrder === "lsb" ? used : 8 - used - bits;
+      used += bits;
+      if (used === 8) {
+        pos++;
+        used = 0;
+      }
+      return (byte >> shift) & ((1 << bits) - 1);
+    },
+    endRow(rowAlign) {
+      if (rowAlign === 0) return;
+      if (used) {
+        pos++;
+        used = 0;
+      }
+      while ((pos - rowStart) % rowAlign) pos++;
+      rowStart = pos;
+    },
+  };
+}
+
+function unpackBits(bytes, width, height, orientation, on, off, options) {
+  const { bitOrder, rowAlign } = packingOf(options);
+  const reader = createBitReader(bytes, bitOrder);
+  const out = new Array(width * height);
+  if (orientation === "vertical") {
+    for (let x = 0; x < width; x++) {
+      for (let y = 0; y < Math.ceil(height / 8) * 8; y++) {
+        const bit = reader.read(1);
+        if (y < height) out[y * width + x] = { ...(bit ? on : off) };
+      }
+      reader.endRow(rowAlign || 1);
+    }
+  } else {
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        out[y * width + x] = { ...(reader.read(1) ? on : off) };
+      }
+      reader.endRow(rowAlign);
+    }
+  }
+  return out;
+}
+
+// Set bits become white, clear bits black
+export function unpack1bit(bytes, width, height, orientation = "horizontal", options = {}) {
+  return unpackBits(bytes, width, height, orientation, ON, OFF, options);
+}
+
+// Set bits become opaque white, clear bits transparent
+export function unpack1bitAlpha(bytes, width, height, orientation = "horizontal", options = {}) {
+  return unpackBits(bytes, width, height, orientation, ON, CLEAR, options);
+}
+
+// Whole-byte (or whole-word) formats: `unit` values per pixel, rows padded like padRow()
+function unpackUnits(values, width, height, unit, unitBytes, rowAlign, toPixel) {
+  const rowUnits = rowAlign > 1 ? Math.ceil((width * unit * unitBytes) / rowAlign) * rowAlign / unitBytes : width * unit;
+  const out = new Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * rowUnits + x * unit;
+      out[y * width + x] = toPixel((k) => values[i + k] || 0);
+    }
+  }
+  return out;
+}
+
+export function unpackRGB565(words, width, height, options = {}) {
+  const { byteOrder, rowAlign } = packingOf(options);
+  return unpackUnits(words, width, height, 1, 2, rowAlign, (v) => from565(byteOrder === "big" ? swap16(v(0)) : v(0)));
+}
+
+export function unpackRGB24(bytes, width, height, options = {}) {
+  const { rowAlign } = packingOf(options);
+  return unpackUnits(bytes, width, height, 3, 1, rowAlign, (v) => ({ r: v(0), g: v(1), b: v(2), a: 255 }));
+}
+
+export function unpackRGBA32(bytes, width, height) {
+  return unpackUnits(bytes, width, height, 4, 1, 1, (v) => ({ r: v(0), g: v(1), b: v(2), a: v(3) }));
+}
+
+export function unpackRGB332(bytes, width, height, options = {}) {
+  const { rowAlign } = packingOf(options);
+  return unpackUnits(bytes, width, height, 1, 1, rowAlign, (v) => from332(v(0)));
+}
+
+export function unpackGray4(bytes, width, height, options = {}) {
+  const level = (l) => ({ r: l * 17, g: l * 17, b: l * 17, a: 255 });
+  return unpackIndexed(bytes, width, height, 4, Array.from({ length: 16 }, (_, l) => level(l)), options);
+}
+
+// Indices outside the palette decode as transparent
+export function unpackIndexed(bytes, width, height, bits, palette, options = {}) {
+  const { bitOrder, rowAlign } = packingOf(options);
+  const reader = createBitReader(bytes, bitOrder);
+  const out = new Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const c = palette[reader.read(bits)];
+      out[y * width + x] = c ? { ...c } : { ...CLEAR };
+    }
+    reader.endRow(rowAlign);
+  }
+  return out;
+}
+
+// Bits per pixel of a draw mode's packed data
+export function drawModeBpp(drawMode) {
+  const bits = indexedBits(drawMode);
+  if (bits) return bits;
+  return {
+    HORIZONTAL_RGB565: 16,
+    HORIZONTAL_RGB888_24: 24,
+    HORIZONTAL_RGB888_32: 32,
+    HORIZONTAL_RGB332: 8,
+    HORIZONTAL_GRAY4: 4,
+  }[drawMode] || 1;
+}
+
+/**
+ * Number of array elements the packers produce for a draw mode
+ * (16-bit words for RGB565, bytes otherwise)
+ * @param {string} drawMode - Draw mode identifier
+ * @param {number} w - Image width
+ * @param {number} h - Image height
+ * @param {Object} [packing] - Packing options
+ * @returns {number} Element count
+ */
+export function packedLength(drawMode, w, h, packing = DEFAULT_PACKING) {
+  const { rowAlign } = packingOf(packing);
+  const bpp = drawModeBpp(drawMode);
+  if (drawMode === "VERTICAL_1BIT") return w * rowStride(Math.ceil(h / 8) * 8, 1, rowAlign || 1);
+  if (drawMode === "HORIZONTAL_RGB888_32") return w * h * 4;
+  if (bpp >= 8) {
+    const bytes = rowStride(w, bpp, Math.max(1, rowAlign)) * h;
+    return bpp === 16 ? bytes / 2 : bytes;
+  }
+  return rowAlign === 0 ? Math.ceil((w * h * bpp) / 8) : rowStride(w, bpp, rowAlign) * h;
+}
+
+/**
+ * Decode packed array values back into pixels
+ *
+ * @param {string} drawMode - Draw mode the values were packed with
+ * @param {Array<number>} values - Array elements (16-bit words for RGB565)
+ * @param {number} w - Image width
+ * @param {number} h - Image height
+ * @param {Object} [packing] - Packing options used when packing
+ * @param {Array} [palette] - {r,g,b,a} palette for indexed modes (grayscale ramp if missing)
+ * @returns {Array} Array of {r,g,b,a} pixels
+ * @throws {Error} When the array is too short for the image
+ */
+export function decodePixels(drawMode, values, w, h, packing = DEFAULT_PACKING, palette = null) {
+  const needed = packedLength(drawMode, w, h, packing);
+  if (values.length < needed) {
+    throw new Error(`Array has ${values.length} values but a ${w}x${h} ${drawMode} image needs ${needed}`);
+  }
+
+  const bits = indexedBits(drawMode);
+  if (bits) {
+    const levels = (1 << bits) - 1;
+    const ramp = Array.from({ length: levels + 1 }, (_, i) => {
+      const v = Math.round((i * 255) / levels);
+      return { r: v, g: v, b: v, a: 255 };
+    });
+    return unpackIndexed(values, w, h, bits, palette || ramp, packing);
+  }
+  switch (drawMode) {
+    case "HORIZONTAL_1BIT": return unpack1bit(values, w, h, "horizontal", packing);
+    case "VERTICAL_1BIT": return unpack1bit(values, w, h, "vertical", packing);
+    case "HORIZONTAL_ALPHA": return unpack1bitAlpha(values, w, h, "horizontal", packing);
+    case "HORIZONTAL_RGB565": return unpackRGB565(values, w, h, packing);
+    case "HORIZONTAL_RGB888_24": return unpackRGB24(values, w, h, packing);
+    case "HORIZONTAL_RGB888_32": return unpackRGBA32(values, w, h);
+    case "HORIZONTAL_RGB332": return unpackRGB332(values, w, h, packing);
+    case "HORIZONTAL_GRAY4": return unpackGray4(values, w, h, packing);
+    default: throw new Error(`Unknown draw mode ${drawMode}`);
+  }
+}